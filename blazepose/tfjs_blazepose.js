@@ -7,178 +7,137 @@ const kMidHipCenter      = 0;
 const kFullBodySizeRot   = 1;
 const kMidShoulderCenter = 2;
 const kUpperBodySizeRot  = 3;
-const kPoseDetectKeyNum  = 4;
-const POSE_JOINT_NUM = 25;
-
-let s_detect_model;
-let s_detect_tensor_input;
-
-let s_landmark_model;
-let s_landmark_tensor_input;
-
-let s_anchors = [];
-
-function
-create_ssd_anchors(input_w, input_h)
-{
-    /*
-     *  Anchor parameters are based on:
-     *      mediapipe/modules/pose_detection/pose_detection_cpu.pbtxt
-     */
-    let anchor_options = {};
-    anchor_options.strides = [];
-    anchor_options.aspect_ratios = [];
-    anchor_options.feature_map_height = [];
-
-    anchor_options.num_layers = 4;
-    anchor_options.min_scale = 0.1484375;
-    anchor_options.max_scale = 0.75;
-    anchor_options.input_size_height = 128;
-    anchor_options.input_size_width  = 128;
-    anchor_options.anchor_offset_x  = 0.5;
-    anchor_options.anchor_offset_y  = 0.5;
-//  anchor_options.feature_map_width .push(0);
-//  anchor_options.feature_map_height.push(0);
-    anchor_options.strides.push( 8);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.aspect_ratios.push(1.0);
-    anchor_options.reduce_boxes_in_lowest_layer = false;
-    anchor_options.interpolated_scale_aspect_ratio = 1.0;
-    anchor_options.fixed_anchor_size = true;
-
-    GenerateAnchors (s_anchors, anchor_options);
-
-    return 0;
-}
+const POSE_AUX_NUM   = 2;
+
+const POSE_MODE_UPPER_BODY = "upper_body";
+const POSE_MODE_FULL_BODY  = "full_body";
+
+/*
+ *  models (roles in manifest.json) and topology of each mode.
+ *  the ROI is computed from the keys "center" and "scale" of the detector.
+ */
+const s_pose_modes = {
+    upper_body: {detect: "detect_upper_body", landmark: "landmark_upper_body", joint_num: 25,
+                 center: kMidShoulderCenter, scale: kUpperBodySizeRot},
+    full_body : {detect: "detect_full_body",  landmark: "landmark_full_body",  joint_num: 33,
+                 center: kMidHipCenter,      scale: kFullBodySizeRot },
+};
+
+/*
+ *  joint angles (see util_exercise.js). left and right of the subject.
+ *  the hips and the knees need the full body joints.
+ */
+const kPoseAngles = {
+    left_elbow    : [11, 13, 15],
+    right_elbow   : [12, 14, 16],
+    left_shoulder : [23, 11, 13],
+    right_shoulder: [24, 12, 14],
+    left_hip      : [11, 23, 25],
+    right_hip     : [12, 24, 26],
+    left_knee     : [23, 25, 27],
+    right_knee    : [24, 26, 28],
+};
+
+/* joints of the embedding for the pose classifier (see compute_pose_embedding()) */
+const kPoseEmbeddingJoints = [0, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28];
+
+/* skeleton of the BVH export (see util_bvh.js). the legs need the full body joints. */
+const kPoseBvhSkeleton = [
+    {name: "Hips",          parent: null,            src: [23, 24], side: [23, 24]},
+    {name: "Spine",         parent: "Hips",          src: [11, 12], side: [11, 12], rest: [ 0,  1, 0]},
+    {name: "Head",          parent: "Spine",         src: [ 7,  8],                 rest: [ 0,  1, 0]},
+    {name: "LeftShoulder",  parent: "Spine",         src: [11],                     rest: [ 1,  0, 0]},
+    {name: "LeftElbow",     parent: "LeftShoulder",  src: [13],                     rest: [ 1,  0, 0]},
+    {name: "LeftWrist",     parent: "LeftElbow",     src: [15],                     rest: [ 1,  0, 0]},
+    {name: "LeftHand",      parent: "LeftWrist",     src: [19],                     rest: [ 1,  0, 0]},
+    {name: "RightShoulder", parent: "Spine",         src: [12],                     rest: [-1,  0, 0]},
+    {name: "RightElbow",    parent: "RightShoulder", src: [14],                     rest: [-1,  0, 0]},
+    {name: "RightWrist",    parent: "RightElbow",    src: [16],                     rest: [-1,  0, 0]},
+    {name: "RightHand",     parent: "RightWrist",    src: [20],                     rest: [-1,  0, 0]},
+    {name: "LeftHip",       parent: "Hips",          src: [23],                     rest: [ 1,  0, 0]},
+    {name: "LeftKnee",      parent: "LeftHip",       src: [25],                     rest: [ 0, -1, 0]},
+    {name: "LeftAnkle",     parent: "LeftKnee",      src: [27],                     rest: [ 0, -1, 0]},
+    {name: "LeftToe",       parent: "LeftAnkle",     src: [31],                     rest: [ 0,  0, 1]},
+    {name: "RightHip",      parent: "Hips",          src: [24],                     rest: [-1,  0, 0]},
+    {name: "RightKnee",     parent: "RightHip",      src: [26],                     rest: [ 0, -1, 0]},
+    {name: "RightAnkle",    parent: "RightKnee",     src: [28],                     rest: [ 0, -1, 0]},
+    {name: "RightToe",      parent: "RightAnkle",    src: [32],                     rest: [ 0,  0, 1]},
+];
+
+let s_pose_mode = POSE_MODE_UPPER_BODY;
+let POSE_JOINT_NUM = s_pose_modes[s_pose_mode].joint_num;  /* of the current mode */
+
+let s_detect;
+
+let s_landmark;
+
+let s_detector;
+
+/*
+ *  Detector parameters (manifest.json) are based on:
+ *      mediapipe/modules/pose_detection/pose_detection_cpu.pbtxt
+ */
+let s_detect_config;
 
 
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the models of the mode (POSE_MODE_XXX) are described in manifest.json
  * -------------------------------------------------- */
 async function
-init_tfjs_blazepose ()
+init_tfjs_blazepose (mode)
 {
-    try {
-        let url = "./model/tfjs_model_pose_detection/model.json";
-        s_detect_model = await tf.loadGraphModel(url);
+    if (mode === undefined)
+        mode = POSE_MODE_UPPER_BODY;
+    if (!s_pose_modes[mode])
+        throw new Error ("blazepose: unknown mode \"" + mode + "\"");
 
-        let url_landmark = "./model/tfjs_model_pose_landmark_upper_body/model.json";
-        s_landmark_model = await tf.loadGraphModel(url_landmark);
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    /* Pose detect */
-    s_detect_tensor_input  = tfjs_get_tensor_by_name (s_detect_model, 0, "input");
+    s_detect   = await manifest.load_model (mf, s_pose_modes[mode].detect);
+    s_landmark = await manifest.load_model (mf, s_pose_modes[mode].landmark);
 
-    /* Pose Landmark */
-    s_landmark_tensor_input = tfjs_get_tensor_by_name (s_landmark_model, 0, "input");
+    s_detect_config = manifest.get_ssd_config (s_detect);
+    s_detector = ssd.create_detector (s_detect_config);
 
-    let det_input_w = s_detect_tensor_input.shape[2];
-    let det_input_h = s_detect_tensor_input.shape[1];
-    create_ssd_anchors (det_input_w, det_input_h);
+    s_pose_mode    = mode;
+    POSE_JOINT_NUM = s_pose_modes[mode].joint_num;
 
     return 0;
 }
 
-function 
-get_pose_detect_input_dims ()
+/* release the models before loading the ones of another mode */
+function
+dispose_tfjs_blazepose ()
 {
-    return {
-        w: s_detect_tensor_input.shape[2],
-        h: s_detect_tensor_input.shape[1]
-    };
+    if (s_detect)
+        s_detect.model.dispose ();
+    if (s_landmark)
+        s_landmark.model.dispose ();
+
+    s_detect   = null;
+    s_landmark = null;
 }
 
-function 
-get_pose_landmark_input_dims ()
+function
+get_pose_mode ()
 {
-    return {
-        w: s_landmark_tensor_input.shape[2],
-        h: s_landmark_tensor_input.shape[1]
-    };
+    return s_pose_mode;
 }
 
-
-/* -------------------------------------------------- *
- * Invoke TensorFlow.js (Pose detection)
- * -------------------------------------------------- */
-async function 
-decode_bounds (region_list, logits, score_thresh, input_img_w, input_img_h)
+function 
+get_pose_detect_input_dims ()
 {
-    let scores_ptr = await logits[0].data();
-    let bbox_ptr   = await logits[1].data();
-
-    for (let i = 0; i < s_anchors.length; i ++)
-    {
-        let region = {};
-        let anchor = s_anchors[i];
-        let score0 = scores_ptr[i];
-        let score = 1.0 / (1.0 + Math.exp(-score0));
-
-        if (score > score_thresh)
-        {
-            /*
-             *  cx, cy, width, height
-             *  key0_x, key0_y
-             *  key1_x, key1_y
-             *  key2_x, key2_y
-             *  key3_x, key3_y
-             */
-            let numkey = kPoseDetectKeyNum;
-            let bbx_idx = (4 + 2 * numkey) * i;
-
-            /* boundary box */
-            let sx = bbox_ptr[bbx_idx + 0];
-            let sy = bbox_ptr[bbx_idx + 1];
-            let w  = bbox_ptr[bbx_idx + 2];
-            let h  = bbox_ptr[bbx_idx + 3];
-
-            let cx = sx + anchor.x_center * input_img_w;
-            let cy = sy + anchor.y_center * input_img_h;
-
-            cx /= input_img_w;
-            cy /= input_img_h;
-            w  /= input_img_w;
-            h  /= input_img_h;
-
-            let topleft = {}, btmright = {};
-            topleft.x  = cx - w * 0.5;
-            topleft.y  = cy - h * 0.5;
-            btmright.x = cx + w * 0.5;
-            btmright.y = cy + h * 0.5;
-
-            region.score    = score;
-            region.topleft  = topleft;
-            region.btmright = btmright;
-
-            /* landmark positions (6 keys) */
-            let keys = new Array(kPoseDetectKeyNum);
-            for (let j = 0; j < kPoseDetectKeyNum; j ++)
-            {
-                let lx = bbox_ptr[bbx_idx + 4 + (2 * j) + 0];
-                let ly = bbox_ptr[bbx_idx + 4 + (2 * j) + 1];
-                lx += anchor.x_center * input_img_w;
-                ly += anchor.y_center * input_img_h;
-                lx /= input_img_w;
-                ly /= input_img_h;
-
-                keys[j] = {x: lx, y: ly};
-            }
-            region.keys = keys;
-
-            region_list.push (region);
-        }
-    }
-    return 0;
+    return manifest.get_input_dims (s_detect);
 }
 
-
+function 
+get_pose_landmark_input_dims ()
+{
+    return manifest.get_input_dims (s_landmark);
+}
 
 
 /* -------------------------------------------------- *
@@ -195,13 +154,27 @@ normalize_radians (angle)
     return angle - 2 * Math.PI * Math.floor((angle - (-Math.PI)) / (2 * Math.PI));
 }
 
+/*
+ *  the end of the body axis from kMidHipCenter, which gives the rotation.
+ *  (the full body detector has no shoulder key. the center of the box is used)
+ */
+function
+get_body_axis_end (region)
+{
+    if (s_pose_mode == POSE_MODE_UPPER_BODY)
+        return region.keys[kMidShoulderCenter];
+
+    return {x: (region.topleft.x + region.btmright.x) * 0.5,
+            y: (region.topleft.y + region.btmright.y) * 0.5};
+}
+
 function
 compute_rotation (region)
 {
     let x0 = region.keys[kMidHipCenter].x;
     let y0 = region.keys[kMidHipCenter].y;
-    let x1 = region.keys[kMidShoulderCenter].x;
-    let y1 = region.keys[kMidShoulderCenter].y;
+    let x1 = get_body_axis_end (region).x;
+    let y1 = get_body_axis_end (region).y;
 
     let target_angle = Math.PI * 0.5;
     let rotation = target_angle - Math.atan2(-(y1 - y0), x1 - x0);
@@ -221,12 +194,14 @@ rot_vec (vec, rotation)
 function
 compute_detect_to_roi (region)
 {
-    let input_img_w = s_detect_tensor_input.shape[2];
-    let input_img_h = s_detect_tensor_input.shape[1];
-    let x_center = region.keys[kMidShoulderCenter].x * input_img_w;
-    let y_center = region.keys[kMidShoulderCenter].y * input_img_h;
-    let x_scale  = region.keys[kUpperBodySizeRot] .x * input_img_w;
-    let y_scale  = region.keys[kUpperBodySizeRot] .y * input_img_h;
+    let input_img_w = manifest.get_input_dims (s_detect).w;
+    let input_img_h = manifest.get_input_dims (s_detect).h;
+    let center   = region.keys[s_pose_modes[s_pose_mode].center];
+    let scale    = region.keys[s_pose_modes[s_pose_mode].scale];
+    let x_center = center.x * input_img_w;
+    let y_center = center.y * input_img_h;
+    let x_scale  = scale.x  * input_img_w;
+    let y_scale  = scale.y  * input_img_h;
 
     // Bounding box size as double distance from center to scale point.
     let box_size = Math.sqrt((x_scale - x_center) * (x_scale - x_center) +
@@ -295,7 +270,7 @@ function pack_detect_result (detect_result, region_list)
 {
     for (let i = 0; i < region_list.length; i ++)
     {
-        region = region_list[i];
+        let region = region_list[i];
 
         compute_rotation (region);
         compute_detect_to_roi (region);
@@ -306,59 +281,85 @@ function pack_detect_result (detect_result, region_list)
 
 
 /* -------------------------------------------------- *
- * Invoke TensorFlow.js (Pose detection)
+ *  ROI of the next frame from the landmarks (see util_roitrack.js)
+ *  based on:
+ *   - mediapipe/modules/pose_landmark/pose_landmarks_to_roi.pbtxt
+ *
+ *  the auxiliary points of the landmark model are the center and the
+ *  scale point of the body, as the keys "center" and "scale" of the mode
+ *  (e.g. kMidShoulderCenter and kUpperBodySizeRot). the other keys and the
+ *  box (face) are taken from the joints, and the ROI is computed in the
+ *  same way as the detection.
  * -------------------------------------------------- */
-function exec_tfjs (img)
+function
+landmark_to_detect_coord (pos, region)
 {
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
+    let vec = {x: (pos.x - 0.5) * region.roi_size.x,
+               y: (pos.y - 0.5) * region.roi_size.y};
+    rot_vec (vec, region.rotation);
+
+    return {x: vec.x + region.roi_center.x, y: vec.y + region.roi_center.y};
+}
+
+function
+compute_landmark_to_roi (landmark, region)
+{
+    if (!landmark.aux)
+        return null;
+
+    let pos = [];
+    for (let i = 0; i < POSE_JOINT_NUM; i ++)
+        pos[i] = landmark_to_detect_coord (landmark.joint[i], region);
 
-    let logits = tf.tidy(() =>
+    /* box of the face (nose, eyes, ears and mouth) */
+    let x1 = Number.MAX_VALUE, y1 = Number.MAX_VALUE;
+    let x2 = -Number.MAX_VALUE, y2 = -Number.MAX_VALUE;
+    for (let i = 0; i <= 10; i ++)
     {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
+        x1 = Math.min (x1, pos[i].x);  y1 = Math.min (y1, pos[i].y);
+        x2 = Math.max (x2, pos[i].x);  y2 = Math.max (y2, pos[i].y);
+    }
 
-        // normalize [0, 255] to [-1, 1].
-        let min = -1;
-        let max =  1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+    let next_region = {
+        score   : landmark.score,
+        topleft : {x: x1, y: y1},
+        btmright: {x: x2, y: y2},
+        keys    : region.keys.slice (),
+        track_id: region.track_id,
+    };
+    next_region.keys[kMidHipCenter] = {x: (pos[23].x + pos[24].x) * 0.5,
+                                       y: (pos[23].y + pos[24].y) * 0.5};
+    next_region.keys[s_pose_modes[s_pose_mode].center] = landmark_to_detect_coord (landmark.aux[0], region);
+    next_region.keys[s_pose_modes[s_pose_mode].scale]  = landmark_to_detect_coord (landmark.aux[1], region);
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
+    compute_rotation (next_region);
+    compute_detect_to_roi (next_region);
 
-        return s_detect_model.predict(batched);
-    });
+    return next_region;
+}
 
-    return logits;
+
+/* -------------------------------------------------- *
+ * Invoke TensorFlow.js (Pose detection)
+ * -------------------------------------------------- */
+function exec_tfjs (input_tensor)
+{
+    return manifest.predict (s_detect, input_tensor);
 }
 
-async function invoke_pose_detect (img)
+async function invoke_pose_detect (input_tensor)
 {
-    let logits  = exec_tfjs (img);
+    let logits  = exec_tfjs (input_tensor);
 
-    let score_thresh = 0.75;
+    let score_thresh = s_detect_config.score_thresh;
+    let iou_thresh   = s_detect_config.iou_thresh;
     let detect_result = [];
-    let region_list = [];
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
-    await decode_bounds (region_list, logits, score_thresh, w, h);
-
-    if (true) /* USE NMS */
-    {
-        let iou_thresh = 0.3;
-        let region_nms_list = [];
+    let region_list = await ssd.decode (s_detector, logits, score_thresh, iou_thresh);
 
-        non_max_suppression (region_list, region_nms_list, iou_thresh);
-        pack_detect_result (detect_result, region_nms_list);
-    }
-    else
-    {
-        pack_detect_result (detect_result, region_list);
-    }
+    pack_detect_result (detect_result, region_list);
 
     /* release the resource of output tensor */
-    logits[0].dispose ();
-    logits[1].dispose ();
+    manifest.dispose_outputs (logits);
 
     return detect_result;
 }
@@ -366,60 +367,120 @@ async function invoke_pose_detect (img)
 
 /* -------------------------------------------------- *
  * Invoke TensorFlow.js (Pose landmark)
+ *   the ROIs of all the poses run as a batch (see manifest.predict_batch())
  * -------------------------------------------------- */
-function exec_tfjs_landmark (img)
+function
+decode_pose_landmark (poseflag_ptr, landmark_ptr, batch_id, batch_num)
 {
-    let w = s_landmark_tensor_input.shape[2];
-    let h = s_landmark_tensor_input.shape[1];
+    let img_w = manifest.get_input_dims (s_landmark).w;
+    let img_h = manifest.get_input_dims (s_landmark).h;
+    let stride = landmark_ptr.length / batch_num;
+    let ofst   = stride * batch_id;
 
-    let logits = tf.tidy(() =>
+    let landmark_result = [];
+    landmark_result.joint = [];
+    landmark_result.score = poseflag_ptr[batch_id];
+    for (let i = 0; i < POSE_JOINT_NUM; i ++)
     {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
-
-        // normalize [0, 255] to [-1, 1].
-        let min = -1;
-        let max =  1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+        /* the 4th value is the visibility (logit) of the joint: in the image and not occluded */
+        let visibility = landmark_ptr[ofst + 4 * i + 3];
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
+        landmark_result.joint[i] = {
+            x: landmark_ptr[ofst + 4 * i + 0] / img_w,
+            y: landmark_ptr[ofst + 4 * i + 1] / img_h,
+            z: landmark_ptr[ofst + 4 * i + 2],
+            visibility: 1.0 / (1.0 + Math.exp (-visibility))
+        };
+    }
 
-        return s_landmark_model.predict(batched);
-    });
+    /* the auxiliary points for the ROI of the next frame (see compute_landmark_to_roi()) */
+    if (stride >= 4 * (POSE_JOINT_NUM + POSE_AUX_NUM))
+    {
+        landmark_result.aux = [];
+        for (let i = 0; i < POSE_AUX_NUM; i ++)
+        {
+            let j = POSE_JOINT_NUM + i;
+            landmark_result.aux[i] = {
+                x: landmark_ptr[ofst + 4 * j + 0] / img_w,
+                y: landmark_ptr[ofst + 4 * j + 1] / img_h
+            };
+        }
+    }
 
-    return logits;
+    return landmark_result;
 }
 
+async function
+invoke_pose_landmark_batch (input_tensors)
+{
+    return manifest.predict_batch (s_landmark, input_tensors, async function (logits, batch_num)
+    {
+        let poseflag_ptr = await manifest.read_data (manifest.get_output (s_landmark, logits, "poseflag"));
+        let landmark_ptr = await manifest.read_data (manifest.get_output (s_landmark, logits, "landmark"));
 
+        let landmark_ret = [];
+        for (let n = 0; n < batch_num; n ++)
+            landmark_ret[n] = decode_pose_landmark (poseflag_ptr, landmark_ptr, n, batch_num);
+
+        return landmark_ret;
+    });
+}
 
-async function 
-invoke_pose_landmark (img)
+/*
+ *  points: joints of the landmark, in the ROI or the image coordinates
+ *          (the ROI is square, so the angles are the same).
+ */
+function
+compute_pose_angles (points, min_visibility)
 {
-    let logits  = exec_tfjs_landmark (img);
+    return exercise.compute_angles (points, kPoseAngles, min_visibility);
+}
 
-    let poseflag_ptr = await logits[0].data();
-    let landmark_ptr = await logits[1].data();
-    let img_w = s_landmark_tensor_input.shape[2];
-    let img_h = s_landmark_tensor_input.shape[1];
+/*
+ *  embedding of the pose for the classifier (see util_posecls.js).
+ *
+ *  the distances between each pair of kPoseEmbeddingJoints (those of the
+ *  mode), normalized by the size of the pose: the larger of 2.5 x the
+ *  torso and the farthest joint from the hips, as MediaPipe's pose
+ *  classification does. they do not change by the position, the size and
+ *  the rotation of the subject.
+ */
+function
+compute_pose_embedding (points)
+{
+    let ids = kPoseEmbeddingJoints.filter ((id) => id < POSE_JOINT_NUM);
+    let dist = (p0, p1) => Math.sqrt ((p0.x - p1.x) * (p0.x - p1.x) + (p0.y - p1.y) * (p0.y - p1.y));
 
-    let landmark_result = [];
-    landmark_result.joint = [];
-    landmark_result.score = poseflag_ptr[0];
-    for (let i = 0; i < POSE_JOINT_NUM; i ++)
+    let hips      = {x: (points[23].x + points[24].x) * 0.5, y: (points[23].y + points[24].y) * 0.5};
+    let shoulders = {x: (points[11].x + points[12].x) * 0.5, y: (points[11].y + points[12].y) * 0.5};
+
+    let size = dist (hips, shoulders) * 2.5;
+    for (let id of ids)
+        size = Math.max (size, dist (hips, points[id]));
+    if (size <= 0)
+        size = 1.0;
+
+    let embedding = [];
+    for (let i = 0; i < ids.length; i ++)
     {
-        landmark_result.joint[i] = {
-            x: landmark_ptr[4 * i + 0] / img_w,
-            y: landmark_ptr[4 * i + 1] / img_h,
-            z: landmark_ptr[4 * i + 2]
-        };
+        for (let j = i + 1; j < ids.length; j ++)
+            embedding.push (dist (points[ids[i]], points[ids[j]]) / size);
     }
 
-    /* release the resource of output tensor */
-    logits[0].dispose ();
-    logits[1].dispose ();
-    logits[2].dispose ();
+    return embedding;
+}
 
-    return landmark_result;
+/* the joints of kPoseBvhSkeleton which the mode has */
+function
+get_pose_bvh_skeleton (mode)
+{
+    return bvh.filter_skeleton (kPoseBvhSkeleton, s_pose_modes[mode].joint_num);
+}
+
+async function
+invoke_pose_landmark (input_tensor)
+{
+    let landmark_ret = await invoke_pose_landmark_batch ([input_tensor]);
+    return landmark_ret[0];
 }
 
@@ -2,21 +2,81 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
 
+/*
+ *  3D skelton view (pose3d-space coordinate)
+ *
+ *    -100  0  100
+ *      +---+---+  100
+ *      |   |   |
+ *      +---+---+   0
+ *      |   |   |
+ *      +---+---+ -100
+ */
 class GuiProperty {
     constructor() {
+        this.pose_mode = POSE_MODE_UPPER_BODY;
+        this.draw_2d_skelton = true;
+        this.draw_3d_skelton = false;
+        this.pose_scale_x  = 100;
+        this.pose_scale_y  = 100;
+        this.pose_scale_z  = 100;
+        this.camera_pos_z  = 300;
+        this.joint_radius  = 6;
+        this.bone_radius   = 2;
+        this.srcimg_scale  = 0.3;
+        this.visibility_thresh = 0.5;
+        this.hide_invisible    = false;
+        this.draw_angles       = true;
         this.draw_roi_rect = false;
         this.draw_pmeter   = false;
     }
 }
 const s_gui_prop = new GuiProperty();
 
+/* "mode" of the URL parameter (e.g. index.html?mode=full_body) */
+function
+get_requested_pose_mode ()
+{
+    let params = new URLSearchParams (window.location.search);
+    let mode = params.get ('mode');
+
+    if (mode == POSE_MODE_FULL_BODY)
+        return POSE_MODE_FULL_BODY;
+
+    return POSE_MODE_UPPER_BODY;
+}
+
+function
+load_blazepose_models ()
+{
+    return init_tfjs_blazepose (s_gui_prop.pose_mode);
+}
+
+/*
+ *  load the models of the mode selected in the GUI.
+ *  the results of the other mode (and the tracks, the filters) are dropped.
+ *  call it when no stage is running.
+ */
+function
+switch_pose_mode (sch, trk, rtrk, smoother, excnt, brec, avt)
+{
+    infsched.reset (sch);
+    tracker.reset (trk);
+    roitrack.reset (rtrk);
+    lmfilter.reset (smoother);
+    exercise.reset (excnt);
+    bvh.set_skeleton (brec, get_pose_bvh_skeleton (s_gui_prop.pose_mode));
+    avatar.set_skeleton (avt, get_pose_bvh_skeleton (s_gui_prop.pose_mode));
+
+    dispose_tfjs_blazepose ();
+    appstatus.load_models (load_blazepose_models);
+}
+
 function init_stats ()
 {
     var stats = new Stats();
@@ -32,67 +92,17 @@ function init_stats ()
 function generate_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_pose_detect_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, 1);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 function
 generate_landmark_input_image (gl, srctex, texw, texh, detection, pose_id)
 {
     let dims = get_pose_landmark_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
-
-    let texcoord = [];
-
-    if (detection.length > pose_id)
-    {
-        region = detection[pose_id];
-        let x0 = region.roi_coord[0].x;
-        let y0 = region.roi_coord[0].y;
-        let x1 = region.roi_coord[1].x; //    0--------1
-        let y1 = region.roi_coord[1].y; //    |        |
-        let x2 = region.roi_coord[2].x; //    |        |
-        let y2 = region.roi_coord[2].y; //    3--------2
-        let x3 = region.roi_coord[3].x;
-        let y3 = region.roi_coord[3].y;
-        texcoord[0] = x3;   texcoord[1] = y3;
-        texcoord[2] = x0;   texcoord[3] = y0;
-        texcoord[4] = x2;   texcoord[5] = y2;
-        texcoord[6] = x1;   texcoord[7] = y1;
-    }
+    let roi_coord = tffeed.get_region_roi (detection, pose_id);
 
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-
-    r2d.draw_2d_texture_texcoord_rot (gl, srctex, 0, texh - dims.h, dims.w, dims.h, texcoord, 0, 0, 0);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, srctex, dims, roi_coord, null);
 }
 
 
@@ -105,7 +115,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
 
     for (let i = 0; i < detection.length; i ++)
     {
-        region = detection[i];
+        let region = detection[i];
         let x1 = region.topleft.x  * texw + ofstx;
         let y1 = region.topleft.y  * texh + ofsty;
         let x2 = region.btmright.x * texw + ofstx;
@@ -116,14 +126,14 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
         r2d.draw_2d_rect (gl, x1, y1, x2-x1, y2-y1, col_frame, 2.0);
 
         /* class name */
-        let buf = "" + (score * 100).toFixed(0);
+        let buf = "ID" + region.track_id + ":" + (score * 100).toFixed(0);
         dbgstr.draw_dbgstr_ex (gl, buf, x1, y1, 1.0, col_white, col_frame);
 
         /* key points */
         let hx = region.keys[kMidHipCenter]     .x * texw + ofstx;
         let hy = region.keys[kMidHipCenter]     .y * texh + ofsty;
-        let sx = region.keys[kMidShoulderCenter].x * texw + ofstx;
-        let sy = region.keys[kMidShoulderCenter].y * texh + ofsty;
+        let sx = get_body_axis_end (region).x * texw + ofstx;
+        let sy = get_body_axis_end (region).y * texh + ofsty;
 
         r2d.draw_2d_line (gl, hx, hy, sx, sy, col_white, 2.0);
         let r = 4;
@@ -168,20 +178,82 @@ transform_pose_landmark (transformed_pos, landmark, region)
         let vec = [landmark.joint[i].x, landmark.joint[i].y];
         matrix_multvec2 (mat, vec, vec);
 
-        transformed_pos[i] = {x: vec[0], y:vec[1]};
+        transformed_pos[i] = {x: vec[0], y:vec[1], visibility: landmark.joint[i].visibility};
+    }
+}
+
+/*
+ *  the joints whose visibility is below visibility_thresh (out of the image,
+ *  or occluded) are faded, or hidden if hide_invisible. 0: not drawn.
+ */
+function
+get_joint_alpha (joint)
+{
+    if (joint.visibility === undefined || joint.visibility >= s_gui_prop.visibility_thresh)
+        return 1.0;
+
+    return s_gui_prop.hide_invisible ? 0.0 : 0.3;
+}
+
+/*
+ *  smooth the landmarks in the window coordinates, since the ROI moves every frame.
+ *  the result is written back to the ROI coordinates of landmark_ret.
+ */
+function
+filter_pose_landmark (smoother, landmark_ret, detection, timestamp)
+{
+    let dims = get_pose_landmark_input_dims ();
+
+    for (let pose_id = 0; pose_id < landmark_ret.length; pose_id ++)
+    {
+        let landmark = landmark_ret[pose_id];
+        let region   = detection[pose_id];
+
+        let transformed_pos = new Array(POSE_JOINT_NUM);
+        transform_pose_landmark (transformed_pos, landmark, region);
+
+        for (let i = 0; i < POSE_JOINT_NUM; i ++)
+            transformed_pos[i].z = landmark.joint[i].z;
+
+        lmfilter.filter_points (smoother, region.track_id, transformed_pos, timestamp, [1.0, 1.0, dims.w]);
+
+        /* inverse of transform_pose_landmark() */
+        let mat = new Array(16);
+        matrix_identity (mat);
+        matrix_translate (mat, 0.5, 0.5, 0);
+        matrix_scale (mat, 1.0 / region.roi_size.x, 1.0 / region.roi_size.y, 1.0);
+        matrix_rotate (mat, -RAD_TO_DEG(region.rotation), 0, 0, 1);
+        matrix_translate (mat, -region.roi_center.x, -region.roi_center.y, 0);
+
+        for (let i = 0; i < POSE_JOINT_NUM; i ++)
+        {
+            let vec = [transformed_pos[i].x, transformed_pos[i].y];
+            matrix_multvec2 (mat, vec, vec);
+
+            landmark.joint[i].x = vec[0];
+            landmark.joint[i].y = vec[1];
+            landmark.joint[i].z = transformed_pos[i].z;
+        }
     }
+
+    lmfilter.prune (smoother, timestamp);
 }
 
 function
 render_bone (gl, ofstx, ofsty, drw_w, drw_h,
              transformed_pos, id0, id1, col)
 {
+    let alpha = Math.min (get_joint_alpha (transformed_pos[id0]), get_joint_alpha (transformed_pos[id1]));
+    if (alpha <= 0.0)
+        return;
+
     let x0 = transformed_pos[id0].x * drw_w + ofstx;
     let y0 = transformed_pos[id0].y * drw_h + ofsty;
     let x1 = transformed_pos[id1].x * drw_w + ofstx;
     let y1 = transformed_pos[id1].y * drw_h + ofsty;
 
-    r2d.draw_2d_line (gl, x0, y0, x1, y1, col, 5.0);
+    let col_a = [col[0], col[1], col[2], col[3] * alpha];
+    r2d.draw_2d_line (gl, x0, y0, x1, y1, col_a, 5.0);
 }
 
 function
@@ -193,6 +265,7 @@ render_pose_landmark (gl, ofstx, ofsty, texw, texh, landmakr_ret,
     let col_cyan   = [0.0, 1.0, 1.0, 1.0];
     let col_lime   = [0.0, 1.0, 0.3, 1.0];
     let col_blue   = [0.0, 0.5, 1.0, 1.0];
+    let col_pink   = [1.0, 0.0, 1.0, 1.0];
     let col_white  = [1.0, 1.0, 1.0, 1.0];
 
     if (landmakr_ret.length <= pose_id)
@@ -202,7 +275,19 @@ render_pose_landmark (gl, ofstx, ofsty, texw, texh, landmakr_ret,
 
     let score = landmark.score;
     let buf = "score:" + (score * 100).toFixed(1);
-    dbgstr.draw_dbgstr_ex (gl, buf, texw - 120, 0, 1.0, col_white, col_red);
+    dbgstr.draw_dbgstr_ex (gl, buf, ofstx + texw - 120, ofsty, 1.0, col_white, col_red);
+
+    if (landmark.reps !== undefined)
+    {
+        buf = "reps :" + landmark.reps;
+        dbgstr.draw_dbgstr_ex (gl, buf, ofstx + texw - 120, ofsty + 22, 1.0, col_white, col_red);
+    }
+
+    if (landmark.pose_class)
+    {
+        buf = landmark.pose_class.label + ":" + (landmark.pose_class.confidence * 100).toFixed(0) + "%";
+        dbgstr.draw_dbgstr_ex (gl, buf, ofstx + texw - 120, ofsty + 44, 1.0, col_white, col_blue);
+    }
 
     let transformed_pos = new Array(POSE_JOINT_NUM);
     transform_pose_landmark (transformed_pos, landmark, detection[pose_id]);
@@ -239,16 +324,397 @@ render_pose_landmark (gl, ofstx, ofsty, texw, texh, landmakr_ret,
     render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos,  5,  6, col_blue);
     render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos,  6,  8, col_blue);
 
+    if (get_pose_mode () == POSE_MODE_FULL_BODY)
+    {
+        /* right leg */
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 23, 25, col_pink);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 25, 27, col_pink);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 27, 31, col_pink);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 31, 29, col_pink);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 29, 27, col_pink);
+
+        /* left leg */
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 24, 26, col_blue);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 26, 28, col_blue);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 28, 32, col_blue);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 32, 30, col_blue);
+        render_bone (gl, ofstx, ofsty, texw, texh, transformed_pos, 30, 28, col_blue);
+    }
+
     for (let i = 0; i < POSE_JOINT_NUM; i ++)
     {
+        let alpha = get_joint_alpha (transformed_pos[i]);
+        if (alpha <= 0.0)
+            continue;
+
         let x = transformed_pos[i].x * texw + ofstx;
         let y = transformed_pos[i].y * texh + ofsty;
 
         let r = 9;
-        r2d.draw_2d_fillrect (gl, x - (r/2), y - (r/2), r, r, col_red);
+        let col = [col_red[0], col_red[1], col_red[2], alpha];
+        r2d.draw_2d_fillrect (gl, x - (r/2), y - (r/2), r, r, col);
     }
+
+    if (s_gui_prop.draw_angles && landmark.angles)
+        render_pose_angles (gl, ofstx, ofsty, texw, texh, transformed_pos, landmark.angles);
 }
 
+/* the angle [deg] at the middle joint of each */
+function
+render_pose_angles (gl, ofstx, ofsty, texw, texh, transformed_pos, angles)
+{
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_bg    = [0.0, 0.0, 0.0, 0.5];
+
+    for (let name of Object.keys (angles))
+    {
+        if (angles[name] === null)
+            continue;
+
+        let pos = transformed_pos[kPoseAngles[name][1]];
+        let x = pos.x * texw + ofstx + 8;
+        let y = pos.y * texh + ofsty - 8;
+
+        dbgstr.draw_dbgstr_ex (gl, angles[name].toFixed(0), x, y, 1.0, col_white, col_bg);
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  3D skelton view
+ *      z of the landmark is the depth from the hips, in the same
+ *      scale as x. pose[i] is [x, y, z, alpha by the visibility].
+ * ---------------------------------------------------------------- */
+function
+compute_3d_skelton_pos (dst_pose, landmark, region)
+{
+    let dims = get_pose_landmark_input_dims ();
+
+    let transformed_pos = new Array(POSE_JOINT_NUM);
+    transform_pose_landmark (transformed_pos, landmark, region);
+
+    for (let i = 0; i < POSE_JOINT_NUM; i ++)
+    {
+        let x = transformed_pos[i].x;                               /* [0, 1] */
+        let y = transformed_pos[i].y;                               /* [0, 1] */
+        let z = landmark.joint[i].z / dims.w * region.roi_size.x;   /* [0, 1] scale of x */
+
+        x = (x - 0.5) * s_gui_prop.pose_scale_x * 2;   /* [-scale, scale] */
+        y = (y - 0.5) * s_gui_prop.pose_scale_y * 2;   /* [-scale, scale] */
+        z =  z        * s_gui_prop.pose_scale_z * 2;
+        y = -y;
+        z = -z;
+
+        dst_pose.push ([x, y, z, get_joint_alpha (landmark.joint[i])]);
+    }
+}
+
+function
+render_skelton_3d (gl, landmark, region)
+{
+    let mtxGlobal = new Array(16);
+    let mtxTouch  = get_touch_event_matrix();
+    let col_red    = [1.0, 0.0, 0.0, 1.0];
+    let col_orange = [1.0, 0.6, 0.0, 1.0];
+    let col_cyan   = [0.0, 1.0, 1.0, 1.0];
+    let col_lime   = [0.0, 1.0, 0.3, 1.0];
+    let col_blue   = [0.0, 0.5, 1.0, 1.0];
+    let col_pink   = [1.0, 0.0, 1.0, 1.0];
+    let col_gray   = [0.0, 0.0, 0.0, 0.1];
+
+    let pose = [];
+    compute_3d_skelton_pos (pose, landmark, region);
+
+    for (let is_shadow = 1; is_shadow >= 0; is_shadow --)
+    {
+        let colb = [col_cyan, col_orange, col_lime, col_blue, col_red, col_pink];
+
+        matrix_identity (mtxGlobal);
+        matrix_translate (mtxGlobal, 0.0, 0.0, -s_gui_prop.camera_pos_z);
+        matrix_mult (mtxGlobal, mtxGlobal, mtxTouch);
+
+        if (is_shadow)
+        {
+            let mtxShadow = new Array(16);
+            let light_dir  = [1.0, 2.0, 1.0];
+            let ground_pos = [0.0, 0.0, 0.0];
+            let ground_nrm = [0.0, 1.0, 0.0];
+
+            shadow_matrix (mtxShadow, light_dir, ground_pos, ground_nrm);
+
+            let shadow_y = - s_gui_prop.pose_scale_y;
+            matrix_translate (mtxGlobal, 0.0, shadow_y, 0.0);
+            matrix_mult (mtxGlobal, mtxGlobal, mtxShadow);
+
+            colb = colb.map (() => col_gray);
+        }
+
+        /* joint point */
+        for (let i = 0; i < pose.length; i ++)
+        {
+            if (pose[i][3] <= 0.0)
+                continue;
+
+            const rad = s_gui_prop.joint_radius;
+            const col = [colb[4][0], colb[4][1], colb[4][2], colb[4][3] * pose[i][3]];
+            draw_sphere (gl, mtxGlobal, pose[i], rad, col, is_shadow);
+        }
+
+        const rad = s_gui_prop.bone_radius;
+        render_3d_bone (gl, mtxGlobal, pose, 11, 12, colb[0], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 12, 24, colb[0], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 24, 23, colb[0], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 23, 11, colb[0], rad, is_shadow);
+
+        /* right arm */
+        render_3d_bone (gl, mtxGlobal, pose, 11, 13, colb[1], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 13, 15, colb[1], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 15, 21, colb[1], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 15, 19, colb[1], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 15, 17, colb[1], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 17, 19, colb[1], rad, is_shadow);
+
+        /* left arm */
+        render_3d_bone (gl, mtxGlobal, pose, 12, 14, colb[2], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 14, 16, colb[2], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 16, 22, colb[2], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 16, 20, colb[2], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 16, 18, colb[2], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose, 18, 20, colb[2], rad, is_shadow);
+
+        /* face */
+        render_3d_bone (gl, mtxGlobal, pose,  9, 10, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  0,  1, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  1,  2, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  2,  3, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  3,  7, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  0,  4, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  4,  5, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  5,  6, colb[3], rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, pose,  6,  8, colb[3], rad, is_shadow);
+
+        if (get_pose_mode () == POSE_MODE_FULL_BODY)
+        {
+            /* right leg */
+            render_3d_bone (gl, mtxGlobal, pose, 23, 25, colb[5], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 25, 27, colb[5], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 27, 31, colb[5], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 31, 29, colb[5], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 29, 27, colb[5], rad, is_shadow);
+
+            /* left leg */
+            render_3d_bone (gl, mtxGlobal, pose, 24, 26, colb[3], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 26, 28, colb[3], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 28, 32, colb[3], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 32, 30, colb[3], rad, is_shadow);
+            render_3d_bone (gl, mtxGlobal, pose, 30, 28, colb[3], rad, is_shadow);
+        }
+    }
+}
+
+/*
+ *  draw the glTF avatar driven by the pose (see util_avatar.js), with its
+ *  shadow. false if no avatar is loaded.
+ */
+function
+render_avatar_3d (gl, avt, landmark, region)
+{
+    let mtxGlobal = new Array(16);
+    let mtxTouch  = get_touch_event_matrix();
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_gray  = [0.0, 0.0, 0.0, 0.1];
+
+    let pose = [];
+    compute_3d_skelton_pos (pose, landmark, region);
+
+    if (!avatar.retarget (avt, pose))
+        return false;
+
+    for (let is_shadow = 1; is_shadow >= 0; is_shadow --)
+    {
+        matrix_identity (mtxGlobal);
+        matrix_translate (mtxGlobal, 0.0, 0.0, -s_gui_prop.camera_pos_z);
+        matrix_mult (mtxGlobal, mtxGlobal, mtxTouch);
+
+        if (is_shadow)
+        {
+            let mtxShadow = new Array(16);
+            shadow_matrix (mtxShadow, [1.0, 2.0, 1.0], [0.0, 0.0, 0.0], [0.0, 1.0, 0.0]);
+
+            matrix_translate (mtxGlobal, 0.0, -s_gui_prop.pose_scale_y, 0.0);
+            matrix_mult (mtxGlobal, mtxGlobal, mtxShadow);
+        }
+
+        draw_skinned_mesh (gl, mtxGlobal, avt.model, avt.matrix, avt.globals, avt.skins,
+                           is_shadow ? col_gray : col_white, is_shadow);
+    }
+    return true;
+}
+
+function
+render_3d_scene (gl, pose_ret, avt)
+{
+    let mtxGlobal = new Array(16);
+    let mtxTouch  = get_touch_event_matrix();
+    let floor_size_x = 300.0;
+    let floor_size_y = 300.0;
+    let floor_size_z = 300.0;
+
+    /* background */
+    matrix_identity (mtxGlobal);
+    matrix_translate (mtxGlobal, 0, 0, -s_gui_prop.camera_pos_z);
+    matrix_mult (mtxGlobal, mtxGlobal, mtxTouch);
+    matrix_translate (mtxGlobal, 0, -s_gui_prop.pose_scale_y, 0);
+    matrix_scale  (mtxGlobal, floor_size_x, floor_size_y, floor_size_z);
+    matrix_translate (mtxGlobal, 0, 1.0, 0);
+    draw_floor (gl, mtxGlobal, floor_size_x/10, floor_size_y/10);
+
+    /* skelton */
+    for (let pose_id = 0; pose_id < pose_ret.regions.length; pose_id ++)
+    {
+        let landmark = pose_ret.landmarks[pose_id];
+        let region   = pose_ret.regions[pose_id];
+
+        /* the avatar puppets the first pose, as the BVH export records */
+        if (pose_id == 0 && avt.prop.draw && render_avatar_3d (gl, avt, landmark, region))
+            continue;
+
+        render_skelton_3d (gl, landmark, region);
+    }
+}
+
+
+/*
+ *  joint angles from the landmarks in the window coordinates, and the
+ *  repetitions of the exercise. they are kept in landmark.angles and
+ *  landmark.reps (the results of the "landmark" stage).
+ */
+function
+update_pose_exercise (excnt, landmark_ret, detection, timestamp)
+{
+    for (let pose_id = 0; pose_id < landmark_ret.length; pose_id ++)
+    {
+        let landmark = landmark_ret[pose_id];
+        let region   = detection[pose_id];
+
+        let transformed_pos = new Array(POSE_JOINT_NUM);
+        transform_pose_landmark (transformed_pos, landmark, region);
+
+        landmark.angles = compute_pose_angles (transformed_pos, s_gui_prop.visibility_thresh);
+        landmark.reps   = exercise.update (excnt, region.track_id, landmark.angles, timestamp);
+    }
+
+    exercise.prune (excnt, timestamp);
+}
+
+/*
+ *  classify the poses by the captured examples (see util_posecls.js), and
+ *  keep the result in landmark.pose_class. the examples are captured from
+ *  the first pose.
+ */
+function
+classify_pose_landmark (pcls, landmark_ret, detection)
+{
+    for (let pose_id = 0; pose_id < landmark_ret.length; pose_id ++)
+    {
+        let landmark = landmark_ret[pose_id];
+
+        let transformed_pos = new Array(POSE_JOINT_NUM);
+        transform_pose_landmark (transformed_pos, landmark, detection[pose_id]);
+
+        let embedding = compute_pose_embedding (transformed_pos);
+        if (pose_id == 0)
+            posecls.capture (pcls, embedding);
+
+        landmark.pose_class = posecls.classify (pcls, embedding);
+    }
+}
+
+function
+record_pose_landmark (rec, frame, win_w, win_h, landmark_ret, detection)
+{
+    if (!rec.prop.record)
+        return;
+
+    let poses = [];
+    for (let pose_id = 0; pose_id < landmark_ret.length; pose_id ++)
+    {
+        let landmark = landmark_ret[pose_id];
+        let transformed_pos = new Array(POSE_JOINT_NUM);
+        transform_pose_landmark (transformed_pos, landmark, detection[pose_id]);
+
+        for (let i = 0; i < POSE_JOINT_NUM; i ++)
+            transformed_pos[i].z = landmark.joint[i].z;
+
+        poses.push ({score: landmark.score, joint: transformed_pos, angles: landmark.angles, reps: landmark.reps,
+                     pose_class: landmark.pose_class});
+    }
+
+    let view = recorder.calc_letterbox (frame.width, frame.height, win_w, win_h);
+    recorder.record_frame (rec, frame, {mode: get_pose_mode (), detections: detection, poses: poses}, view);
+}
+
+/*
+ *  record the first pose for the BVH export (see util_bvh.js), in the
+ *  axes of the 3D view: Y up, +X to the left of the subject, +Z to the
+ *  camera. z is in the scale of x.
+ */
+function
+record_pose_bvh (brec, landmark_ret, detection, timestamp)
+{
+    if (!brec.prop.record || landmark_ret.length == 0)
+        return;
+
+    let dims     = get_pose_landmark_input_dims ();
+    let landmark = landmark_ret[0];
+    let region   = detection[0];
+
+    let transformed_pos = new Array(POSE_JOINT_NUM);
+    transform_pose_landmark (transformed_pos, landmark, region);
+
+    let points = [];
+    for (let i = 0; i < POSE_JOINT_NUM; i ++)
+    {
+        let x = (transformed_pos[i].x - 0.5) * 2;
+        let y = (transformed_pos[i].y - 0.5) * 2;
+        let z = landmark.joint[i].z / dims.w * region.roi_size.x * 2;
+        points.push ([x, -y, -z]);
+    }
+
+    bvh.add_frame (brec, points, timestamp);
+}
+
+/*
+ *  extrapolate the landmarks of the same subject (track_id) linearly (see util_sched.js).
+ *  the landmarks are in the ROI coordinates, so the ROI is extrapolated too.
+ */
+function
+extrapolate_pose_landmark (cur, prev, t)
+{
+    let ret = {regions: [], landmarks: []};
+
+    for (let pose_id = 0; pose_id < cur.regions.length; pose_id ++)
+    {
+        let region   = cur.regions[pose_id];
+        let landmark = cur.landmarks[pose_id];
+
+        let prev_id = infsched.find_track (prev.regions, region.track_id);
+        if (prev_id >= 0)
+        {
+            let prev_region   = prev.regions[prev_id];
+            let prev_landmark = prev.landmarks[prev_id];
+
+            region = infsched.extrapolate_region (region, prev_region, t);
+
+            landmark = Object.assign ({}, landmark);
+            landmark.joint = infsched.extrapolate_points (landmark.joint, prev_landmark.joint, t);
+        }
+
+        ret.regions.push (region);
+        ret.landmarks.push (landmark);
+    }
+    return ret;
+}
 
 function
 render_cropped_pose_image (gl, srctex, ofstx, ofsty, texw, texh, detection, pose_id)
@@ -258,7 +724,7 @@ render_cropped_pose_image (gl, srctex, ofstx, ofsty, texw, texh, detection, pose
     if (detection.length <= pose_id)
         return;
 
-    region = detection[pose_id];
+    let region = detection[pose_id];
     let x0 = region.roi_coord[0].x;
     let y0 = region.roi_coord[0].y;
     let x1 = region.roi_coord[1].x; //    0--------1
@@ -324,8 +790,26 @@ init_gui ()
 {
     const gui = new dat.GUI();
 
+    gui.add (s_gui_prop, 'pose_mode', [POSE_MODE_UPPER_BODY, POSE_MODE_FULL_BODY]);
+    gui.add (s_gui_prop, 'draw_2d_skelton');
+    gui.add (s_gui_prop, 'draw_3d_skelton');
+    gui.add (s_gui_prop, 'visibility_thresh', 0.0, 1.0);
+    gui.add (s_gui_prop, 'hide_invisible');
+    gui.add (s_gui_prop, 'draw_angles');
+
+    let folder = gui.addFolder ('3d view');
+    folder.add (s_gui_prop, 'pose_scale_x', 0, 1000);
+    folder.add (s_gui_prop, 'pose_scale_y', 0, 1000);
+    folder.add (s_gui_prop, 'pose_scale_z', 0, 1000);
+    folder.add (s_gui_prop, 'camera_pos_z', 0, 1000);
+    folder.add (s_gui_prop, 'joint_radius', 0, 20);
+    folder.add (s_gui_prop, 'bone_radius',  0, 20);
+    folder.add (s_gui_prop, 'srcimg_scale', 0, 1.0);
+
     gui.add (s_gui_prop, 'draw_roi_rect');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 /* ---------------------------------------------------------------- *
@@ -336,7 +820,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -346,26 +830,124 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
-    init_gui ();
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (load_blazepose_models);
+    });
+
+    init_touch_event (canvas);
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    s_gui_prop.pose_mode = get_requested_pose_mode ();
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "pexels-alexy-almond-3758048.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
+
+    const rec = recorder.create_recorder ("blazepose",
+        "x, y: normalized to the window (origin: top-left). view: area of the source in the window. z: landmark model output. visibility: [0, 1]. angles: [deg]. reps: repetitions of the exercise. pose_class: {label, confidence} of the pose classifier");
+    recorder.add_gui (gui, rec);
+
+    const brec = bvh.create_recorder ("blazepose", get_pose_bvh_skeleton (s_gui_prop.pose_mode), 100);
+    bvh.add_gui (gui, brec);
+
+    /* the avatar is loaded from the GUI, or the URL parameter (e.g. index.html?avatar=./avatar.glb) */
+    const avt = avatar.create_avatar (gl, get_pose_bvh_skeleton (s_gui_prop.pose_mode));
+    avatar.add_gui (gui, avt);
+
+    let avatar_url = new URLSearchParams (window.location.search).get ('avatar');
+    if (avatar_url)
+        avatar.load (avt, avatar_url);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "pexels_dance.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "pexels-alexy-almond-3758048.jpg");
+    const smoother = lmfilter.create_filter_bank (lmfilter.FILTER_ONE_EURO);
+    lmfilter.add_gui (gui, smoother);
+
+    const trk = tracker.create_tracker ();
+    tracker.add_gui (gui, trk);
+
+    const rtrk = roitrack.create_roi_tracker (0.5);
+    roitrack.add_gui (gui, rtrk);
+
+    const excnt = exercise.create_counter ("squat");
+    exercise.add_gui (gui, excnt);
+
+    const pcls = posecls.create_classifier ();
+    posecls.add_gui (gui, pcls);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "detect", async function (frame)
+    {
+        /* the ROIs from the landmarks of the last run (see util_roitrack.js) */
+        let predictions = roitrack.get_tracked_regions (rtrk);
+        if (!predictions)
+        {
+            let feed_image = generate_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+            predictions = await invoke_pose_detect (feed_image);
+            feed_image.dispose ();
+        }
+
+        tracker.update_tracks (trk, predictions);
+        return predictions;
+    }, 0, infsched.extrapolate_regions);
+
+    infsched.add_stage (sch, "landmark", async function (frame)
+    {
+        let predictions = infsched.get_result (sch, "detect");
+        if (!predictions)
+            return {regions: [], landmarks: []};
+
+        /* crop all the ROIs before awaiting, so that they are of the same frame. run as a batch. */
+        let feed_images = [];
+        for (let pose_id = 0; pose_id < predictions.length; pose_id ++)
+            feed_images[pose_id] = generate_landmark_input_image (gl, s_rtarget_src.texid, win_w, win_h, predictions, pose_id);
+
+        let landmark_ret = await invoke_pose_landmark_batch (feed_images);
+        for (let feed_image of feed_images)
+            feed_image.dispose ();
+
+        /* the detector is skipped while all the poses are present */
+        let next_regions = landmark_ret.map ((landmark, pose_id) => compute_landmark_to_roi (landmark, predictions[pose_id]));
+        roitrack.update (rtrk, next_regions);
+
+        filter_pose_landmark (smoother, landmark_ret, predictions, frame.timestamp);
+        update_pose_exercise (excnt, landmark_ret, predictions, frame.timestamp);
+        classify_pose_landmark (pcls, landmark_ret, predictions);
+        record_pose_landmark (rec, frame, win_w, win_h, landmark_ret, predictions);
+        record_pose_bvh (brec, landmark_ret, predictions, frame.timestamp);
+
+        return {regions: predictions, landmarks: landmark_ret};
+    }, 0, extrapolate_pose_landmark);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
+    init_3d_render (gl, win_w, win_h);
+    glres.register ("render", function (gl) { init_3d_render (gl, win_w, win_h); });
+
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_blazepose ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (load_blazepose_models);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_w, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_w, 1);
 
     /* stop loading spinner */
@@ -384,55 +966,63 @@ async function startWebGL()
 
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stages running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
 
         /* --------------------------------------- *
-         *  invoke TF.js (Pose detection)
+         *  invoke TF.js (Pose detection, Pose landmark)
          * --------------------------------------- */
-        let feed_image = generate_input_image (gl, texid, win_w, win_h);
-
-        let time_invoke0_start = performance.now();
-        let predictions = await invoke_pose_detect (feed_image);
-        let time_invoke0 = performance.now() - time_invoke0_start;
+        if (s_gui_prop.pose_mode != get_pose_mode () && appstatus.is_ready () && infsched.is_idle (sch))
+            switch_pose_mode (sch, trk, rtrk, smoother, excnt, brec, avt);
 
-        /* --------------------------------------- *
-         *  invoke TF.js (Pose landmark)
-         * --------------------------------------- */
-        let landmark_ret = [];
-		let time_invoke1 = 0;
-        for (let pose_id = 0; pose_id < predictions.length; pose_id ++)
-        {
-            let feed_image = generate_landmark_input_image (gl, texid, win_w, win_h, predictions, pose_id);
+        await infsched.update (sch, frame);
 
-            let time_invoke1_start = performance.now();
-            landmark_ret[pose_id] = await invoke_pose_landmark (feed_image);
-            time_invoke1 += performance.now() - time_invoke1_start;
-        }
+        let predictions = infsched.get_result (sch, "detect");
+        if (!predictions)
+            predictions = [];
 
+        let pose_ret = infsched.get_result (sch, "landmark");
+        if (!pose_ret)
+            pose_ret = {regions: [], landmarks: []};
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
-        gl.clear (gl.COLOR_BUFFER_BIT);
+        tffeed.restore_gl_state (gl);
+        gl.clear (gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        /* the source image goes to the corner in the 3D view */
+        let view_x = 0;
+        let view_y = 0;
+        let view_w = win_w;
+        let view_h = win_h;
+        if (s_gui_prop.draw_3d_skelton)
+        {
+            render_3d_scene (gl, pose_ret, avt);
+
+            view_x = 5;
+            view_y = 60;
+            view_w = win_w * s_gui_prop.srcimg_scale;
+            view_h = win_h * s_gui_prop.srcimg_scale;
+        }
 
-        r2d.draw_2d_texture (gl, texid, 0, 0, win_w, win_h, 0)
+        r2d.draw_2d_texture (gl, texid, view_x, view_y, view_w, view_h, 0)
+        if (s_gui_prop.draw_3d_skelton)
+            r2d.draw_2d_rect (gl, view_x, view_y, view_w, view_h, [0.0, 1.0, 1.0, 1.0], 3.0);
 
         if (s_gui_prop.draw_roi_rect)
         {
-            render_detect_region (gl, 0, 0, win_w, win_h, predictions);
+            render_detect_region (gl, view_x, view_y, view_w, view_h, predictions);
 
             /* draw cropped image of the pose area */
             for (let pose_id = 0; pose_id < predictions.length; pose_id ++)
@@ -448,10 +1038,14 @@ async function startWebGL()
             }
         }
 
-        for (let pose_id = 0; pose_id < predictions.length; pose_id ++)
+        if (s_gui_prop.draw_2d_skelton)
         {
-            render_pose_landmark (gl, 0, 0, win_w, win_h, landmark_ret, predictions, pose_id);
+            for (let pose_id = 0; pose_id < pose_ret.regions.length; pose_id ++)
+            {
+                render_pose_landmark (gl, view_x, view_y, view_w, view_h, pose_ret.landmarks, pose_ret.regions, pose_id);
+            }
         }
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -464,13 +1058,25 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
-        str = "TF.js1  : " + time_invoke1.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 2);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        roitrack.draw_status (gl, rtrk, 10, 10 + 22 * 3);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        let row = 4 + tfbackend.draw_benchmark (gl, 10, 10 + 22 * 4);
+
+        /* below the benchmark: the avatar, the pose class (2 rows) and the counter */
+        row += avatar.draw_status (gl, avt, 10, 10 + 22 * row);
+        posecls.draw_status (gl, pcls, 10, 10 + 22 * row);
+        exercise.draw_status (gl, excnt, 10, 10 + 22 * (row + 2));
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
@@ -2,43 +2,26 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-let s_model;
-let s_tensor_input;
-let s_tensor_output;
+let s_classifier;
 
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the model is described in manifest.json.
+ *      (to load it from TF Hub, set "from_tfhub": true and
+ *       "url": "https://tfhub.dev/google/imagenet/mobilenet_v1_100_224/classification/1")
  * -------------------------------------------------- */
 async function init_tfjs_classification ()
 {
-    try {
-        if (false)
-        {
-            let url = "https://tfhub.dev/google/imagenet/mobilenet_v1_100_224/classification/1"
-            s_model = await tf.loadGraphModel (url, {fromTFHub: true});
-        }
-        else
-        {
-            let url = "./model/model.json";
-            s_model = await tf.loadGraphModel(url);
-        }
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    s_tensor_input  = tfjs_get_tensor_by_name (s_model, 0, "images");
-    s_tensor_output = tfjs_get_tensor_by_name (s_model, 1, "module_apply_default/MobilenetV1/Logits/SpatialSqueeze");
+    s_classifier = await manifest.load_model (mf, "classifier");
 }
 
 function get_classification_input_dims ()
 {
-    return {
-        w: s_tensor_input.shape[2],
-        h: s_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_classifier);
 }
 
 
@@ -49,7 +32,7 @@ function get_classification_input_dims ()
 async function getTopKClasses (logits, topK)
 {
     const softmax = logits.softmax();
-    const values  = await softmax.data();
+    const values  = await manifest.read_data (softmax);
     softmax.dispose();
 
     const valuesAndIndices = [];
@@ -82,37 +65,19 @@ async function getTopKClasses (logits, topK)
 }
 
 
-function exec_tfjs (img)
+function exec_tfjs (input_tensor)
 {
-    let w = s_tensor_input.shape[2];
-    let h = s_tensor_input.shape[1];
+    let config = s_classifier.config;
+    let label_offset = config.label_offset ? config.label_offset : 0;
+    let num_classes  = config.num_classes  ? config.num_classes  : -1;
 
     let logits = tf.tidy(() =>
     {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
-
-        // normalize [0, 255] to [0, 1].
-        let min = 0;
-        let max = 1;
-        normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
-
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
-
-        let logits;
-        if (false)
-        {
-            const name = "module_apply_default/MobilenetV1/Logits/SpatialSqueeze";
-            logits = s_model.execute(batched, name);
-        }
-        else
-        {
-            logits = s_model.predict(batched);
-        }
-
-        // Remove the very first logit
-        logits = logits.slice([0, 1], [-1, 1000]);
+        let out_tensors = manifest.predict (s_classifier, input_tensor);
+        let logits = manifest.get_output (s_classifier, out_tensors, "logits");
+
+        // Remove the leading logits (e.g. "background")
+        logits = logits.slice([0, label_offset], [-1, num_classes]);
 
         return logits;
     });
@@ -120,11 +85,11 @@ function exec_tfjs (img)
     return logits;
 }
 
-async function invoke_classification (img)
+async function invoke_classification (input_tensor)
 {
     let topn = 5;
 
-    let logits  = exec_tfjs (img);
+    let logits  = exec_tfjs (input_tensor);
     let classes = await getTopKClasses (logits, topn);
 
     /* release the resource of output tensor */
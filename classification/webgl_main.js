@@ -2,11 +2,9 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
 
 function init_stats ()
@@ -24,24 +22,8 @@ function init_stats ()
 function generate_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_classification_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, 1);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 function render_classification_result (gl, predictions, win_w, win_h)
@@ -105,6 +87,14 @@ generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h)
 }
 
 
+function
+init_gui ()
+{
+    const gui = new dat.GUI();
+
+    return gui;
+}
+
 /* ---------------------------------------------------------------- *
  *      M A I N    F U N C T I O N
  * ---------------------------------------------------------------- */
@@ -113,7 +103,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -123,24 +113,55 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "./assets/pexels_fruits.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "./assets/pakutaso_strawberry.jpg");
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_classification);
+    });
+
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "./assets/pakutaso_strawberry.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "classify", async function (frame)
+    {
+        let feed_image = generate_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+        let predictions = await invoke_classification (feed_image);
+        feed_image.dispose ();
+
+        return predictions;
+    }, 0);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_classification ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_classification);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_w, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_w, 1);
 
     /* stop loading spinner */
@@ -159,16 +180,13 @@ async function startWebGL()
 
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stage running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
@@ -176,21 +194,24 @@ async function startWebGL()
         /* --------------------------------------- *
          *  invoke TF.js
          * --------------------------------------- */
-        let feed_image = generate_input_image (gl, texid, win_w, win_h);
+        await infsched.update (sch, frame);
 
-        let time_invoke0_start = performance.now();
-        let predictions = await invoke_classification (feed_image);
-        let time_invoke0 = performance.now() - time_invoke0_start;
+        let predictions = infsched.get_result (sch, "classify");
+        if (!predictions)
+            predictions = [];
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clear (gl.COLOR_BUFFER_BIT);
 
         r2d.draw_2d_texture (gl, texid, 0, 0, win_w, win_h, 0)
 
         render_classification_result (gl, predictions, win_w, win_h);
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -200,11 +221,18 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js   : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 2);
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
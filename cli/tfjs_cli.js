@@ -0,0 +1,636 @@
+#!/usr/bin/env node
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Headless runner for the inference pipelines of the WebGL apps.
+ *
+ *  The tfjs_xxx.js files of each app are loaded as they are (same decode and
+ *  post process as the browser), and the input tensors are generated on CPU
+ *  instead of WebGL.
+ *
+ *  usage:
+ *      node cli/tfjs_cli.js <pipeline> <image|directory> [options]
+ *
+ *  options:
+ *      -o, --output <file>    write JSON to the file (default: stdout)
+ *      -b, --backend <name>   TF.js backend (default: tensorflow if available, else cpu)
+ *      -m, --manifest <file>  model manifest (default: manifest.json of the app)
+ *      -t, --trace <file>     write the spans of each image as a Chrome trace (see util_trace.js)
+ *      --leak-check <runs>    run the images <runs> times (e.g. 5), and exit with 2 if the
+ *                             tensors keep growing between the runs (see util_leakmon.js)
+ *      -l, --list             list pipelines
+ *
+ *  requires "@tensorflow/tfjs-node", or "@tensorflow/tfjs" with
+ *  "jpeg-js" and "pngjs" to decode images.
+ * ------------------------------------------------------------------------- */
+const fs   = require ('fs');
+const path = require ('path');
+const vm   = require ('vm');
+
+const kRootDir = path.resolve (__dirname, '..');
+const kImageExts = ['.jpg', '.jpeg', '.png'];
+const kCommonScripts = ['../common/util_trace.js', '../common/util_leakmon.js'];
+
+let tf;
+let s_tfjs_node = false;
+
+
+/* ---------------------------------------------------------------- *
+ *  pipelines
+ *
+ *    scripts: loaded in this order after kCommonScripts, relative to the app directory.
+ *    init   : function to load the models (with init_args if any)
+ *    run    : (app, image) --> result object
+ * ---------------------------------------------------------------- */
+const s_pipelines = {
+    blazepose: {
+        dir    : 'blazepose',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', '../common/util_ssd.js', '../common/util_exercise.js', 'tfjs_blazepose.js'],
+        init   : 'init_tfjs_blazepose',
+        run    : run_blazepose,
+    },
+    blazepose_fullbody: {
+        dir    : 'blazepose',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', '../common/util_ssd.js', '../common/util_exercise.js', 'tfjs_blazepose.js'],
+        init   : 'init_tfjs_blazepose',
+        init_args: ['full_body'],
+        run    : run_blazepose,
+    },
+    dbface: {
+        dir    : 'dbface',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', '../common/util_ssd.js', 'tfjs_dbface.js'],
+        init   : 'init_tfjs_blazepose',
+        config : {detect_thresh: 0.3, detect_nms_enable: true, detect_iou_thresh: 0.3},
+        run    : run_dbface,
+    },
+    pose_estimation_3d: {
+        dir    : 'pose_estimation_3d',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', 'tfjs_pose3d.js'],
+        init   : 'init_tfjs_pose3d',
+        run    : run_pose3d,
+    },
+    face_segmentation: {
+        dir    : 'face_segmentation',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', '../common/util_ssd.js', 'tfjs_face_segmentation.js'],
+        init   : 'init_tfjs_face_segmentation',
+        run    : run_face_segmentation,
+    },
+    face_inspector: {
+        dir    : 'face_inspector',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', '../common/util_ssd.js', 'tfjs_face_inspector.js'],
+        init   : 'init_tfjs_face_inspector',
+        config : {detect_thresh: 0.7, detect_nms_enable: true, detect_iou_thresh: 0.3},
+        run    : run_face_inspector,
+    },
+    dense_depth: {
+        dir    : 'dense_depth',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', 'tfjs_dense_depth.js'],
+        init   : 'init_tfjs_dense_depth',
+        run    : run_dense_depth,
+    },
+    classification: {
+        dir    : 'classification',
+        scripts: ['../common/util_tfjs.js', '../common/util_manifest.js', 'imagenet_classes.js', 'tfjs_classification.js'],
+        init   : 'init_tfjs_classification',
+        run    : run_classification,
+    },
+};
+
+
+/* ---------------------------------------------------------------- *
+ *  load TF.js
+ * ---------------------------------------------------------------- */
+function
+load_tfjs ()
+{
+    try {
+        tf = require ('@tensorflow/tfjs-node');
+        s_tfjs_node = true;
+    }
+    catch (e) {
+        tf = require ('@tensorflow/tfjs');
+        s_tfjs_node = false;
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  load model.json and its weights from the local file system.
+ *  (works without tfjs-node, which is needed for "file://" URLs)
+ * ---------------------------------------------------------------- */
+function
+load_model_artifacts (model_path)
+{
+    let model_json = JSON.parse (fs.readFileSync (model_path, 'utf8'));
+    let model_dir  = path.dirname (model_path);
+    let weight_specs = [];
+    let weight_bufs  = [];
+
+    for (let group of model_json.weightsManifest)
+    {
+        weight_specs.push (...group.weights);
+        for (let fname of group.paths)
+            weight_bufs.push (fs.readFileSync (path.join (model_dir, fname)));
+    }
+
+    let weight_data = Buffer.concat (weight_bufs);
+
+    return {
+        modelTopology      : model_json.modelTopology,
+        format             : model_json.format,
+        generatedBy        : model_json.generatedBy,
+        convertedBy        : model_json.convertedBy,
+        signature          : model_json.signature,
+        userDefinedMetadata: model_json.userDefinedMetadata,
+        weightSpecs        : weight_specs,
+        weightData         : weight_data.buffer.slice (weight_data.byteOffset,
+                                                       weight_data.byteOffset + weight_data.byteLength),
+    };
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  load the app scripts into a sandbox.
+ *  "./model/..." and "./manifest.json" URLs are resolved from the app directory.
+ * ---------------------------------------------------------------- */
+async function
+load_app (pipeline, manifest_path)
+{
+    let app_dir = path.join (kRootDir, pipeline.dir);
+
+    let tf_app = Object.assign ({}, tf);   /* exports of tf are read-only getters */
+    tf_app.loadGraphModel = function (url, options)
+    {
+        if (/^[a-z]+:\/\//i.test (url))
+            return tf.loadGraphModel (url, options);
+
+        let artifacts = load_model_artifacts (path.resolve (app_dir, url));
+        return tf.loadGraphModel (tf.io.fromMemory (artifacts), options);
+    };
+
+    /* enough of fetch() for manifest.load_manifest() */
+    let fetch_app = async function (url)
+    {
+        let fname = path.resolve (app_dir, url);
+        if (!fs.existsSync (fname))
+            return {ok: false, status: 404, statusText: "Not Found"};
+
+        let text = fs.readFileSync (fname, 'utf8');
+        return {ok: true, status: 200, statusText: "OK", json: async () => JSON.parse (text)};
+    };
+
+    let sandbox = {
+        tf     : tf_app,
+        fetch  : fetch_app,
+        console: console,
+        alert  : function (msg) { console.error (msg); },
+        performance: performance,
+    };
+    let ctx = vm.createContext (sandbox);
+
+    for (let fname of kCommonScripts.concat (pipeline.scripts))
+    {
+        let script_path = path.join (app_dir, fname);
+        let code = fs.readFileSync (script_path, 'utf8');
+        vm.runInContext (code, ctx, {filename: script_path});
+    }
+
+    /* the manifest given by the command line instead of the URL parameter */
+    if (manifest_path)
+    {
+        let url = path.resolve (manifest_path);
+        vm.runInContext ('manifest.get_manifest_url = function () { return ' + JSON.stringify (url) + '; }', ctx);
+    }
+
+    let init_args = pipeline.init_args ? pipeline.init_args : [];
+    await vm.runInContext (pipeline.init, ctx).apply (null, init_args);
+
+    /* top-level let/const are not properties of the sandbox. */
+    let app = {};
+    app.ctx  = ctx;
+    app.call = function (func, ...args)
+    {
+        return vm.runInContext (func, ctx).apply (null, args);
+    };
+    app.config = pipeline.config;
+
+    return app;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  decode an image file to int32 tensor [h, w, 3]
+ * ---------------------------------------------------------------- */
+function
+decode_image (fname)
+{
+    let buf = fs.readFileSync (fname);
+
+    if (s_tfjs_node)
+        return tf.node.decodeImage (buf, 3);
+
+    let ext = path.extname (fname).toLowerCase ();
+    let img;
+    if (ext == '.png')
+        img = require ('pngjs').PNG.sync.read (buf);
+    else
+        img = require ('jpeg-js').decode (buf, {useTArray: true});
+
+    return tf.tidy (() =>
+    {
+        let rgba = tf.tensor3d (img.data, [img.height, img.width, 4], 'int32');
+        return rgba.slice ([0, 0, 0], [img.height, img.width, 3]);
+    });
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  pad the image with black to the aspect ratio (w / h), centered.
+ *  this corresponds to generate_squared_src_image() of the apps.
+ *
+ *    region: {x, y, w, h} of the original image, normalized.
+ * ---------------------------------------------------------------- */
+function
+generate_letterbox_image (img, aspect)
+{
+    let src_h = img.shape[0];
+    let src_w = img.shape[1];
+    let dst_w = src_w;
+    let dst_h = src_h;
+
+    if (src_w / src_h > aspect)
+        dst_h = Math.round (src_w / aspect);
+    else
+        dst_w = Math.round (src_h * aspect);
+
+    let offset_x = Math.floor ((dst_w - src_w) * 0.5);
+    let offset_y = Math.floor ((dst_h - src_h) * 0.5);
+
+    let letterbox = {};
+    letterbox.image = tf.tidy (() =>
+    {
+        let padded = img.toFloat ().pad ([[offset_y, dst_h - src_h - offset_y],
+                                          [offset_x, dst_w - src_w - offset_x],
+                                          [0, 0]]);
+        return padded.expandDims (0);
+    });
+    letterbox.region = {
+        x: offset_x / dst_w,
+        y: offset_y / dst_h,
+        w: src_w / dst_w,
+        h: src_h / dst_h,
+    };
+
+    return letterbox;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  generate the input tensor [1, h, w, 3] from the letterbox image.
+ *  same as tffeed.generate_input_tensor() of the browser.
+ *
+ *    roi_coord: 4 normalized coords of the source area (null: whole image)
+ *
+ *          0--------1      row 0 of the tensor runs from 0 to 1.
+ *          |        |
+ *          3--------2
+ * ---------------------------------------------------------------- */
+function
+generate_input_tensor (src, dims, roi_coord)
+{
+    let src_h = src.shape[1];
+    let src_w = src.shape[2];
+    let min = dims.norm ? dims.norm.min : 0;
+    let max = dims.norm ? dims.norm.max : 255;
+
+    return tf.tidy (() =>
+    {
+        let img;
+        if (!roi_coord)
+        {
+            img = tf.image.resizeBilinear (src, [dims.h, dims.w]);
+        }
+        else
+        {
+            /* map output pixel (x, y) to input pixel, see tf.image.transform() */
+            let p0 = roi_coord[0];
+            let p1 = roi_coord[1];
+            let p3 = roi_coord[3];
+            let a0 = (p1.x - p0.x) * src_w / dims.w;
+            let a1 = (p3.x - p0.x) * src_w / dims.h;
+            let a2 = p0.x * src_w + 0.5 * (a0 + a1) - 0.5;
+            let b0 = (p1.y - p0.y) * src_h / dims.w;
+            let b1 = (p3.y - p0.y) * src_h / dims.h;
+            let b2 = p0.y * src_h + 0.5 * (b0 + b1) - 0.5;
+            let transform = tf.tensor2d ([[a0, a1, a2, b0, b1, b2, 0, 0]]);
+
+            img = tf.image.transform (src, transform, 'bilinear', 'constant', 0, [dims.h, dims.w]);
+        }
+
+        return img.mul ((max - min) / 255.0).add (min);
+    });
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  run pipelines
+ * ---------------------------------------------------------------- */
+async function
+invoke_with_feed (app, invoke_func, src, dims, roi_coord, ...args)
+{
+    let feed = generate_input_tensor (src, dims, roi_coord);
+    let ret  = await app.call (invoke_func, feed, ...args);
+    feed.dispose ();
+
+    return ret;
+}
+
+async function
+run_blazepose (app, img)
+{
+    let det_dims = app.call ('get_pose_detect_input_dims');
+    let lmk_dims = app.call ('get_pose_landmark_input_dims');
+    let src = generate_letterbox_image (img, det_dims.w / det_dims.h);
+
+    let detections = await invoke_with_feed (app, 'invoke_pose_detect', src.image, det_dims, null);
+    let landmarks  = [];
+    for (let pose_id = 0; pose_id < detections.length; pose_id ++)
+    {
+        let roi = detections[pose_id].roi_coord;
+        landmarks[pose_id] = await invoke_with_feed (app, 'invoke_pose_landmark', src.image, lmk_dims, roi);
+        landmarks[pose_id].angles = app.call ('compute_pose_angles', landmarks[pose_id].joint, 0.5);
+    }
+
+    src.image.dispose ();
+    return {letterbox: src.region, detections: detections, landmarks: landmarks};
+}
+
+async function
+run_dbface (app, img)
+{
+    let dims = app.call ('get_pose_detect_input_dims');
+    let src  = generate_letterbox_image (img, dims.w / dims.h);
+
+    let detections = await invoke_with_feed (app, 'invoke_pose_detect', src.image, dims, null, app.config);
+
+    src.image.dispose ();
+    return {letterbox: src.region, detections: detections};
+}
+
+async function
+run_pose3d (app, img)
+{
+    let dims = app.call ('get_pose3d_input_dims');
+    let src  = generate_letterbox_image (img, dims.w / dims.h);
+
+    let poses = await invoke_with_feed (app, 'invoke_pose_detect', src.image, dims, null);
+
+    src.image.dispose ();
+    return {letterbox: src.region, poses: poses};
+}
+
+async function
+run_face_segmentation (app, img)
+{
+    let det_dims = app.call ('get_face_detect_input_dims');
+    let seg_dims = app.call ('get_face_segment_input_dims');
+    let src = generate_letterbox_image (img, det_dims.w / det_dims.h);
+
+    let detections    = await invoke_with_feed (app, 'invoke_pose_detect', src.image, det_dims, null);
+    let segmentations = [];
+    for (let face_id = 0; face_id < detections.length; face_id ++)
+    {
+        let roi = detections[face_id].roi_coord;
+        segmentations[face_id] = await invoke_with_feed (app, 'invoke_face_segmentation', src.image, seg_dims, roi);
+    }
+
+    src.image.dispose ();
+    return {letterbox: src.region, detections: detections, segmentations: segmentations};
+}
+
+async function
+run_face_inspector (app, img)
+{
+    let det_dims = app.call ('get_face_detect_input_dims');
+    let age_dims = app.call ('get_face_inspector_input_dims');
+    let src = generate_letterbox_image (img, det_dims.w / det_dims.h);
+
+    let detections = await invoke_with_feed (app, 'invoke_pose_detect', src.image, det_dims, null, app.config);
+    let ages       = [];
+    for (let face_id = 0; face_id < detections.length; face_id ++)
+    {
+        let roi = detections[face_id].roi_coord;
+        ages[face_id] = await invoke_with_feed (app, 'invoke_face_inspector', src.image, age_dims, roi, app.config);
+    }
+
+    src.image.dispose ();
+    return {letterbox: src.region, detections: detections, ages: ages};
+}
+
+async function
+run_dense_depth (app, img)
+{
+    let dims = app.call ('get_dense_depth_input_dims');
+    let src  = generate_letterbox_image (img, dims.w / dims.h);
+
+    let depth = await invoke_with_feed (app, 'invoke_dense_depth', src.image, dims, null);
+
+    src.image.dispose ();
+    return {letterbox: src.region, depth: depth};
+}
+
+async function
+run_classification (app, img)
+{
+    let dims = app.call ('get_classification_input_dims');
+    let src  = generate_letterbox_image (img, dims.w / dims.h);
+
+    let classes = await invoke_with_feed (app, 'invoke_classification', src.image, dims, null);
+
+    src.image.dispose ();
+    return {letterbox: src.region, classes: classes};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  JSON output.
+ *  the apps return arrays with named properties (e.g. landmark_result.joint),
+ *  which JSON.stringify() drops. they are written as objects.
+ * ---------------------------------------------------------------- */
+function
+json_replacer (key, val)
+{
+    if (ArrayBuffer.isView (val))
+        return Array.from (val);
+
+    if (Array.isArray (val))
+    {
+        let named = Object.keys (val).filter ((k) => !/^\d+$/.test (k));
+        if (named.length > 0)
+        {
+            let obj = {};
+            for (let k of named)
+                obj[k] = val[k];
+            return obj;
+        }
+    }
+
+    return val;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  main
+ * ---------------------------------------------------------------- */
+function
+print_usage ()
+{
+    console.error ('usage: node cli/tfjs_cli.js <pipeline> <image|directory> [-o output.json] [-b backend] [-m manifest.json] [-t trace.json] [--leak-check runs]');
+    console.error ('pipelines: ' + Object.keys (s_pipelines).join (', '));
+}
+
+function
+parse_args (argv)
+{
+    let args = {positional: []};
+
+    for (let i = 0; i < argv.length; i ++)
+    {
+        let arg = argv[i];
+        if (arg == '-o' || arg == '--output')
+            args.output = argv[++ i];
+        else if (arg == '-b' || arg == '--backend')
+            args.backend = argv[++ i];
+        else if (arg == '-m' || arg == '--manifest')
+            args.manifest = argv[++ i];
+        else if (arg == '-t' || arg == '--trace')
+            args.trace = argv[++ i];
+        else if (arg == '--leak-check')
+            args.leak_check = parseInt (argv[++ i]);
+        else if (arg == '-l' || arg == '--list')
+            args.list = true;
+        else if (arg == '-h' || arg == '--help')
+            args.help = true;
+        else
+            args.positional.push (arg);
+    }
+
+    args.pipeline = args.positional[0];
+    args.input    = args.positional[1];
+
+    return args;
+}
+
+function
+collect_images (input)
+{
+    if (!fs.statSync (input).isDirectory ())
+        return [input];
+
+    return fs.readdirSync (input)
+             .filter ((f) => kImageExts.includes (path.extname (f).toLowerCase ()))
+             .sort ()
+             .map ((f) => path.join (input, f));
+}
+
+/* the counts after each run. 2: leaked */
+function
+check_leaks (app, runs)
+{
+    let history = vm.runInContext ('leakmon.history', app.ctx);
+    let leaks   = app.call ('leakmon.find_leaks', history, runs);
+
+    let tensors = history.map ((sample) => sample.tensors);
+    console.error ('tensors after each run: ' + tensors.join (', '));
+
+    if (leaks.length == 0)
+        return 0;
+
+    console.error ('leak: ' + leaks.join (', ') + ' keep growing');
+    return 2;
+}
+
+async function
+main ()
+{
+    let args = parse_args (process.argv.slice (2));
+
+    if (args.list)
+    {
+        console.log (Object.keys (s_pipelines).join ('\n'));
+        return 0;
+    }
+
+    let pipeline = s_pipelines[args.pipeline];
+    if (args.help || !pipeline || !args.input)
+    {
+        print_usage ();
+        return args.help ? 0 : 1;
+    }
+
+    load_tfjs ();
+    if (args.backend)
+        await tf.setBackend (args.backend);
+    await tf.ready ();
+
+    let app = await load_app (pipeline, args.manifest);
+    let images  = collect_images (args.input);
+    let runs    = args.leak_check ? args.leak_check : 1;
+    let results = [];
+
+    /* the results of the first run are written */
+    for (let run = 0; run < runs; run ++)
+    {
+        for (let fname of images)
+        {
+            let img  = decode_image (fname);
+            let span = app.call ('perftrace.begin_frame');
+            let ret  = await pipeline.run (app, img);
+            app.call ('perftrace.end', span);
+
+            if (run == 0)
+            {
+                results.push (Object.assign ({file: fname, width: img.shape[1], height: img.shape[0]}, ret));
+                console.error (fname);
+            }
+            img.dispose ();
+        }
+
+        if (args.leak_check)
+            app.call ('leakmon.add_sample', app.call ('leakmon.get_counts'));
+    }
+
+    let output = {
+        pipeline: args.pipeline,
+        backend : tf.getBackend (),
+        results : results,
+    };
+    let json = JSON.stringify (output, json_replacer);
+
+    if (args.output)
+        fs.writeFileSync (args.output, json);
+    else
+        process.stdout.write (json + '\n');
+
+    if (args.trace)
+        fs.writeFileSync (args.trace, JSON.stringify (app.call ('perftrace.to_chrome_trace')));
+
+    if (args.leak_check)
+        return check_leaks (app, runs);
+
+    return 0;
+}
+
+main ().then ((ret) => {
+    process.exitCode = ret;
+}).catch ((e) => {
+    /* "model" of the errors from util_manifest.js */
+    if (e.model)
+        console.error ("failed to load model \"" + e.model + "\": " + e.message);
+    else
+        console.error (e.message);
+    process.exitCode = 1;
+});
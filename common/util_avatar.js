@@ -0,0 +1,340 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Drive a glTF avatar (see util_gltf.js) by the 3D joints of the pose.
+ *
+ *  The joints are given as a skeleton of util_bvh.js (kPoseBvhSkeleton of
+ *  the app, 19 keys of pose3d or 33 of Blazepose). Each joint of it is
+ *  mapped to a bone of the avatar by the name (kBoneNames: Mixamo, VRM,
+ *  Unreal and Rigify style). The rest directions of the bones, and the
+ *  facing of the body (by the left and the right hips and shoulders), are
+ *  those of the bind pose (T-pose or A-pose).
+ *
+ *  Every frame, the rotations which turn the bind pose to the joints are
+ *  solved by bvh.solve_global(). A mapped bone gets the rotation of its
+ *  joint, and the other bones (e.g. the spine between the hips and the
+ *  chest, the fingers) follow the nearest mapped parent. The avatar is
+ *  scaled to the size of the pose, and placed at its hips.
+ *
+ *  Usage:
+ *      const avt = avatar.create_avatar (gl, kPoseBvhSkeleton);
+ *      avatar.add_gui (gui, avt);
+ *      avatar.set_skeleton (avt, nodes);      // e.g. on the switch of the mode
+ *      ...
+ *      if (avatar.retarget (avt, points))     // points in the 3D view
+ *          draw_skinned_mesh (gl, mtxGlobal, avt.model, avt.matrix, avt.globals, avt.skins, ...);
+ * ------------------------------------------------------------------------- */
+var avatar = {};
+
+/* candidate names of the bones for each joint. compared without the prefix ("mixamorig:") and the case. */
+avatar.kBoneNames = {
+    Hips         : ["Hips", "pelvis"],
+    Spine        : ["Spine2", "UpperChest", "Chest", "spine_03", "spine.003"],
+    Head         : ["Head"],
+    LeftShoulder : ["LeftArm",        "LeftUpperArm",      "upperarm_l", "upper_arm.L"],
+    LeftElbow    : ["LeftForeArm",    "LeftLowerArm",      "lowerarm_l", "forearm.L"],
+    LeftWrist    : ["LeftHand",                            "hand_l",     "hand.L"],
+    LeftHand     : ["LeftHandIndex1", "LeftIndexProximal", "index_01_l", "f_index.01.L"],
+    RightShoulder: ["RightArm",        "RightUpperArm",      "upperarm_r", "upper_arm.R"],
+    RightElbow   : ["RightForeArm",    "RightLowerArm",      "lowerarm_r", "forearm.R"],
+    RightWrist   : ["RightHand",                             "hand_r",     "hand.R"],
+    RightHand    : ["RightHandIndex1", "RightIndexProximal", "index_01_r", "f_index.01.R"],
+    LeftHip      : ["LeftUpLeg",   "LeftUpperLeg", "thigh_l", "thigh.L"],
+    LeftKnee     : ["LeftLeg",     "LeftLowerLeg", "calf_l",  "shin.L"],
+    LeftAnkle    : ["LeftFoot",                    "foot_l",  "foot.L"],
+    LeftToe      : ["LeftToeBase", "LeftToes",     "ball_l",  "toe.L"],
+    RightHip     : ["RightUpLeg",   "RightUpperLeg", "thigh_r", "thigh.R"],
+    RightKnee    : ["RightLeg",     "RightLowerLeg", "calf_r",  "shin.R"],
+    RightAnkle   : ["RightFoot",                     "foot_r",  "foot.R"],
+    RightToe     : ["RightToeBase", "RightToes",     "ball_r",  "toe.R"],
+};
+
+avatar.kScaleSmoothing = 0.1;   /* of the exponential moving average of the scale */
+
+
+avatar.create_avatar = function (gl, nodes)
+{
+    let avt = {};
+
+    avt.gl       = gl;
+    avt.skeleton = bvh.build_skeleton (nodes);
+    avt.model    = null;
+    avt.prop = {
+        draw  : true,
+        load  : function () { avatar.open_file_dialog (avt); },
+        unload: function () { avatar.set_model (avt, null); },
+    };
+
+    return avt;
+}
+
+/* the loaded model is mapped to the new skeleton */
+avatar.set_skeleton = function (avt, nodes)
+{
+    let model = avt.model;
+
+    avt.skeleton = bvh.build_skeleton (nodes);
+    avt.model    = null;
+    if (model)
+        avatar.set_model (avt, model);
+}
+
+avatar.get_bone_name = function (name)
+{
+    return name.replace (/^.*:/, '').replace (/^mixamorig_?/i, '').toLowerCase ();
+}
+
+/* index of the node of the bone, -1 if not found */
+avatar.find_bone = function (model, joint_name)
+{
+    let candidates = (avatar.kBoneNames[joint_name] || [joint_name]).map ((name) => name.toLowerCase ());
+
+    for (let name of candidates)
+    {
+        for (let skin of model.skins)
+        {
+            for (let id of skin.joints)
+            {
+                if (avatar.get_bone_name (model.nodes[id].name) == name)
+                    return id;
+            }
+        }
+    }
+    return -1;
+}
+
+avatar.get_position = function (m)
+{
+    return [m[12], m[13], m[14]];
+}
+
+/* replace the model (null to unload). the previous one is disposed. */
+avatar.set_model = function (avt, model)
+{
+    if (avt.model)
+        gltf.dispose_model (avt.gl, avt.model);
+
+    avt.model = null;
+    if (!model)
+        return;
+
+    /* the joint matrices are uniforms of the vertex shader (4 vectors each) */
+    let gl = avt.gl;
+    let max_joints = Math.floor ((gl.getParameter (gl.MAX_VERTEX_UNIFORM_VECTORS) - 16) / 4);
+    if (gltf.get_max_joints (model) > max_joints)
+    {
+        gltf.dispose_model (gl, model);
+        throw new Error ("avatar: " + gltf.get_max_joints (model) + " joints of a skin are more than " + max_joints + " of the GPU");
+    }
+
+    let skeleton = avt.skeleton;
+    let bones = skeleton.map ((node) => avatar.find_bone (model, node.name));
+    if (bones[0] < 0)
+    {
+        gltf.dispose_model (gl, model);
+        throw new Error ("avatar: no bone for " + skeleton[0].name + " in " + model.name);
+    }
+
+    let bind_locals  = gltf.compute_local_matrices (model);
+    let bind_globals = gltf.compute_global_matrices (model, bind_locals);
+    let bind_pos = (i) => avatar.get_position (bind_globals[bones[i]]);
+
+    /* the rest pose of the avatar, and the total length of the mapped bones */
+    let bind_length = 0;
+    avt.rest_dirs = skeleton.map ((node, i) =>
+    {
+        let parent = node.parent_idx;
+        if (parent < 0 || bones[i] < 0 || bones[parent] < 0)
+            return node.rest ? node.rest : [0, 1, 0];
+
+        let dir = bvh.vec_sub (bind_pos (i), bind_pos (parent));
+        bind_length += bvh.vec_length (dir);
+        return dir;
+    });
+
+    /* left - right of the joints with "side", from the joints at the side points */
+    let find_joint = (id) => skeleton.findIndex ((node) => node.src.length == 1 && node.src[0] == id);
+    avt.rest_sides = skeleton.map ((node) =>
+    {
+        if (!node.side)
+            return null;
+
+        let l = find_joint (node.side[0]);
+        let r = find_joint (node.side[1]);
+        if (l < 0 || r < 0 || bones[l] < 0 || bones[r] < 0)
+            return [1, 0, 0];
+
+        return bvh.vec_sub (bind_pos (l), bind_pos (r));
+    });
+
+    /* the joint which rotates each node: the nearest mapped one of itself and the parents */
+    let driver = new Array(model.nodes.length).fill (-1);
+    for (let id of model.order)
+    {
+        let parent = model.nodes[id].parent;
+        let joint  = bones.indexOf (id);
+        driver[id] = (joint >= 0) ? joint : ((parent < 0) ? -1 : driver[parent]);
+    }
+
+    avt.model        = model;
+    avt.bones        = bones;
+    avt.driver       = driver;
+    avt.bind_locals  = bind_locals;
+    avt.bind_globals = bind_globals;
+    avt.bind_length  = bind_length;
+    avt.scale        = 0;
+    avt.matrix       = null;    /* placement of the avatar in the 3D view */
+    avt.globals      = null;    /* global matrices of the nodes */
+    avt.skins        = null;    /* joint matrices of each skin */
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  retarget
+ *
+ *    points: the joints of the skeleton, in the 3D view (Y up, +X to
+ *            the left of the subject, +Z to the camera)
+ *    return: false if no avatar is loaded
+ * ---------------------------------------------------------------- */
+avatar.retarget = function (avt, points)
+{
+    if (!avt.model)
+        return false;
+
+    let model    = avt.model;
+    let skeleton = avt.skeleton;
+    let frame    = bvh.get_frame (skeleton, points);
+    let rots     = bvh.solve_global (skeleton, frame, avt.rest_dirs, avt.rest_sides);
+
+    /* scale by the total length of the mapped bones */
+    let length = 0;
+    for (let i = 0; i < skeleton.length; i ++)
+    {
+        let parent = skeleton[i].parent_idx;
+        if (parent >= 0 && avt.bones[i] >= 0 && avt.bones[parent] >= 0)
+            length += bvh.vec_length (bvh.vec_sub (frame.pos[i], frame.pos[parent]));
+    }
+    if (length > 0 && avt.bind_length > 0)
+    {
+        let scale = length / avt.bind_length;
+        avt.scale = (avt.scale > 0) ? avt.scale + (scale - avt.scale) * avatar.kScaleSmoothing : scale;
+    }
+
+    let globals = new Array(model.nodes.length);
+    for (let id of model.order)
+    {
+        let parent = model.nodes[id].parent;
+        let local  = avt.bind_locals[id];
+        let joint  = avt.driver[id];
+
+        if (joint < 0)
+        {
+            globals[id] = (parent < 0) ? local.slice () : new Array(16);
+            if (parent >= 0)
+                matrix_mult (globals[id], globals[parent], local);
+            continue;
+        }
+
+        /* the position follows the parent, and the rotation is that of the joint from the bind pose */
+        let pos = [local[12], local[13], local[14], 1.0];
+        if (parent >= 0)
+            matrix_multvec4 (globals[parent], pos, pos);
+
+        globals[id] = avatar.rotate_bind_matrix (rots[joint], avt.bind_globals[id], pos);
+    }
+
+    let hips_obs  = frame.pos[0];
+    let hips_bind = avatar.get_position (globals[avt.bones[0]]);
+
+    avt.matrix = new Array(16);
+    matrix_identity  (avt.matrix);
+    matrix_translate (avt.matrix, hips_obs[0], hips_obs[1], hips_obs[2]);
+    matrix_scale     (avt.matrix, avt.scale, avt.scale, avt.scale);
+    matrix_translate (avt.matrix, -hips_bind[0], -hips_bind[1], -hips_bind[2]);
+
+    avt.globals = globals;
+    avt.skins   = gltf.compute_skin_matrices (model, globals);
+    return true;
+}
+
+/* rot (3x3 row major, util_bvh.js) x the linear part of bind (column major) at pos */
+avatar.rotate_bind_matrix = function (rot, bind, pos)
+{
+    let m = new Array(16);
+
+    for (let c = 0; c < 3; c ++)
+    {
+        for (let r = 0; r < 3; r ++)
+            m[c * 4 + r] = rot[r * 3 + 0] * bind[c * 4 + 0] + rot[r * 3 + 1] * bind[c * 4 + 1] + rot[r * 3 + 2] * bind[c * 4 + 2];
+        m[c * 4 + 3] = 0;
+    }
+    m[12] = pos[0];
+    m[13] = pos[1];
+    m[14] = pos[2];
+    m[15] = 1;
+
+    return m;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  load
+ * ---------------------------------------------------------------- */
+
+/* url or File. alerts the error. */
+avatar.load = async function (avt, src)
+{
+    let name = (typeof src === 'string') ? src : src.name;
+
+    try {
+        let model = (typeof src === 'string') ? await gltf.load_model (avt.gl, src)
+                                              : await gltf.load_model_from_file (avt.gl, src);
+        avatar.set_model (avt, model);
+    }
+    catch (e) {
+        alert ("failed to load " + name + ": " + e.message);
+    }
+}
+
+avatar.open_file_dialog = function (avt)
+{
+    let elem = document.createElement ('input');
+    elem.type   = 'file';
+    elem.accept = '.glb,.gltf';
+    elem.onchange = function ()
+    {
+        if (elem.files.length > 0)
+            avatar.load (avt, elem.files[0]);
+    }
+    elem.click ();
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  status and dat.GUI
+ * ---------------------------------------------------------------- */
+/* return: the number of the rows drawn */
+avatar.draw_status = function (gl, avt, x, y)
+{
+    if (!avt.model)
+        return 0;
+
+    let found = avt.bones.filter ((id) => id >= 0).length;
+    let str = "avatar  : " + avt.model.name + " (" + found + "/" + avt.bones.length + " joints)";
+    dbgstr.draw_dbgstr (gl, str, x, y);
+    return 1;
+}
+
+avatar.add_gui = function (gui, avt)
+{
+    let folder = gui.addFolder ('avatar');
+
+    folder.add (avt.prop, 'draw');
+    folder.add (avt.prop, 'load');
+    folder.add (avt.prop, 'unload');
+
+    return folder;
+}
@@ -0,0 +1,289 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Select the TF.js backend at runtime, and compare the backends.
+ *
+ *  The backend is given by the URL parameter (e.g. index.html?backend=wasm),
+ *  and is set before the models are loaded. Changing it in the GUI reloads
+ *  the page with the parameter.
+ *
+ *  "benchmark" switches the backends one by one between the frames, and
+ *  collects the inference time reported by the app for each of them.
+ *
+ *  Usage:
+ *      await tfbackend.init_backend (gl);     // instead of tffeed.init_tffeed()
+ *      tfbackend.add_gui (gui);
+ *      ...
+ *      async function render ()
+ *      {
+ *          await tfbackend.update_benchmark ();
+ *          ... (inference) ...
+ *          tfbackend.report_time (time_invoke);
+ *          tfbackend.draw_benchmark (gl, x, y);
+ *      }
+ * ------------------------------------------------------------------------- */
+var tfbackend = {};
+
+tfbackend.BACKENDS = ['webgl', 'wasm', 'cpu', 'webgpu'];
+tfbackend.webgpu_url = "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgpu/dist/tf-backend-webgpu.js";
+
+tfbackend.kWarmupFrames  = 3;
+tfbackend.kMeasureFrames = 10;
+
+tfbackend.prop = {
+    backend  : 'webgl',
+    benchmark: function () { tfbackend.start_benchmark (); },
+};
+
+tfbackend.bench = {
+    running : false,
+    switch_to: null,
+    queue   : [],
+    results : [],
+};
+
+
+tfbackend.get_requested_backend = function ()
+{
+    let params = new URLSearchParams (window.location.search);
+    let name = params.get ('backend');
+
+    if (name && tfbackend.BACKENDS.indexOf (name) >= 0)
+        return name;
+
+    return 'webgl';
+}
+
+tfbackend.is_registered = function (name)
+{
+    return tf.findBackendFactory (name) != null;
+}
+
+tfbackend.load_script = function (url)
+{
+    return new Promise ((resolve, reject) =>
+    {
+        let script = document.createElement ('script');
+        script.src = url;
+        script.onload  = resolve;
+        script.onerror = () => reject (new Error ("failed to load " + url));
+        document.head.appendChild (script);
+    });
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  set the backend. "webgl" runs on the app's context (see util_tffeed.js)
+ *  it falls back to "webgl" when the backend is not available.
+ * ---------------------------------------------------------------- */
+tfbackend.init_backend = async function (gl)
+{
+    let name = tfbackend.get_requested_backend ();
+
+    if (name == 'webgpu' && !tfbackend.is_registered ('webgpu'))
+    {
+        try {
+            await tfbackend.load_script (tfbackend.webgpu_url);
+        }
+        catch (e) {
+            /* not registered, falls back below */
+        }
+    }
+
+    if (name != 'webgl')
+    {
+        let ok = false;
+        try {
+            ok = tfbackend.is_registered (name) && await tf.setBackend (name);
+        }
+        catch (e) {
+            ok = false;
+        }
+
+        /* the backend in use is shown on the screen */
+        if (!ok)
+            name = 'webgl';
+    }
+
+    if (typeof tffeed !== 'undefined')
+        await tffeed.init_tffeed (gl, name);
+    else if (name == 'webgl')
+        await tf.setBackend ('webgl');
+
+    await tf.ready ();
+
+    tfbackend.prop.backend = name;
+    return tf.getBackend ();
+}
+
+/* ---------------------------------------------------------------- *
+ *  after the WebGL context is restored (see util_glres.js).
+ *  the tensors of "webgl-shared" were lost with the context.
+ *
+ *    return: true if the models must be loaded again.
+ * ---------------------------------------------------------------- */
+tfbackend.restore_backend = async function (gl)
+{
+    if (!tfbackend.is_registered ('webgl-shared'))
+        return false;
+
+    /* the models are on another backend (benchmark) */
+    if (tf.getBackend () != 'webgl-shared')
+    {
+        tf.removeBackend ('webgl-shared');
+        return false;
+    }
+
+    await tffeed.init_tffeed (gl, 'webgl');
+    return true;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  benchmark
+ * ---------------------------------------------------------------- */
+tfbackend.start_benchmark = function ()
+{
+    let bench = tfbackend.bench;
+    if (bench.running)
+        return;
+
+    /* the current backend first. "webgl" would make another context. */
+    let current = tf.getBackend ();
+    let queue = [current];
+    for (let name of ['webgl', 'wasm', 'cpu', 'webgpu'])
+    {
+        if (name == current || !tfbackend.is_registered (name))
+            continue;
+        if (name == 'webgl' && current == 'webgl-shared')
+            continue;
+        queue.push (name);
+    }
+
+    bench.original  = current;
+    bench.queue     = queue;
+    bench.idx       = 0;
+    bench.frame     = 0;
+    bench.times     = [];
+    bench.results   = [];
+    bench.running   = true;
+    bench.switch_to = null;
+}
+
+/* switch the backend. call it where no inference is running. */
+tfbackend.update_benchmark = async function ()
+{
+    let bench = tfbackend.bench;
+    let name  = bench.switch_to;
+    if (!name)
+        return;
+
+    bench.switch_to = null;
+    try {
+        if (!await tf.setBackend (name))
+            throw new Error ("failed to set " + name);
+    }
+    catch (e) {
+        if (bench.running)
+        {
+            bench.results.push ({backend: name, error: true});
+            tfbackend.next_backend ();
+        }
+    }
+}
+
+tfbackend.next_backend = function ()
+{
+    let bench = tfbackend.bench;
+
+    bench.idx ++;
+    bench.frame = 0;
+    bench.times = [];
+
+    if (bench.idx < bench.queue.length)
+    {
+        bench.switch_to = bench.queue[bench.idx];
+    }
+    else
+    {
+        bench.running   = false;
+        bench.switch_to = (tf.getBackend () != bench.original) ? bench.original : null;
+    }
+}
+
+/* inference time of the frame [ms]. 0 if not invoked. */
+tfbackend.report_time = function (time_ms)
+{
+    let bench = tfbackend.bench;
+    if (!bench.running || bench.switch_to || time_ms <= 0)
+        return;
+
+    bench.frame ++;
+    if (bench.frame <= tfbackend.kWarmupFrames)
+        return;
+
+    bench.times.push (time_ms);
+    if (bench.times.length < tfbackend.kMeasureFrames)
+        return;
+
+    let sum = bench.times.reduce ((a, b) => a + b, 0);
+    bench.results.push ({
+        backend: tf.getBackend (),
+        avg    : sum / bench.times.length,
+        min    : Math.min (...bench.times),
+    });
+    tfbackend.next_backend ();
+}
+
+/* return: the number of the rows drawn */
+tfbackend.draw_benchmark = function (gl, x, y)
+{
+    let bench = tfbackend.bench;
+    if (!bench.running && bench.results.length == 0)
+        return 0;
+
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_bg    = [0.2, 0.2, 0.2, 1.0];
+    let col_cyan  = [0.0, 1.0, 1.0, 1.0];
+
+    for (let i = 0; i < bench.results.length; i ++)
+    {
+        let res = bench.results[i];
+        let str = (res.backend + "            ").slice (0, 12) + ": ";
+        if (res.error)
+            str += "not available";
+        else
+            str += res.avg.toFixed(1) + " (min " + res.min.toFixed(1) + ") [ms]";
+
+        dbgstr.draw_dbgstr_ex (gl, str, x, y + 22 * i, 1.0, col_white, col_bg);
+    }
+
+    if (bench.running)
+    {
+        let str = "measuring " + bench.queue[bench.idx] + " ...";
+        dbgstr.draw_dbgstr_ex (gl, str, x, y + 22 * bench.results.length, 1.0, col_cyan, col_bg);
+    }
+    return bench.results.length + (bench.running ? 1 : 0);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+tfbackend.add_gui = function (gui)
+{
+    let folder = gui.addFolder ('backend');
+
+    folder.add (tfbackend.prop, 'backend', tfbackend.BACKENDS).onFinishChange (function (name)
+    {
+        let url = new URL (window.location.href);
+        url.searchParams.set ('backend', name);
+        window.location.href = url.toString ();
+    });
+    folder.add (tfbackend.prop, 'benchmark');
+
+    return folder;
+}
@@ -0,0 +1,538 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Record the 3D joints and export them as a BVH motion capture file.
+ *
+ *  The skeleton is a fixed hierarchy given by the app:
+ *      [{name: "Hips",  parent: null,   src: [23, 24], side: [23, 24]},
+ *       {name: "Spine", parent: "Hips", src: [11, 12], side: [11, 12], rest: [0, 1, 0]},
+ *       ...]
+ *    src : the joint is at the mean of these points of the app.
+ *    rest: direction from the parent in the rest pose (T-pose, facing +Z).
+ *    side: [left, right] points. left - right is +X in the rest pose, which
+ *          gives the twist of the joints with several children.
+ *  The first child of a joint is its main axis. The parents come first.
+ *
+ *  The points given by the app are in the BVH coordinates: Y up, +X to the
+ *  left of the subject, +Z to the front (the camera).
+ *
+ *  At the export, the frames are resampled to "fps". The bone lengths are
+ *  the medians of the first kLengthFrames frames. The rotation of each
+ *  joint turns the rest direction of its main child to the recorded one
+ *  with the least rotation from the parent (the twist is kept from the
+ *  parent), or matches both the main child and "side" if given.
+ *
+ *  Usage:
+ *      const brec = bvh.create_recorder ("blazepose", skeleton, 100);
+ *      bvh.add_gui (gui, brec);
+ *      ...
+ *      bvh.add_frame (brec, points, frame.timestamp);
+ * ------------------------------------------------------------------------- */
+var bvh = {};
+
+bvh.kLengthFrames = 30;
+bvh.kMinDirLength = 1e-6;
+
+
+/* ---------------------------------------------------------------- *
+ *  3x3 rotation matrices (row major)
+ * ---------------------------------------------------------------- */
+bvh.mat3_identity = function ()
+{
+    return [1, 0, 0,  0, 1, 0,  0, 0, 1];
+}
+
+bvh.mat3_mult = function (a, b)
+{
+    let m = new Array(9);
+    for (let r = 0; r < 3; r ++)
+    {
+        for (let c = 0; c < 3; c ++)
+            m[r * 3 + c] = a[r * 3 + 0] * b[0 + c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+    return m;
+}
+
+bvh.mat3_transpose = function (a)
+{
+    return [a[0], a[3], a[6],  a[1], a[4], a[7],  a[2], a[5], a[8]];
+}
+
+bvh.mat3_multvec = function (a, v)
+{
+    return [a[0] * v[0] + a[1] * v[1] + a[2] * v[2],
+            a[3] * v[0] + a[4] * v[1] + a[5] * v[2],
+            a[6] * v[0] + a[7] * v[1] + a[8] * v[2]];
+}
+
+bvh.vec_sub = function (a, b)
+{
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+bvh.vec_dot = function (a, b)
+{
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+bvh.vec_cross = function (a, b)
+{
+    return [a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]];
+}
+
+bvh.vec_length = function (a)
+{
+    return Math.sqrt (bvh.vec_dot (a, a));
+}
+
+/* null if too short to have a direction */
+bvh.vec_normalize = function (a)
+{
+    let len = bvh.vec_length (a);
+    if (len < bvh.kMinDirLength)
+        return null;
+
+    return [a[0] / len, a[1] / len, a[2] / len];
+}
+
+/* the least rotation which turns the unit vector a to b */
+bvh.rotation_between = function (a, b)
+{
+    let c = bvh.vec_dot (a, b);
+    let k = bvh.vec_cross (a, b);
+
+    if (c < -1.0 + 1e-6)
+    {
+        /* opposite: 180 deg around an axis perpendicular to a */
+        let axis = bvh.vec_normalize (bvh.vec_cross (a, [1, 0, 0]));
+        if (!axis)
+            axis = bvh.vec_normalize (bvh.vec_cross (a, [0, 1, 0]));
+
+        let [x, y, z] = axis;
+        return [2*x*x - 1, 2*x*y,     2*x*z,
+                2*x*y,     2*y*y - 1, 2*y*z,
+                2*x*z,     2*y*z,     2*z*z - 1];
+    }
+
+    /* R = I + [k]x + [k]x^2 / (1 + c) */
+    let s  = 1.0 / (1.0 + c);
+    let [x, y, z] = k;
+    return [1 - (y*y + z*z) * s,      -z + x*y * s,       y + x*z * s,
+                 z + x*y * s,     1 - (x*x + z*z) * s,   -x + y*z * s,
+                -y + x*z * s,          x + y*z * s,   1 - (x*x + y*y) * s];
+}
+
+/* orthonormal frame (columns) of the main axis and the side direction */
+bvh.frame_of = function (main, side)
+{
+    let e0 = bvh.vec_normalize (main);
+    if (!e0)
+        return null;
+
+    let d  = bvh.vec_dot (side, e0);
+    let e1 = bvh.vec_normalize ([side[0] - d * e0[0], side[1] - d * e0[1], side[2] - d * e0[2]]);
+    if (!e1)
+        return null;
+
+    let e2 = bvh.vec_cross (e0, e1);
+    return [e0[0], e1[0], e2[0],
+            e0[1], e1[1], e2[1],
+            e0[2], e1[2], e2[2]];
+}
+
+/* R = Rz * Rx * Ry --> [z, x, y] [deg], for "Zrotation Xrotation Yrotation" */
+bvh.matrix_to_euler_zxy = function (m)
+{
+    let sx = Math.min (Math.max (m[7], -1.0), 1.0);
+    let x  = Math.asin (sx);
+    let y, z;
+
+    if (Math.abs (sx) < 1.0 - 1e-6)
+    {
+        y = Math.atan2 (-m[6], m[8]);
+        z = Math.atan2 (-m[1], m[4]);
+    }
+    else
+    {
+        y = 0;
+        z = Math.atan2 (m[3], m[0]);
+    }
+
+    const k = 180.0 / Math.PI;
+    return [z * k, x * k, y * k];
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  skeleton
+ * ---------------------------------------------------------------- */
+bvh.build_skeleton = function (nodes)
+{
+    let skeleton = nodes.map ((node) => Object.assign ({}, node, {children: []}));
+
+    for (let i = 0; i < skeleton.length; i ++)
+    {
+        let node = skeleton[i];
+        node.parent_idx = -1;
+        if (node.parent === null)
+            continue;
+
+        node.parent_idx = skeleton.findIndex ((p) => p.name == node.parent);
+        if (node.parent_idx < 0 || node.parent_idx >= i)
+            throw new Error ("bvh: the parent of " + node.name + " must come before it");
+
+        skeleton[node.parent_idx].children.push (i);
+    }
+
+    return skeleton;
+}
+
+/* drop the joints (and their children) which need the points >= num_points */
+bvh.filter_skeleton = function (nodes, num_points)
+{
+    let dropped = {};
+    let ret = [];
+
+    for (let node of nodes)
+    {
+        let ids = node.src.concat (node.side ? node.side : []);
+        if ((node.parent !== null && dropped[node.parent]) || ids.some ((id) => id >= num_points))
+        {
+            dropped[node.name] = true;
+            continue;
+        }
+        ret.push (node);
+    }
+
+    return ret;
+}
+
+bvh.get_point = function (pt)
+{
+    return Array.isArray (pt) ? pt : [pt.x, pt.y, pt.z];
+}
+
+bvh.get_mean_point = function (points, ids)
+{
+    let sum = [0, 0, 0];
+    for (let id of ids)
+    {
+        let p = bvh.get_point (points[id]);
+        sum = [sum[0] + p[0], sum[1] + p[1], sum[2] + p[2]];
+    }
+    return [sum[0] / ids.length, sum[1] / ids.length, sum[2] / ids.length];
+}
+
+/* {pos: [[x, y, z] of each joint], side: [left - right of each joint, or null]} */
+bvh.get_frame = function (skeleton, points)
+{
+    let pos  = skeleton.map ((node) => bvh.get_mean_point (points, node.src));
+    let side = skeleton.map ((node) => node.side ?
+        bvh.vec_sub (bvh.get_point (points[node.side[0]]), bvh.get_point (points[node.side[1]])) : null);
+
+    return {pos: pos, side: side};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  recorder
+ * ---------------------------------------------------------------- */
+bvh.create_recorder = function (app_name, nodes, scale)
+{
+    let brec = {};
+
+    brec.app        = app_name;
+    brec.skeleton   = bvh.build_skeleton (nodes);
+    brec.frames     = [];       /* {time, pos: [[x, y, z] of each joint], side: [...]} */
+    brec.start_time = new Date();
+
+    brec.prop = {
+        record  : false,
+        fps     : 30,
+        scale   : scale,        /* of the points, to the BVH unit */
+        frames  : 0,
+        download: function () { bvh.download (brec); },
+        clear   : function () { bvh.clear (brec); },
+    };
+
+    return brec;
+}
+
+bvh.clear = function (brec)
+{
+    brec.frames      = [];
+    brec.prop.frames = 0;
+    brec.start_time  = new Date();
+}
+
+/* e.g. when the topology of the model is changed. the frames are cleared. */
+bvh.set_skeleton = function (brec, nodes)
+{
+    brec.skeleton = bvh.build_skeleton (nodes);
+    bvh.clear (brec);
+}
+
+/* timestamp: [ms] */
+bvh.add_frame = function (brec, points, timestamp)
+{
+    if (!brec.prop.record)
+        return;
+
+    let last = brec.frames[brec.frames.length - 1];
+    if (last && timestamp <= last.time)
+        return;
+
+    let frame = bvh.get_frame (brec.skeleton, points);
+    frame.time = timestamp;
+
+    brec.frames.push (frame);
+    brec.prop.frames = brec.frames.length;
+}
+
+/* the frames at the fixed interval, interpolated linearly */
+bvh.resample = function (frames, fps)
+{
+    if (frames.length < 2)
+        return frames.slice ();
+
+    let lerp = (a, b, t) => a.map ((v, i) => v + (b[i] - v) * t);
+    let lerp_list = (a, b, t) => a.map ((v, i) => (v === null) ? null : lerp (v, b[i], t));
+
+    let interval = 1000.0 / fps;
+    let ret = [];
+    let idx = 0;
+    for (let time = frames[0].time; time <= frames[frames.length - 1].time; time += interval)
+    {
+        while (frames[idx + 1].time < time)
+            idx ++;
+
+        let f0 = frames[idx];
+        let f1 = frames[idx + 1];
+        let t  = (time - f0.time) / (f1.time - f0.time);
+        ret.push ({time: time, pos: lerp_list (f0.pos, f1.pos, t), side: lerp_list (f0.side, f1.side, t)});
+    }
+
+    return ret;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  solve
+ * ---------------------------------------------------------------- */
+
+/* offset of each joint from its parent in the rest pose [BVH unit] */
+bvh.estimate_offsets = function (skeleton, frames, scale)
+{
+    let num = Math.min (frames.length, bvh.kLengthFrames);
+
+    return skeleton.map ((node, i) =>
+    {
+        if (node.parent_idx < 0)
+            return [0, 0, 0];
+
+        let lengths = [];
+        for (let f = 0; f < num; f ++)
+            lengths.push (bvh.vec_length (bvh.vec_sub (frames[f].pos[i], frames[f].pos[node.parent_idx])));
+        lengths.sort ((a, b) => a - b);
+
+        let len = lengths[Math.floor (lengths.length / 2)] * scale;
+        let dir = bvh.vec_normalize (node.rest);
+        return [dir[0] * len, dir[1] * len, dir[2] * len];
+    });
+}
+
+/*
+ *  rest_dirs : (optional) [direction from the parent in the rest pose] of
+ *              each joint, instead of "rest" (e.g. the bones of an avatar).
+ *  rest_sides: (optional) [left - right in the rest pose] of each joint
+ *              with "side", instead of +X.
+ *  return    : [global rotation matrix of each joint], which turns the
+ *              rest pose of the joint to the frame.
+ */
+bvh.solve_global = function (skeleton, frame, rest_dirs, rest_sides)
+{
+    let global = [];
+
+    for (let i = 0; i < skeleton.length; i ++)
+    {
+        let node = skeleton[i];
+        let parent_rot = (node.parent_idx < 0) ? bvh.mat3_identity () : global[node.parent_idx];
+        let rot = parent_rot;
+
+        if (node.children.length > 0)
+        {
+            let main = node.children[0];
+            let rest_dir = bvh.vec_normalize (rest_dirs ? rest_dirs[main] : skeleton[main].rest);
+            let cur_dir  = bvh.vec_normalize (bvh.vec_sub (frame.pos[main], frame.pos[i]));
+
+            let cur_frame  = node.side ? bvh.frame_of (cur_dir ? cur_dir : [0, 0, 0], frame.side[i]) : null;
+            let rest_side  = rest_sides ? rest_sides[i] : [1, 0, 0];
+            let rest_frame = (node.side && rest_dir) ? bvh.frame_of (rest_dir, rest_side) : null;
+
+            if (cur_frame && rest_frame)
+                rot = bvh.mat3_mult (cur_frame, bvh.mat3_transpose (rest_frame));
+            else if (cur_dir && rest_dir)
+                rot = bvh.mat3_mult (bvh.rotation_between (bvh.mat3_multvec (parent_rot, rest_dir), cur_dir), parent_rot);
+        }
+
+        global[i] = rot;
+    }
+
+    return global;
+}
+
+/* return: [local rotation matrix of each joint] */
+bvh.solve_frame = function (skeleton, frame)
+{
+    let global = bvh.solve_global (skeleton, frame);
+
+    return skeleton.map ((node, i) =>
+    {
+        let parent_rot = (node.parent_idx < 0) ? bvh.mat3_identity () : global[node.parent_idx];
+        return bvh.mat3_mult (bvh.mat3_transpose (parent_rot), global[i]);
+    });
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  BVH text
+ * ---------------------------------------------------------------- */
+bvh.format_vec = function (v)
+{
+    return v.map ((val) => val.toFixed(6)).join (" ");
+}
+
+bvh.write_joint = function (lines, skeleton, offsets, i, indent)
+{
+    let node = skeleton[i];
+    let tab  = "\t".repeat (indent);
+
+    if (node.parent_idx < 0)
+    {
+        lines.push (tab + "ROOT " + node.name);
+        lines.push (tab + "{");
+        lines.push (tab + "\tOFFSET " + bvh.format_vec ([0, 0, 0]));
+        lines.push (tab + "\tCHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation");
+    }
+    else
+    {
+        lines.push (tab + "JOINT " + node.name);
+        lines.push (tab + "{");
+        lines.push (tab + "\tOFFSET " + bvh.format_vec (offsets[i]));
+        lines.push (tab + "\tCHANNELS 3 Zrotation Xrotation Yrotation");
+    }
+
+    for (let c of node.children)
+        bvh.write_joint (lines, skeleton, offsets, c, indent + 1);
+
+    /* the tip of the last bone, half of it to the same direction */
+    if (node.children.length == 0)
+    {
+        let end = offsets[i].map ((v) => v * 0.5);
+        lines.push (tab + "\tEnd Site");
+        lines.push (tab + "\t{");
+        lines.push (tab + "\t\tOFFSET " + bvh.format_vec (end));
+        lines.push (tab + "\t}");
+    }
+
+    lines.push (tab + "}");
+}
+
+/* the joints in the order of the channels in MOTION (depth first) */
+bvh.get_channel_order = function (skeleton, i, order)
+{
+    order.push (i);
+    for (let c of skeleton[i].children)
+        bvh.get_channel_order (skeleton, c, order);
+
+    return order;
+}
+
+bvh.to_bvh = function (brec)
+{
+    let skeleton = brec.skeleton;
+    let scale    = brec.prop.scale;
+    let frames   = bvh.resample (brec.frames, brec.prop.fps);
+    if (frames.length == 0)
+        throw new Error ("bvh: no frame is recorded");
+
+    let offsets = bvh.estimate_offsets (skeleton, frames, scale);
+
+    /* stand on y = 0 in the rest pose */
+    let rest_pos = [];
+    for (let i = 0; i < skeleton.length; i ++)
+    {
+        let parent = skeleton[i].parent_idx;
+        rest_pos[i] = (parent < 0) ? [0, 0, 0] : rest_pos[parent].map ((v, j) => v + offsets[i][j]);
+    }
+    let root_y = -Math.min (...rest_pos.map ((p) => p[1]));
+
+    let lines = ["HIERARCHY"];
+    bvh.write_joint (lines, skeleton, offsets, 0, 0);
+
+    lines.push ("MOTION");
+    lines.push ("Frames: " + frames.length);
+    lines.push ("Frame Time: " + (1.0 / brec.prop.fps).toFixed(6));
+
+    let order  = bvh.get_channel_order (skeleton, 0, []);
+    let origin = frames[0].pos[0];
+    for (let frame of frames)
+    {
+        let local = bvh.solve_frame (skeleton, frame);
+        let root  = bvh.vec_sub (frame.pos[0], origin).map ((v) => v * scale);
+        root[1] += root_y;
+
+        let values = [bvh.format_vec (root)];
+        for (let i of order)
+            values.push (bvh.format_vec (bvh.matrix_to_euler_zxy (local[i])));
+
+        lines.push (values.join (" "));
+    }
+
+    return lines.join ("\n") + "\n";
+}
+
+bvh.download = function (brec)
+{
+    let text;
+    try {
+        text = bvh.to_bvh (brec);
+    }
+    catch (e) {
+        alert (e.message);
+        return;
+    }
+
+    let date = brec.start_time.toISOString ().replace (/[-:]/g, '').replace (/\..*/, '');
+    let blob = new Blob ([text], {type: 'text/plain'});
+    let url  = URL.createObjectURL (blob);
+    let elem = document.createElement ('a');
+    elem.href     = url;
+    elem.download = brec.app + '_' + date + '.bvh';
+    elem.click ();
+
+    setTimeout (function () { URL.revokeObjectURL (url); }, 1000);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+bvh.add_gui = function (gui, brec)
+{
+    let folder = gui.addFolder ('bvh');
+
+    folder.add (brec.prop, 'record');
+    folder.add (brec.prop, 'fps', 1, 120).step (1);
+    folder.add (brec.prop, 'scale', 1, 1000);
+    folder.add (brec.prop, 'frames').listen ();
+    folder.add (brec.prop, 'download');
+    folder.add (brec.prop, 'clear');
+
+    return folder;
+}
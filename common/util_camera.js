@@ -0,0 +1,213 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Intrinsics of the camera, and the metric position of a 3D pose.
+ *
+ *  The 3D pose models give the joints relative to the root joint. With the
+ *  intrinsics (the pinhole model: fx, fy, cx, cy in pixels of the source
+ *  image), the position of the root is solved so that the projection of
+ *  the joints fits the 2D keypoints (linear least squares, weighted by the
+ *  scores).
+ *
+ *  The camera space is x: right, y: down, z: forward (the depth) in [cm].
+ *  With the height and the pitch (downward) of the camera, it converts to
+ *  the floor space, x: right, y: up from the floor, z: forward along it.
+ *
+ *  Usage:
+ *      const cam = camintr.create_intrinsics ();
+ *      camintr.add_gui (gui, cam);
+ *      ...
+ *      let K    = camintr.get_intrinsics (cam, src_w, src_h);
+ *      let root = camintr.solve_root_position (K, points2d, points3d, scores, 0.1);
+ *      let pos  = camintr.camera_to_floor (cam, [root.x + points3d[i][0], ...]);
+ * ------------------------------------------------------------------------- */
+var camintr = {};
+
+camintr.PRESET_FOV    = 'fov';
+camintr.PRESET_CUSTOM = 'fx/fy/cx/cy';
+
+/* horizontal FOV [deg] of the presets */
+camintr.kPresets = {
+    'fx = 0.8 w (OpenVINO demo)' : 64.0,
+    'webcam (HFOV 60)'           : 60.0,
+    'Logitech C920 (DFOV 78)'    : 70.4,
+    'smartphone (26mm equiv.)'   : 69.4,
+};
+
+
+camintr.create_intrinsics = function ()
+{
+    let cam = {};
+
+    cam.image_w = 0;    /* the size of the last source image */
+    cam.image_h = 0;
+    cam.prop = {
+        enable : true,
+        preset : 'fx = 0.8 w (OpenVINO demo)',
+        fov    : 64.0,  /* [deg] horizontal */
+        fx     : 0,     /* [pixel] of the source image */
+        fy     : 0,
+        cx     : 0,
+        cy     : 0,
+        height : 120,   /* [cm] of the camera from the floor */
+        pitch  : 0,     /* [deg] downward */
+    };
+
+    return cam;
+}
+
+/* {fx, fy, cx, cy} for the source image of (w, h) */
+camintr.get_intrinsics = function (cam, w, h)
+{
+    let prop = cam.prop;
+
+    cam.image_w = w;
+    cam.image_h = h;
+
+    if (prop.preset == camintr.PRESET_CUSTOM)
+        return {fx: prop.fx, fy: prop.fy, cx: prop.cx, cy: prop.cy};
+
+    let fov = (prop.preset == camintr.PRESET_FOV) ? prop.fov : camintr.kPresets[prop.preset];
+    return camintr.fov_to_intrinsics (fov, w, h);
+}
+
+/* square pixels, the principal point at the center */
+camintr.fov_to_intrinsics = function (fov, w, h)
+{
+    let f = (w * 0.5) / Math.tan (fov * Math.PI / 360.0);
+    return {fx: f, fy: f, cx: w * 0.5, cy: h * 0.5};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  root position
+ * ---------------------------------------------------------------- */
+
+/*
+ *  the position of the root in the camera space, where the joints
+ *  (points3d[i] + root) project to the keypoints (points2d[i], pixels).
+ *
+ *      u = (px - cx) / fx,  v = (py - cy) / fy
+ *      u = (X + tx) / (Z + tz)  ->  tx - u * tz = u * Z - X
+ *      v = (Y + ty) / (Z + tz)  ->  ty - v * tz = v * Z - Y
+ *
+ *  null if the keypoints are too few, or the root is behind the camera.
+ */
+camintr.solve_root_position = function (K, points2d, points3d, scores, score_thresh)
+{
+    /* normal equations (A^T W A) t = A^T W b, symmetric */
+    let a00 = 0, a02 = 0, a11 = 0, a12 = 0, a22 = 0;
+    let b0  = 0, b1  = 0, b2  = 0;
+    let num = 0;
+
+    for (let i = 0; i < points2d.length; i ++)
+    {
+        let w = scores[i];
+        if (w < score_thresh)
+            continue;
+
+        let u = (points2d[i][0] - K.cx) / K.fx;
+        let v = (points2d[i][1] - K.cy) / K.fy;
+        let X = points3d[i][0];
+        let Y = points3d[i][1];
+        let Z = points3d[i][2];
+        let ru = u * Z - X;
+        let rv = v * Z - Y;
+
+        a00 += w;
+        a02 -= w * u;
+        a11 += w;
+        a12 -= w * v;
+        a22 += w * (u * u + v * v);
+        b0  += w * ru;
+        b1  += w * rv;
+        b2  -= w * (u * ru + v * rv);
+        num ++;
+    }
+
+    if (num < 2)
+        return null;
+
+    /* Cramer's rule */
+    let det = a00 * (a11 * a22 - a12 * a12) - a02 * a02 * a11;
+    if (Math.abs (det) < 1e-9)
+        return null;
+
+    let tx = (b0 * (a11 * a22 - a12 * a12) - a02 * (b2 * a11 - a12 * b1)) / det;
+    let ty = (a00 * (b1 * a22 - a12 * b2) + a02 * (a12 * b0 - a02 * b1)) / det;
+    let tz = (a00 * (a11 * b2 - a12 * b1) - a02 * a11 * b0) / det;
+    if (tz <= 0)
+        return null;
+
+    return {x: tx, y: ty, z: tz};
+}
+
+/* [x, y, z] of the camera space to the floor space */
+camintr.camera_to_floor = function (cam, pos)
+{
+    let rad = cam.prop.pitch * Math.PI / 180.0;
+    let c = Math.cos (rad);
+    let s = Math.sin (rad);
+
+    let y = pos[1] * c + pos[2] * s;
+    let z = pos[2] * c - pos[1] * s;
+    return [pos[0], cam.prop.height - y, z];
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  debug string, dat.GUI
+ * ---------------------------------------------------------------- */
+camintr.draw_status = function (gl, cam, x, y)
+{
+    if (!cam.prop.enable || cam.image_w == 0)
+        return;
+
+    let K = camintr.get_intrinsics (cam, cam.image_w, cam.image_h);
+    let str = "camera  : fx " + K.fx.toFixed(1) + " fy " + K.fy.toFixed(1) +
+              " cx " + K.cx.toFixed(1) + " cy " + K.cy.toFixed(1) + " [" + cam.image_w + "x" + cam.image_h + "]";
+    dbgstr.draw_dbgstr (gl, str, x, y);
+}
+
+camintr.add_gui = function (gui, cam)
+{
+    let folder = gui.addFolder ('camera');
+    let prop = cam.prop;
+    let presets = Object.keys (camintr.kPresets).concat ([camintr.PRESET_FOV, camintr.PRESET_CUSTOM]);
+    let ctrl_preset, ctrl_fov, ctrl_fields;
+
+    /* a preset sets the fov and (the first time) the fields, and editing them selects it */
+    function on_preset_changed ()
+    {
+        if (prop.preset in camintr.kPresets)
+        {
+            prop.fov = camintr.kPresets[prop.preset];
+            ctrl_fov.updateDisplay ();
+        }
+        if (prop.preset == camintr.PRESET_CUSTOM && prop.fx == 0 && cam.image_w > 0)
+        {
+            Object.assign (prop, camintr.fov_to_intrinsics (prop.fov, cam.image_w, cam.image_h));
+            ctrl_fields.forEach ((ctrl) => ctrl.updateDisplay ());
+        }
+    }
+
+    function select_preset (preset)
+    {
+        prop.preset = preset;
+        ctrl_preset.updateDisplay ();
+    }
+
+    folder.add (prop, 'enable').name ('metric 3D');
+    ctrl_preset = folder.add (prop, 'preset', presets).onChange (on_preset_changed);
+    ctrl_fov    = folder.add (prop, 'fov', 10, 170).name ('fov [deg]')
+                        .onChange (function () { select_preset (camintr.PRESET_FOV); });
+    ctrl_fields = ['fx', 'fy', 'cx', 'cy'].map ((key) => folder.add (prop, key)
+                        .onChange (function () { select_preset (camintr.PRESET_CUSTOM); }));
+    folder.add (prop, 'height', 0, 300).name ('height [cm]');
+    folder.add (prop, 'pitch', -90, 90).name ('pitch [deg]');
+
+    return folder;
+}
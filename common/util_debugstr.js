@@ -65,7 +65,7 @@ dbgstr.load_debug_font_texture = function (gl)
 
 dbgstr.setup_shader = function (gl)
 {
-    sobj = GLUtil.generate_shader (gl, dbgstr.s_strDbgStrVS, dbgstr.s_strDbgStrFS);
+    let sobj = GLUtil.generate_shader (gl, dbgstr.s_strDbgStrVS, dbgstr.s_strDbgStrFS);
 
     dbgstr.locVtx = gl.getAttribLocation (sobj.program, "a_Vertex");
     dbgstr.locUv  = gl.getAttribLocation (sobj.program, "a_UV"    );
@@ -80,11 +80,8 @@ dbgstr.setup_shader = function (gl)
 }
 
 
-function init_dbgstr (gl, win_w, win_h)
+dbgstr.create_gl_objects = function (gl)
 {
-    dbgstr.s_wndW = win_w;
-    dbgstr.s_wndH = win_h;
-
     dbgstr.load_debug_font_texture (gl);
     dbgstr.setup_shader (gl);
 
@@ -92,6 +89,16 @@ function init_dbgstr (gl, win_w, win_h)
     dbgstr.vbo_uv  = gl.createBuffer();
 }
 
+function init_dbgstr (gl, win_w, win_h)
+{
+    dbgstr.s_wndW = win_w;
+    dbgstr.s_wndH = win_h;
+
+    dbgstr.create_gl_objects (gl);
+
+    glres.register ("dbgstr", dbgstr.create_gl_objects);
+}
+
 dbgstr.resize_viewport = function (gl, win_w, win_h)
 {
     dbgstr.s_wndW = win_w;
@@ -0,0 +1,210 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Joint angles, and the repetition counter of the exercises.
+ *
+ *  An angle is defined by three joints [j0, j1, j2], and is the angle at j1
+ *  between the bones j1-j0 and j1-j2 [deg] (180: straight). The app gives
+ *  the definitions for the topology of its model, e.g.
+ *      {left_elbow: [11, 13, 15], ...}
+ *
+ *  An exercise is counted by one angle (the smallest of "angles" that is
+ *  visible) with hysteresis: the angle goes below "down_angle" (e.g. the
+ *  bottom of the squat) and then above "up_angle", and that is one rep.
+ *  The counts are kept for each subject (track_id of util_tracker.js), and
+ *  dropped when the subject is not seen for kForgetInterval.
+ *
+ *  Usage:
+ *      const excnt = exercise.create_counter ("squat");
+ *      exercise.add_gui (gui, excnt);
+ *      ...
+ *      let angles = exercise.compute_angles (points, angle_defs, 0.5);
+ *      exercise.update (excnt, track_id, angles, frame.timestamp);
+ *      let reps = exercise.get_count (excnt, track_id);
+ *      exercise.prune (excnt, frame.timestamp);
+ *      ...
+ *      exercise.draw_status (gl, excnt, x, y);
+ * ------------------------------------------------------------------------- */
+var exercise = {};
+
+exercise.kExercises = {
+    squat  : {angles: ['left_knee',  'right_knee' ], down_angle: 100, up_angle: 160},
+    curl   : {angles: ['left_elbow', 'right_elbow'], down_angle:  50, up_angle: 150},
+    push_up: {angles: ['left_elbow', 'right_elbow'], down_angle:  90, up_angle: 160},
+};
+
+exercise.STATE_UP   = 'up';
+exercise.STATE_DOWN = 'down';
+
+exercise.kForgetInterval = 5000;    /* [ms] */
+
+
+/* ---------------------------------------------------------------- *
+ *  angles
+ *
+ *    points: [{x, y, visibility}, ...] x and y in the same scale.
+ *            (the angles do not change by the rotation of the ROI)
+ * ---------------------------------------------------------------- */
+exercise.compute_angle = function (p0, p1, p2)
+{
+    let ax = p0.x - p1.x, ay = p0.y - p1.y;
+    let bx = p2.x - p1.x, by = p2.y - p1.y;
+
+    let len = Math.sqrt (ax * ax + ay * ay) * Math.sqrt (bx * bx + by * by);
+    if (len <= 0)
+        return null;
+
+    let cos = Math.min (Math.max ((ax * bx + ay * by) / len, -1.0), 1.0);
+    return Math.acos (cos) * 180.0 / Math.PI;
+}
+
+/*
+ *  return: {name: angle [deg]}. an angle is null if its joints are not in
+ *          the points (e.g. the knees of the upper body model), or one of
+ *          them is below min_visibility.
+ */
+exercise.compute_angles = function (points, angle_defs, min_visibility)
+{
+    let angles = {};
+
+    if (min_visibility === undefined)
+        min_visibility = 0.0;
+
+    for (let name of Object.keys (angle_defs))
+    {
+        let ids = angle_defs[name];
+        let pts = ids.map ((id) => points[id]);
+
+        let visible = pts.every ((p) => p && (p.visibility === undefined || p.visibility >= min_visibility));
+        angles[name] = visible ? exercise.compute_angle (pts[0], pts[1], pts[2]) : null;
+    }
+
+    return angles;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  repetition counter
+ * ---------------------------------------------------------------- */
+exercise.create_counter = function (name)
+{
+    let excnt = {};
+
+    excnt.subjects = {};        /* track_id --> {state, count, angle, timestamp} */
+    excnt.prop = {
+        exercise  : name,
+        down_angle: exercise.kExercises[name].down_angle,
+        up_angle  : exercise.kExercises[name].up_angle,
+        reset     : function () { exercise.reset (excnt); },
+    };
+
+    return excnt;
+}
+
+exercise.reset = function (excnt)
+{
+    excnt.subjects = {};
+}
+
+/* select the exercise with its default thresholds */
+exercise.set_exercise = function (excnt, name)
+{
+    excnt.prop.exercise   = name;
+    excnt.prop.down_angle = exercise.kExercises[name].down_angle;
+    excnt.prop.up_angle   = exercise.kExercises[name].up_angle;
+    exercise.reset (excnt);
+}
+
+/* the angle of the exercise. null if none of them is visible */
+exercise.get_exercise_angle = function (excnt, angles)
+{
+    let names  = exercise.kExercises[excnt.prop.exercise].angles;
+    let values = names.map ((name) => angles[name]).filter ((val) => typeof val === 'number');
+
+    if (values.length == 0)
+        return null;
+
+    return Math.min (...values);
+}
+
+exercise.update = function (excnt, subject_id, angles, timestamp)
+{
+    let subject = excnt.subjects[subject_id];
+    if (!subject)
+    {
+        subject = {state: exercise.STATE_UP, count: 0, angle: null};
+        excnt.subjects[subject_id] = subject;
+    }
+
+    let angle = exercise.get_exercise_angle (excnt, angles);
+    subject.angle     = angle;
+    subject.timestamp = timestamp;
+
+    /* keep the state while the joints are not visible */
+    if (angle === null)
+        return subject.count;
+
+    if (subject.state == exercise.STATE_UP && angle < excnt.prop.down_angle)
+    {
+        subject.state = exercise.STATE_DOWN;
+    }
+    else if (subject.state == exercise.STATE_DOWN && angle > excnt.prop.up_angle)
+    {
+        subject.state = exercise.STATE_UP;
+        subject.count ++;
+    }
+
+    return subject.count;
+}
+
+exercise.get_count = function (excnt, subject_id)
+{
+    let subject = excnt.subjects[subject_id];
+    return subject ? subject.count : 0;
+}
+
+exercise.prune = function (excnt, timestamp)
+{
+    for (let id of Object.keys (excnt.subjects))
+    {
+        if (timestamp - excnt.subjects[id].timestamp > exercise.kForgetInterval)
+            delete excnt.subjects[id];
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  status and dat.GUI
+ * ---------------------------------------------------------------- */
+exercise.draw_status = function (gl, excnt, x, y)
+{
+    let ids = Object.keys (excnt.subjects);
+
+    for (let i = 0; i < ids.length; i ++)
+    {
+        let subject = excnt.subjects[ids[i]];
+        let angle = (subject.angle === null) ? "---" : subject.angle.toFixed(0);
+        let str = "ID" + ids[i] + " " + excnt.prop.exercise + ": " + subject.count
+                + " (" + subject.state + ", " + angle + " [deg])";
+
+        dbgstr.draw_dbgstr (gl, str, x, y + 22 * i);
+    }
+}
+
+exercise.add_gui = function (gui, excnt)
+{
+    let folder = gui.addFolder ('exercise');
+
+    folder.add (excnt.prop, 'exercise', Object.keys (exercise.kExercises)).onChange (function (val)
+    {
+        exercise.set_exercise (excnt, val);
+    });
+    folder.add (excnt.prop, 'down_angle', 0, 180).listen ();
+    folder.add (excnt.prop, 'up_angle',   0, 180).listen ();
+    folder.add (excnt.prop, 'reset');
+
+    return folder;
+}
@@ -0,0 +1,231 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Temporal smoothing of landmarks.
+ *
+ *    One Euro filter : http://cristal.univ-lille.fr/~casiez/1euro/
+ *    Kalman filter   : constant velocity model, per coordinate.
+ *
+ *  Each landmark is filtered per coordinate, and the state is kept per
+ *  subject (pose, hand, face, ...) given by the caller.
+ *  The parameters are in "unit" of the coordinates given by the caller
+ *  (e.g. the image size for pixel coordinates), so that the same values
+ *  work for normalized and pixel coordinates.
+ *
+ *  Usage:
+ *      const smoother = lmfilter.create_filter_bank (lmfilter.FILTER_ONE_EURO);
+ *      lmfilter.add_gui (gui, smoother);
+ *      ...
+ *      lmfilter.filter_points (smoother, subject_id, landmarks, frame.timestamp, unit);
+ *      lmfilter.prune (smoother, frame.timestamp);
+ * ------------------------------------------------------------------------- */
+var lmfilter = {};
+
+lmfilter.FILTER_NONE     = 'none';
+lmfilter.FILTER_ONE_EURO = 'one_euro';
+lmfilter.FILTER_KALMAN   = 'kalman';
+
+/* the state is reset when the subject is not seen for this period [ms]. */
+lmfilter.kResetInterval  = 500;
+
+
+lmfilter.create_filter_bank = function (type)
+{
+    let bank = {};
+
+    bank.subjects = {};
+    bank.prop = {
+        type          : type ? type : lmfilter.FILTER_ONE_EURO,
+        min_cutoff    : 1.0,    /* [Hz] cutoff at rest        */
+        beta          : 10.0,   /* cutoff increase with speed */
+        d_cutoff      : 1.0,    /* [Hz] cutoff of the speed   */
+        process_noise : 10.0,   /* acceleration variance      */
+        measure_noise : 0.01,   /* measurement std deviation  */
+    };
+
+    return bank;
+}
+
+lmfilter.reset = function (bank)
+{
+    bank.subjects = {};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  One Euro filter
+ * ---------------------------------------------------------------- */
+lmfilter.one_euro_alpha = function (cutoff, dt)
+{
+    let tau = 1.0 / (2.0 * Math.PI * cutoff);
+    return 1.0 / (1.0 + tau / dt);
+}
+
+lmfilter.one_euro = function (prop, state, x, dt)
+{
+    if (state.x === undefined)
+    {
+        state.x  = x;
+        state.dx = 0;
+        return x;
+    }
+
+    let dx  = (x - state.x) / dt;
+    let a_d = lmfilter.one_euro_alpha (prop.d_cutoff, dt);
+    state.dx = state.dx + a_d * (dx - state.dx);
+
+    let cutoff = prop.min_cutoff + prop.beta * Math.abs (state.dx);
+    let a = lmfilter.one_euro_alpha (cutoff, dt);
+    state.x = state.x + a * (x - state.x);
+
+    return state.x;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  Kalman filter
+ *      state: [x, v], covariance: [p00, p01, p11]
+ * ---------------------------------------------------------------- */
+lmfilter.kalman = function (prop, state, x, dt)
+{
+    let r = prop.measure_noise * prop.measure_noise;
+
+    if (state.x === undefined)
+    {
+        state.x   = x;
+        state.v   = 0;
+        state.p00 = r;
+        state.p01 = 0;
+        state.p11 = r;
+        return x;
+    }
+
+    /* predict */
+    let q   = prop.process_noise;
+    let dt2 = dt * dt;
+    state.x   = state.x + state.v * dt;
+    let p00 = state.p00 + dt * (2 * state.p01 + dt * state.p11) + q * dt2 * dt2 / 4;
+    let p01 = state.p01 + dt * state.p11                        + q * dt2 * dt  / 2;
+    let p11 = state.p11                                         + q * dt2;
+
+    /* update */
+    let s  = p00 + r;
+    if (s <= 0)
+    {
+        /* no noise at all: the measurement as it is */
+        state.x = x;
+        return x;
+    }
+
+    let k0 = p00 / s;
+    let k1 = p01 / s;
+    let y  = x - state.x;
+
+    state.x   = state.x + k0 * y;
+    state.v   = state.v + k1 * y;
+    state.p00 = (1 - k0) * p00;
+    state.p01 = (1 - k0) * p01;
+    state.p11 = p11 - k1 * p01;
+
+    return state.x;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  filter landmarks of a subject in place.
+ *
+ *    points   : array of [x, y, z] or {x, y, z}. other members are kept.
+ *    timestamp: [ms] (frame.timestamp of util_input_source.js)
+ *    unit     : scale of the coordinates. a number or [ux, uy, uz].
+ * ---------------------------------------------------------------- */
+lmfilter.get_unit = function (unit, i)
+{
+    if (unit === undefined)
+        return 1.0;
+    if (Array.isArray (unit))
+        return unit[i];
+    return unit;
+}
+
+lmfilter.filter_points = function (bank, subject_id, points, timestamp, unit)
+{
+    let prop = bank.prop;
+    if (prop.type == lmfilter.FILTER_NONE)
+        return points;
+
+    let subject = bank.subjects[subject_id];
+    if (!subject ||
+        subject.type != prop.type ||
+        subject.states.length != points.length ||
+        timestamp < subject.timestamp ||
+        timestamp - subject.timestamp > lmfilter.kResetInterval)
+    {
+        subject = {type: prop.type, timestamp: timestamp, states: []};
+        for (let i = 0; i < points.length; i ++)
+            subject.states[i] = [{}, {}, {}];
+        bank.subjects[subject_id] = subject;
+    }
+
+    /* paused: keep the last output */
+    let dt = (timestamp - subject.timestamp) / 1000.0;
+    let func = (prop.type == lmfilter.FILTER_KALMAN) ? lmfilter.kalman : lmfilter.one_euro;
+    const keys = ['x', 'y', 'z'];
+
+    for (let i = 0; i < points.length; i ++)
+    {
+        let p = points[i];
+        let is_array = Array.isArray (p);
+        let num = is_array ? Math.min (p.length, 3) : 3;
+
+        for (let j = 0; j < num; j ++)
+        {
+            let key = is_array ? j : keys[j];
+            if (typeof p[key] !== 'number')
+                continue;
+
+            let u = lmfilter.get_unit (unit, j);
+            let state = subject.states[i][j];
+
+            if (dt > 0 || state.x === undefined)
+                p[key] = func (prop, state, p[key] / u, dt) * u;
+            else
+                p[key] = state.x * u;
+        }
+    }
+
+    subject.timestamp = timestamp;
+    return points;
+}
+
+/* drop the subjects which are not seen any more. */
+lmfilter.prune = function (bank, timestamp)
+{
+    for (let id of Object.keys (bank.subjects))
+    {
+        let t = bank.subjects[id].timestamp;
+        if (timestamp < t || timestamp - t > lmfilter.kResetInterval)
+            delete bank.subjects[id];
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+lmfilter.add_gui = function (gui, bank)
+{
+    let folder = gui.addFolder ('smoothing');
+
+    folder.add (bank.prop, 'type', [lmfilter.FILTER_NONE, lmfilter.FILTER_ONE_EURO, lmfilter.FILTER_KALMAN])
+          .onChange (function () { lmfilter.reset (bank); });
+    folder.add (bank.prop, 'min_cutoff', 0.01, 10.0);
+    folder.add (bank.prop, 'beta', 0.0, 100.0);
+    folder.add (bank.prop, 'd_cutoff', 0.01, 10.0);
+    folder.add (bank.prop, 'process_noise', 0.01, 100.0);
+    folder.add (bank.prop, 'measure_noise', 0.0001, 0.1);
+
+    return folder;
+}
@@ -0,0 +1,154 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Recovery from WebGL context loss.
+ *
+ *  Every GL object (texture, render target, shader, VBO) is gone with the
+ *  context. The owners of the objects register a function which creates them
+ *  again, and the functions are called in the registered order when the
+ *  context is restored. After that, "on_restored" of the app is called to
+ *  rebuild the rest (e.g. TF.js models on the shared context).
+ *
+ *  The GL utilities in common/ (r2d, dbgstr, pmeter, tffeed, render targets,
+ *  image/camera/video textures) register themselves.
+ *
+ *  Usage:
+ *      glres.init_glres (gl, async function () {
+ *          if (await tfbackend.restore_backend (gl))
+ *              await appstatus.load_models (init_tfjs_xxx);
+ *      });
+ *      init_xxx_render (gl, win_w, win_h);
+ *      glres.register ("render", function (gl) { init_xxx_render (gl, win_w, win_h); });
+ *      ...
+ *      glres.start_render_loop (gl, render);   // instead of requestAnimationFrame
+ * ------------------------------------------------------------------------- */
+var glres = {};
+
+glres.STATE_READY     = 'ready';
+glres.STATE_LOST      = 'lost';
+glres.STATE_RESTORING = 'restoring';
+
+glres.state      = glres.STATE_READY;
+glres.generation = 0;           /* incremented at every context loss */
+glres.resources  = new Map ();  /* key --> function (gl) */
+
+
+/* ---------------------------------------------------------------- *
+ *  registry
+ *
+ *    key : any value to identify the resources (a name, or the object
+ *          holding them). registering the same key replaces the function.
+ * ---------------------------------------------------------------- */
+glres.register = function (key, create_func)
+{
+    glres.resources.set (key, create_func);
+}
+
+glres.unregister = function (key)
+{
+    glres.resources.delete (key);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  context loss events
+ * ---------------------------------------------------------------- */
+glres.init_glres = function (gl, on_restored)
+{
+    let canvas = gl.canvas;
+
+    canvas.addEventListener ('webglcontextlost', function (event)
+    {
+        /* without this, the context is never restored. */
+        event.preventDefault ();
+
+        glres.state = glres.STATE_LOST;
+        glres.generation ++;
+    }, false);
+
+    canvas.addEventListener ('webglcontextrestored', function ()
+    {
+        glres.restore (gl, on_restored);
+    }, false);
+}
+
+glres.restore = async function (gl, on_restored)
+{
+    glres.state = glres.STATE_RESTORING;
+
+    /* the functions may register again, so iterate over a copy. a failed one does not stop the others. */
+    let resource_error = null;
+    for (let create_func of Array.from (glres.resources.values ()))
+    {
+        try {
+            create_func (gl);
+        }
+        catch (e) {
+            if (!resource_error)
+                resource_error = e;
+        }
+    }
+
+    try {
+        if (on_restored)
+            await on_restored ();
+    }
+    catch (e) {
+        /* e.g. the backend is not restored. shown on the canvas (see util_status.js) */
+        appstatus.set_error (e);
+    }
+
+    /* after on_restored, which loads the models and clears the status */
+    if (resource_error)
+        appstatus.set_error (resource_error);
+
+    /* lost again while restoring */
+    if (gl.isContextLost ())
+        return;
+
+    glres.state = glres.STATE_READY;
+}
+
+glres.is_ready = function (gl)
+{
+    return glres.state == glres.STATE_READY && !gl.isContextLost ();
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  render loop which survives the context loss.
+ *
+ *    the frames are skipped while the context is lost, and an error
+ *    thrown by a frame broken by the loss does not stop the loop.
+ * ---------------------------------------------------------------- */
+glres.start_render_loop = function (gl, render)
+{
+    async function frame (now)
+    {
+        let generation = glres.generation;
+
+        if (glres.is_ready (gl))
+        {
+            let span = perftrace.begin_frame ();
+            try {
+                await render (now);
+            }
+            catch (e) {
+                if (glres.is_ready (gl) && generation == glres.generation)
+                    throw e;
+
+                /* the frame is dropped by the context loss */
+            }
+            finally {
+                perftrace.end (span);
+            }
+        }
+
+        requestAnimationFrame (frame);
+    }
+
+    frame ();
+}
@@ -0,0 +1,567 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Minimal glTF 2.0 loader for the skinned avatars.
+ *
+ *  Supported: .glb and .gltf (buffers and images embedded, as data URI or
+ *  relative to the URL), the node tree of the default scene (TRS or
+ *  matrix), triangle meshes (POSITION, NORMAL, TEXCOORD_0, JOINTS_0,
+ *  WEIGHTS_0), skins, and the base color (factor and texture) of the
+ *  materials. Not supported: sparse accessors, morph targets, animations,
+ *  cameras and the other PBR parameters.
+ *
+ *  The matrices are column major, as util_matrix.js.
+ *
+ *  Usage:
+ *      let model = await gltf.load_model (gl, "avatar.glb");
+ *      ...
+ *      let globals = gltf.compute_global_matrices (model, gltf.compute_local_matrices (model));
+ *      let skins   = gltf.compute_skin_matrices (model, globals);
+ *      ... draw model.draw_nodes (see draw_skinned_mesh() of util_render3d.js)
+ *      ...
+ *      gltf.dispose_model (gl, model);
+ * ------------------------------------------------------------------------- */
+var gltf = {};
+
+gltf.GLB_MAGIC      = 0x46546C67;   /* "glTF" */
+gltf.GLB_CHUNK_JSON = 0x4E4F534A;   /* "JSON" */
+gltf.GLB_CHUNK_BIN  = 0x004E4942;   /* "BIN"  */
+
+gltf.MODE_TRIANGLES = 4;
+
+gltf.kComponentArray = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array,
+};
+
+gltf.kTypeSize = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16};
+
+/* the maximum value of the normalized integer components */
+gltf.kNormalizeScale = {5120: 127, 5121: 255, 5122: 32767, 5123: 65535};
+
+
+/* ---------------------------------------------------------------- *
+ *  load
+ * ---------------------------------------------------------------- */
+gltf.load_model = async function (gl, url)
+{
+    let res = await fetch (url);
+    if (!res.ok)
+        throw new Error ("gltf: failed to load " + url + " (" + res.status + ")");
+
+    let base_url = new URL (url, window.location.href).href;
+    return gltf.parse_model (gl, await res.arrayBuffer (), base_url, url);
+}
+
+/* File of <input type=file>. the external buffers and images can not be loaded. */
+gltf.load_model_from_file = async function (gl, file)
+{
+    return gltf.parse_model (gl, await file.arrayBuffer (), null, file.name);
+}
+
+gltf.parse_model = async function (gl, arraybuf, base_url, name)
+{
+    let json;
+    let bin = null;
+
+    if (arraybuf.byteLength >= 12 && new DataView (arraybuf).getUint32 (0, true) == gltf.GLB_MAGIC)
+    {
+        let glb = gltf.parse_glb (arraybuf);
+        json = glb.json;
+        bin  = glb.bin;
+    }
+    else
+    {
+        json = JSON.parse (new TextDecoder ().decode (arraybuf));
+    }
+
+    if (!json.asset || !String (json.asset.version).startsWith ("2"))
+        throw new Error ("gltf: " + name + " is not glTF 2.0");
+
+    let buffers = [];
+    for (let buffer of (json.buffers || []))
+        buffers.push (await gltf.load_buffer (buffer, bin, base_url));
+
+    let model = {};
+    model.name    = name;
+    model.json    = json;
+    model.nodes   = gltf.parse_nodes (json);
+    model.order   = gltf.get_scene_order (json, model.nodes);
+    model.skins   = (json.skins || []).map ((skin) => gltf.parse_skin (json, buffers, skin));
+    model.meshes  = (json.meshes || []).map ((mesh) => gltf.parse_mesh (json, buffers, mesh));
+    model.urls    = [];             /* object URLs of the embedded images */
+    model.textures  = (json.textures  || []).map ((tex) => gltf.load_texture (gl, json, buffers, tex, base_url, model));
+    model.materials = (json.materials || []).map ((mat) => gltf.parse_material (mat, model.textures));
+
+    /* the nodes to draw, in the scene */
+    model.draw_nodes = model.order.filter ((id) => model.nodes[id].mesh !== undefined);
+
+    glres.register (model, function (gl) { gltf.create_gl_buffers (gl, model); });
+    try {
+        gltf.create_gl_buffers (gl, model);
+    }
+    catch (e) {
+        gltf.dispose_model (gl, model);
+        throw e;
+    }
+
+    return model;
+}
+
+gltf.parse_glb = function (arraybuf)
+{
+    let view = new DataView (arraybuf);
+    let version = view.getUint32 (4, true);
+    let length  = view.getUint32 (8, true);
+    if (version != 2)
+        throw new Error ("gltf: GLB version " + version + " is not supported");
+
+    let json = null;
+    let bin  = null;
+    for (let ofst = 12; ofst + 8 <= length; )
+    {
+        let chunk_len  = view.getUint32 (ofst + 0, true);
+        let chunk_type = view.getUint32 (ofst + 4, true);
+        let data = arraybuf.slice (ofst + 8, ofst + 8 + chunk_len);
+
+        if (chunk_type == gltf.GLB_CHUNK_JSON)
+            json = JSON.parse (new TextDecoder ().decode (data));
+        else if (chunk_type == gltf.GLB_CHUNK_BIN && !bin)
+            bin = data;
+
+        ofst += 8 + chunk_len;
+    }
+
+    if (!json)
+        throw new Error ("gltf: no JSON chunk in the GLB");
+
+    return {json: json, bin: bin};
+}
+
+gltf.load_buffer = async function (buffer, bin, base_url)
+{
+    /* the BIN chunk of GLB */
+    if (buffer.uri === undefined)
+    {
+        if (!bin)
+            throw new Error ("gltf: a buffer has no uri and no BIN chunk");
+        return bin;
+    }
+
+    let url = gltf.resolve_uri (buffer.uri, base_url);
+    let res = await fetch (url);
+    if (!res.ok)
+        throw new Error ("gltf: failed to load " + buffer.uri + " (" + res.status + ")");
+
+    return res.arrayBuffer ();
+}
+
+gltf.resolve_uri = function (uri, base_url)
+{
+    if (uri.startsWith ("data:"))
+        return uri;
+
+    if (!base_url)
+        throw new Error ("gltf: " + uri + " can not be loaded from a local file. use .glb");
+
+    return new URL (uri, base_url).href;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  accessors
+ * ---------------------------------------------------------------- */
+
+/* return: {data (tightly packed typed array), count, size (components of an element)} */
+gltf.read_accessor = function (json, buffers, idx)
+{
+    let acc  = json.accessors[idx];
+    let type = gltf.kComponentArray[acc.componentType];
+    let size = gltf.kTypeSize[acc.type];
+    if (!type || !size)
+        throw new Error ("gltf: unsupported accessor (" + acc.componentType + ", " + acc.type + ")");
+    if (acc.sparse)
+        throw new Error ("gltf: sparse accessors are not supported");
+
+    let elem_bytes = type.BYTES_PER_ELEMENT * size;
+    let dst = new Uint8Array (acc.count * elem_bytes);
+
+    if (acc.bufferView !== undefined)
+    {
+        let view   = json.bufferViews[acc.bufferView];
+        let stride = view.byteStride || elem_bytes;
+        let src    = new Uint8Array (buffers[view.buffer], (view.byteOffset || 0) + (acc.byteOffset || 0));
+
+        /* copy, since the offset may not be aligned, and the elements may be interleaved */
+        for (let i = 0; i < acc.count; i ++)
+            dst.set (src.subarray (i * stride, i * stride + elem_bytes), i * elem_bytes);
+    }
+
+    return {data: new type (dst.buffer), count: acc.count, size: size, acc: acc};
+}
+
+/* Float32Array. the normalized integers are scaled to [0, 1] ([-1, 1]) */
+gltf.read_accessor_float = function (json, buffers, idx)
+{
+    let ret = gltf.read_accessor (json, buffers, idx);
+    let div = ret.acc.normalized ? gltf.kNormalizeScale[ret.acc.componentType] : 1;
+
+    if (!(ret.data instanceof Float32Array))
+        ret.data = Float32Array.from (ret.data, (v) => Math.max (v / div, -1.0));
+
+    return ret;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  nodes
+ * ---------------------------------------------------------------- */
+gltf.parse_nodes = function (json)
+{
+    let nodes = (json.nodes || []).map ((node, i) =>
+    {
+        let ret = {
+            name    : node.name || ("node" + i),
+            children: node.children || [],
+            parent  : -1,
+            mesh    : node.mesh,
+            skin    : node.skin,
+            t: node.translation || [0, 0, 0],
+            r: node.rotation    || [0, 0, 0, 1],    /* quaternion [x, y, z, w] */
+            s: node.scale       || [1, 1, 1],
+        };
+
+        if (node.matrix)
+            Object.assign (ret, gltf.decompose_matrix (node.matrix));
+
+        return ret;
+    });
+
+    for (let i = 0; i < nodes.length; i ++)
+    {
+        for (let c of nodes[i].children)
+            nodes[c].parent = i;
+    }
+
+    return nodes;
+}
+
+/* the nodes of the scene, the parents first */
+gltf.get_scene_order = function (json, nodes)
+{
+    let roots;
+    if (json.scenes && json.scenes.length > 0)
+        roots = json.scenes[json.scene || 0].nodes || [];
+    else
+        roots = nodes.map ((node, i) => i).filter ((i) => nodes[i].parent < 0);
+
+    let order = [];
+    let visit = (id) =>
+    {
+        order.push (id);
+        for (let c of nodes[id].children)
+            visit (c);
+    };
+    roots.forEach (visit);
+
+    return order;
+}
+
+gltf.compose_matrix = function (t, r, s)
+{
+    let [x, y, z, w] = r;
+    let m = new Array(16);
+
+    m[ 0] = (1 - 2 * (y * y + z * z)) * s[0];
+    m[ 1] = (    2 * (x * y + w * z)) * s[0];
+    m[ 2] = (    2 * (x * z - w * y)) * s[0];
+    m[ 3] = 0;
+    m[ 4] = (    2 * (x * y - w * z)) * s[1];
+    m[ 5] = (1 - 2 * (x * x + z * z)) * s[1];
+    m[ 6] = (    2 * (y * z + w * x)) * s[1];
+    m[ 7] = 0;
+    m[ 8] = (    2 * (x * z + w * y)) * s[2];
+    m[ 9] = (    2 * (y * z - w * x)) * s[2];
+    m[10] = (1 - 2 * (x * x + y * y)) * s[2];
+    m[11] = 0;
+    m[12] = t[0];
+    m[13] = t[1];
+    m[14] = t[2];
+    m[15] = 1;
+
+    return m;
+}
+
+/* matrix (without shear) --> {t, r, s} */
+gltf.decompose_matrix = function (m)
+{
+    let len = (i) => Math.sqrt (m[i] * m[i] + m[i + 1] * m[i + 1] + m[i + 2] * m[i + 2]);
+    let s = [len (0), len (4), len (8)];
+
+    let det = m[0] * (m[5] * m[10] - m[9] * m[6])
+            - m[4] * (m[1] * m[10] - m[9] * m[2])
+            + m[8] * (m[1] * m[ 6] - m[5] * m[2]);
+    if (det < 0)
+        s[0] = -s[0];
+
+    /* rotation (row, col) */
+    let r = (row, col) => m[col * 4 + row] / s[col];
+    let tr = r(0, 0) + r(1, 1) + r(2, 2);
+    let q;
+
+    if (tr > 0)
+    {
+        let k = 0.5 / Math.sqrt (tr + 1.0);
+        q = [(r(2, 1) - r(1, 2)) * k, (r(0, 2) - r(2, 0)) * k, (r(1, 0) - r(0, 1)) * k, 0.25 / k];
+    }
+    else if (r(0, 0) > r(1, 1) && r(0, 0) > r(2, 2))
+    {
+        let k = 2.0 * Math.sqrt (1.0 + r(0, 0) - r(1, 1) - r(2, 2));
+        q = [0.25 * k, (r(0, 1) + r(1, 0)) / k, (r(0, 2) + r(2, 0)) / k, (r(2, 1) - r(1, 2)) / k];
+    }
+    else if (r(1, 1) > r(2, 2))
+    {
+        let k = 2.0 * Math.sqrt (1.0 + r(1, 1) - r(0, 0) - r(2, 2));
+        q = [(r(0, 1) + r(1, 0)) / k, 0.25 * k, (r(1, 2) + r(2, 1)) / k, (r(0, 2) - r(2, 0)) / k];
+    }
+    else
+    {
+        let k = 2.0 * Math.sqrt (1.0 + r(2, 2) - r(0, 0) - r(1, 1));
+        q = [(r(0, 2) + r(2, 0)) / k, (r(1, 2) + r(2, 1)) / k, 0.25 * k, (r(1, 0) - r(0, 1)) / k];
+    }
+
+    return {t: [m[12], m[13], m[14]], r: q, s: s};
+}
+
+/* the local matrices of the bind (rest) pose */
+gltf.compute_local_matrices = function (model)
+{
+    return model.nodes.map ((node) => gltf.compose_matrix (node.t, node.r, node.s));
+}
+
+gltf.compute_global_matrices = function (model, locals)
+{
+    let globals = new Array(model.nodes.length);
+
+    for (let id of model.order)
+    {
+        let parent = model.nodes[id].parent;
+        if (parent < 0)
+        {
+            globals[id] = locals[id].slice ();
+        }
+        else
+        {
+            globals[id] = new Array(16);
+            matrix_mult (globals[id], globals[parent], locals[id]);
+        }
+    }
+
+    return globals;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  skins
+ * ---------------------------------------------------------------- */
+gltf.parse_skin = function (json, buffers, skin)
+{
+    let ret = {};
+    ret.joints = skin.joints;
+
+    if (skin.inverseBindMatrices !== undefined)
+    {
+        ret.inv_bind = gltf.read_accessor_float (json, buffers, skin.inverseBindMatrices).data;
+    }
+    else
+    {
+        ret.inv_bind = new Float32Array (16 * skin.joints.length);
+        for (let i = 0; i < skin.joints.length; i ++)
+            ret.inv_bind.set ([1, 0, 0, 0,  0, 1, 0, 0,  0, 0, 1, 0,  0, 0, 0, 1], 16 * i);
+    }
+
+    return ret;
+}
+
+/*
+ *  return: [Float32Array (16 x joints) of each skin]. the joint matrices
+ *          move the vertices from the bind pose to the global position.
+ *          (the transform of the skinned mesh node is not used, as the spec)
+ */
+gltf.compute_skin_matrices = function (model, globals)
+{
+    return model.skins.map ((skin) =>
+    {
+        let mats = new Float32Array (16 * skin.joints.length);
+        let m = new Array(16);
+
+        for (let i = 0; i < skin.joints.length; i ++)
+        {
+            matrix_mult (m, globals[skin.joints[i]], skin.inv_bind.subarray (16 * i, 16 * i + 16));
+            mats.set (m, 16 * i);
+        }
+        return mats;
+    });
+}
+
+/* the largest number of the joints of a skin */
+gltf.get_max_joints = function (model)
+{
+    return model.skins.reduce ((num, skin) => Math.max (num, skin.joints.length), 1);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  meshes and materials
+ * ---------------------------------------------------------------- */
+gltf.parse_mesh = function (json, buffers, mesh)
+{
+    let primitives = [];
+
+    for (let prim of mesh.primitives)
+    {
+        let mode = (prim.mode === undefined) ? gltf.MODE_TRIANGLES : prim.mode;
+        if (mode != gltf.MODE_TRIANGLES || prim.attributes.POSITION === undefined)
+            continue;
+
+        let attr = prim.attributes;
+        let ret  = {};
+        ret.material = prim.material;
+        ret.position = gltf.read_accessor_float (json, buffers, attr.POSITION);
+        ret.normal   = (attr.NORMAL     !== undefined) ? gltf.read_accessor_float (json, buffers, attr.NORMAL)     : null;
+        ret.uv       = (attr.TEXCOORD_0 !== undefined) ? gltf.read_accessor_float (json, buffers, attr.TEXCOORD_0) : null;
+        ret.joints   = (attr.JOINTS_0   !== undefined) ? gltf.read_accessor       (json, buffers, attr.JOINTS_0)   : null;
+        ret.weights  = (attr.WEIGHTS_0  !== undefined) ? gltf.read_accessor_float (json, buffers, attr.WEIGHTS_0)  : null;
+
+        /* the joint indices are given to the shader as float */
+        if (ret.joints)
+            ret.joints.data = Float32Array.from (ret.joints.data);
+
+        if (prim.indices !== undefined)
+        {
+            ret.indices = gltf.read_accessor (json, buffers, prim.indices).data;
+        }
+        else
+        {
+            ret.indices = new Uint32Array (ret.position.count);
+            ret.indices.forEach ((v, i, arr) => arr[i] = i);
+        }
+
+        primitives.push (ret);
+    }
+
+    return {name: mesh.name, primitives: primitives};
+}
+
+gltf.load_texture = function (gl, json, buffers, texture, base_url, model)
+{
+    if (texture.source === undefined)
+        return null;
+
+    let image = json.images[texture.source];
+    let url;
+
+    if (image.bufferView !== undefined)
+    {
+        let view = json.bufferViews[image.bufferView];
+        let data = new Uint8Array (buffers[view.buffer], view.byteOffset || 0, view.byteLength);
+        url = URL.createObjectURL (new Blob ([data], {type: image.mimeType}));
+        model.urls.push (url);
+    }
+    else
+    {
+        url = gltf.resolve_uri (image.uri, base_url);
+    }
+
+    return GLUtil.create_image_texture2 (gl, url);
+}
+
+gltf.parse_material = function (material, textures)
+{
+    let pbr = material.pbrMetallicRoughness || {};
+    let tex = pbr.baseColorTexture ? textures[pbr.baseColorTexture.index] : null;
+
+    return {
+        name : material.name,
+        color: pbr.baseColorFactor || [1, 1, 1, 1],
+        texture: tex ? tex : null,  /* image_tex of util_texture.js */
+    };
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  GL buffers
+ * ---------------------------------------------------------------- */
+gltf.create_vbo = function (gl, target, data)
+{
+    let vbo = gl.createBuffer ();
+    gl.bindBuffer (target, vbo);
+    gl.bufferData (target, data, gl.STATIC_DRAW);
+    return vbo;
+}
+
+gltf.create_gl_buffers = function (gl, model)
+{
+    /* 32bit indices are an extension of WebGL1 */
+    let has_uint = (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext)
+                || gl.getExtension ('OES_element_index_uint');
+
+    for (let mesh of model.meshes)
+    {
+        for (let prim of mesh.primitives)
+        {
+            let vbo = (attr) => attr ? gltf.create_vbo (gl, gl.ARRAY_BUFFER, attr.data) : null;
+
+            prim.vbo_vtx = vbo (prim.position);
+            prim.vbo_nrm = vbo (prim.normal);
+            prim.vbo_uv  = vbo (prim.uv);
+            prim.vbo_jnt = vbo (prim.joints);
+            prim.vbo_wgt = vbo (prim.weights);
+
+            let indices = prim.indices;
+            if (prim.position.count <= 65536)
+                indices = Uint16Array.from (indices);
+            else if (!has_uint)
+                throw new Error ("gltf: " + prim.position.count + " vertices need OES_element_index_uint");
+            else
+                indices = Uint32Array.from (indices);
+
+            prim.vbo_idx  = gltf.create_vbo (gl, gl.ELEMENT_ARRAY_BUFFER, indices);
+            prim.idx_type = (indices instanceof Uint16Array) ? gl.UNSIGNED_SHORT : gl.UNSIGNED_INT;
+            prim.idx_num  = indices.length;
+        }
+    }
+}
+
+gltf.dispose_model = function (gl, model)
+{
+    for (let mesh of model.meshes)
+    {
+        for (let prim of mesh.primitives)
+        {
+            for (let vbo of [prim.vbo_vtx, prim.vbo_nrm, prim.vbo_uv, prim.vbo_jnt, prim.vbo_wgt, prim.vbo_idx])
+            {
+                if (vbo)
+                    gl.deleteBuffer (vbo);
+            }
+        }
+    }
+
+    for (let tex of model.textures)
+    {
+        if (tex)
+            GLUtil.destroy_image_texture (gl, tex);
+    }
+
+    for (let url of model.urls)
+        URL.revokeObjectURL (url);
+
+    glres.unregister (model);
+}
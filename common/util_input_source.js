@@ -0,0 +1,546 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Input source manager.
+ *
+ *  Camera, local video file, numbered image sequence and still image,
+ *  selectable from the dat.GUI panel or by dropping files onto the canvas.
+ *  While the selected source is not ready, the still image is used.
+ *
+ *  Usage:
+ *      const input = insrc.create_input_source (gl, "default.jpg", insrc.SRC_CAMERA);
+ *      insrc.add_gui (gl, gui, input);
+ *      insrc.add_drop_target (gl, input, canvas);
+ *      ...
+ *      let frame = insrc.update_frame (gl, input);
+ *      // frame.texid, frame.width, frame.height, frame.timestamp
+ * ------------------------------------------------------------------------- */
+var insrc = {};
+
+insrc.SRC_IMAGE    = 'image';
+insrc.SRC_CAMERA   = 'camera';
+insrc.SRC_VIDEO    = 'video';
+insrc.SRC_SEQUENCE = 'sequence';
+
+insrc.kSources     = [insrc.SRC_IMAGE, insrc.SRC_CAMERA, insrc.SRC_VIDEO, insrc.SRC_SEQUENCE];
+insrc.kResolutions = ['320x240', '640x480', '1280x720', '1920x1080'];
+insrc.kDefaultCamera = 'default';
+
+
+/* ---------------------------------------------------------------- *
+ *  Create Input Source
+ * ---------------------------------------------------------------- */
+insrc.create_input_source = function (gl, image_url, source)
+{
+    let input = {};
+
+    input.prop = {
+        source     : source || insrc.SRC_CAMERA,
+        camera     : insrc.kDefaultCamera,
+        resolution : '640x480',
+        pause      : false,
+        seq_url    : '',        /* e.g. "frames/img_%04d.jpg" */
+        seq_start  : 0,
+        seq_count  : 0,
+        seq_fps    : 30,
+        open_file  : function () { insrc.open_file_dialog (gl, input); },
+    };
+
+    input.imgtex      = GLUtil.create_image_texture2 (gl, image_url);
+    input.imgtex_next = null;
+    input.camtex      = null;
+    input.vidtex      = null;
+    input.vid_url     = null;
+    input.seqtex      = null;
+    input.seq_urls    = [];     /* object URLs of opened image files */
+    input.devices     = [];     /* [{label, id}] of video input devices */
+    input.is_dragover = false;
+    input.img_updated = true;
+
+    input.frame = {
+        texid    : input.imgtex.texid,
+        width    : 0,
+        height   : 0,
+        timestamp: 0,
+        element  : input.imgtex.image,  /* <img> or <video> of the current frame */
+        source   : insrc.SRC_IMAGE,
+        updated  : false,               /* texture content changed in this frame */
+    };
+
+    insrc.select_source (gl, input, input.prop.source);
+
+    return input;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  switch the source. the resources of the other sources are released.
+ * ---------------------------------------------------------------- */
+insrc.select_source = function (gl, input, source)
+{
+    input.prop.source = source;
+
+    if (source != insrc.SRC_CAMERA && input.camtex)
+    {
+        GLUtil.destroy_camera_texture (gl, input.camtex);
+        input.camtex = null;
+    }
+
+    if (source != insrc.SRC_VIDEO && input.vidtex)
+    {
+        input.vidtex.video.pause ();
+    }
+
+    if (source != insrc.SRC_SEQUENCE && input.seqtex)
+    {
+        insrc.destroy_sequence_texture (gl, input.seqtex);
+        input.seqtex = null;
+    }
+
+    switch (source)
+    {
+    case insrc.SRC_CAMERA:
+        if (!input.camtex)
+            insrc.start_camera (gl, input);
+        break;
+
+    case insrc.SRC_VIDEO:
+        if (input.vidtex)
+            input.vidtex.video.play ();
+        break;
+
+    case insrc.SRC_SEQUENCE:
+        if (!input.seqtex)
+            insrc.start_sequence (gl, input);
+        break;
+
+    default:
+        input.img_updated = true;
+        break;
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  camera
+ * ---------------------------------------------------------------- */
+insrc.start_camera = function (gl, input)
+{
+    if (input.camtex)
+        GLUtil.destroy_camera_texture (gl, input.camtex);
+
+    let res = input.prop.resolution.split ('x');
+    let constraints = {
+        width : {ideal: parseInt (res[0])},
+        height: {ideal: parseInt (res[1])},
+    };
+
+    let device = input.devices.find ((dev) => dev.label == input.prop.camera);
+    if (device)
+        constraints.deviceId = {exact: device.id};
+
+    input.camtex = GLUtil.create_camera_texture (gl, constraints);
+}
+
+/* device labels are available after the camera permission is granted. */
+insrc.enumerate_cameras = async function (input)
+{
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices)
+        return input.devices;
+
+    let devices = await navigator.mediaDevices.enumerateDevices ();
+
+    input.devices = [];
+    for (let dev of devices)
+    {
+        if (dev.kind != 'videoinput')
+            continue;
+
+        let label = dev.label || ('camera ' + input.devices.length);
+        input.devices.push ({label: label, id: dev.deviceId});
+    }
+
+    return input.devices;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  video file
+ * ---------------------------------------------------------------- */
+insrc.open_video = function (gl, input, file)
+{
+    if (input.vidtex)
+        GLUtil.destroy_video_texture (gl, input.vidtex);
+    if (input.vid_url)
+        URL.revokeObjectURL (input.vid_url);
+
+    input.vid_url = URL.createObjectURL (file);
+    input.vidtex  = GLUtil.create_video_texture (gl, input.vid_url);
+
+    insrc.select_source (gl, input, insrc.SRC_VIDEO);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  image sequence
+ *
+ *  frames are loaded one by one into a single texture, no faster than
+ *  seq_fps. the sequence loops.
+ * ---------------------------------------------------------------- */
+insrc.expand_sequence_url = function (pattern, start, count)
+{
+    let urls = [];
+
+    for (let i = start; i < start + count; i ++)
+    {
+        let url = pattern.replace (/%(0?)(\d*)d/, function (match, zero, width)
+        {
+            let str = i.toString ();
+            let pad = zero ? '0' : ' ';
+            return width ? str.padStart (parseInt (width), pad) : str;
+        });
+        urls.push (url);
+    }
+
+    return urls;
+}
+
+insrc.create_sequence_texture = function (gl, urls, fps)
+{
+    let seq_tex = {};
+    seq_tex.ready   = false;
+    seq_tex.texid   = GLUtil.create_texture (gl);
+    seq_tex.urls    = urls;
+    seq_tex.fps     = fps;
+    seq_tex.index   = -1;           /* index of the frame on the texture */
+    seq_tex.image   = new Image();
+    seq_tex.loading = null;         /* Image being loaded */
+    seq_tex.loaded  = null;         /* Image loaded, not uploaded yet */
+    seq_tex.last_ms = 0;
+    seq_tex.failed  = 0;            /* number of the frames failed in a row */
+
+    glres.register (seq_tex, function (gl)
+    {
+        seq_tex.texid = GLUtil.create_texture (gl);
+        if (seq_tex.ready)
+        {
+            gl.bindTexture (gl.TEXTURE_2D, seq_tex.texid);
+            gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, seq_tex.image);
+        }
+    });
+
+    return seq_tex;
+}
+
+insrc.destroy_sequence_texture = function (gl, seq_tex)
+{
+    if (seq_tex.loading)
+        seq_tex.loading.onload = seq_tex.loading.onerror = null;
+
+    gl.deleteTexture (seq_tex.texid);
+    glres.unregister (seq_tex);
+    seq_tex.ready = false;
+}
+
+/* returns true when a new frame is uploaded. */
+insrc.update_sequence_texture = function (gl, seq_tex, now_ms, pause)
+{
+    let updated = false;
+
+    if (seq_tex.loaded)
+    {
+        gl.bindTexture (gl.TEXTURE_2D, seq_tex.texid);
+        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, seq_tex.loaded);
+
+        seq_tex.image   = seq_tex.loaded;
+        seq_tex.loaded  = null;
+        seq_tex.index   = (seq_tex.index + 1) % seq_tex.urls.length;
+        seq_tex.last_ms = now_ms;
+        seq_tex.ready   = true;
+        updated = true;
+    }
+
+    /* a full pass failed: the frames are not requested any more */
+    if (seq_tex.failed >= seq_tex.urls.length)
+        return updated;
+
+    let interval_ms = 1000.0 / Math.max (seq_tex.fps, 1);
+    let need_next = (!seq_tex.ready || !pause) && (now_ms - seq_tex.last_ms >= interval_ms);
+
+    if (need_next && !seq_tex.loading)
+    {
+        let next_idx = (seq_tex.index + 1) % seq_tex.urls.length;
+        let img = new Image();
+
+        img.onload = function ()
+        {
+            seq_tex.loading = null;
+            seq_tex.loaded  = img;
+            seq_tex.failed  = 0;
+        }
+        img.onerror = function ()
+        {
+            /* skip the broken frame, and try the next one at the next interval */
+            seq_tex.loading = null;
+            seq_tex.index   = next_idx;
+            seq_tex.last_ms = now_ms;
+            seq_tex.failed ++;
+
+            if (seq_tex.failed >= seq_tex.urls.length)
+                appstatus.set_error (new Error ("no frame of the sequence is loaded: " + seq_tex.urls[0]));
+        }
+        seq_tex.loading = img;
+        img.src = seq_tex.urls[next_idx];
+    }
+
+    return updated;
+}
+
+insrc.start_sequence = function (gl, input)
+{
+    let urls = input.seq_urls;
+    if (input.prop.seq_url.length > 0 && input.prop.seq_count > 0)
+    {
+        urls = insrc.expand_sequence_url (input.prop.seq_url, input.prop.seq_start, input.prop.seq_count);
+    }
+
+    if (input.seqtex)
+        insrc.destroy_sequence_texture (gl, input.seqtex);
+
+    input.seqtex = insrc.create_sequence_texture (gl, urls, input.prop.seq_fps);
+}
+
+insrc.open_sequence = function (gl, input, files)
+{
+    for (let url of input.seq_urls)
+        URL.revokeObjectURL (url);
+
+    input.seq_urls = files.map ((file) => URL.createObjectURL (file));
+    input.prop.seq_url = '';
+
+    if (input.seqtex)
+    {
+        insrc.destroy_sequence_texture (gl, input.seqtex);
+        input.seqtex = null;
+    }
+    insrc.select_source (gl, input, insrc.SRC_SEQUENCE);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  opened or dropped files.
+ *    a video file   --> video
+ *    an image file  --> still image
+ *    image files    --> image sequence (sorted by name)
+ * ---------------------------------------------------------------- */
+insrc.open_files = function (gl, input, file_list)
+{
+    let files  = Array.from (file_list);
+    let video  = files.find ((file) => file.type.startsWith ('video/'));
+    let images = files.filter ((file) => file.type.startsWith ('image/'));
+
+    if (video)
+    {
+        insrc.open_video (gl, input, video);
+    }
+    else if (images.length == 1)
+    {
+        input.imgtex_next = GLUtil.create_image_texture_from_file (gl, images[0]);
+        insrc.select_source (gl, input, insrc.SRC_IMAGE);
+    }
+    else if (images.length > 1)
+    {
+        images.sort ((a, b) => a.name.localeCompare (b.name, undefined, {numeric: true}));
+        insrc.open_sequence (gl, input, images);
+    }
+}
+
+insrc.open_file_dialog = function (gl, input)
+{
+    let elem = document.createElement ('input');
+    elem.type     = 'file';
+    elem.accept   = 'image/*,video/*';
+    elem.multiple = true;
+    elem.onchange = function ()
+    {
+        insrc.open_files (gl, input, elem.files);
+    }
+    elem.click ();
+}
+
+insrc.add_drop_target = function (gl, input, element)
+{
+    element.addEventListener ('dragover', function (event)
+    {
+        event.preventDefault();
+        input.is_dragover = true;
+    });
+    element.addEventListener ('dragleave', function (event)
+    {
+        event.preventDefault();
+        input.is_dragover = false;
+    });
+    element.addEventListener ('drop', function (event)
+    {
+        event.preventDefault();
+        input.is_dragover = false;
+        insrc.open_files (gl, input, event.dataTransfer.files);
+    });
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+insrc.add_gui = function (gl, gui, input)
+{
+    let folder = gui.addFolder ('input source');
+    let prop   = input.prop;
+
+    folder.add (prop, 'source', insrc.kSources).listen ().onChange (function (val)
+    {
+        insrc.select_source (gl, input, val);
+    });
+    folder.add (prop, 'open_file');
+    folder.add (prop, 'pause');
+
+    let on_camera_changed = function ()
+    {
+        if (prop.source == insrc.SRC_CAMERA)
+            insrc.start_camera (gl, input);
+    };
+    let ctrl_camera = folder.add (prop, 'camera', [insrc.kDefaultCamera]).onChange (on_camera_changed);
+    folder.add (prop, 'resolution', insrc.kResolutions).onChange (on_camera_changed);
+
+    let on_sequence_changed = function ()
+    {
+        if (prop.source == insrc.SRC_SEQUENCE)
+            insrc.start_sequence (gl, input);
+    };
+    folder.add (prop, 'seq_url').onFinishChange (on_sequence_changed);
+    folder.add (prop, 'seq_start', 0).step (1).onFinishChange (on_sequence_changed);
+    folder.add (prop, 'seq_count', 0).step (1).onFinishChange (on_sequence_changed);
+    folder.add (prop, 'seq_fps', 1, 120).onChange (function (val)
+    {
+        if (input.seqtex)
+            input.seqtex.fps = val;
+    });
+
+    /* refresh the camera list once a camera is up (labels need the permission) */
+    input.on_camera_ready = async function ()
+    {
+        let devices = await insrc.enumerate_cameras (input);
+        let labels  = [insrc.kDefaultCamera].concat (devices.map ((dev) => dev.label));
+        ctrl_camera = ctrl_camera.options (labels).onChange (on_camera_changed);
+    };
+
+    return folder;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  update the texture of the current source, and return the frame.
+ *
+ *    timestamp: media time [ms] for video and image sequence,
+ *               performance.now() for camera and still image.
+ * ---------------------------------------------------------------- */
+insrc.set_frame = function (input, source, texid, width, height, timestamp, element, updated)
+{
+    let frame = input.frame;
+    frame.source    = source;
+    frame.texid     = texid;
+    frame.width     = width;
+    frame.height    = height;
+    frame.timestamp = timestamp;
+    frame.element   = element;
+    frame.updated   = updated;
+
+    return frame;
+}
+
+insrc.update_frame = function (gl, input)
+{
+    let now_ms = performance.now();
+    let pause  = input.prop.pause;
+
+    if (input.imgtex_next && GLUtil.is_image_texture_ready (input.imgtex_next))
+    {
+        GLUtil.destroy_image_texture (gl, input.imgtex);
+        input.imgtex      = input.imgtex_next;
+        input.imgtex_next = null;
+        input.img_updated = true;
+    }
+
+    switch (input.prop.source)
+    {
+    case insrc.SRC_CAMERA:
+    {
+        let camtex = input.camtex;
+        if (!camtex || !GLUtil.is_camera_ready (camtex))
+            break;
+
+        if (!camtex.enumerated && input.on_camera_ready)
+        {
+            camtex.enumerated = true;
+            input.on_camera_ready ();
+        }
+
+        if (!pause)
+            GLUtil.update_camera_texture (gl, camtex);
+
+        return insrc.set_frame (input, insrc.SRC_CAMERA, camtex.texid,
+                                camtex.video.videoWidth, camtex.video.videoHeight,
+                                now_ms, camtex.video, !pause);
+    }
+
+    case insrc.SRC_VIDEO:
+    {
+        let vidtex = input.vidtex;
+        if (!vidtex || !GLUtil.is_video_ready (vidtex))
+            break;
+
+        if (pause != vidtex.video.paused)
+            pause ? vidtex.video.pause () : vidtex.video.play ();
+
+        if (!pause)
+            GLUtil.update_video_texture (gl, vidtex);
+
+        return insrc.set_frame (input, insrc.SRC_VIDEO, vidtex.texid,
+                                vidtex.video.videoWidth, vidtex.video.videoHeight,
+                                vidtex.video.currentTime * 1000, vidtex.video, !pause);
+    }
+
+    case insrc.SRC_SEQUENCE:
+    {
+        let seqtex = input.seqtex;
+        if (!seqtex)
+            break;
+
+        let updated = insrc.update_sequence_texture (gl, seqtex, now_ms, pause);
+        if (!seqtex.ready)
+            break;
+
+        return insrc.set_frame (input, insrc.SRC_SEQUENCE, seqtex.texid,
+                                seqtex.image.width, seqtex.image.height,
+                                seqtex.index * 1000.0 / seqtex.fps, seqtex.image, updated);
+    }
+
+    default:
+        break;
+    }
+
+    /* still image (also used while the selected source is not ready) */
+    let imgtex  = input.imgtex;
+    let updated = input.img_updated || input.frame.source != insrc.SRC_IMAGE;
+    if (!GLUtil.is_image_texture_ready (imgtex))
+        updated = false;
+    else
+        input.img_updated = false;
+
+    return insrc.set_frame (input, insrc.SRC_IMAGE, imgtex.texid,
+                            imgtex.image.width, imgtex.image.height,
+                            now_ms, imgtex.image, updated);
+}
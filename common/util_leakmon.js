@@ -0,0 +1,295 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Watch the TF.js tensors and the WebGL objects for leaks.
+ *
+ *  tf.memory() (numTensors, numBytes) and the number of the live GL objects
+ *  (counted by wrapping gl.createXxx()/gl.deleteXxx()) are sampled every
+ *  kIntervalMs. A counter which keeps growing over the last "window"
+ *  samples is reported as a leak.
+ *
+ *  The tensors of the inference running in the background come and go, so
+ *  a sample is the minimum over its interval, i.e. the count while idle.
+ *
+ *  Usage:
+ *      leakmon.init_leakmon (gl);      // before the GL objects are created
+ *      leakmon.add_gui (gui);
+ *      ...
+ *      leakmon.update ();              // every frame
+ *      leakmon.draw_panel (gl, win_w, win_h);
+ *
+ *  With the URL parameter "leakcheck" (index.html?leakcheck), the panel is
+ *  shown and a leak is drawn over it and kept in leakmon.failed,
+ *  for a headless browser to fail the run. The command line runner has
+ *  "--leak-check" for the same.
+ * ------------------------------------------------------------------------- */
+var leakmon = {};
+
+leakmon.kIntervalMs = 1000;
+leakmon.kHistoryNum = 120;
+
+/* counter name --> [create function, delete function] of WebGLRenderingContext */
+leakmon.kGLObjects = {
+    texture     : ['createTexture',      'deleteTexture'     ],
+    buffer      : ['createBuffer',       'deleteBuffer'      ],
+    framebuffer : ['createFramebuffer',  'deleteFramebuffer' ],
+    renderbuffer: ['createRenderbuffer', 'deleteRenderbuffer'],
+    program     : ['createProgram',      'deleteProgram'     ],
+    shader      : ['createShader',       'deleteShader'      ],
+    vertex_array: ['createVertexArray',  'deleteVertexArray' ],
+};
+
+leakmon.gl_objects = {};        /* counter name --> Set of the live objects */
+leakmon.history    = [];        /* samples: {time, tensors, bytes, texture, ...} */
+leakmon.interval   = null;      /* the sample being taken */
+leakmon.leaks      = [];        /* names of the growing counters */
+leakmon.failed     = null;      /* the first report of the leak (fail_on_leak) */
+leakmon.prop = {
+    enable      : true,
+    panel       : false,
+    window      : 10,           /* [samples] */
+    fail_on_leak: false,
+};
+
+
+/* ---------------------------------------------------------------- *
+ *  GL objects
+ * ---------------------------------------------------------------- */
+leakmon.instrument_gl = function (gl)
+{
+    for (let name of Object.keys (leakmon.kGLObjects))
+    {
+        let [create_name, delete_name] = leakmon.kGLObjects[name];
+        if (typeof gl[create_name] !== 'function')
+            continue;   /* e.g. no vertex array in WebGL1 */
+
+        let create_func = gl[create_name];
+        let delete_func = gl[delete_name];
+        let live = new Set ();
+
+        gl[create_name] = function (...args)
+        {
+            let obj = create_func.apply (gl, args);
+            if (obj)
+                live.add (obj);
+            return obj;
+        };
+        gl[delete_name] = function (obj)
+        {
+            live.delete (obj);
+            return delete_func.call (gl, obj);
+        };
+
+        leakmon.gl_objects[name] = live;
+    }
+}
+
+leakmon.init_leakmon = function (gl)
+{
+    leakmon.instrument_gl (gl);
+
+    /* all the objects are gone with the context, and created again. */
+    gl.canvas.addEventListener ('webglcontextlost', function ()
+    {
+        for (let live of Object.values (leakmon.gl_objects))
+            live.clear ();
+
+        leakmon.reset ();
+    }, false);
+
+    if (typeof window !== 'undefined' && window.location)
+    {
+        let params = new URLSearchParams (window.location.search);
+        if (params.has ('leakcheck'))
+        {
+            leakmon.prop.panel        = true;
+            leakmon.prop.fail_on_leak = true;
+        }
+    }
+}
+
+leakmon.reset = function ()
+{
+    leakmon.history  = [];
+    leakmon.interval = null;
+    leakmon.leaks    = [];
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  samples
+ * ---------------------------------------------------------------- */
+leakmon.get_counts = function ()
+{
+    let mem = tf.memory ();
+    let counts = {tensors: mem.numTensors, bytes: mem.numBytes};
+
+    for (let name of Object.keys (leakmon.gl_objects))
+        counts[name] = leakmon.gl_objects[name].size;
+
+    return counts;
+}
+
+/* take a sample now. for the runs without the render loop (e.g. the CLI) */
+leakmon.add_sample = function (counts)
+{
+    leakmon.history.push (Object.assign ({time: performance.now ()}, counts));
+    if (leakmon.history.length > leakmon.kHistoryNum)
+        leakmon.history.shift ();
+
+    leakmon.leaks = leakmon.find_leaks (leakmon.history, leakmon.prop.window);
+    if (leakmon.leaks.length > 0 && leakmon.prop.fail_on_leak && !leakmon.failed)
+    {
+        leakmon.failed = leakmon.get_report ();
+    }
+}
+
+leakmon.update = function ()
+{
+    if (!leakmon.prop.enable)
+        return;
+
+    let now    = performance.now ();
+    let counts = leakmon.get_counts ();
+
+    let cur = leakmon.interval;
+    if (!cur)
+    {
+        leakmon.interval = {start: now, counts: counts};
+        return;
+    }
+
+    for (let name of Object.keys (counts))
+        cur.counts[name] = Math.min (cur.counts[name], counts[name]);
+
+    if (now - cur.start >= leakmon.kIntervalMs)
+    {
+        leakmon.add_sample (cur.counts);
+        leakmon.interval = null;
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  leaks
+ *
+ *    a counter leaks if it never decreases over the last "window"
+ *    samples, and increases in at least half of them. (a pool which
+ *    grows and then settles is not a leak)
+ * ---------------------------------------------------------------- */
+leakmon.is_growing = function (values)
+{
+    if (values.length < 2)
+        return false;
+
+    let num_inc = 0;
+    for (let i = 1; i < values.length; i ++)
+    {
+        if (values[i] < values[i - 1])
+            return false;
+        if (values[i] > values[i - 1])
+            num_inc ++;
+    }
+
+    return num_inc * 2 >= values.length - 1;
+}
+
+leakmon.find_leaks = function (history, num)
+{
+    if (history.length < num)
+        return [];
+
+    let samples = history.slice (history.length - num);
+    let names   = Object.keys (samples[0]).filter ((name) => name != 'time');
+
+    return names.filter ((name) => leakmon.is_growing (samples.map ((s) => s[name])));
+}
+
+/* e.g. "tensors 120 --> 180, texture 12 --> 22 in 10 samples" */
+leakmon.get_report = function ()
+{
+    let num   = Math.min (leakmon.prop.window, leakmon.history.length);
+    let first = leakmon.history[leakmon.history.length - num];
+    let last  = leakmon.history[leakmon.history.length - 1];
+
+    let items = leakmon.leaks.map ((name) => name + " " + first[name] + " --> " + last[name]);
+    return items.join (", ") + " in " + num + " samples";
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  panel and dat.GUI
+ * ---------------------------------------------------------------- */
+leakmon.draw_graph = function (gl, x, y, w, h, values, col)
+{
+    let max_val = Math.max (...values, 1);
+    let bar_w   = w / leakmon.kHistoryNum;
+
+    for (let i = 0; i < values.length; i ++)
+    {
+        let bar_h = h * values[i] / max_val;
+        r2d.draw_2d_fillrect (gl, x + i * bar_w, y + h - bar_h, bar_w, bar_h, col);
+    }
+}
+
+leakmon.draw_panel = function (gl, win_w, win_h)
+{
+    if (!leakmon.prop.panel)
+        return;
+
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_bg    = [0.0, 0.0, 0.0, 0.5];
+    let col_leak  = [0.8, 0.0, 0.0, 0.8];
+    let col_graph = [0.0, 0.8, 1.0, 0.8];
+
+    let last = leakmon.history[leakmon.history.length - 1];
+    if (!last)
+        last = leakmon.get_counts ();
+
+    let lines = [];
+    lines.push ({name: "tensors", str: "tensors : " + last.tensors + " (" + (last.bytes / 1024 / 1024).toFixed(1) + " MB)"});
+    for (let name of Object.keys (leakmon.gl_objects))
+        lines.push ({name: name, str: ("gl " + name + "            ").slice (0, 16) + ": " + last[name]});
+
+    let w = 30 * DEBSTR_FONT_WIDTH;
+    let h = 40;
+    let x = win_w - w - 10;
+    let y = win_h - lines.length * DEBSTR_FONT_HEIGHT - h - 10;
+
+    r2d.draw_2d_fillrect (gl, x, y, w, h, col_bg);
+    leakmon.draw_graph (gl, x, y, w, h, leakmon.history.map ((s) => s.tensors), col_graph);
+
+    for (let i = 0; i < lines.length; i ++)
+    {
+        let name = lines[i].name;
+        let leak = leakmon.leaks.indexOf (name) >= 0 || (name == "tensors" && leakmon.leaks.indexOf ("bytes") >= 0);
+        let str  = lines[i].str + (leak ? "  LEAK" : "");
+        dbgstr.draw_dbgstr_ex (gl, str, x, y + h + i * DEBSTR_FONT_HEIGHT, 1.0, col_white, leak ? col_leak : col_bg);
+    }
+
+    /* the first leak of "leakcheck", above the panel */
+    if (leakmon.failed)
+    {
+        let str = "FAILED: " + leakmon.failed;
+        let fx  = win_w - str.length * DEBSTR_FONT_WIDTH - 10;
+        dbgstr.draw_dbgstr_ex (gl, str, fx, y - DEBSTR_FONT_HEIGHT, 1.0, col_white, col_leak);
+    }
+}
+
+leakmon.add_gui = function (gui)
+{
+    let folder = gui.addFolder ('leak monitor');
+
+    folder.add (leakmon.prop, 'enable').onChange (function ()
+    {
+        leakmon.reset ();
+    });
+    folder.add (leakmon.prop, 'panel');
+    folder.add (leakmon.prop, 'window', 3, leakmon.kHistoryNum).step (1).name ('window [sec]');
+    folder.add (leakmon.prop, 'fail_on_leak');
+
+    return folder;
+}
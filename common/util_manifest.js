@@ -0,0 +1,365 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Model manifest.
+ *
+ *  Each app describes its models in manifest.json, so that the models can
+ *  be replaced (quantized, retrained, ...) without editing the code.
+ *  The manifest can be given by the URL parameter (index.html?manifest=xxx.json).
+ *
+ *  {
+ *    "models": {
+ *      "<role>": {
+ *        "url"       : "./model/xxx/model.json",   (relative to the manifest)
+ *        "from_tfhub": false,
+ *        "input"     : {"name": "input", "layout": "NHWC",
+ *                       "norm": {"min": -1, "max": 1}},     [0, 255] --> [min, max]
+ *                    or "norm": {"mean": 127.5, "std": 127.5}  (x - mean) / std
+ *        "outputs"   : {"<key>": "Identity_1", ...},        tensor name or index
+ *        "max_batch" : 4,                                    (see predict_batch)
+ *        "ssd"       : {...}                                 (see below)
+ *      }
+ *    }
+ *  }
+ *
+ *  "ssd" is the config of ssd.create_detector() (util_ssd.js), where
+ *  box_layout is "xywh" or "yxhw", nms_mode is "none", "hard" or "weighted",
+ *  and score_tensors/box_tensors are the keys of "outputs".
+ *
+ *  Usage:
+ *      let mf  = await manifest.load_manifest (manifest.get_manifest_url ("./manifest.json"));
+ *      let det = await manifest.load_model (mf, "detect");
+ *      ...
+ *      let dims = manifest.get_input_dims (det);
+ *      let outs = manifest.predict (det, input_tensor);
+ *      let scores = await manifest.read_data (manifest.get_output (det, outs, "scores"));
+ *      ...
+ *      let rets = await manifest.predict_batch (lmk, roi_tensors, async function (outs, n) {
+ *          ... return [result of each ROI];
+ *      });
+ * ------------------------------------------------------------------------- */
+var manifest = {};
+
+
+manifest.get_manifest_url = function (default_url)
+{
+    if (typeof window !== 'undefined' && window.location)
+    {
+        let params = new URLSearchParams (window.location.search);
+        let url = params.get ('manifest');
+        if (url)
+            return url;
+    }
+
+    return default_url;
+}
+
+manifest.resolve_url = function (base_url, url)
+{
+    if (/^[a-z]+:/i.test (url) || url.charAt (0) == '/')
+        return url;
+
+    let dir = base_url.substring (0, base_url.lastIndexOf ('/') + 1);
+    return dir + url.replace (/^\.\//, '');
+}
+
+/* the error has "model" (role) and "url" to be reported (see util_status.js) */
+manifest.create_error = function (message, role, url)
+{
+    let e = new Error (message);
+    e.model = role;
+    e.url   = url;
+    return e;
+}
+
+manifest.load_manifest = async function (url)
+{
+    let res;
+    try {
+        res = await fetch (url);
+    }
+    catch (e) {
+        throw manifest.create_error ("failed to load " + url + ": " + e.message, undefined, url);
+    }
+    if (!res.ok)
+        throw manifest.create_error ("failed to load " + url + " (HTTP " + res.status + " " + res.statusText + ")", undefined, url);
+
+    let mf;
+    try {
+        mf = await res.json ();
+    }
+    catch (e) {
+        throw manifest.create_error ("failed to parse " + url + ": " + e.message, undefined, url);
+    }
+    mf.url = url;
+
+    return mf;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  tensors
+ * ---------------------------------------------------------------- */
+manifest.strip_name = function (name)
+{
+    return name.replace (/:0$/, '');
+}
+
+manifest.find_tensor_index = function (tensors, name)
+{
+    if (typeof name === 'number')
+        return (name < tensors.length) ? name : -1;
+
+    for (let i = 0; i < tensors.length; i ++)
+    {
+        if (manifest.strip_name (tensors[i].name) == manifest.strip_name (name))
+            return i;
+    }
+    return -1;
+}
+
+manifest.get_norm = function (input)
+{
+    let norm = input.norm;
+    if (!norm)
+        return {min: 0, max: 255};
+
+    if (norm.mean !== undefined)
+    {
+        let std = (norm.std !== undefined) ? norm.std : 1.0;
+        return {min: (0 - norm.mean) / std, max: (255 - norm.mean) / std};
+    }
+
+    return {min: norm.min, max: norm.max};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  load the model of the role.
+ *
+ *    return: {model, input, layout, norm, outputs, config}
+ *            outputs: index of each key in the result of predict().
+ * ---------------------------------------------------------------- */
+manifest.load_model = async function (mf, role)
+{
+    let config = mf.models[role];
+    if (!config)
+        throw manifest.create_error ("manifest: no model for \"" + role + "\"", role, mf.url);
+
+    let url;
+    let model;
+    try {
+        if (config.from_tfhub)
+        {
+            url   = config.url;
+            model = await tf.loadGraphModel (url, {fromTFHub: true});
+        }
+        else
+        {
+            url   = manifest.resolve_url (mf.url, config.url);
+            model = await tf.loadGraphModel (url);
+        }
+    }
+    catch (e) {
+        throw manifest.create_error (e.message, role, url);
+    }
+
+    let input_cfg = config.input ? config.input : {};
+    let input_idx = 0;
+    if (input_cfg.name !== undefined)
+        input_idx = manifest.find_tensor_index (model.inputs, input_cfg.name);
+    if (input_idx < 0)
+        throw manifest.create_error ("manifest: input \"" + input_cfg.name + "\" is not found", role, url);
+
+    let m = {};
+    m.model   = model;
+    m.config  = config;
+    m.input   = model.inputs[input_idx];
+    m.layout  = input_cfg.layout ? input_cfg.layout : 'NHWC';
+    m.norm    = manifest.get_norm (input_cfg);
+    m.outputs = {};
+
+    /* 0: no limit */
+    let batch = m.input.shape ? m.input.shape[0] : -1;
+    if (config.max_batch !== undefined)
+        m.max_batch = config.max_batch;
+    else
+        m.max_batch = (batch > 0) ? batch : 0;
+
+    let outputs = config.outputs ? config.outputs : {};
+    for (let key of Object.keys (outputs))
+    {
+        let idx = manifest.find_tensor_index (model.outputs, outputs[key]);
+        if (idx < 0)
+            throw manifest.create_error ("manifest: output \"" + outputs[key] + "\" is not found", role, url);
+
+        m.outputs[key] = idx;
+    }
+
+    return m;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  input dims for tffeed.generate_input_tensor()
+ * ---------------------------------------------------------------- */
+manifest.get_input_dims = function (m)
+{
+    let shape = m.input.shape;
+
+    if (m.layout == 'NCHW')
+        return {w: shape[3], h: shape[2], norm: m.norm};
+    else
+        return {w: shape[2], h: shape[1], norm: m.norm};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  run the model. the input tensor is NHWC.
+ * ---------------------------------------------------------------- */
+manifest.predict = function (m, input_tensor)
+{
+    let span = perftrace.begin ("predict", "tfjs");
+    let out_tensors;
+
+    if (m.layout != 'NCHW')
+    {
+        out_tensors = m.model.predict (input_tensor);
+    }
+    else
+    {
+        let input_nchw = input_tensor.transpose ([0, 3, 1, 2]);
+        out_tensors = m.model.predict (input_nchw);
+        input_nchw.dispose ();
+    }
+
+    perftrace.end (span);
+    return out_tensors;
+}
+
+/* tensor.data(), traced as "download" (see util_trace.js) */
+manifest.read_data = function (tensor)
+{
+    return perftrace.span ("download", "tfjs", () => tensor.data ());
+}
+
+/* ---------------------------------------------------------------- *
+ *  run the model for the inputs of several ROIs, as a batch.
+ *
+ *    input_tensors: [1, h, w, 3] each. the caller owns them.
+ *    decode_func  : async function (out_tensors, n) --> [result x n]
+ *                   decodes the outputs of the batch of n inputs.
+ *    return       : [result of each input]
+ *
+ *  the inputs are concatenated into [n, h, w, 3] up to "max_batch".
+ *  if the outputs are not of the batch (e.g. a reshape to the batch size 1
+ *  in the graph), it runs one by one from then on. if the model throws
+ *  (e.g. the context is lost), only this call runs one by one.
+ * ---------------------------------------------------------------- */
+manifest.is_batched = function (out_tensors, n)
+{
+    let tensors = Array.isArray (out_tensors) ? out_tensors : [out_tensors];
+
+    return tensors.every ((tensor) => tensor.shape[0] == n);
+}
+
+manifest.predict_batch = async function (m, input_tensors, decode_func)
+{
+    let results = [];
+    let pos = 0;
+    let max_batch = m.max_batch;
+
+    while (pos < input_tensors.length)
+    {
+        let n = input_tensors.length - pos;
+        if (max_batch > 0)
+            n = Math.min (n, max_batch);
+
+        let input = (n == 1) ? input_tensors[pos] : tf.concat (input_tensors.slice (pos, pos + n), 0);
+        let out_tensors = null;
+        try {
+            out_tensors = manifest.predict (m, input);
+            if (n > 1 && !manifest.is_batched (out_tensors, n))
+            {
+                manifest.dispose_outputs (out_tensors);
+                out_tensors = null;
+                m.max_batch = 1;
+            }
+        }
+        catch (e) {
+            if (n == 1)
+                throw e;
+        }
+
+        if (!out_tensors)
+            max_batch = 1;
+
+        if (n > 1)
+            input.dispose ();
+
+        if (!out_tensors)
+            continue;
+
+        let rets;
+        try {
+            rets = await decode_func (out_tensors, n);
+        }
+        finally {
+            manifest.dispose_outputs (out_tensors);
+        }
+
+        results = results.concat (rets);
+        pos += n;
+    }
+
+    return results;
+}
+
+manifest.get_output = function (m, out_tensors, key)
+{
+    if (!Array.isArray (out_tensors))
+        return out_tensors;
+
+    return out_tensors[m.outputs[key]];
+}
+
+manifest.dispose_outputs = function (out_tensors)
+{
+    if (!Array.isArray (out_tensors))
+    {
+        out_tensors.dispose ();
+        return;
+    }
+
+    for (let i = 0; i < out_tensors.length; i ++)
+        out_tensors[i].dispose ();
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  config of ssd.create_detector()
+ * ---------------------------------------------------------------- */
+manifest.get_ssd_config = function (m)
+{
+    let cfg = m.config.ssd;
+    if (!cfg)
+        throw new Error ("manifest: no ssd config");
+
+    const box_layouts = {xywh: ssd.BOX_XYWH, yxhw: ssd.BOX_YXHW};
+    const nms_modes   = {none: ssd.NMS_NONE, hard: ssd.NMS_HARD, weighted: ssd.NMS_WEIGHTED};
+
+    return {
+        anchor       : cfg.anchor,
+        num_keys     : cfg.num_keys,
+        box_layout   : box_layouts[cfg.box_layout ? cfg.box_layout : 'xywh'],
+        score_sigmoid: cfg.score_sigmoid,
+        score_tensors: cfg.score_tensors.map ((key) => m.outputs[key]),
+        box_tensors  : cfg.box_tensors.map ((key) => m.outputs[key]),
+        nms_mode     : nms_modes[cfg.nms_mode ? cfg.nms_mode : 'hard'],
+        score_thresh : cfg.score_thresh,
+        iou_thresh   : cfg.iou_thresh,
+    };
+}
@@ -60,7 +60,7 @@ pmeter.fs_pmeter = `
 `;
 
 
-pmeter.init_pmeter = function (gl, win_w, win_h, data_num)
+pmeter.create_gl_objects = function (gl)
 {
     pmeter.sobj = GLUtil.generate_shader (gl, pmeter.vs_pmeter, pmeter.fs_pmeter);
     pmeter.locVtx    = gl.getAttribLocation  (pmeter.sobj.program, "a_Vertex" );
@@ -69,6 +69,13 @@ pmeter.init_pmeter = function (gl, win_w, win_h, data_num)
     pmeter.locPrjAdd = gl.getUniformLocation (pmeter.sobj.program, "u_PrjAdd" );
     pmeter.locCol    = gl.getUniformLocation (pmeter.sobj.program, "u_Color"  );
 
+    pmeter.vbo_vtx = gl.createBuffer();
+}
+
+pmeter.init_pmeter = function (gl, win_w, win_h, data_num)
+{
+    pmeter.create_gl_objects (gl);
+
     pmeter.vertex       =  new Array(PMETER_DPY_NUM);
     pmeter.laptime      =  new Array(PMETER_DPY_NUM);
     pmeter.cursor       = (new Array(PMETER_DPY_NUM)).fill(0);
@@ -93,7 +100,7 @@ pmeter.init_pmeter = function (gl, win_w, win_h, data_num)
     pmeter.wndH = win_h;
     pmeter.data_num = data_num;
 
-    pmeter.vbo_vtx = gl.createBuffer();
+    glres.register ("pmeter", pmeter.create_gl_objects);
 }
 
 pmeter.resize = function (gl, win_w, win_h, data_num)
@@ -0,0 +1,243 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Classify the poses by k-NN over the examples captured in the browser.
+ *
+ *  The app turns the landmarks into an embedding (a vector which does not
+ *  change by the position, the size and the rotation of the subject, e.g.
+ *  the distances between the joints, see compute_pose_embedding() of
+ *  Blazepose), and gives it to posecls.capture() and posecls.classify().
+ *
+ *  "capture" in the GUI records "capture_frames" embeddings of the first
+ *  subject as the examples of "label", after "delay" seconds to take the
+ *  pose. The examples are downloaded and loaded as JSON:
+ *      {"samples": [{"label": "T-pose", "embedding": [...]}, ...]}
+ *
+ *  Usage:
+ *      const pcls = posecls.create_classifier ();
+ *      posecls.add_gui (gui, pcls);
+ *      ...
+ *      posecls.capture (pcls, embedding);          // of the first subject
+ *      let ret = posecls.classify (pcls, embedding);
+ *      // ret: {label, confidence} or null
+ *      ...
+ *      posecls.draw_status (gl, pcls, x, y);
+ * ------------------------------------------------------------------------- */
+var posecls = {};
+
+
+posecls.create_classifier = function ()
+{
+    let pcls = {};
+
+    pcls.samples       = [];    /* {label, embedding} */
+    pcls.capture_num   = 0;     /* frames to capture */
+    pcls.capture_start = 0;     /* performance.now() to start the capture */
+    pcls.prop = {
+        enable        : true,
+        k             : 5,
+        label         : 'T-pose',
+        capture_frames: 10,
+        delay         : 3,      /* [sec] */
+        capture       : function () { posecls.start_capture (pcls); },
+        download      : function () { posecls.download (pcls); },
+        load          : function () { posecls.open_file_dialog (pcls); },
+        clear         : function () { posecls.clear (pcls); },
+    };
+
+    return pcls;
+}
+
+posecls.clear = function (pcls)
+{
+    pcls.samples     = [];
+    pcls.capture_num = 0;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  capture the examples
+ * ---------------------------------------------------------------- */
+posecls.start_capture = function (pcls)
+{
+    pcls.capture_num   = pcls.prop.capture_frames;
+    pcls.capture_start = performance.now () + pcls.prop.delay * 1000;
+}
+
+posecls.is_capturing = function (pcls)
+{
+    return pcls.capture_num > 0;
+}
+
+posecls.capture = function (pcls, embedding)
+{
+    if (!posecls.is_capturing (pcls) || performance.now () < pcls.capture_start)
+        return;
+
+    pcls.samples.push ({label: pcls.prop.label, embedding: Array.from (embedding)});
+    pcls.capture_num --;
+}
+
+/* label --> number of the examples */
+posecls.get_labels = function (pcls)
+{
+    let labels = {};
+    for (let sample of pcls.samples)
+        labels[sample.label] = (labels[sample.label] || 0) + 1;
+
+    return labels;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  k-NN
+ *
+ *    return: {label, confidence} the label of the most of the k nearest
+ *            examples, and the ratio of them. null if no example.
+ *            the examples of another length (e.g. captured in another
+ *            mode of the model) are skipped.
+ * ---------------------------------------------------------------- */
+posecls.distance = function (a, b)
+{
+    let sum = 0;
+    for (let i = 0; i < a.length; i ++)
+        sum += (a[i] - b[i]) * (a[i] - b[i]);
+
+    return Math.sqrt (sum);
+}
+
+posecls.classify = function (pcls, embedding)
+{
+    if (!pcls.prop.enable)
+        return null;
+
+    let neighbors = [];
+    for (let sample of pcls.samples)
+    {
+        if (sample.embedding.length != embedding.length)
+            continue;
+
+        neighbors.push ({label: sample.label, dist: posecls.distance (sample.embedding, embedding)});
+    }
+
+    if (neighbors.length == 0)
+        return null;
+
+    neighbors.sort ((a, b) => a.dist - b.dist);
+    neighbors = neighbors.slice (0, Math.max (1, Math.round (pcls.prop.k)));
+
+    let votes = new Map ();
+    for (let n of neighbors)
+        votes.set (n.label, (votes.has (n.label) ? votes.get (n.label) : 0) + 1);
+
+    let ret = null;
+    for (let [label, num] of votes)
+    {
+        if (!ret || num > ret.num)
+            ret = {label: label, num: num};
+    }
+
+    return {label: ret.label, confidence: ret.num / neighbors.length};
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  save and load
+ * ---------------------------------------------------------------- */
+posecls.to_json = function (pcls)
+{
+    return JSON.stringify ({samples: pcls.samples});
+}
+
+/* the loaded examples are added to the current ones */
+posecls.from_json = function (pcls, text)
+{
+    let json = JSON.parse (text);
+    if (!json || !Array.isArray (json.samples))
+        throw new Error ("posecls: no \"samples\" in the JSON");
+
+    for (let sample of json.samples)
+    {
+        if (typeof sample.label !== 'string' || !Array.isArray (sample.embedding))
+            throw new Error ("posecls: broken sample (label and embedding are needed)");
+    }
+
+    pcls.samples = pcls.samples.concat (json.samples);
+}
+
+posecls.download = function (pcls)
+{
+    let blob = new Blob ([posecls.to_json (pcls)], {type: 'application/json'});
+    let url  = URL.createObjectURL (blob);
+    let elem = document.createElement ('a');
+    elem.href     = url;
+    elem.download = 'pose_samples.json';
+    elem.click ();
+
+    setTimeout (function () { URL.revokeObjectURL (url); }, 1000);
+}
+
+posecls.open_file_dialog = function (pcls)
+{
+    let elem = document.createElement ('input');
+    elem.type   = 'file';
+    elem.accept = 'application/json,.json';
+    elem.onchange = async function ()
+    {
+        if (elem.files.length == 0)
+            return;
+
+        try {
+            posecls.from_json (pcls, await elem.files[0].text ());
+        }
+        catch (e) {
+            alert ("failed to load " + elem.files[0].name + ": " + e.message);
+        }
+    }
+    elem.click ();
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  status and dat.GUI
+ * ---------------------------------------------------------------- */
+posecls.draw_status = function (gl, pcls, x, y)
+{
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_red   = [1.0, 0.0, 0.0, 1.0];
+
+    let labels = posecls.get_labels (pcls);
+    let str = "poses   : " + Object.keys (labels).map ((label) => label + "(" + labels[label] + ")").join (" ");
+    dbgstr.draw_dbgstr (gl, str, x, y);
+
+    if (posecls.is_capturing (pcls))
+    {
+        let wait = (pcls.capture_start - performance.now ()) / 1000;
+        if (wait > 0)
+            str = "capture \"" + pcls.prop.label + "\" in " + Math.ceil (wait) + " sec";
+        else
+            str = "capturing \"" + pcls.prop.label + "\" (" + pcls.capture_num + " frames left)";
+
+        dbgstr.draw_dbgstr_ex (gl, str, x, y + 22, 1.0, col_white, col_red);
+    }
+}
+
+posecls.add_gui = function (gui, pcls)
+{
+    let folder = gui.addFolder ('pose classifier');
+
+    folder.add (pcls.prop, 'enable');
+    folder.add (pcls.prop, 'k', 1, 20).step (1);
+    folder.add (pcls.prop, 'label');
+    folder.add (pcls.prop, 'capture_frames', 1, 100).step (1);
+    folder.add (pcls.prop, 'delay', 0, 10).step (1).name ('delay [sec]');
+    folder.add (pcls.prop, 'capture');
+    folder.add (pcls.prop, 'download');
+    folder.add (pcls.prop, 'load');
+    folder.add (pcls.prop, 'clear');
+
+    return folder;
+}
@@ -0,0 +1,265 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Record per-frame results and download them as JSON lines or CSV.
+ *
+ *  JSON lines: the first line is a header {app, coordinate, ...},
+ *              then one line per frame
+ *              {frame, timestamp, source, src_w, src_h, view, results}.
+ *
+ *  CSV       : "#" comment lines for the header, then one row per value
+ *              (frame, timestamp, source, src_w, src_h, key, value),
+ *              where key is the path in the results (e.g. "poses.0.joint.3.x").
+ *
+ *  view is the area {x, y, w, h} of the source frame in the window,
+ *  normalized, when the app letterboxes the source into the window.
+ *
+ *  Usage:
+ *      const rec = recorder.create_recorder ("blazepose", "coordinate convention");
+ *      recorder.add_gui (gui, rec);
+ *      ...
+ *      recorder.record_frame (rec, frame, results, view);
+ * ------------------------------------------------------------------------- */
+var recorder = {};
+
+recorder.FORMAT_JSONL = 'jsonl';
+recorder.FORMAT_CSV   = 'csv';
+
+
+recorder.create_recorder = function (app_name, coordinate)
+{
+    let rec = {};
+
+    rec.app        = app_name;
+    rec.coordinate = coordinate;
+    rec.records    = [];
+    rec.frame_no   = 0;
+    rec.start_time = new Date();
+
+    rec.prop = {
+        record  : false,
+        format  : recorder.FORMAT_JSONL,
+        frames  : 0,
+        download: function () { recorder.download (rec); },
+        clear   : function () { recorder.clear (rec); },
+    };
+
+    return rec;
+}
+
+recorder.clear = function (rec)
+{
+    rec.records    = [];
+    rec.frame_no   = 0;
+    rec.prop.frames = 0;
+    rec.start_time = new Date();
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  area of the source frame letterboxed in the window.
+ *  (same as generate_squared_src_image() of the apps)
+ * ---------------------------------------------------------------- */
+recorder.calc_letterbox = function (src_w, src_h, win_w, win_h)
+{
+    let win_aspect = win_w / win_h;
+    let tex_aspect = src_w / src_h;
+    let scaled_w, scaled_h;
+
+    if (win_aspect > tex_aspect)
+    {
+        scaled_w = win_h * tex_aspect;
+        scaled_h = win_h;
+    }
+    else
+    {
+        scaled_w = win_w;
+        scaled_h = win_w / tex_aspect;
+    }
+
+    return {
+        x: (win_w - scaled_w) * 0.5 / win_w,
+        y: (win_h - scaled_h) * 0.5 / win_h,
+        w: scaled_w / win_w,
+        h: scaled_h / win_h,
+    };
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  results may contain arrays with named properties
+ *  (e.g. landmark_result.joint), which JSON.stringify() drops.
+ *  they are converted to objects, and typed arrays to arrays.
+ * ---------------------------------------------------------------- */
+recorder.to_plain = function (val)
+{
+    if (val === null || typeof val !== 'object')
+        return val;
+
+    if (ArrayBuffer.isView (val))
+        return Array.from (val);
+
+    let keys = Object.keys (val);
+    if (Array.isArray (val) && keys.every ((k) => /^\d+$/.test (k)))
+        return val.map ((v) => recorder.to_plain (v));
+
+    let obj = {};
+    for (let k of keys)
+    {
+        if (typeof val[k] !== 'function')
+            obj[k] = recorder.to_plain (val[k]);
+    }
+    return obj;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  record one frame.
+ *    frame  : current frame of util_input_source.js {timestamp, source, width, height}
+ *    results: anything JSON serializable
+ * ---------------------------------------------------------------- */
+recorder.record_frame = function (rec, frame, results, view)
+{
+    if (!rec.prop.record)
+        return;
+
+    let record = {
+        frame    : rec.frame_no,
+        timestamp: frame.timestamp,
+        source   : frame.source,
+        src_w    : frame.width,
+        src_h    : frame.height,
+    };
+    if (view)
+        record.view = view;
+    record.results = recorder.to_plain (results);
+
+    rec.records.push (record);
+    rec.frame_no ++;
+    rec.prop.frames = rec.records.length;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  serialize
+ * ---------------------------------------------------------------- */
+recorder.get_header = function (rec)
+{
+    return {
+        app       : rec.app,
+        coordinate: rec.coordinate,
+        timestamp : "ms. media time for video and image sequence, performance.now() otherwise",
+        created   : rec.start_time.toISOString (),
+        frames    : rec.records.length,
+    };
+}
+
+recorder.to_jsonl = function (rec)
+{
+    let lines = [JSON.stringify (recorder.get_header (rec))];
+
+    for (let record of rec.records)
+        lines.push (JSON.stringify (record));
+
+    return lines.join ('\n') + '\n';
+}
+
+recorder.flatten = function (rows, prefix, val)
+{
+    if (val !== null && typeof val === 'object')
+    {
+        for (let k of Object.keys (val))
+            recorder.flatten (rows, prefix.length > 0 ? prefix + '.' + k : k, val[k]);
+    }
+    else
+    {
+        rows.push ([prefix, val]);
+    }
+}
+
+recorder.csv_escape = function (val)
+{
+    let str = (val === undefined || val === null) ? '' : String (val);
+    if (/[",\n]/.test (str))
+        str = '"' + str.replace (/"/g, '""') + '"';
+
+    return str;
+}
+
+recorder.to_csv = function (rec)
+{
+    let header = recorder.get_header (rec);
+    let lines  = [];
+
+    for (let k of Object.keys (header))
+        lines.push ('# ' + k + ': ' + header[k]);
+
+    lines.push ('frame,timestamp,source,src_w,src_h,key,value');
+
+    for (let record of rec.records)
+    {
+        let rows = [];
+        if (record.view)
+            recorder.flatten (rows, 'view', record.view);
+        recorder.flatten (rows, '', record.results);
+
+        let cols = [record.frame, record.timestamp, record.source, record.src_w, record.src_h];
+        cols = cols.map (recorder.csv_escape).join (',');
+
+        for (let row of rows)
+            lines.push (cols + ',' + recorder.csv_escape (row[0]) + ',' + recorder.csv_escape (row[1]));
+    }
+
+    return lines.join ('\n') + '\n';
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  download
+ * ---------------------------------------------------------------- */
+recorder.download = function (rec)
+{
+    let format = rec.prop.format;
+    let text, mime;
+
+    if (format == recorder.FORMAT_CSV)
+    {
+        text = recorder.to_csv (rec);
+        mime = 'text/csv';
+    }
+    else
+    {
+        text = recorder.to_jsonl (rec);
+        mime = 'application/x-ndjson';
+    }
+
+    let date = rec.start_time.toISOString ().replace (/[-:]/g, '').replace (/\..*/, '');
+    let blob = new Blob ([text], {type: mime});
+    let url  = URL.createObjectURL (blob);
+    let elem = document.createElement ('a');
+    elem.href     = url;
+    elem.download = rec.app + '_' + date + '.' + format;
+    elem.click ();
+
+    setTimeout (function () { URL.revokeObjectURL (url); }, 1000);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+recorder.add_gui = function (gui, rec)
+{
+    let folder = gui.addFolder ('recorder');
+
+    folder.add (rec.prop, 'record');
+    folder.add (rec.prop, 'format', [recorder.FORMAT_JSONL, recorder.FORMAT_CSV]);
+    folder.add (rec.prop, 'frames').listen ();
+    folder.add (rec.prop, 'download');
+    folder.add (rec.prop, 'clear');
+
+    return folder;
+}
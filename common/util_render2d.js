@@ -109,7 +109,7 @@ r2d.set_projection_matrix = function (w, h)
     s_matprj[5] = -2.0 / h;
 }
 
-r2d.init_2d_render = function (gl, w, h)
+r2d.create_gl_objects = function (gl)
 {
     r2d.sobj      = new Array(SHADER_NUM);
     r2d.loc_mtx   = new Array(SHADER_NUM);
@@ -122,12 +122,19 @@ r2d.init_2d_render = function (gl, w, h)
         r2d.loc_color[i] = gl.getUniformLocation (sobj.program, "u_Color");
         r2d.sobj[i] = sobj;
     }
-    r2d.set_projection_matrix (w, h);
 
     r2d.vbo_vtx =  gl.createBuffer();
     r2d.vbo_uv  =  gl.createBuffer();
 }
 
+r2d.init_2d_render = function (gl, w, h)
+{
+    r2d.create_gl_objects (gl);
+    r2d.set_projection_matrix (w, h);
+
+    glres.register ("r2d", r2d.create_gl_objects);
+}
+
 r2d.resize_viewport = function (gl, w, h)
 {
     r2d.set_projection_matrix (w, h);
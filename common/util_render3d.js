@@ -2,6 +2,24 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Lit 3D primitives of the skeleton views (Handpose, Blazepose and
+ *  3D Pose estimation): bones, joints, the floor and lines, and the
+ *  skinned mesh of the glTF avatar (see util_avatar.js).
+ *  The floor texture is "./floortile.png" of the app.
+ *
+ *  Usage:
+ *      init_3d_render (gl, win_w, win_h);
+ *      glres.register ("render", function (gl) { init_3d_render (gl, win_w, win_h); });
+ *      ...
+ *      draw_floor  (gl, mtxGlobal, div_u, div_v);
+ *      draw_bone   (gl, mtxGlobal, pos0, pos1, radius, color, is_shadow);
+ *      draw_sphere (gl, mtxGlobal, pos, radius, color, is_shadow);
+ *      render_3d_bone (gl, mtxGlobal, pose, idx0, idx1, color, radius, is_shadow);
+ *      shadow_matrix  (mtxShadow, light_dir, ground_pos, ground_nrm);
+ *      draw_skinned_mesh (gl, mtxGlobal, model, mtxModel, globals, skins, color, is_shadow);
+ * ------------------------------------------------------------------------- */
 var render = {}
 
 render.s_vtx = [
@@ -129,7 +147,7 @@ render.strFS = `
 
 
 
-function init_handpose_render (gl, w, h)
+function init_3d_render (gl, w, h)
 {
     render.sobj = GLUtil.generate_shader (gl, render.strVS, render.strFS);
     render.loc_mtx_mv  = gl.getUniformLocation (render.sobj.program, "u_MVMatrix" );
@@ -155,9 +173,13 @@ function init_handpose_render (gl, w, h)
 
     render.shape_cylinder = shapes.shape_create (gl, shapes.SHAPE_CYLINDER, 30, 30);
     render.shape_sphere       = shapes.shape_create (gl, shapes.SHAPE_SPHERE,   30, 30);
+
+    /* the shader of the skinned mesh is built at the first draw_skinned_mesh() */
+    render.skin_sobj      = null;
+    render.skin_joint_num = 0;
 }
 
-function resize_handpose_render (gl, w, h)
+function resize_3d_render (gl, w, h)
 {
     matrix_proj_perspective (render.matPrj, 72.0, w / h, 1, 10000);
 }
@@ -473,3 +495,237 @@ function draw_line (gl, mtxGlobal, p0, p1, color)
 
     gl.disable (gl.BLEND);
 }
+
+
+/* ---------------------------------------------------------------- *
+ *  skeleton
+ * ---------------------------------------------------------------- */
+
+/*
+ *  the bone between pose[idx0] and pose[idx1]: [x, y, z] or [x, y, z, alpha].
+ *  the alpha (the smaller of the two) scales that of the color, and the
+ *  bone is not drawn if it is 0.
+ */
+function
+render_3d_bone (gl, mtxGlobal, pose, idx0, idx1, color, rad, is_shadow)
+{
+    const pos0 = pose[idx0];
+    const pos1 = pose[idx1];
+
+    let alpha = Math.min ((pos0.length > 3) ? pos0[3] : 1.0, (pos1.length > 3) ? pos1[3] : 1.0);
+    if (alpha <= 0.0)
+        return;
+
+    let col = [color[0], color[1], color[2], color[3] * alpha];
+    draw_bone (gl, mtxGlobal, pos0, pos1, rad, col, is_shadow);
+}
+
+/* the projection to the ground (ground_pos is at the origin) along light_dir */
+function
+shadow_matrix (m, light_dir, ground_pos, ground_nrm)
+{
+    vec3_normalize (light_dir);
+    vec3_normalize (ground_nrm);
+
+    let a = ground_nrm[0];
+    let b = ground_nrm[1];
+    let c = ground_nrm[2];
+    let d = 0;
+    let ex = light_dir[0];
+    let ey = light_dir[1];
+    let ez = light_dir[2];
+
+    m[ 0] =  b * ey + c * ez;
+    m[ 1] = -a * ey;
+    m[ 2] = -a * ez;
+    m[ 3] = 0;
+
+    m[ 4] = -b * ex;
+    m[ 5] =  a * ex + c * ez;
+    m[ 6] = -b * ez;
+    m[ 7] = 0;
+
+    m[ 8] = -c * ex;
+    m[ 9] = -c * ey;
+    m[10] =  a * ex + b * ey;
+    m[11] = 0;
+
+    m[12] = -d * ex;
+    m[13] = -d * ey;
+    m[14] = -d * ez;
+    m[15] =  a * ex + b * ey + c * ez;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  skinned mesh of the glTF avatar (see util_gltf.js, util_avatar.js)
+ *    the shader is built for the number of the joints of the model.
+ * ---------------------------------------------------------------- */
+render.strSkinVS = `
+    attribute vec4  a_Vertex;
+    attribute vec3  a_Normal;
+    attribute vec2  a_TexCoord;
+    attribute vec4  a_Joints;
+    attribute vec4  a_Weights;
+    uniform   mat4  u_JointMat[MAX_JOINTS];
+    uniform   mat4  u_PMVMatrix;
+    uniform   mat4  u_MVMatrix;
+    uniform   mat3  u_ModelViewIT;
+    varying   vec3  v_diffuse;
+    varying   vec2  v_texcoord;
+    uniform   vec3  u_LightPos;
+    const     vec3  LightCol = vec3(1.0, 1.0, 1.0);
+
+    void main(void)
+    {
+        mat4 skin = a_Weights.x * u_JointMat[int(a_Joints.x + 0.5)]
+                  + a_Weights.y * u_JointMat[int(a_Joints.y + 0.5)]
+                  + a_Weights.z * u_JointMat[int(a_Joints.z + 0.5)]
+                  + a_Weights.w * u_JointMat[int(a_Joints.w + 0.5)];
+
+        vec4 pos    = skin * a_Vertex;
+        vec3 normal = normalize(u_ModelViewIT * (skin * vec4(a_Normal, 0.0)).xyz);
+
+        gl_Position = u_PMVMatrix * pos;
+
+        float dVP  = max(dot(normal, normalize(u_LightPos)), 0.0);
+        v_diffuse  = clamp(vec3(0.5) + dVP * LightCol, 0.0, 1.0);
+        v_texcoord = a_TexCoord;
+    }
+`;
+
+render.strSkinFS = `
+    precision mediump float;
+
+    uniform vec3    u_color;
+    uniform float   u_alpha;
+    varying vec3    v_diffuse;
+    varying vec2    v_texcoord;
+    uniform sampler2D u_sampler;
+
+    void main(void)
+    {
+        vec4 texcol = texture2D(u_sampler, v_texcoord);
+        gl_FragColor = vec4(texcol.rgb * u_color * v_diffuse, texcol.a * u_alpha);
+    }
+`;
+
+render.get_skin_shader = function (gl, joint_num)
+{
+    if (render.skin_sobj && render.skin_joint_num >= joint_num)
+        return render.skin_sobj;
+
+    if (render.skin_sobj)
+        gl.deleteProgram (render.skin_sobj.program);
+
+    let sobj = GLUtil.generate_shader (gl, "#define MAX_JOINTS " + joint_num + "\n" + render.strSkinVS, render.strSkinFS);
+    sobj.loc_jnt      = gl.getAttribLocation  (sobj.program, "a_Joints" );
+    sobj.loc_wgt      = gl.getAttribLocation  (sobj.program, "a_Weights");
+    sobj.loc_joint    = gl.getUniformLocation (sobj.program, "u_JointMat");
+    sobj.loc_mtx_mv   = gl.getUniformLocation (sobj.program, "u_MVMatrix" );
+    sobj.loc_mtx_pmv  = gl.getUniformLocation (sobj.program, "u_PMVMatrix" );
+    sobj.loc_mtx_nrm  = gl.getUniformLocation (sobj.program, "u_ModelViewIT" );
+    sobj.loc_color    = gl.getUniformLocation (sobj.program, "u_color" );
+    sobj.loc_alpha    = gl.getUniformLocation (sobj.program, "u_alpha" );
+    sobj.loc_lightpos = gl.getUniformLocation (sobj.program, "u_LightPos" );
+
+    render.skin_sobj      = sobj;
+    render.skin_joint_num = joint_num;
+    return sobj;
+}
+
+/* the attribute from the vbo, or the constant value if no vbo */
+render.bind_attrib = function (gl, loc, vbo, size, value)
+{
+    if (loc < 0)
+        return;
+
+    if (vbo)
+    {
+        gl.enableVertexAttribArray (loc);
+        gl.bindBuffer (gl.ARRAY_BUFFER, vbo);
+        gl.vertexAttribPointer (loc, size, gl.FLOAT, false, 0, 0);
+    }
+    else
+    {
+        gl.disableVertexAttribArray (loc);
+        gl.vertexAttrib4fv (loc, value);
+    }
+}
+
+/*
+ *  mtxModel: placement of the model in the scene.
+ *  globals : global matrices of the nodes, for the meshes without skin.
+ *  skins   : joint matrices of each skin (gltf.compute_skin_matrices()).
+ */
+function draw_skinned_mesh (gl, mtxGlobal, model, mtxModel, globals, skins, color, is_shadow)
+{
+    let matMV     = new Array(16);
+    let matPMV    = new Array(16);
+    let matMVI3x3 = new Array( 9);
+
+    let sobj = render.get_skin_shader (gl, gltf.get_max_joints (model));
+
+    if (!is_shadow)
+        gl.enable (gl.DEPTH_TEST);
+
+    /* the avatars are often not closed */
+    gl.disable (gl.CULL_FACE);
+
+    gl.useProgram (sobj.program);
+
+    render.compute_invmat3x3 (matMVI3x3, mtxModel);
+
+    matrix_mult (matMV, mtxGlobal, mtxModel);
+    matrix_mult (matPMV, render.matPrj, matMV);
+
+    gl.uniformMatrix4fv (sobj.loc_mtx_mv,  false, matMV );
+    gl.uniformMatrix4fv (sobj.loc_mtx_pmv, false, matPMV);
+    gl.uniformMatrix3fv (sobj.loc_mtx_nrm, false, matMVI3x3);
+    gl.uniform3f (sobj.loc_lightpos, 1.0, 1.0, 1.0);
+
+    if (color[3] < 1.0)
+        gl.enable (gl.BLEND);
+
+    for (let id of model.draw_nodes)
+    {
+        let node = model.nodes[id];
+
+        /* a mesh without skin is moved by the joint 0 */
+        let skinned = (node.skin !== undefined);
+        let joints  = skinned ? skins[node.skin] : new Float32Array (globals[id]);
+        gl.uniformMatrix4fv (sobj.loc_joint, false, joints);
+
+        for (let prim of model.meshes[node.mesh].primitives)
+        {
+            let mat = (prim.material !== undefined) ? model.materials[prim.material] : null;
+            let col = mat ? mat.color : [1.0, 1.0, 1.0, 1.0];
+            let tex = (mat && mat.texture && GLUtil.is_image_texture_ready (mat.texture) && !is_shadow) ?
+                        mat.texture.texid : render.texid_dummy;
+
+            gl.uniform3f (sobj.loc_color, color[0] * col[0], color[1] * col[1], color[2] * col[2]);
+            gl.uniform1f (sobj.loc_alpha, color[3] * col[3]);
+            gl.bindTexture (gl.TEXTURE_2D, tex);
+
+            let use_skin = skinned && prim.vbo_jnt && prim.vbo_wgt;
+            render.bind_attrib (gl, sobj.loc_vtx, prim.vbo_vtx, 3, [0.0, 0.0, 0.0, 1.0]);
+            render.bind_attrib (gl, sobj.loc_nrm, prim.vbo_nrm, 3, [0.0, 0.0, 1.0, 1.0]);
+            render.bind_attrib (gl, sobj.loc_uv,  prim.vbo_uv,  2, [0.0, 0.0, 0.0, 1.0]);
+            render.bind_attrib (gl, sobj.loc_jnt, use_skin ? prim.vbo_jnt : null, 4, [0.0, 0.0, 0.0, 0.0]);
+            render.bind_attrib (gl, sobj.loc_wgt, use_skin ? prim.vbo_wgt : null, 4, [1.0, 0.0, 0.0, 0.0]);
+
+            gl.bindBuffer (gl.ELEMENT_ARRAY_BUFFER, prim.vbo_idx);
+            gl.drawElements (gl.TRIANGLES, prim.idx_num, prim.idx_type, 0);
+        }
+    }
+
+    /* the other shaders have no joints */
+    for (let loc of [sobj.loc_jnt, sobj.loc_wgt])
+    {
+        if (loc >= 0)
+            gl.disableVertexAttribArray (loc);
+    }
+
+    gl.disable (gl.BLEND);
+    gl.disable (gl.DEPTH_TEST);
+}
@@ -4,32 +4,39 @@
  * ------------------------------------------------ */
 
 
-GLUtil.create_render_target = function (gl, w, h, flag)
+GLUtil.alloc_render_target = function (gl, rtarget)
 {
-    let tex_id = 0;
-    let fbo_id = 0;
+    let w = rtarget.width;
+    let h = rtarget.height;
 
-    if (flag)
-    {
-        tex_id = gl.createTexture ();
-        gl.bindTexture (gl.TEXTURE_2D, tex_id);
-        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.bindTexture (gl.TEXTURE_2D, null);
+    let tex_id = gl.createTexture ();
+    gl.bindTexture (gl.TEXTURE_2D, tex_id);
+    gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture (gl.TEXTURE_2D, null);
 
-        fbo_id = gl.createFramebuffer();
-    }
+    rtarget.texid = tex_id;
+    rtarget.fboid = gl.createFramebuffer();
+}
 
+GLUtil.create_render_target = function (gl, w, h, flag)
+{
     let rtarget = {};
     rtarget.valid  = flag;
-    rtarget.texid  = tex_id;
-    rtarget.fboid  = fbo_id;
+    rtarget.texid  = 0;
+    rtarget.fboid  = 0;
     rtarget.width  = w;
     rtarget.height = h;
 
+    if (flag)
+    {
+        GLUtil.alloc_render_target (gl, rtarget);
+        glres.register (rtarget, function (gl) { GLUtil.alloc_render_target (gl, rtarget); });
+    }
+
     return rtarget;
 }
 
@@ -44,6 +51,7 @@ GLUtil.destroy_render_target = function (gl, rtarget)
 
     gl.deleteTexture (texid);
     gl.deleteFramebuffer (fboid);
+    glres.unregister (rtarget);
 
     rtarget.texid = 0;
     rtarget.fboid = 0;
@@ -0,0 +1,138 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Track the ROIs by the landmarks, and skip the detector.
+ *
+ *  As MediaPipe does, the ROI of the next frame is computed from the
+ *  landmarks of the current frame, and the detector runs again only when
+ *  a subject is lost (the presence score of the landmark model is below
+ *  "presence_thresh"), or every "redetect_interval" to find new subjects.
+ *
+ *  Usage:
+ *      const rtrk = roitrack.create_roi_tracker (0.5);
+ *      roitrack.add_gui (gui, rtrk);
+ *      ...
+ *      let regions = roitrack.get_tracked_regions (rtrk);
+ *      if (!regions)
+ *          regions = await invoke_xxx_detect (...);
+ *      ... (landmarks of the regions) ...
+ *      roitrack.update (rtrk, next_regions);   // ROIs computed from the landmarks
+ *
+ *  A region is of util_ssd.js with the ROI (roi_center, roi_size, rotation,
+ *  roi_coord), and its "score" is the presence score of the landmarks.
+ *  For the models which give no landmarks, the ROI is computed from the keys
+ *  of the last detection, and "redetect_interval" is set to follow the motion.
+ * ------------------------------------------------------------------------- */
+var roitrack = {};
+
+roitrack.kHistoryFrames = 60;
+
+roitrack.create_roi_tracker = function (presence_thresh, redetect_interval)
+{
+    let rtrk = {};
+
+    rtrk.regions     = null;    /* ROIs for the next frame. null: run the detector */
+    rtrk.last_detect = -Number.MAX_VALUE;
+    rtrk.history     = [];      /* detector ran or not, for the last frames */
+    rtrk.prop = {
+        enable           : true,
+        presence_thresh  : presence_thresh,
+        redetect_interval: redetect_interval || 0,  /* [ms] 0: only when lost */
+    };
+
+    return rtrk;
+}
+
+roitrack.reset = function (rtrk)
+{
+    rtrk.regions = null;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  the ROIs for this frame from the last landmarks.
+ *  null if the detector must run.
+ * ---------------------------------------------------------------- */
+roitrack.get_tracked_regions = function (rtrk)
+{
+    let now = performance.now ();
+    let regions = rtrk.regions;
+
+    if (!rtrk.prop.enable)
+        regions = null;
+
+    let interval = rtrk.prop.redetect_interval;
+    if (interval > 0 && now - rtrk.last_detect >= interval)
+        regions = null;
+
+    if (!regions)
+        rtrk.last_detect = now;
+
+    rtrk.history.push (regions == null);
+    if (rtrk.history.length > roitrack.kHistoryFrames)
+        rtrk.history.shift ();
+
+    return regions;
+}
+
+/* ---------------------------------------------------------------- *
+ *  next_regions[i]: the ROI computed from the landmarks of the i-th
+ *                   subject, or null if it can not be computed.
+ *  all of them must be present to skip the detector.
+ * ---------------------------------------------------------------- */
+roitrack.update = function (rtrk, next_regions)
+{
+    let lost = (next_regions.length == 0);
+
+    for (let region of next_regions)
+    {
+        if (!region || region.score < rtrk.prop.presence_thresh)
+            lost = true;
+    }
+
+    rtrk.regions = (lost || !rtrk.prop.enable) ? null : next_regions;
+}
+
+roitrack.is_tracking = function (rtrk)
+{
+    return rtrk.regions != null;
+}
+
+/* ratio of the frames which ran the detector */
+roitrack.get_detect_ratio = function (rtrk)
+{
+    if (rtrk.history.length == 0)
+        return 0;
+
+    let num = rtrk.history.filter ((detected) => detected).length;
+    return num / rtrk.history.length;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  status and dat.GUI
+ * ---------------------------------------------------------------- */
+roitrack.draw_status = function (gl, rtrk, x, y)
+{
+    let str = "roi     : " + (roitrack.is_tracking (rtrk) ? "tracking" : "detect  ")
+            + " (detector " + (roitrack.get_detect_ratio (rtrk) * 100).toFixed(0) + "%)";
+
+    dbgstr.draw_dbgstr (gl, str, x, y);
+}
+
+roitrack.add_gui = function (gui, rtrk)
+{
+    let folder = gui.addFolder ('roi tracking');
+
+    folder.add (rtrk.prop, 'enable').onChange (function ()
+    {
+        roitrack.reset (rtrk);
+    });
+    folder.add (rtrk.prop, 'presence_thresh', 0.0, 1.0);
+    folder.add (rtrk.prop, 'redetect_interval', 0, 5000).step (100).name ('redetect [ms]');
+
+    return folder;
+}
@@ -0,0 +1,343 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Run the inference asynchronously, apart from the rendering.
+ *
+ *  The inference pipeline is divided into stages (e.g. "detect" and
+ *  "landmark"). Each stage runs on the latest frame at its own rate, and is
+ *  not started again until the previous run has finished. The render loop
+ *  does not wait for them, and draws the most recent results, which can be
+ *  extrapolated to the current time.
+ *
+ *  A stage reads the results of the other stages with get_result(). A stage
+ *  with nothing to do (e.g. no new frame) returns infsched.SKIP, and its
+ *  last result is kept. In the sync mode ("async" off in the GUI), the
+ *  stages run in the added order, and the render loop waits for them as
+ *  before.
+ *
+ *  Usage:
+ *      const sch = infsched.create_scheduler ();
+ *      infsched.add_stage (sch, "detect", async function (frame) {
+ *          ... return await invoke_xxx_detect (feed_image);
+ *      }, 0);                                  // [Hz]. 0: as fast as possible
+ *      infsched.add_gui (gui, sch);
+ *      ...
+ *      async function render ()
+ *      {
+ *          let frame = insrc.update_frame (gl, input);
+ *          await infsched.update (sch, frame); // instead of tfbackend.update_benchmark()
+ *          let detections = infsched.get_result (sch, "detect");
+ *          ...
+ *          tfbackend.report_time (infsched.take_invoke_time (sch));
+ *      }
+ * ------------------------------------------------------------------------- */
+var infsched = {};
+
+infsched.SKIP = 'skip';     /* returned by a stage: nothing to do, keep the last result */
+
+infsched.create_scheduler = function ()
+{
+    let sch = {};
+
+    sch.stages = [];
+    sch.prop = {
+        async          : true,
+        extrapolate    : false,
+        max_extrapolate: 100,   /* [ms] */
+    };
+
+    return sch;
+}
+
+/* ---------------------------------------------------------------- *
+ *  run_func   : async function (frame) --> result, or infsched.SKIP
+ *  rate       : target rate [Hz]. 0: as fast as possible.
+ *  extrapolate: (optional) function (cur, prev, t) --> result
+ *               the result at "t" times the interval of (prev, cur)
+ *               after cur. it must not modify cur and prev.
+ * ---------------------------------------------------------------- */
+infsched.add_stage = function (sch, name, run_func, rate, extrapolate)
+{
+    let stage = {};
+
+    stage.name        = name;
+    stage.run         = run_func;
+    stage.extrapolate = extrapolate;
+    stage.prop        = {rate: rate};
+    stage.busy        = false;
+    stage.last_start  = -Number.MAX_VALUE;
+    stage.cur         = null;   /* {result, time} time: when the run started */
+    stage.prev        = null;
+    stage.invoke_ms   = 0;      /* from the start to the result */
+    stage.unreported  = 0;      /* invoke_ms not taken by take_invoke_time() */
+    stage.done_times  = [];     /* for the actual rate */
+    stage.error       = null;   /* message of the last run, if it failed */
+
+    sch.stages.push (stage);
+    return stage;
+}
+
+infsched.get_stage = function (sch, name)
+{
+    for (let stage of sch.stages)
+    {
+        if (stage.name == name)
+            return stage;
+    }
+    return null;
+}
+
+infsched.is_idle = function (sch)
+{
+    return sch.stages.every ((stage) => !stage.busy);
+}
+
+/* drop the results, e.g. when the models are replaced. call it while idle. */
+infsched.reset = function (sch)
+{
+    for (let stage of sch.stages)
+    {
+        stage.cur  = null;
+        stage.prev = null;
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  start the stages which are due.
+ *  resolves at once in the async mode.
+ * ---------------------------------------------------------------- */
+infsched.is_due = function (stage, now)
+{
+    if (stage.busy)
+        return false;
+
+    if (stage.prop.rate <= 0)
+        return true;
+
+    return (now - stage.last_start) >= 1000.0 / stage.prop.rate;
+}
+
+infsched.run_stage = async function (stage, frame)
+{
+    let start = performance.now ();
+    let span  = perftrace.begin (stage.name, "stage");
+    let last_start = stage.last_start;
+    stage.busy = true;
+    stage.last_start = start;
+
+    try {
+        let result = await stage.run (frame);
+        if (result === infsched.SKIP)
+        {
+            /* not a run: due again at once */
+            stage.last_start = last_start;
+        }
+        else
+        {
+            let now = performance.now ();
+            stage.prev = stage.cur;
+            stage.cur  = {result: result, time: start};
+            stage.invoke_ms   = now - start;
+            stage.unreported += stage.invoke_ms;
+            stage.error       = null;
+
+            stage.done_times.push (now);
+            while (stage.done_times[0] < now - 1000)
+                stage.done_times.shift ();
+        }
+    }
+    catch (e) {
+        /* e.g. the WebGL context is lost while running */
+        stage.error = e.message;
+    }
+
+    perftrace.end (span);
+    stage.busy = false;
+}
+
+infsched.update = async function (sch, frame)
+{
+    /* switch the backend when no stage is running (see util_backend.js) */
+    if (typeof tfbackend !== 'undefined' && tfbackend.bench.switch_to)
+    {
+        if (infsched.is_idle (sch))
+            await tfbackend.update_benchmark ();
+        return;
+    }
+
+    /* the models are not loaded (see util_status.js) */
+    if (typeof appstatus !== 'undefined' && !appstatus.is_ready ())
+        return;
+
+    for (let stage of sch.stages)
+    {
+        if (!infsched.is_due (stage, performance.now ()))
+            continue;
+
+        let job = infsched.run_stage (stage, frame);
+        if (!sch.prop.async)
+            await job;
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  results
+ * ---------------------------------------------------------------- */
+
+/* the latest result (extrapolated if enabled). null if not yet. */
+infsched.get_result = function (sch, name)
+{
+    let stage = infsched.get_stage (sch, name);
+    if (!stage || !stage.cur)
+        return null;
+
+    let cur  = stage.cur;
+    let prev = stage.prev;
+    if (!sch.prop.extrapolate || !stage.extrapolate || !prev || cur.time <= prev.time)
+        return cur.result;
+
+    let ahead = Math.min (performance.now () - cur.time, sch.prop.max_extrapolate);
+    let t = ahead / (cur.time - prev.time);
+
+    return stage.extrapolate (cur.result, prev.result, t);
+}
+
+/* sum of the inference time finished since the last call. for tfbackend.report_time() */
+infsched.take_invoke_time = function (sch)
+{
+    let time_ms = 0;
+    for (let stage of sch.stages)
+    {
+        time_ms += stage.unreported;
+        stage.unreported = 0;
+    }
+    return time_ms;
+}
+
+/* actual rate of the stage [Hz] */
+infsched.get_rate = function (stage)
+{
+    let times = stage.done_times;
+    if (times.length == 0 || times[times.length - 1] < performance.now () - 1000)
+        return 0;
+
+    return times.length;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  extrapolation helpers
+ * ---------------------------------------------------------------- */
+infsched.extrapolate_value = function (cur, prev, t)
+{
+    return cur + (cur - prev) * t;
+}
+
+/* points: [[x, y, z], ...] or [{x, y, z}, ...] */
+infsched.extrapolate_points = function (cur_pts, prev_pts, t)
+{
+    let pts = [];
+
+    for (let i = 0; i < cur_pts.length; i ++)
+    {
+        let cur  = cur_pts[i];
+        let prev = prev_pts[i];
+
+        if (Array.isArray (cur))
+        {
+            pts[i] = cur.map ((v, j) => infsched.extrapolate_value (v, prev[j], t));
+        }
+        else
+        {
+            pts[i] = Object.assign ({}, cur);
+            for (let key of ['x', 'y', 'z'])
+            {
+                if (cur[key] !== undefined)
+                    pts[i][key] = infsched.extrapolate_value (cur[key], prev[key], t);
+            }
+        }
+    }
+    return pts;
+}
+
+/* region of util_ssd.js. the rotation is kept. */
+infsched.extrapolate_region = function (region, prev_region, t)
+{
+    let ret = Object.assign ({}, region);
+
+    for (let key of ['topleft', 'btmright', 'roi_center'])
+    {
+        if (region[key] && prev_region[key])
+            ret[key] = infsched.extrapolate_points ([region[key]], [prev_region[key]], t)[0];
+    }
+    for (let key of ['keys', 'roi_coord'])
+    {
+        if (region[key] && prev_region[key])
+            ret[key] = infsched.extrapolate_points (region[key], prev_region[key], t);
+    }
+    return ret;
+}
+
+/* the regions are paired by track_id. for add_stage() of the detectors. */
+infsched.extrapolate_regions = function (cur, prev, t)
+{
+    return cur.map ((region) =>
+    {
+        let prev_id = infsched.find_track (prev, region.track_id);
+        if (prev_id < 0)
+            return region;
+
+        return infsched.extrapolate_region (region, prev[prev_id], t);
+    });
+}
+
+/* index of the region with the track_id (see util_tracker.js). -1 if not found. */
+infsched.find_track = function (regions, track_id)
+{
+    if (track_id === undefined)
+        return -1;
+
+    for (let i = 0; i < regions.length; i ++)
+    {
+        if (regions[i].track_id === track_id)
+            return i;
+    }
+    return -1;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  status and dat.GUI
+ * ---------------------------------------------------------------- */
+infsched.draw_status = function (gl, sch, x, y)
+{
+    for (let i = 0; i < sch.stages.length; i ++)
+    {
+        let stage = sch.stages[i];
+        let str = (stage.name + "        ").slice (0, 8) + ": "
+                + stage.invoke_ms.toFixed(1) + " [ms] "
+                + infsched.get_rate (stage).toFixed(0) + " [Hz]";
+        if (stage.error)
+            str += " error: " + stage.error;
+
+        dbgstr.draw_dbgstr (gl, str, x, y + 22 * i);
+    }
+}
+
+infsched.add_gui = function (gui, sch)
+{
+    let folder = gui.addFolder ('scheduler');
+
+    folder.add (sch.prop, 'async');
+    folder.add (sch.prop, 'extrapolate');
+    folder.add (sch.prop, 'max_extrapolate', 0, 500);
+    for (let stage of sch.stages)
+        folder.add (stage.prop, 'rate', 0, 60).step (1).name (stage.name + ' [Hz]');
+
+    return folder;
+}
@@ -2,6 +2,13 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Parametric shapes (sphere, cylinder, torus, ...) in VBOs.
+ *
+ *  Usage:
+ *      let shape = shapes.shape_create (gl, shapes.SHAPE_SPHERE, 30, 30);
+ * ------------------------------------------------------------------------- */
 var shapes = {};
 shapes.SHAPE_TORUS        = 1;
 shapes.SHAPE_MOEBIUS      = 2;
@@ -300,18 +307,18 @@ shapes.func_DiniSurface = function (u, v)
 shapes.func_Sphere = function (u, v)
 {
     let R = 1;
-    x = R * Math.sin((0.5-v) * Math.PI);
-    y = R * Math.cos((0.5-v) * Math.PI) * Math.cos(u * 2 * Math.PI);
-    z = R * Math.cos((0.5-v) * Math.PI) * Math.sin(u * 2 * Math.PI);
+    let x = R * Math.sin((0.5-v) * Math.PI);
+    let y = R * Math.cos((0.5-v) * Math.PI) * Math.cos(u * 2 * Math.PI);
+    let z = R * Math.cos((0.5-v) * Math.PI) * Math.sin(u * 2 * Math.PI);
     return {x:x, y:y, z:z};
 }
 
 shapes.func_Cylinder = function (u, v)
 {
     let R = 1;
-    x = R * Math.cos(u * 2 * Math.PI);
-    y = R * Math.sin(u * 2 * Math.PI);
-    z = R * (0.5-v) * 2;
+    let x = R * Math.cos(u * 2 * Math.PI);
+    let y = R * Math.sin(u * 2 * Math.PI);
+    let z = R * (0.5-v) * 2;
     return {x:x, y:y, z:z};
 }
 
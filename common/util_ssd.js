@@ -0,0 +1,466 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+// Copyright 2019 The MediaPipe Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* ------------------------------------------------------------------------- *
+ *  SSD detector shared by the MediaPipe based apps.
+ *
+ *  Usage:
+ *      let detector = ssd.create_detector (config);
+ *      let regions  = await ssd.decode (detector, out_tensors, score_thresh, iou_thresh);
+ *
+ *  config:
+ *      anchor        : anchor options (see mediapipe ssd_anchors_calculator.proto)
+ *      num_keys      : number of keypoints per box
+ *      box_layout    : ssd.BOX_XYWH (cx, cy, w, h) or ssd.BOX_YXHW (cy, cx, h, w)
+ *      score_sigmoid : apply sigmoid to the raw scores
+ *      score_tensors : indices of the score tensors in the model output
+ *      box_tensors   : indices of the box tensors in the model output
+ *      nms_mode      : ssd.NMS_NONE, ssd.NMS_HARD or ssd.NMS_WEIGHTED
+ *
+ *  Each returned region has {score, topleft, btmright, keys[]} in
+ *  normalized [0, 1] coordinates of the detector input.
+ * ------------------------------------------------------------------------- */
+var ssd = {};
+
+ssd.BOX_XYWH = 0;
+ssd.BOX_YXHW = 1;
+
+ssd.NMS_NONE     = 0;
+ssd.NMS_HARD     = 1;
+ssd.NMS_WEIGHTED = 2;
+
+
+/* -------------------------------------------------- *
+ *  Generate anchors
+ *      mediapipe/calculators/tflite/ssd_anchors_calculator.cc
+ * -------------------------------------------------- */
+ssd.calculate_scale = function (min_scale, max_scale, stride_index, num_strides)
+{
+    if (num_strides == 1)
+        return (min_scale + max_scale) * 0.5;
+    else
+        return min_scale + (max_scale - min_scale) * 1.0 * stride_index / (num_strides - 1.0);
+}
+
+
+ssd.generate_anchors = function (anchors, options)
+{
+    let layer_id = 0;
+    while (layer_id < options.strides.length) {
+        let anchor_height = [];
+        let anchor_width = [];
+        let aspect_ratios = [];
+        let scales = [];
+
+        // For same strides, we merge the anchors in the same order.
+        let last_same_stride_layer = layer_id;
+        while (last_same_stride_layer < options.strides.length &&
+               options.strides[last_same_stride_layer] == options.strides[layer_id])
+        {
+          const scale =
+              ssd.calculate_scale(options.min_scale, options.max_scale,
+                last_same_stride_layer, options.strides.length);
+          if (last_same_stride_layer == 0 && options.reduce_boxes_in_lowest_layer) {
+            // For first layer, it can be specified to use predefined anchors.
+            aspect_ratios.push(1.0);
+            aspect_ratios.push(2.0);
+            aspect_ratios.push(0.5);
+            scales.push(0.1);
+            scales.push(scale);
+            scales.push(scale);
+          } else {
+            for (let aspect_ratio_id = 0;
+                aspect_ratio_id < options.aspect_ratios.length;
+                 ++aspect_ratio_id) {
+              aspect_ratios.push(options.aspect_ratios[aspect_ratio_id]);
+              scales.push(scale);
+            }
+            if (options.interpolated_scale_aspect_ratio > 0.0) {
+              const scale_next =
+                last_same_stride_layer == options.strides.length - 1
+                      ? 1.0
+                      : ssd.calculate_scale(options.min_scale, options.max_scale,
+                                       last_same_stride_layer + 1,
+                                       options.strides.length);
+              scales.push(Math.sqrt(scale * scale_next));
+              aspect_ratios.push(options.interpolated_scale_aspect_ratio);
+            }
+          }
+          last_same_stride_layer++;
+        }
+
+        for (let i = 0; i < aspect_ratios.length; ++i) {
+          const ratio_sqrts = Math.sqrt(aspect_ratios[i]);
+          anchor_height.push(scales[i] / ratio_sqrts);
+          anchor_width .push(scales[i] * ratio_sqrts);
+        }
+
+        let feature_map_height = 0;
+        let feature_map_width  = 0;
+        if (options.feature_map_height.length) {
+          feature_map_height = options.feature_map_height[layer_id];
+          feature_map_width  = options.feature_map_width [layer_id];
+        } else {
+          const stride = options.strides[layer_id];
+          feature_map_height = Math.ceil(1.0 * options.input_size_height / stride);
+          feature_map_width  = Math.ceil(1.0 * options.input_size_width  / stride);
+        }
+
+        for (let y = 0; y < feature_map_height; ++y) {
+          for (let x = 0; x < feature_map_width; ++x) {
+            for (let anchor_id = 0; anchor_id < anchor_height.length; ++anchor_id) {
+              const x_center = (x + options.anchor_offset_x) * 1.0 / feature_map_width;
+              const y_center = (y + options.anchor_offset_y) * 1.0 / feature_map_height;
+
+              let new_anchor = {};
+              new_anchor.x_center = x_center;
+              new_anchor.y_center = y_center;
+
+              if (options.fixed_anchor_size) {
+                new_anchor.w = 1.0;
+                new_anchor.h = 1.0;
+              } else {
+                new_anchor.w = anchor_width [anchor_id];
+                new_anchor.h = anchor_height[anchor_id];
+              }
+              anchors.push(new_anchor);
+            }
+          }
+        }
+        layer_id = last_same_stride_layer;
+    }
+    return 0;
+}
+
+
+/* -------------------------------------------------- *
+ *  Create detector
+ * -------------------------------------------------- */
+ssd.create_detector = function (config)
+{
+    let anchor_options = Object.assign ({
+        num_layers                    : 4,
+        min_scale                     : 0.1484375,
+        max_scale                     : 0.75,
+        input_size_width              : 128,
+        input_size_height             : 128,
+        anchor_offset_x               : 0.5,
+        anchor_offset_y               : 0.5,
+        strides                       : [8, 16, 16, 16],
+        aspect_ratios                 : [1.0],
+        feature_map_width             : [],
+        feature_map_height            : [],
+        reduce_boxes_in_lowest_layer  : false,
+        interpolated_scale_aspect_ratio: 1.0,
+        fixed_anchor_size             : true,
+    }, config.anchor);
+
+    let detector_config = Object.assign ({
+        num_keys      : 0,
+        num_values_per_key: 2,
+        box_layout    : ssd.BOX_XYWH,
+        score_sigmoid : true,
+        score_tensors : [0],
+        box_tensors   : [1],
+        nms_mode      : ssd.NMS_HARD,
+        x_scale       : anchor_options.input_size_width,
+        y_scale       : anchor_options.input_size_height,
+        w_scale       : anchor_options.input_size_width,
+        h_scale       : anchor_options.input_size_height,
+    }, config);
+    detector_config.anchor = anchor_options;
+
+    let anchors = [];
+    ssd.generate_anchors (anchors, anchor_options);
+
+    return {
+        config : detector_config,
+        anchors: anchors,
+    };
+}
+
+
+/* -------------------------------------------------- *
+ *  Decode boxes
+ *      mediapipe/calculators/tflite/tflite_tensors_to_detections_calculator.cc
+ * -------------------------------------------------- */
+ssd.concat_tensor_data = async function (out_tensors, indices)
+{
+    let ptrs = [];
+    let len  = 0;
+    for (let i = 0; i < indices.length; i ++)
+    {
+        let ptr = await perftrace.span ("download", "tfjs", () => out_tensors[indices[i]].data ());
+        ptrs.push (ptr);
+        len += ptr.length;
+    }
+
+    if (ptrs.length == 1)
+        return ptrs[0];
+
+    let buf = new Float32Array (len);
+    for (let i = 0, ofst = 0; i < ptrs.length; i ++)
+    {
+        buf.set (ptrs[i], ofst);
+        ofst += ptrs[i].length;
+    }
+    return buf;
+}
+
+ssd.decode_bounds = function (detector, region_list, scores_ptr, bbox_ptr, score_thresh)
+{
+    let config  = detector.config;
+    let anchors = detector.anchors;
+    let numkey  = config.num_keys;
+    let stride  = 4 + config.num_values_per_key * numkey;
+    let ix = 0, iy = 1, iw = 2, ih = 3;
+
+    if (config.box_layout == ssd.BOX_YXHW)
+    {
+        ix = 1; iy = 0; iw = 3; ih = 2;
+    }
+
+    for (let i = 0; i < anchors.length; i ++)
+    {
+        let anchor = anchors[i];
+        let score  = scores_ptr[i];
+        if (config.score_sigmoid)
+            score = 1.0 / (1.0 + Math.exp(-score));
+
+        if (score <= score_thresh)
+            continue;
+
+        let bbx_idx = stride * i;
+
+        /* boundary box */
+        let cx = bbox_ptr[bbx_idx + ix] / config.x_scale * anchor.w + anchor.x_center;
+        let cy = bbox_ptr[bbx_idx + iy] / config.y_scale * anchor.h + anchor.y_center;
+        let w  = bbox_ptr[bbx_idx + iw] / config.w_scale * anchor.w;
+        let h  = bbox_ptr[bbx_idx + ih] / config.h_scale * anchor.h;
+
+        let region = {};
+        region.score    = score;
+        region.topleft  = {x: cx - w * 0.5, y: cy - h * 0.5};
+        region.btmright = {x: cx + w * 0.5, y: cy + h * 0.5};
+
+        /* key points */
+        let keys = new Array(numkey);
+        for (let j = 0; j < numkey; j ++)
+        {
+            let key_idx = bbx_idx + 4 + config.num_values_per_key * j;
+            let lx = bbox_ptr[key_idx + ix] / config.x_scale * anchor.w + anchor.x_center;
+            let ly = bbox_ptr[key_idx + iy] / config.y_scale * anchor.h + anchor.y_center;
+
+            keys[j] = {x: lx, y: ly};
+        }
+        region.keys = keys;
+
+        region_list.push (region);
+    }
+    return 0;
+}
+
+
+/* -------------------------------------------------- *
+ *  Apply NonMaxSuppression:
+ *      https://github.com/tensorflow/tfjs/blob/master/tfjs-core/src/ops/image_ops.ts
+ *      mediapipe/calculators/util/non_max_suppression_calculator.cc
+ * -------------------------------------------------- */
+ssd.calc_intersection_over_union = function (region0, region1)
+{
+    let sx0 = region0.topleft.x;
+    let sy0 = region0.topleft.y;
+    let ex0 = region0.btmright.x;
+    let ey0 = region0.btmright.y;
+    let sx1 = region1.topleft.x;
+    let sy1 = region1.topleft.y;
+    let ex1 = region1.btmright.x;
+    let ey1 = region1.btmright.y;
+
+    let xmin0 = Math.min (sx0, ex0);
+    let ymin0 = Math.min (sy0, ey0);
+    let xmax0 = Math.max (sx0, ex0);
+    let ymax0 = Math.max (sy0, ey0);
+    let xmin1 = Math.min (sx1, ex1);
+    let ymin1 = Math.min (sy1, ey1);
+    let xmax1 = Math.max (sx1, ex1);
+    let ymax1 = Math.max (sy1, ey1);
+
+    let area0 = (ymax0 - ymin0) * (xmax0 - xmin0);
+    let area1 = (ymax1 - ymin1) * (xmax1 - xmin1);
+    if (area0 <= 0 || area1 <= 0)
+        return 0.0;
+
+    let intersect_xmin = Math.max (xmin0, xmin1);
+    let intersect_ymin = Math.max (ymin0, ymin1);
+    let intersect_xmax = Math.min (xmax0, xmax1);
+    let intersect_ymax = Math.min (ymax0, ymax1);
+
+    let intersect_area = Math.max (intersect_ymax - intersect_ymin, 0.0) *
+                         Math.max (intersect_xmax - intersect_xmin, 0.0);
+
+    return intersect_area / (area0 + area1 - intersect_area);
+}
+
+ssd.compare_score = function (v1, v2)
+{
+    /* higher score first */
+    if (v1.score > v2.score)
+        return -1;
+    else
+        return 1;
+}
+
+ssd.non_max_suppression = function (region_list, region_nms_list, iou_thresh)
+{
+    region_list.sort (ssd.compare_score);
+
+    for (let i = 0; i < region_list.length; i ++)
+    {
+        let region_candidate = region_list[i];
+        let ignore_candidate = false;
+        for (let j = 0; j < region_nms_list.length; j ++)
+        {
+            let region_nms = region_nms_list[j];
+            let iou = ssd.calc_intersection_over_union (region_candidate, region_nms);
+            if (iou >= iou_thresh)
+            {
+                ignore_candidate = true;
+                break;
+            }
+        }
+
+        if (!ignore_candidate)
+        {
+            region_nms_list.push(region_candidate);
+        }
+    }
+
+    return 0;
+}
+
+/*
+ *  Instead of discarding the overlapped boxes, average them weighted by
+ *  their scores. The score of the merged box is the one of the best box.
+ */
+ssd.weighted_non_max_suppression = function (region_list, region_nms_list, iou_thresh)
+{
+    let remained = region_list.slice ();
+    remained.sort (ssd.compare_score);
+
+    while (remained.length > 0)
+    {
+        let region_top = remained[0];
+        let candidates = [];
+        let rest       = [];
+
+        for (let i = 0; i < remained.length; i ++)
+        {
+            let iou = ssd.calc_intersection_over_union (region_top, remained[i]);
+            if (iou > iou_thresh)
+                candidates.push (remained[i]);
+            else
+                rest.push (remained[i]);
+        }
+
+        let total_score = 0;
+        let sx = 0, sy = 0, ex = 0, ey = 0;
+        let keys = [];
+        for (let j = 0; j < region_top.keys.length; j ++)
+            keys[j] = {x: 0, y: 0};
+
+        for (let i = 0; i < candidates.length; i ++)
+        {
+            let region = candidates[i];
+            let score  = region.score;
+            total_score += score;
+            sx += region.topleft .x * score;
+            sy += region.topleft .y * score;
+            ex += region.btmright.x * score;
+            ey += region.btmright.y * score;
+
+            for (let j = 0; j < keys.length; j ++)
+            {
+                keys[j].x += region.keys[j].x * score;
+                keys[j].y += region.keys[j].y * score;
+            }
+        }
+
+        let region_weighted = region_top;
+        if (candidates.length > 1)
+        {
+            region_weighted = {};
+            region_weighted.score    = region_top.score;
+            region_weighted.topleft  = {x: sx / total_score, y: sy / total_score};
+            region_weighted.btmright = {x: ex / total_score, y: ey / total_score};
+            for (let j = 0; j < keys.length; j ++)
+            {
+                keys[j].x /= total_score;
+                keys[j].y /= total_score;
+            }
+            region_weighted.keys = keys;
+        }
+
+        region_nms_list.push (region_weighted);
+        remained = rest;
+    }
+
+    return 0;
+}
+
+ssd.apply_nms = function (region_list, nms_mode, iou_thresh)
+{
+    let region_nms_list = [];
+
+    switch (nms_mode)
+    {
+    case ssd.NMS_HARD:
+        ssd.non_max_suppression (region_list, region_nms_list, iou_thresh);
+        break;
+    case ssd.NMS_WEIGHTED:
+        ssd.weighted_non_max_suppression (region_list, region_nms_list, iou_thresh);
+        break;
+    default:
+        region_nms_list = region_list;
+        break;
+    }
+
+    return region_nms_list;
+}
+
+
+/* -------------------------------------------------- *
+ *  decode SSD output tensors into a region list.
+ *  (the caller still owns and releases out_tensors)
+ * -------------------------------------------------- */
+ssd.decode = async function (detector, out_tensors, score_thresh, iou_thresh, nms_mode)
+{
+    let config = detector.config;
+    if (nms_mode === undefined)
+        nms_mode = config.nms_mode;
+
+    let scores_ptr = await ssd.concat_tensor_data (out_tensors, config.score_tensors);
+    let bbox_ptr   = await ssd.concat_tensor_data (out_tensors, config.box_tensors);
+
+    let region_list = [];
+    perftrace.span ("decode", "cpu", () =>
+        ssd.decode_bounds (detector, region_list, scores_ptr, bbox_ptr, score_thresh));
+
+    return perftrace.span ("nms", "cpu", () => ssd.apply_nms (region_list, nms_mode, iou_thresh));
+}
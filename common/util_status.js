@@ -0,0 +1,182 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Status of the model loading, and the error overlay.
+ *
+ *  A failure of the model loading is drawn on the canvas (which model, and
+ *  the HTTP/parse error) instead of alert(). The render loop keeps running
+ *  without the inference, and the loading is retried by clicking the canvas
+ *  or pressing "R".
+ *
+ *  Usage:
+ *      appstatus.init_status (canvas);
+ *      await appstatus.load_models (init_tfjs_xxx);    // never throws
+ *      ...
+ *      async function render ()
+ *      {
+ *          if (appstatus.is_ready ())
+ *              ... (inference) ...
+ *          ...
+ *          appstatus.draw_status (gl, win_w, win_h);
+ *      }
+ *
+ *  The error may have "model" (the role in manifest.json) and "url"
+ *  (see util_manifest.js).
+ * ------------------------------------------------------------------------- */
+var appstatus = {};
+
+appstatus.STATE_LOADING = 'loading';
+appstatus.STATE_READY   = 'ready';
+appstatus.STATE_ERROR   = 'error';
+
+appstatus.state      = appstatus.STATE_LOADING;
+appstatus.error      = null;
+appstatus.load_func  = null;
+appstatus.model_name = undefined;
+appstatus.load_count = 0;
+
+
+/* ---------------------------------------------------------------- *
+ *  load
+ *
+ *    load_func : async function which loads the models, and throws
+ *                on failure.
+ *    model_name: (optional) shown when the error does not tell
+ *                which model failed.
+ *    return    : true if loaded.
+ * ---------------------------------------------------------------- */
+appstatus.load_models = async function (load_func, model_name)
+{
+    appstatus.load_func  = load_func;
+    appstatus.model_name = model_name;
+    appstatus.state      = appstatus.STATE_LOADING;
+    appstatus.error      = null;
+    appstatus.load_count ++;
+
+    try {
+        await load_func ();
+    }
+    catch (e) {
+        if (!e.model && model_name)
+            e.model = model_name;
+
+        appstatus.set_error (e);
+        return false;
+    }
+
+    appstatus.state = appstatus.STATE_READY;
+    return true;
+}
+
+appstatus.set_error = function (e)
+{
+    appstatus.state = appstatus.STATE_ERROR;
+    appstatus.error = e;
+}
+
+appstatus.retry = function ()
+{
+    if (appstatus.state != appstatus.STATE_ERROR || !appstatus.load_func)
+        return;
+
+    appstatus.load_models (appstatus.load_func, appstatus.model_name);
+}
+
+appstatus.is_ready = function ()
+{
+    return appstatus.state == appstatus.STATE_READY;
+}
+
+appstatus.init_status = function (canvas)
+{
+    canvas.addEventListener ('click', function ()
+    {
+        appstatus.retry ();
+    }, false);
+
+    document.addEventListener ('keydown', function (event)
+    {
+        if (event.key == 'r' || event.key == 'R')
+            appstatus.retry ();
+    }, false);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  overlay
+ * ---------------------------------------------------------------- */
+appstatus.wrap_text = function (str, max_chars)
+{
+    let lines = [];
+
+    for (let para of String (str).split ('\n'))
+    {
+        while (para.length > max_chars)
+        {
+            let pos = para.lastIndexOf (' ', max_chars);
+            if (pos <= 0)
+                pos = max_chars;
+
+            lines.push (para.substring (0, pos));
+            para = para.substring (pos).replace (/^ +/, '');
+        }
+        lines.push (para);
+    }
+    return lines;
+}
+
+appstatus.get_error_lines = function (e, max_chars)
+{
+    let title = "failed to load model";
+    if (e.model)
+        title += " \"" + e.model + "\"";
+
+    let lines = [title, ""];
+    lines = lines.concat (appstatus.wrap_text (e.message, max_chars));
+
+    if (e.url && e.message.indexOf (e.url) < 0)
+        lines = lines.concat (appstatus.wrap_text ("url: " + e.url, max_chars));
+
+    lines.push ("");
+    lines.push ("click or press R to retry");
+
+    return lines;
+}
+
+appstatus.draw_status = function (gl, win_w, win_h)
+{
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_cyan  = [0.0, 1.0, 1.0, 1.0];
+    let col_bg    = [0.0, 0.0, 0.0, 0.0];
+    let col_box   = [0.4, 0.0, 0.0, 0.8];
+
+    /* the first loading is shown by the app (spinner or progress bar) */
+    if (appstatus.state == appstatus.STATE_LOADING && appstatus.load_count > 1)
+    {
+        let str = "loading models ...";
+        let x = (win_w - str.length * DEBSTR_FONT_WIDTH) * 0.5;
+        dbgstr.draw_dbgstr_ex (gl, str, x, win_h * 0.5, 1.0, col_cyan, [0.0, 0.0, 0.0, 0.5]);
+    }
+
+    if (appstatus.state != appstatus.STATE_ERROR)
+        return;
+
+    let margin    = 20;
+    let max_chars = Math.max (Math.floor ((win_w - margin * 4) / DEBSTR_FONT_WIDTH), 10);
+    let lines = appstatus.get_error_lines (appstatus.error, max_chars);
+
+    let box_w = win_w - margin * 2;
+    let box_h = lines.length * DEBSTR_FONT_HEIGHT + margin * 2;
+    let box_y = Math.max ((win_h - box_h) * 0.5, 0);
+    r2d.draw_2d_fillrect (gl, margin, box_y, box_w, box_h, col_box);
+
+    for (let i = 0; i < lines.length; i ++)
+    {
+        let col = (i == 0 || i == lines.length - 1) ? col_cyan : col_white;
+        let y = box_y + margin + i * DEBSTR_FONT_HEIGHT;
+        dbgstr.draw_dbgstr_ex (gl, lines[i], margin * 2, y, 1.0, col, col_bg);
+    }
+}
@@ -27,6 +27,53 @@ GLUtil.create_2d_texture = function (gl, imgbuf, width, height)
 }
 
 
+/* ---------------------------------------------------------------- *
+ *  Dynamic Texture
+ *    updated with a pixel buffer every frame, instead of creating and
+ *    deleting a texture each time.
+ * ---------------------------------------------------------------- */
+GLUtil.create_dynamic_texture = function (gl)
+{
+    let dyn_tex = {};
+    dyn_tex.texid  = GLUtil.create_texture (gl);
+    dyn_tex.width  = 0;
+    dyn_tex.height = 0;
+
+    glres.register (dyn_tex, function (gl)
+    {
+        dyn_tex.texid  = GLUtil.create_texture (gl);
+        dyn_tex.width  = 0;
+        dyn_tex.height = 0;
+    });
+    return dyn_tex;
+}
+
+GLUtil.update_dynamic_texture = function (gl, dyn_tex, imgbuf, width, height)
+{
+    gl.bindTexture (gl.TEXTURE_2D, dyn_tex.texid);
+
+    if (width != dyn_tex.width || height != dyn_tex.height)
+    {
+        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, width, height,
+                                      0, gl.RGBA, gl.UNSIGNED_BYTE, imgbuf);
+        dyn_tex.width  = width;
+        dyn_tex.height = height;
+    }
+    else
+    {
+        gl.texSubImage2D (gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, imgbuf);
+    }
+
+    return dyn_tex.texid;
+}
+
+GLUtil.destroy_dynamic_texture = function (gl, dyn_tex)
+{
+    gl.deleteTexture (dyn_tex.texid);
+    glres.unregister (dyn_tex);
+}
+
+
 /* ---------------------------------------------------------------- *
  *  Create Image Texture
  * ---------------------------------------------------------------- */
@@ -55,15 +102,14 @@ GLUtil.create_image_texture2 = function (gl, url)
 
     teximage.onload = function ()
     {
-        gl.bindTexture(gl.TEXTURE_2D, texid);
-        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, teximage);
-        gl.generateMipmap (gl.TEXTURE_2D);
+        GLUtil.upload_image_texture (gl, image_tex);
         image_tex.ready = true;
     }
     teximage.src = url;
 
     image_tex.texid = texid;
     image_tex.image = teximage;
+    glres.register (image_tex, function (gl) { GLUtil.restore_image_texture (gl, image_tex); });
     return image_tex;
 }
 
@@ -77,9 +123,7 @@ GLUtil.create_image_texture_from_file = function (gl, url)
 
     teximage.onload = function ()
     {
-        gl.bindTexture(gl.TEXTURE_2D, texid);
-        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, teximage);
-        gl.generateMipmap (gl.TEXTURE_2D);
+        GLUtil.upload_image_texture (gl, image_tex);
         image_tex.ready = true;
     }
 
@@ -92,14 +136,36 @@ GLUtil.create_image_texture_from_file = function (gl, url)
 
     image_tex.texid = texid;
     image_tex.image = teximage;
+    glres.register (image_tex, function (gl) { GLUtil.restore_image_texture (gl, image_tex); });
     return image_tex;
 }
 
+GLUtil.upload_image_texture = function (gl, image_tex)
+{
+    gl.bindTexture(gl.TEXTURE_2D, image_tex.texid);
+    gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image_tex.image);
+    gl.generateMipmap (gl.TEXTURE_2D);
+}
+
+/* the image is still in memory. upload it again if it has been loaded. */
+GLUtil.restore_image_texture = function (gl, image_tex)
+{
+    image_tex.texid = GLUtil.create_texture (gl);
+    if (image_tex.ready)
+        GLUtil.upload_image_texture (gl, image_tex);
+}
+
 GLUtil.is_image_texture_ready = function (image_tex)
 {
     return image_tex.ready;
 }
 
+GLUtil.destroy_image_texture = function (gl, image_tex)
+{
+    gl.deleteTexture (image_tex.texid);
+    glres.unregister (image_tex);
+}
+
 /* ---------------------------------------------------------------- *
  *  Create Video Texture
  * ---------------------------------------------------------------- */
@@ -108,6 +174,7 @@ GLUtil.create_video_texture = function (gl, url)
     let video_tex = {};
     video_tex.ready = false;
     video_tex.texid = GLUtil.create_texture (gl);
+    glres.register (video_tex, function (gl) { video_tex.texid = GLUtil.create_texture (gl); });
 
     let video = document.createElement('video');
     video.autoplay = true;
@@ -165,15 +232,30 @@ GLUtil.update_video_texture = function (gl, video_tex)
     }
 }
 
+GLUtil.destroy_video_texture = function (gl, video_tex)
+{
+    video_tex.video.pause ();
+    video_tex.video.removeAttribute ('src');
+    video_tex.video.load ();
+
+    gl.deleteTexture (video_tex.texid);
+    glres.unregister (video_tex);
+    video_tex.ready = false;
+}
+
 
 /* ---------------------------------------------------------------- *
  *  Create Web Camera Texture
+ *
+ *    video_constraints: MediaTrackConstraints of the video track.
+ *                       (default: 640x480)
  * ---------------------------------------------------------------- */
-GLUtil.create_camera_texture = function (gl)
+GLUtil.create_camera_texture = function (gl, video_constraints)
 {
     let camera_tex = {};
     camera_tex.ready = false;
     camera_tex.texid = GLUtil.create_texture (gl);
+    glres.register (camera_tex, function (gl) { camera_tex.texid = GLUtil.create_texture (gl); });
 
     let video = document.createElement('video');
     video.autoplay = true;
@@ -190,6 +272,12 @@ GLUtil.create_camera_texture = function (gl)
 
     function on_camera_ready (stream)
     {
+        if (camera_tex.destroyed)
+        {
+            stream.getTracks().forEach (function (track) { track.stop(); });
+            return;
+        }
+
         function on_camera_metadata_loaded()
         {
             camera_tex.ready = true;
@@ -207,7 +295,7 @@ GLUtil.create_camera_texture = function (gl)
 
     const constraints = {
         audio : false,
-        video: {
+        video: video_constraints || {
             width:  {ideal: 640},
             height: {ideal: 480}
         }
@@ -250,3 +338,18 @@ GLUtil.update_camera_texture = function (gl, camera_tex)
     }
 }
 
+GLUtil.destroy_camera_texture = function (gl, camera_tex)
+{
+    let stream = camera_tex.video ? camera_tex.video.srcObject : null;
+    if (stream)
+    {
+        stream.getTracks().forEach (function (track) { track.stop(); });
+        camera_tex.video.srcObject = null;
+    }
+
+    gl.deleteTexture (camera_tex.texid);
+    glres.unregister (camera_tex);
+    camera_tex.ready     = false;
+    camera_tex.destroyed = true;
+}
+
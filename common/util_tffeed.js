@@ -0,0 +1,329 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Feed an input tensor from a GL texture.
+ *
+ *  When TF.js runs on the same WebGL2 context as the app, the (rotated) ROI
+ *  crop and the normalization are rendered into a float texture, and the
+ *  texture is handed to tf.tensor() directly. Nothing is read back to the CPU.
+ *  It needs TF.js 4 (tf.tensor() of WebGLData), which the apps load.
+ *
+ *  Otherwise (WebGL1, wasm, cpu backend), the crop is read back with
+ *  gl.readPixels() and the normalization is done by TF.js ops.
+ *  The backend may be switched at runtime (see util_backend.js), so it is
+ *  checked for every tensor.
+ *
+ *  Usage:
+ *      const gl = tffeed.create_webgl_context (canvas);
+ *      await tffeed.init_tffeed (gl);      // before loading the models
+ *      ...
+ *      let input = tffeed.generate_input_tensor (gl, texid, dims, roi_coord);
+ *      ... = await invoke_xxx (input);
+ *      input.dispose ();
+ *      tffeed.restore_gl_state (gl);       // before drawing the scene
+ * ------------------------------------------------------------------------- */
+var tffeed = {};
+
+tffeed.zero_copy = false;
+tffeed.rtargets  = {};
+
+tffeed.vs_feed = `
+    attribute    vec4    a_Vertex;
+    attribute    vec2    a_TexCoord;
+    varying      vec2    v_TexCoord;
+
+    void main (void)
+    {
+        gl_Position = a_Vertex;
+        v_TexCoord  = a_TexCoord;
+    }
+`;
+
+tffeed.fs_feed = `
+    precision highp float;
+    varying     vec2      v_TexCoord;
+    uniform     sampler2D u_sampler;
+    uniform     vec2      u_Norm;       /* (max - min, min) */
+
+    void main (void)
+    {
+        vec3 col = texture2D (u_sampler, v_TexCoord).rgb;
+        gl_FragColor = vec4 (col * u_Norm.x + u_Norm.y, 1.0);
+    }
+`;
+
+
+/* ---------------------------------------------------------------- *
+ *  prefer WebGL2, so that TF.js can share the context.
+ * ---------------------------------------------------------------- */
+tffeed.create_webgl_context = function (canvas)
+{
+    let gl = canvas.getContext ('webgl2');
+    if (!gl)
+        gl = canvas.getContext ('webgl');
+
+    return gl;
+}
+
+tffeed.is_webgl2 = function (gl)
+{
+    return (typeof WebGL2RenderingContext !== 'undefined') &&
+           (gl instanceof WebGL2RenderingContext);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  register a TF.js WebGL backend running on the app's context.
+ *
+ *    backend: TF.js backend selected by the app.
+ *             the context is shared only for "webgl" (default).
+ * ---------------------------------------------------------------- */
+tffeed.create_gl_objects = function (gl)
+{
+    tffeed.sobj     = GLUtil.generate_shader (gl, tffeed.vs_feed, tffeed.fs_feed);
+    tffeed.loc_norm = gl.getUniformLocation (tffeed.sobj.program, "u_Norm");
+    tffeed.vbo_vtx  = gl.createBuffer ();
+    tffeed.vbo_uv   = gl.createBuffer ();
+    tffeed.rtargets = {};
+}
+
+/* tf.tensor() takes a texture (WebGLData) since TF.js 4. */
+tffeed.has_webgl_data = function ()
+{
+    return !!tf.GPGPUContext && !!tf.MathBackendWebGL &&
+           (typeof tf.MathBackendWebGL.prototype.createTensorFromGPUData === 'function');
+}
+
+tffeed.init_tffeed = async function (gl, backend)
+{
+    tffeed.create_gl_objects (gl);
+    glres.register ("tffeed", tffeed.create_gl_objects);
+    tffeed.zero_copy = false;
+
+    if (backend && backend != 'webgl')
+        return tffeed.zero_copy;
+
+    if (!tffeed.is_webgl2 (gl) || !tffeed.has_webgl_data ())
+        return tffeed.zero_copy;
+
+    try {
+        /* created again after the context loss (see util_glres.js) */
+        if (tf.findBackendFactory ('webgl-shared') != null)
+            tf.removeBackend ('webgl-shared');
+
+        tf.env().set ('WEBGL_VERSION', 2);
+        const backend = new tf.MathBackendWebGL (new tf.GPGPUContext (gl));
+        tf.registerBackend ('webgl-shared', () => backend, 3);
+        await tf.setBackend ('webgl-shared');
+
+        /* TF.js needs it too, so it must be available once the backend is up. */
+        tffeed.zero_copy = (gl.getExtension ('EXT_color_buffer_float') != null);
+    }
+    catch (e) {
+        /* read back as the other backends do */
+        tffeed.zero_copy = false;
+    }
+
+    tffeed.restore_gl_state (gl);
+    return tffeed.zero_copy;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  GL state expected by TF.js (same as its own context) and by the app.
+ * ---------------------------------------------------------------- */
+tffeed.set_tfjs_gl_state = function (gl)
+{
+    gl.disable (gl.DEPTH_TEST);
+    gl.disable (gl.STENCIL_TEST);
+    gl.disable (gl.BLEND);
+    gl.disable (gl.DITHER);
+    gl.disable (gl.POLYGON_OFFSET_FILL);
+    gl.disable (gl.SAMPLE_COVERAGE);
+    gl.enable  (gl.SCISSOR_TEST);
+    gl.enable  (gl.CULL_FACE);
+    gl.cullFace (gl.BACK);
+}
+
+tffeed.restore_gl_state = function (gl)
+{
+    if (tffeed.is_webgl2 (gl))
+        gl.bindVertexArray (null);
+
+    gl.disable (gl.SCISSOR_TEST);
+    gl.disable (gl.CULL_FACE);
+    gl.activeTexture (gl.TEXTURE0);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  the texture can be handed to TF.js only while the shared backend runs.
+ * ---------------------------------------------------------------- */
+tffeed.use_zero_copy = function ()
+{
+    return tffeed.zero_copy && (tf.getBackend () == 'webgl-shared');
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  render targets, one per input size and format.
+ * ---------------------------------------------------------------- */
+tffeed.get_render_target = function (gl, w, h, is_float)
+{
+    let key = w + "x" + h + (is_float ? "f" : "");
+    let rtarget = tffeed.rtargets[key];
+    if (rtarget)
+        return rtarget;
+
+    let texid = gl.createTexture ();
+    gl.bindTexture (gl.TEXTURE_2D, texid);
+    if (is_float)
+        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA32F, w, h, 0, gl.RGBA, gl.FLOAT, null);
+    else
+        gl.texImage2D (gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri (gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri (gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri (gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri (gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture (gl.TEXTURE_2D, null);
+
+    rtarget = {};
+    rtarget.valid  = 1;
+    rtarget.texid  = texid;
+    rtarget.fboid  = gl.createFramebuffer ();
+    rtarget.width  = w;
+    rtarget.height = h;
+
+    tffeed.rtargets[key] = rtarget;
+    return rtarget;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  render the source texture into the feed render target.
+ *
+ *    roi_coord: 4 texcoords of the source area (null: whole texture)
+ *
+ *          0--------1      row 0 of the tensor runs from 0 to 1.
+ *          |        |
+ *          |        |
+ *          3--------2
+ *
+ *    dst_rect : {x, y, w, h} area of the tensor to draw into (null: whole).
+ *               the rest is filled with black.
+ * ---------------------------------------------------------------- */
+tffeed.draw_feed = function (gl, rtarget, texid, roi_coord, dst_rect, norm_mul, norm_add)
+{
+    let w = rtarget.width;
+    let h = rtarget.height;
+
+    if (!roi_coord)
+        roi_coord = [{x: 0, y: 0}, {x: 1, y: 0}, {x: 1, y: 1}, {x: 0, y: 1}];
+    if (!dst_rect)
+        dst_rect = {x: 0, y: 0, w: w, h: h};
+
+    let vtx = [-1.0, -1.0,   1.0, -1.0,  -1.0,  1.0,   1.0,  1.0];
+    let uv  = [roi_coord[0].x, roi_coord[0].y,
+               roi_coord[1].x, roi_coord[1].y,
+               roi_coord[3].x, roi_coord[3].y,
+               roi_coord[2].x, roi_coord[2].y];
+
+    GLUtil.set_render_target (gl, rtarget);
+    tffeed.restore_gl_state (gl);
+    gl.disable (gl.BLEND);
+    gl.disable (gl.DEPTH_TEST);
+
+    /* black margin, normalized */
+    let clear_col = gl.getParameter (gl.COLOR_CLEAR_VALUE);
+    gl.clearColor (norm_add, norm_add, norm_add, 1.0);
+    gl.clear (gl.COLOR_BUFFER_BIT);
+    gl.clearColor (clear_col[0], clear_col[1], clear_col[2], clear_col[3]);
+
+    gl.viewport (dst_rect.x, dst_rect.y, dst_rect.w, dst_rect.h);
+
+    let sobj = tffeed.sobj;
+    gl.useProgram (sobj.program);
+    gl.uniform1i (sobj.loc_smp, 0);
+    gl.uniform2f (tffeed.loc_norm, norm_mul, norm_add);
+
+    gl.activeTexture (gl.TEXTURE0);
+    gl.bindTexture (gl.TEXTURE_2D, texid);
+
+    gl.enableVertexAttribArray (sobj.loc_vtx);
+    gl.bindBuffer (gl.ARRAY_BUFFER, tffeed.vbo_vtx);
+    gl.bufferData (gl.ARRAY_BUFFER, new Float32Array(vtx), gl.STATIC_DRAW);
+    gl.vertexAttribPointer (sobj.loc_vtx, 2, gl.FLOAT, false, 0, 0);
+
+    gl.enableVertexAttribArray (sobj.loc_uv);
+    gl.bindBuffer (gl.ARRAY_BUFFER, tffeed.vbo_uv);
+    gl.bufferData (gl.ARRAY_BUFFER, new Float32Array(uv), gl.STATIC_DRAW);
+    gl.vertexAttribPointer (sobj.loc_uv, 2, gl.FLOAT, false, 0, 0);
+
+    gl.drawArrays (gl.TRIANGLE_STRIP, 0, 4);
+
+    gl.viewport (0, 0, w, h);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  generate the input tensor [1, h, w, 3]
+ *
+ *    dims: {w, h, norm: {min, max}}, [0, 255] is mapped to [min, max].
+ *    the caller owns the returned tensor.
+ * ---------------------------------------------------------------- */
+tffeed.generate_input_tensor = function (gl, texid, dims, roi_coord, dst_rect)
+{
+    let w   = dims.w;
+    let h   = dims.h;
+    let min = dims.norm ? dims.norm.min : 0;
+    let max = dims.norm ? dims.norm.max : 255;
+    let zero_copy = tffeed.use_zero_copy ();
+    let rtarget = tffeed.get_render_target (gl, w, h, zero_copy);
+    let span = perftrace.begin ("preprocess", "gl");
+    let tensor;
+
+    if (zero_copy)
+    {
+        tffeed.draw_feed (gl, rtarget, texid, roi_coord, dst_rect, max - min, min);
+        tffeed.set_tfjs_gl_state (gl);
+
+        let texdata = {texture: rtarget.texid, height: h, width: w, channels: 'RGB'};
+        tensor = tf.tensor (texdata, [1, h, w, 3], 'float32');
+    }
+    else
+    {
+        let buf_rgba = new Uint8Array (w * h * 4);
+
+        tffeed.draw_feed (gl, rtarget, texid, roi_coord, dst_rect, 1.0, 0.0);
+        perftrace.span ("readback", "gl", () =>
+            gl.readPixels (0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba));
+        tffeed.set_tfjs_gl_state (gl);
+
+        tensor = tf.tidy(() =>
+        {
+            let rgba = tf.tensor3d (buf_rgba, [h, w, 4], 'int32');
+            let rgb  = rgba.slice ([0, 0, 0], [h, w, 3]);
+            let normalized = rgb.toFloat().mul((max - min)/255.0).add(min);
+
+            return normalized.reshape([1, h, w, 3]);
+        });
+    }
+
+    perftrace.end (span);
+    return tensor;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  roi_coord of the detected region (see compute_detect_to_roi)
+ * ---------------------------------------------------------------- */
+tffeed.get_region_roi = function (detection, id)
+{
+    if (detection.length <= id)
+        return null;
+
+    return detection[id].roi_coord;
+}
@@ -3,6 +3,14 @@
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
 
+/* ------------------------------------------------------------------------- *
+ *  Rotate (drag) and zoom (wheel) the 3D view by the mouse and the touch.
+ *
+ *  Usage:
+ *      init_touch_event (canvas);
+ *      ...
+ *      matrix_mult (mtxGlobal, mtxGlobal, get_touch_event_matrix ());
+ * ------------------------------------------------------------------------- */
 var s_ev = {};
 s_ev.mouse_down  = false;
 s_ev.mouse_enter = false;
@@ -0,0 +1,263 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Trace the time spent in the named spans of each frame.
+ *
+ *  The common modules record their spans ("preprocess", "readback",
+ *  "predict", "download", "decode", "nms", the stages of util_sched.js and
+ *  the frame of util_glres.js), and the apps add "render". The overlay
+ *  shows the average time per frame of each span over the last second,
+ *  and "download" in the GUI saves the recorded spans as a Chrome trace
+ *  (open it in chrome://tracing or https://ui.perfetto.dev).
+ *
+ *  Usage:
+ *      perftrace.add_gui (gui);
+ *      ...
+ *      let span = perftrace.begin ("render", "gl");
+ *      ...
+ *      perftrace.end (span);
+ *      let ret = await perftrace.span ("predict", "tfjs", () => model.predict (x));
+ *      ...
+ *      perftrace.draw_overlay (gl, win_w, win_h);
+ *
+ *  The spans of the stages running concurrently may overlap. They are put
+ *  on separate rows ("lanes") of the trace at the export.
+ * ------------------------------------------------------------------------- */
+var perftrace = {};
+
+perftrace.kMaxEvents = 50000;
+perftrace.kWindowMs  = 1000;    /* of the overlay */
+
+perftrace.events = [];          /* {name, cat, ts, dur, frame} [ms] */
+perftrace.frame  = 0;
+perftrace.prop = {
+    enable  : true,
+    overlay : false,
+    download: function () { perftrace.download (); },
+    clear   : function () { perftrace.clear (); },
+};
+
+
+/* ---------------------------------------------------------------- *
+ *  spans
+ * ---------------------------------------------------------------- */
+perftrace.begin = function (name, cat)
+{
+    return {name: name, cat: cat, ts: performance.now (), frame: perftrace.frame};
+}
+
+perftrace.end = function (span)
+{
+    if (!perftrace.prop.enable)
+        return;
+
+    span.dur = performance.now () - span.ts;
+    perftrace.events.push (span);
+
+    /* drop the oldest 10% at once */
+    if (perftrace.events.length > perftrace.kMaxEvents)
+        perftrace.events.splice (0, perftrace.kMaxEvents / 10);
+}
+
+/* run func in the span. the span ends when the returned promise settles. */
+perftrace.span = function (name, cat, func)
+{
+    let span = perftrace.begin (name, cat);
+    let ret;
+
+    try {
+        ret = func ();
+    }
+    catch (e) {
+        perftrace.end (span);
+        throw e;
+    }
+
+    if (ret instanceof Promise)
+        return ret.finally (() => perftrace.end (span));
+
+    perftrace.end (span);
+    return ret;
+}
+
+perftrace.begin_frame = function ()
+{
+    perftrace.frame ++;
+    return perftrace.begin ("frame", "frame");
+}
+
+perftrace.clear = function ()
+{
+    perftrace.events = [];
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  breakdown of the last kWindowMs
+ *
+ *    return: [{name, ms}] average time per frame [ms], longest first.
+ * ---------------------------------------------------------------- */
+perftrace.get_breakdown = function ()
+{
+    let since = performance.now () - perftrace.kWindowMs;
+    let sums  = new Map ();
+    let num_frames = 0;
+
+    /* the events are in the order of the end */
+    for (let i = perftrace.events.length - 1; i >= 0; i --)
+    {
+        let ev = perftrace.events[i];
+        if (ev.ts + ev.dur < since)
+            break;
+
+        if (ev.cat == "frame")
+            num_frames ++;
+
+        sums.set (ev.name, (sums.has (ev.name) ? sums.get (ev.name) : 0) + ev.dur);
+    }
+
+    num_frames = Math.max (num_frames, 1);
+
+    let ret = [];
+    for (let [name, sum] of sums)
+        ret.push ({name: name, ms: sum / num_frames});
+
+    ret.sort ((a, b) => b.ms - a.ms);
+    return ret;
+}
+
+perftrace.draw_overlay = function (gl, win_w, win_h)
+{
+    if (!perftrace.prop.overlay)
+        return;
+
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_bg    = [0.0, 0.0, 0.0, 0.5];
+    let col_bar   = [0.0, 0.8, 1.0, 0.8];
+    let col_over  = [1.0, 0.3, 0.0, 0.8];
+    let budget_ms = 1000.0 / 60;
+    let scale     = 6;      /* [pixel/ms] */
+
+    let spans = perftrace.get_breakdown ();
+    let x = 10;
+    let y = win_h - (spans.length + 1) * DEBSTR_FONT_HEIGHT - 10;
+
+    dbgstr.draw_dbgstr_ex (gl, "ms/frame (last 1 sec)", x, y, 1.0, col_white, col_bg);
+
+    for (let i = 0; i < spans.length; i ++)
+    {
+        let span = spans[i];
+        let str  = (span.name + "            ").slice (0, 12) + (span.ms.toFixed(1) + "     ").slice (0, 6);
+        let yy   = y + (i + 1) * DEBSTR_FONT_HEIGHT;
+        let bar_x = x + str.length * DEBSTR_FONT_WIDTH;
+        let bar_w = Math.min (span.ms * scale, win_w - bar_x - 10);
+        let col   = (span.ms > budget_ms) ? col_over : col_bar;
+
+        dbgstr.draw_dbgstr_ex (gl, str, x, yy, 1.0, col_white, col_bg);
+        r2d.draw_2d_fillrect (gl, bar_x, yy + 4, bar_w, DEBSTR_FONT_HEIGHT - 8, col);
+    }
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  Chrome trace event format
+ *      https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ *
+ *  complete events ("X") on one row must nest. a span which overlaps
+ *  another one partially goes to the next lane.
+ * ---------------------------------------------------------------- */
+perftrace.assign_lanes = function (events)
+{
+    let lanes = [];     /* stack of the open spans of each lane */
+    let ret   = [];
+
+    let sorted = events.slice ().sort ((a, b) => (a.ts - b.ts) || (b.dur - a.dur));
+    for (let ev of sorted)
+    {
+        let end  = ev.ts + ev.dur;
+        let lane = 0;
+        for (; lane < lanes.length; lane ++)
+        {
+            let stack = lanes[lane];
+            while (stack.length > 0 && stack[stack.length - 1] <= ev.ts)
+                stack.pop ();
+
+            if (stack.length == 0 || end <= stack[stack.length - 1])
+                break;
+        }
+        if (lane == lanes.length)
+            lanes.push ([]);
+
+        lanes[lane].push (end);
+        ret.push ({ev: ev, lane: lane});
+    }
+
+    return {events: ret, num_lanes: lanes.length};
+}
+
+perftrace.to_chrome_trace = function ()
+{
+    let lanes = perftrace.assign_lanes (perftrace.events);
+    let trace_events = [];
+
+    for (let i = 0; i < lanes.num_lanes; i ++)
+    {
+        trace_events.push ({name: "thread_name", ph: "M", pid: 1, tid: i + 1,
+                            args: {name: (i == 0) ? "main" : "lane " + i}});
+    }
+
+    for (let {ev, lane} of lanes.events)
+    {
+        trace_events.push ({
+            name: ev.name,
+            cat : ev.cat,
+            ph  : "X",
+            ts  : Math.round (ev.ts  * 1000),   /* [us] */
+            dur : Math.round (ev.dur * 1000),
+            pid : 1,
+            tid : lane + 1,
+            args: {frame: ev.frame},
+        });
+    }
+
+    let backend = (typeof tf !== 'undefined') ? tf.getBackend () : "";
+    let agent   = (typeof navigator !== 'undefined') ? navigator.userAgent : "";
+    return {
+        traceEvents    : trace_events,
+        displayTimeUnit: "ms",
+        metadata       : {backend: backend, userAgent: agent},
+    };
+}
+
+perftrace.download = function ()
+{
+    let json = JSON.stringify (perftrace.to_chrome_trace ());
+    let date = new Date ().toISOString ().replace (/[-:]/g, '').replace (/\..*/, '');
+    let blob = new Blob ([json], {type: 'application/json'});
+    let url  = URL.createObjectURL (blob);
+    let elem = document.createElement ('a');
+    elem.href     = url;
+    elem.download = 'trace_' + date + '.json';
+    elem.click ();
+
+    setTimeout (function () { URL.revokeObjectURL (url); }, 1000);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+perftrace.add_gui = function (gui)
+{
+    let folder = gui.addFolder ('trace');
+
+    folder.add (perftrace.prop, 'enable');
+    folder.add (perftrace.prop, 'overlay');
+    folder.add (perftrace.prop, 'download');
+    folder.add (perftrace.prop, 'clear');
+
+    return folder;
+}
@@ -0,0 +1,279 @@
+/* ------------------------------------------------ *
+ * The MIT License (MIT)
+ * Copyright (c) 2020 terryky1220@gmail.com
+ * ------------------------------------------------ */
+
+/* ------------------------------------------------------------------------- *
+ *  Associate the detected regions across frames and give them stable IDs.
+ *
+ *  The regions of the current frame are matched to the tracks by IoU
+ *  (Hungarian method). A track which is not matched keeps its ID for
+ *  "max_coast" frames, moving with its last velocity, so that the subject
+ *  gets the same ID when it is detected again.
+ *
+ *  Usage:
+ *      const trk = tracker.create_tracker ();
+ *      tracker.add_gui (gui, trk);
+ *      ...
+ *      let regions = await invoke_pose_detect (...);
+ *      tracker.update_tracks (trk, regions);     // sets regions[i].track_id
+ *
+ *  A region needs {topleft, btmright} (see util_ssd.js). For the subjects
+ *  given as the landmarks only, tracker.get_points_region() makes it.
+ * ------------------------------------------------------------------------- */
+var tracker = {};
+
+tracker.create_tracker = function ()
+{
+    let trk = {};
+
+    trk.tracks  = [];
+    trk.next_id = 1;
+    trk.prop = {
+        iou_thresh: 0.3,    /* minimum IoU to be the same subject */
+        max_coast : 10,     /* [frames] to keep a track without detection */
+    };
+
+    return trk;
+}
+
+tracker.reset = function (trk)
+{
+    trk.tracks  = [];
+    trk.next_id = 1;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  IoU of the boxes {x1, y1, x2, y2}
+ * ---------------------------------------------------------------- */
+tracker.get_box = function (region)
+{
+    return {x1: region.topleft.x,  y1: region.topleft.y,
+            x2: region.btmright.x, y2: region.btmright.y};
+}
+
+/* the bounding box of the points ([x, y] or {x, y}) as a region */
+tracker.get_points_region = function (points)
+{
+    let x1 =  Number.MAX_VALUE, y1 =  Number.MAX_VALUE;
+    let x2 = -Number.MAX_VALUE, y2 = -Number.MAX_VALUE;
+
+    for (let p of points)
+    {
+        let x = Array.isArray (p) ? p[0] : p.x;
+        let y = Array.isArray (p) ? p[1] : p.y;
+        x1 = Math.min (x1, x);  y1 = Math.min (y1, y);
+        x2 = Math.max (x2, x);  y2 = Math.max (y2, y);
+    }
+    return {topleft: {x: x1, y: y1}, btmright: {x: x2, y: y2}};
+}
+
+tracker.calc_iou = function (box0, box1)
+{
+    let area0 = (box0.x2 - box0.x1) * (box0.y2 - box0.y1);
+    let area1 = (box1.x2 - box1.x1) * (box1.y2 - box1.y1);
+    if (area0 <= 0 || area1 <= 0)
+        return 0;
+
+    let w = Math.min (box0.x2, box1.x2) - Math.max (box0.x1, box1.x1);
+    let h = Math.min (box0.y2, box1.y2) - Math.max (box0.y1, box1.y1);
+    if (w <= 0 || h <= 0)
+        return 0;
+
+    let area_intersect = w * h;
+    return area_intersect / (area0 + area1 - area_intersect);
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  Hungarian method (minimum cost assignment)
+ *
+ *    cost  : [rows][cols], rows <= cols
+ *    return: assign[row] = col
+ * ---------------------------------------------------------------- */
+tracker.solve_assignment = function (cost, rows, cols)
+{
+    const INF = Number.MAX_VALUE;
+    let u = new Array(rows + 1).fill (0);
+    let v = new Array(cols + 1).fill (0);
+    let p = new Array(cols + 1).fill (0);   /* p[col] = row (1 origin) */
+    let way = new Array(cols + 1).fill (0);
+
+    for (let i = 1; i <= rows; i ++)
+    {
+        p[0] = i;
+        let j0 = 0;
+        let minv = new Array(cols + 1).fill (INF);
+        let used = new Array(cols + 1).fill (false);
+
+        do {
+            used[j0] = true;
+            let i0 = p[j0];
+            let delta = INF;
+            let j1 = 0;
+
+            for (let j = 1; j <= cols; j ++)
+            {
+                if (used[j])
+                    continue;
+
+                let cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j])
+                {
+                    minv[j] = cur;
+                    way[j]  = j0;
+                }
+                if (minv[j] < delta)
+                {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= cols; j ++)
+            {
+                if (used[j])
+                {
+                    u[p[j]] += delta;
+                    v[j]    -= delta;
+                }
+                else
+                {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (p[j0] != 0);
+
+        do {
+            let j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0 != 0);
+    }
+
+    let assign = new Array(rows).fill (-1);
+    for (let j = 1; j <= cols; j ++)
+    {
+        if (p[j] > 0)
+            assign[p[j] - 1] = j - 1;
+    }
+    return assign;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  match the regions to the tracks, and set region.track_id.
+ * ---------------------------------------------------------------- */
+tracker.predict_box = function (track)
+{
+    let n = track.missed + 1;
+    return {x1: track.box.x1 + track.vx * n, y1: track.box.y1 + track.vy * n,
+            x2: track.box.x2 + track.vx * n, y2: track.box.y2 + track.vy * n};
+}
+
+tracker.update_tracks = function (trk, regions)
+{
+    let tracks = trk.tracks;
+    let num_trk = tracks.length;
+    let num_reg = regions.length;
+    let boxes = regions.map ((region) => tracker.get_box (region));
+    let track_of_region = new Array(num_reg).fill (-1);
+
+    if (num_trk > 0 && num_reg > 0)
+    {
+        /* rows must not be more than cols */
+        let trk_is_row = (num_trk <= num_reg);
+        let rows = trk_is_row ? num_trk : num_reg;
+        let cols = trk_is_row ? num_reg : num_trk;
+        let iou  = [];
+        let cost = [];
+
+        for (let r = 0; r < rows; r ++)
+        {
+            iou[r]  = [];
+            cost[r] = [];
+            for (let c = 0; c < cols; c ++)
+            {
+                let t = trk_is_row ? r : c;
+                let d = trk_is_row ? c : r;
+                iou[r][c]  = tracker.calc_iou (tracker.predict_box (tracks[t]), boxes[d]);
+                cost[r][c] = 1.0 - iou[r][c];
+            }
+        }
+
+        let assign = tracker.solve_assignment (cost, rows, cols);
+        for (let r = 0; r < rows; r ++)
+        {
+            let c = assign[r];
+            if (c < 0 || iou[r][c] < trk.prop.iou_thresh)
+                continue;
+
+            let t = trk_is_row ? r : c;
+            let d = trk_is_row ? c : r;
+            track_of_region[d] = t;
+        }
+    }
+
+    /* update the matched tracks */
+    let matched = new Array(num_trk).fill (false);
+    for (let d = 0; d < num_reg; d ++)
+    {
+        let t = track_of_region[d];
+        if (t < 0)
+            continue;
+
+        let track = tracks[t];
+        let n = track.missed + 1;
+        track.vx = ((boxes[d].x1 + boxes[d].x2) - (track.box.x1 + track.box.x2)) * 0.5 / n;
+        track.vy = ((boxes[d].y1 + boxes[d].y2) - (track.box.y1 + track.box.y2)) * 0.5 / n;
+        track.box    = boxes[d];
+        track.missed = 0;
+        track.hits ++;
+        matched[t] = true;
+
+        regions[d].track_id = track.id;
+    }
+
+    /* coast or drop the missed tracks */
+    let new_tracks = [];
+    for (let t = 0; t < num_trk; t ++)
+    {
+        if (!matched[t])
+            tracks[t].missed ++;
+
+        if (tracks[t].missed <= trk.prop.max_coast)
+            new_tracks.push (tracks[t]);
+    }
+
+    /* new tracks */
+    for (let d = 0; d < num_reg; d ++)
+    {
+        if (track_of_region[d] >= 0)
+            continue;
+
+        let track = {id: trk.next_id ++, box: boxes[d], vx: 0, vy: 0, missed: 0, hits: 1};
+        new_tracks.push (track);
+
+        regions[d].track_id = track.id;
+    }
+
+    trk.tracks = new_tracks;
+    return regions;
+}
+
+
+/* ---------------------------------------------------------------- *
+ *  dat.GUI
+ * ---------------------------------------------------------------- */
+tracker.add_gui = function (gui, trk)
+{
+    let folder = gui.addFolder ('tracker');
+
+    folder.add (trk.prop, 'iou_thresh', 0.0, 1.0);
+    folder.add (trk.prop, 'max_coast', 0, 60).step (1);
+    folder.add ({reset: function () { tracker.reset (trk); }}, 'reset');
+
+    return folder;
+}
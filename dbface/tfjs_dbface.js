@@ -10,29 +10,20 @@ const kMouth      = 3;
 const kRightEar   = 4;
 const kFaceKeyNum = 5;
 
-let s_detect_model;
-let s_detect_tensor_input;
+let s_detect;
 
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the model is described in manifest.json
  * -------------------------------------------------- */
 async function
 init_tfjs_blazepose ()
 {
-    try {
-        let url = "./model/tfjs_model/model.json";
-        s_detect_model = await tf.loadGraphModel(url);
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
-
-    s_detect_tensor_input  = tfjs_get_tensor_by_name (s_detect_model, 0, "input");
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    let det_input_w = s_detect_tensor_input.shape[2];
-    let det_input_h = s_detect_tensor_input.shape[1];
+    s_detect = await manifest.load_model (mf, "detect");
 
     return 0;
 }
@@ -40,10 +31,7 @@ init_tfjs_blazepose ()
 function 
 get_pose_detect_input_dims ()
 {
-    return {
-        w: s_detect_tensor_input.shape[2],
-        h: s_detect_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_detect);
 }
 
 
@@ -65,11 +53,14 @@ _exp (v)
 async function 
 decode_bounds (region_list, logits, score_thresh, input_img_w, input_img_h)
 {
-    let bbox_ptr     = await logits[0].data();    /* [1, 120, 160,  4] */
-    let scores_ptr   = await logits[1].data();    /* [1, 120, 160,  1] */
-    let landmark_ptr = await logits[2].data();    /* [1, 120, 160, 10] */
-    let score_w = logits[1].shape[2];
-    let score_h = logits[1].shape[1];
+    let tensor_bbox     = manifest.get_output (s_detect, logits, "bbox");      /* [1, 120, 160,  4] */
+    let tensor_scores   = manifest.get_output (s_detect, logits, "scores");    /* [1, 120, 160,  1] */
+    let tensor_landmark = manifest.get_output (s_detect, logits, "landmark");  /* [1, 120, 160, 10] */
+    let bbox_ptr     = await manifest.read_data (tensor_bbox);
+    let scores_ptr   = await manifest.read_data (tensor_scores);
+    let landmark_ptr = await manifest.read_data (tensor_landmark);
+    let score_w = tensor_scores.shape[2];
+    let score_h = tensor_scores.shape[1];
 
     for (let y = 0; y < score_h; y ++)
     {
@@ -128,40 +119,21 @@ sort_right_major (v1, v2)
 /* -------------------------------------------------- *
  * Invoke TensorFlow.js (Pose detection)
  * -------------------------------------------------- */
-function exec_tfjs (img)
+function exec_tfjs (input_tensor)
 {
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
-
-    let out_tensors = tf.tidy(() =>
-    {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
-
-        // normalize [0, 255] to [-1, 1].
-        let min = -1;
-        let max =  1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
-
-        // resize, reshape
-        let batched = normalized.reshape([-1, h, w, 3]);
-
-        return s_detect_model.predict(batched);
-    });
-
-    return out_tensors;
+    return manifest.predict (s_detect, input_tensor);
 }
 
-async function invoke_pose_detect (img, config)
+async function invoke_pose_detect (input_tensor, config)
 {
-    let out_tensors = exec_tfjs (img);
+    let out_tensors = exec_tfjs (input_tensor);
 
     let score_thresh = config.detect_thresh;
     let nms_enable   = config.detect_nms_enable;
     let iou_thresh   = config.detect_iou_thresh;
     let region_list = [];
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
+    let w = manifest.get_input_dims (s_detect).w;
+    let h = manifest.get_input_dims (s_detect).h;
 
     if (score_thresh < 0.01)
         score_thresh = 0.01
@@ -169,16 +141,13 @@ async function invoke_pose_detect (img, config)
 
     if (nms_enable) /* USE NMS */
     {
-        let region_nms_list = [];
-        non_max_suppression (region_list, region_nms_list, iou_thresh);
-        region_list = region_nms_list;
+        region_list = ssd.apply_nms (region_list, ssd.NMS_HARD, iou_thresh);
     }
 
     region_list.sort (sort_right_major);
 
     /* release the resource of output tensor */
-    for (let i = 0; i < out_tensors.length; i ++)
-        out_tensors[i].dispose();
+    manifest.dispose_outputs (out_tensors);
 
     return region_list;
 }
@@ -2,11 +2,9 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
 
 class GuiProperty {
@@ -38,24 +36,8 @@ function
 generate_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_pose_detect_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, r2d.FLIP_V);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 
@@ -67,7 +49,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
 
     for (let i = 0; i < detection.length; i ++)
     {
-        region = detection[i];
+        let region = detection[i];
         let x1 = region.topleft.x  * texw + ofstx;
         let y1 = region.topleft.y  * texh + ofsty;
         let x2 = region.btmright.x * texw + ofstx;
@@ -78,7 +60,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
         r2d.draw_2d_rect (gl, x1, y1, x2-x1, y2-y1, col_frame, 2.0);
 
         /* class name */
-        let buf = "" + i + ":" + (score * 100).toFixed(0);
+        let buf = "ID" + region.track_id + ":" + (score * 100).toFixed(0);
         dbgstr.draw_dbgstr_ex (gl, buf, x1, y1-11, 0.5, col_white, col_frame);
 
         /* key points */
@@ -101,7 +83,7 @@ render_cropped_pose_image (gl, srctex, ofstx, ofsty, texw, texh, detection, pose
     if (detection.length <= pose_id)
         return;
 
-    region = detection[pose_id];
+    let region = detection[pose_id];
     let x0 = region.topleft .x;
     let y0 = region.topleft .y;
     let x1 = region.btmright.x;
@@ -133,7 +115,7 @@ render_detect_faces (gl, texid, win_w, win_h, detection)
         render_cropped_pose_image (gl, texid, x, y, w, h, detection, pose_id);
         r2d.draw_2d_rect (gl, x, y, w, h, col_frame, 2.0);
 
-        let buf = "" + pose_id;
+        let buf = "ID" + detection[pose_id].track_id;
         dbgstr.draw_dbgstr_ex (gl, buf, x, y, 0.5, col_white, col_frame);
     }
 }
@@ -197,6 +179,8 @@ init_gui ()
     gui.add (s_gui_prop, 'roi_size', 0.0, 200.0);
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 /* ---------------------------------------------------------------- *
@@ -207,7 +191,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -217,26 +201,67 @@ async function startWebGL()
     gl.clearColor (0.0, 0.0, 0.0, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
-    init_gui ();
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.0, 0.0, 0.0, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_blazepose);
+    });
+
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "pexels_dance.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "assets/pexels-davide-de-giovanni-3171822.jpg");
+    const input = insrc.create_input_source (gl, "assets/pexels-davide-de-giovanni-3171822.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
+
+    const rec = recorder.create_recorder ("dbface",
+        "x, y: normalized to the window (origin: top-left). view: area of the source in the window");
+    recorder.add_gui (gui, rec);
+
+    const trk = tracker.create_tracker ();
+    tracker.add_gui (gui, trk);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "detect", async function (frame)
+    {
+        let feed_image = generate_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+        let predictions = await invoke_pose_detect (feed_image, s_gui_prop);
+        feed_image.dispose ();
+
+        tracker.update_tracks (trk, predictions);
+
+        let view = recorder.calc_letterbox (frame.width, frame.height, win_w, win_h);
+        recorder.record_frame (rec, frame, {faces: predictions}, view);
+
+        return predictions;
+    }, 0, infsched.extrapolate_regions);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_blazepose ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_blazepose);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_h, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_h, 1);
 
     /* stop loading spinner */
@@ -255,16 +280,13 @@ async function startWebGL()
 
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stages running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
@@ -272,21 +294,24 @@ async function startWebGL()
         /* --------------------------------------- *
          *  invoke TF.js (Face detection)
          * --------------------------------------- */
-        let feed_image = generate_input_image (gl, texid, win_w, win_h);
+        await infsched.update (sch, frame);
 
-        let time_invoke0_start = performance.now();
-        let predictions = await invoke_pose_detect (feed_image, s_gui_prop);
-        let time_invoke0 = performance.now() - time_invoke0_start;
+        let predictions = infsched.get_result (sch, "detect");
+        if (!predictions)
+            predictions = [];
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clear (gl.COLOR_BUFFER_BIT);
 
         r2d.draw_2d_texture (gl, texid, 0, 0, win_w, win_h, 0)
         render_detect_region (gl, 0, 0, win_w, win_h, predictions);
         render_detect_faces (gl, texid, win_w, win_h, predictions);
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -299,14 +324,21 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
 
         str = "detect num: " + predictions.length;
         dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 2);
 
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 3);
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
+
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
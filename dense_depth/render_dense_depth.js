@@ -294,9 +294,6 @@ function create_mesh (gl, num_tile_w, num_tile_h)
     let mesh = {};
     mesh.vtx_array = new Float32Array (num_vtx * 3);
     mesh.uv_array  = new Float32Array (num_vtx * 2);
-    mesh.vbo_vtx   = gl.createBuffer();
-    mesh.vbo_uv    = gl.createBuffer();
-    mesh.vbo_idx   = gl.createBuffer();
 
     let num_tri = num_tile_w * num_tile_h * 2;
     let num_idx = num_tri * 3;
@@ -321,12 +318,22 @@ function create_mesh (gl, num_tile_w, num_tile_h)
     mesh.num_tile_h = num_tile_h;
     mesh.num_idx    = num_idx;
 
-    gl.bindBuffer (gl.ELEMENT_ARRAY_BUFFER, mesh.vbo_idx);
-    gl.bufferData (gl.ELEMENT_ARRAY_BUFFER, idx_array, gl.STATIC_DRAW);
+    create_mesh_buffers (gl, mesh);
+    glres.register (mesh, function (gl) { create_mesh_buffers (gl, mesh); });
 
     return mesh;
 }
 
+function create_mesh_buffers (gl, mesh)
+{
+    mesh.vbo_vtx   = gl.createBuffer();
+    mesh.vbo_uv    = gl.createBuffer();
+    mesh.vbo_idx   = gl.createBuffer();
+
+    gl.bindBuffer (gl.ELEMENT_ARRAY_BUFFER, mesh.vbo_idx);
+    gl.bufferData (gl.ELEMENT_ARRAY_BUFFER, mesh.idx_array, gl.STATIC_DRAW);
+}
+
 
 function draw_mesh (gl, mtxGlobal, mesh, texid, color)
 {
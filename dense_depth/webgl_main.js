@@ -2,16 +2,14 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
+let s_depth_tex;
 
 class GuiProperty {
     constructor() {
-        this.pause_camera  = false;
         this.depth_scale_x = 100;
         this.depth_scale_y = 100;
         this.depth_scale_z = 100;
@@ -45,24 +43,8 @@ function
 generate_dense_depth_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_dense_depth_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, r2d.FLIP_V);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 
@@ -89,7 +71,7 @@ render_depth_image (gl, ofstx, ofsty, texw, texh, dense_depth_ret)
             let d = depthmap[idx];
             d -= s_gui_prop.depth_min;
             d /= s_gui_prop.depth_max;
-            r = d * 255;
+            let r = d * 255;
             r = clamp(0, 255, r);
             imgbuf[4 * idx + 0] = r;
             imgbuf[4 * idx + 1] = r;
@@ -98,10 +80,8 @@ render_depth_image (gl, ofstx, ofsty, texw, texh, dense_depth_ret)
         }
     }
 
-    let texid = GLUtil.create_2d_texture (gl, imgbuf, depthmap_w, depthmap_h);
+    let texid = GLUtil.update_dynamic_texture (gl, s_depth_tex, imgbuf, depthmap_w, depthmap_h);
     r2d.draw_2d_texture (gl, texid, ofstx, ofsty, texw, texh, 0)
-
-    gl.deleteTexture (texid);
 }
 
 let s_is_first_render3d = true;
@@ -334,7 +314,6 @@ init_gui ()
 {
     const gui = new dat.GUI();
 
-    gui.add (s_gui_prop, 'pause_camera');
     gui.add (s_gui_prop, 'depth_scale_x', 0, 1000);
     gui.add (s_gui_prop, 'depth_scale_y', 0, 1000);
     gui.add (s_gui_prop, 'depth_scale_z', 0, 1000);
@@ -348,6 +327,8 @@ init_gui ()
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'draw_axis');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 /* ---------------------------------------------------------------- *
@@ -358,7 +339,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -368,38 +349,73 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_dense_depth);
+    });
+
     init_touch_event (canvas);
-    init_gui ();
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "pexels.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "pexels.jpg");
+    const input = insrc.create_input_source (gl, "pexels.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     *  it runs once per new frame, as the model is slow.
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+    let need_invoke_tflite = true;
+
+    infsched.add_stage (sch, "depth", async function (frame)
+    {
+        if (!need_invoke_tflite)
+            return infsched.SKIP;
+        need_invoke_tflite = false;
+
+        let feed_image = generate_dense_depth_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+        let dense_depth = await invoke_dense_depth (feed_image);
+        feed_image.dispose ();
+
+        return dense_depth;
+    }, 0);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_dense_depth_render (gl, win_w, win_h);
+    glres.register ("render", function (gl) { init_dense_depth_render (gl, win_w, win_h); });
 
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_dense_depth ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_dense_depth);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_h, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_h, 1);
+    s_depth_tex = GLUtil.create_dynamic_texture (gl);
 
     /* stop loading spinner */
     const spinner = document.getElementById('loading');
     spinner.classList.add('loaded');
 
     let prev_time_ms = performance.now();
-    let need_invoke_tflite = true;
-    let dense_depth;
     async function render (now)
     {
         pmeter.reset_lap (0);
@@ -411,20 +427,15 @@ async function startWebGL()
 
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            if (s_gui_prop.pause_camera == false)
-            {
-                GLUtil.update_camera_texture (gl, camtex);
-                need_invoke_tflite = true;
-            }
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stages running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
+        if (frame.updated)
+            need_invoke_tflite = true;
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
@@ -432,26 +443,22 @@ async function startWebGL()
         /* --------------------------------------- *
          *  invoke TF.js (Dense Depth estimation)
          * --------------------------------------- */
-        let time_invoke0 = 0;
-        if (need_invoke_tflite)
-        {
-            let feed_image = generate_dense_depth_input_image (gl, texid, win_w, win_h);
+        await infsched.update (sch, frame);
 
-            let time_invoke0_start = performance.now();
-            dense_depth = await invoke_dense_depth (feed_image);
-            time_invoke0 = performance.now() - time_invoke0_start;
-
-            need_invoke_tflite = false;
-        }
+        let dense_depth = infsched.get_result (sch, "depth");
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clearColor (0.1, 0.1, 0.44, 1.0);
         gl.clear (gl.COLOR_BUFFER_BIT);
 
-        render_depth_image_3d (gl, texid, dense_depth);
+        /* not invoked yet (the model is not loaded) */
+        if (dense_depth)
+            render_depth_image_3d (gl, texid, dense_depth);
 
         {
             let ox = 5;
@@ -459,10 +466,12 @@ async function startWebGL()
             let tw = src_w * s_gui_prop.srcimg_scale;
             let th = src_h * s_gui_prop.srcimg_scale;
             r2d.draw_2d_texture (gl, texid, ox, oy, tw, th, 0)
-            render_depth_image (gl, ox, oy + th, tw, th, dense_depth);
+            if (dense_depth)
+                render_depth_image (gl, ox, oy + th, tw, th, dense_depth);
             r2d.draw_2d_rect (gl, ox, oy,    tw, th, [1.0, 1.0, 1.0, 1.0], 3.0);
             r2d.draw_2d_rect (gl, ox, oy+th, tw, th, [1.0, 1.0, 1.0, 1.0], 3.0);
         }
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -475,11 +484,18 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 2);
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
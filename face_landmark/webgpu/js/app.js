@@ -22,11 +22,14 @@ const guiProperties = {
     maskEyeHole: false,
     drawPerfMeter: true,
     enableSmoothing: true,
-    smoothingFactor: 0.5,
     predictionsPerSecond: 30,
     highPerformanceMode: false
 };
 
+// Landmark smoothing (common/util_filter.js), one filter per face track (common/util_tracker.js)
+const smoother = lmfilter.create_filter_bank(lmfilter.FILTER_ONE_EURO);
+const faceTracker = tracker.create_tracker();
+
 // Performance monitoring
 const performanceMetrics = {
     fps: 0,
@@ -266,7 +269,7 @@ function initializeGUI() {
             .onChange(value => updatePerformanceMode(value));
         performanceFolder.add(guiProperties, 'predictionsPerSecond', 15, 60).name('FPS Target');
         performanceFolder.add(guiProperties, 'enableSmoothing').name('Enable Smoothing');
-        performanceFolder.add(guiProperties, 'smoothingFactor', 0, 1).name('Smooth Factor');
+        lmfilter.add_gui(gui, smoother);
 
         renderFolder.open();
         performanceFolder.open();
@@ -419,10 +422,12 @@ async function enhancedRender(timestamp) {
                     staticImageMode: false
                 });
 
+                if (guiProperties.enableSmoothing) {
+                    smoothPredictions(predictions || [], timestamp);
+                }
+
                 if (predictions && predictions.length > 0) {
-                    const processedPrediction = guiProperties.enableSmoothing ? 
-                        smoothPredictions(predictions[0]) : 
-                        predictions[0];
+                    const processedPrediction = predictions[0];
 
                     if (state.renderer) {
                         await state.renderer.render({
@@ -481,36 +486,21 @@ function isRenderingReady() {
     return ready;
 }
 
-// Updated smoothPredictions function
-function smoothPredictions(prediction) {
-    if (!prediction?.scaledMesh) {
-        return prediction;
-    }
-
-    if (!window.lastPrediction?.scaledMesh) {
-        window.lastPrediction = prediction;
-        return prediction;
-    }
-
-    const factor = guiProperties.smoothingFactor;
-    const smoothedMesh = prediction.scaledMesh.map((point, i) => {
-        const lastPoint = window.lastPrediction.scaledMesh[i];
-        if (!lastPoint) return point;
-        
-        return [
-            point[0] * (1 - factor) + lastPoint[0] * factor,
-            point[1] * (1 - factor) + lastPoint[1] * factor,
-            point[2] * (1 - factor) + lastPoint[2] * factor
-        ];
+// Smooth the landmarks of each face in place with the One Euro/Kalman filter.
+// The faces are matched to their tracks, so each one keeps its own filter.
+function smoothPredictions(predictions, timestamp) {
+    const meshes = predictions.map(face => face.scaledMesh || face.keypoints);
+    const regions = meshes.map(mesh => tracker.get_points_region(mesh));
+    tracker.update_tracks(faceTracker, regions);
+
+    const unit = Math.max(videoStream.videoWidth, videoStream.videoHeight);
+    predictions.forEach((face, i) => {
+        face.trackId = regions[i].track_id;
+        lmfilter.filter_points(smoother, face.trackId, meshes[i], timestamp, unit);
     });
+    lmfilter.prune(smoother, timestamp);
 
-    const smoothedPrediction = {
-        ...prediction,
-        scaledMesh: smoothedMesh
-    };
-
-    window.lastPrediction = smoothedPrediction;
-    return smoothedPrediction;
+    return predictions;
 }
 
 
@@ -781,7 +771,7 @@ function initializeEnhancedGUI() {
         .onChange(value => updatePerformanceMode(value));
     performanceFolder.add(guiProperties, 'predictionsPerSecond', 15, 60).name('FPS Target');
     performanceFolder.add(guiProperties, 'enableSmoothing').name('Enable Smoothing');
-    performanceFolder.add(guiProperties, 'smoothingFactor', 0, 1).name('Smooth Factor');
+    lmfilter.add_gui(gui, smoother);
 
     renderFolder.open();
     performanceFolder.open();
@@ -11,76 +11,35 @@ const kRightEar      = 4;
 const kLeftEar       = 5;
 const kFaceKeyNum    = 6;
 
-let s_detect_model;
-let s_detect_tensor_input;
+let s_detect;
 
-let s_portrait_model;
-let s_portrait_tensor_input;
+let s_portrait;
 
-let s_anchors = [];
+let s_detector;
 
-function
-create_ssd_anchors(input_w, input_h)
-{
-    /*
-     *  Anchor parameters are based on:
-     *      mediapipe/modules/pose_detection/pose_detection_cpu.pbtxt
-     */
-    let anchor_options = {};
-    anchor_options.strides = [];
-    anchor_options.aspect_ratios = [];
-    anchor_options.feature_map_height = [];
-
-    anchor_options.num_layers = 4;
-    anchor_options.min_scale = 0.1484375;
-    anchor_options.max_scale = 0.75;
-    anchor_options.input_size_height = 128;
-    anchor_options.input_size_width  = 128;
-    anchor_options.anchor_offset_x  = 0.5;
-    anchor_options.anchor_offset_y  = 0.5;
-//  anchor_options.feature_map_width .push(0);
-//  anchor_options.feature_map_height.push(0);
-    anchor_options.strides.push( 8);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.aspect_ratios.push(1.0);
-    anchor_options.reduce_boxes_in_lowest_layer = false;
-    anchor_options.interpolated_scale_aspect_ratio = 1.0;
-    anchor_options.fixed_anchor_size = true;
-
-    GenerateAnchors (s_anchors, anchor_options);
-}
+/*
+ *  Detector parameters (manifest.json) are based on:
+ *      mediapipe/modules/face_detection/face_detection_front_cpu.pbtxt
+ */
+let s_detect_config;
 
 
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the models are described in manifest.json
  * -------------------------------------------------- */
 async function
 init_tfjs_face_portrait ()
 {
-    try {
-        let url = "./model/tfjs_model_face_detection_front/model.json";
-        s_detect_model = await tf.loadGraphModel(url);
-
-        let url_portrait = "./model/tfjs_model_portrait_512x512/model.json";
-        s_portrait_model = await tf.loadGraphModel(url_portrait);
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
-
-    /* face detect */
-    s_detect_tensor_input  = tfjs_get_tensor_by_name (s_detect_model, 0, "input");
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    /* face portrait */
-    s_portrait_tensor_input = tfjs_get_tensor_by_name (s_portrait_model, 0, "inputs");
+    s_detect   = await manifest.load_model (mf, "detect");
+    s_portrait = await manifest.load_model (mf, "portrait");
 
-    let det_input_w = s_detect_tensor_input.shape[2];
-    let det_input_h = s_detect_tensor_input.shape[1];
-    create_ssd_anchors (det_input_w, det_input_h);
+    s_detect_config = manifest.get_ssd_config (s_detect);
+    s_detector = ssd.create_detector (s_detect_config);
 
     return 0;
 }
@@ -88,116 +47,16 @@ init_tfjs_face_portrait ()
 function 
 get_face_detect_input_dims ()
 {
-    return {
-        w: s_detect_tensor_input.shape[2],
-        h: s_detect_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_detect);
 }
 
 function 
 get_face_portrait_input_dims ()
 {
-    return {
-        w: s_portrait_tensor_input.shape[2],
-        h: s_portrait_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_portrait);
 }
 
 
-/* -------------------------------------------------- *
- * Invoke TensorFlow.js (Face detection)
- * -------------------------------------------------- */
-async function 
-decode_bounds (region_list, logits, score_thresh, input_img_w, input_img_h)
-{
-    let scores_ptr0 = await logits[3].data();   /* [3] 1, 512,  1 */
-    let bbox_ptr0   = await logits[1].data();   /* [1] 1, 512, 16 */
-    let scores_ptr1 = await logits[0].data();   /* [0] 1, 384,  1 */
-    let bbox_ptr1   = await logits[2].data();   /* [2] 1, 384, 16 */
-
-    for (let i = 0; i < s_anchors.length; i ++)
-    {
-        let region = {};
-        let anchor = s_anchors[i];
-        let anchor_idx;
-
-        let bbox_ptr;
-        let scores_ptr;
-        if (i < 512)
-        {
-            scores_ptr = scores_ptr0;
-            bbox_ptr = bbox_ptr0;
-            anchor_idx = i;
-        }
-        else
-        {
-            scores_ptr = scores_ptr1;
-            bbox_ptr = bbox_ptr1;
-            anchor_idx = i - 512;
-        }
-
-        let score0 = scores_ptr[anchor_idx];
-        let score = 1.0 / (1.0 + Math.exp(-score0));
-
-        if (score > score_thresh)
-        {
-            /*
-             *  cx, cy, width, height
-             *  key0_x, key0_y
-             *  key._x, keyx_y
-             *  key5_x, key5_y
-             */
-            let numkey = kFaceKeyNum;
-            let bbx_idx = (4 + 2 * numkey) * anchor_idx;
-
-            /* boundary box */
-            let sx = bbox_ptr[bbx_idx + 0];
-            let sy = bbox_ptr[bbx_idx + 1];
-            let w  = bbox_ptr[bbx_idx + 2];
-            let h  = bbox_ptr[bbx_idx + 3];
-
-            let cx = sx + anchor.x_center * input_img_w;
-            let cy = sy + anchor.y_center * input_img_h;
-
-            cx /= input_img_w;
-            cy /= input_img_h;
-            w  /= input_img_w;
-            h  /= input_img_h;
-
-            let topleft = {}, btmright = {};
-            topleft.x  = cx - w * 0.5;
-            topleft.y  = cy - h * 0.5;
-            btmright.x = cx + w * 0.5;
-            btmright.y = cy + h * 0.5;
-
-            region.score    = score;
-            region.topleft  = topleft;
-            region.btmright = btmright;
-
-            /* landmark positions (6 keys) */
-            let keys = new Array(kFaceKeyNum);
-            for (let j = 0; j < kFaceKeyNum; j ++)
-            {
-                let lx = bbox_ptr[bbx_idx + 4 + (2 * j) + 0];
-                let ly = bbox_ptr[bbx_idx + 4 + (2 * j) + 1];
-                lx += anchor.x_center * input_img_w;
-                ly += anchor.y_center * input_img_h;
-                lx /= input_img_w;
-                ly /= input_img_h;
-
-                keys[j] = {x: lx, y: ly};
-            }
-            region.keys = keys;
-
-            region_list.push (region);
-        }
-    }
-    return 0;
-}
-
-
-
-
 /* -------------------------------------------------- *
  *  extract ROI
  *  based on:
@@ -238,8 +97,8 @@ rot_vec (vec, rotation)
 function
 compute_detect_to_roi (region)
 {
-    let input_img_w = s_detect_tensor_input.shape[2];
-    let input_img_h = s_detect_tensor_input.shape[1];
+    let input_img_w = manifest.get_input_dims (s_detect).w;
+    let input_img_h = manifest.get_input_dims (s_detect).h;
     let width    = region.btmright.x - region.topleft.x;
     let height   = region.btmright.y - region.topleft.y;
     let x_center = region.topleft.x + width  * 0.5;
@@ -301,7 +160,7 @@ function pack_detect_result (detect_result, region_list)
 {
     for (let i = 0; i < region_list.length; i ++)
     {
-        region = region_list[i];
+        let region = region_list[i];
 
         compute_rotation (region);
         compute_detect_to_roi (region);
@@ -312,59 +171,51 @@ function pack_detect_result (detect_result, region_list)
 
 
 /* -------------------------------------------------- *
- * Invoke TensorFlow.js (Face detection)
+ *  ROI of the next frame from the detection (see util_roitrack.js)
+ *    the portrait model gives no landmarks, so the ROI is computed
+ *    from the keys of the last detection in the same way as the
+ *    detection. the detector runs again at the "redetect" interval
+ *    to follow the motion.
  * -------------------------------------------------- */
-function exec_tfjs (img)
+function
+compute_detect_to_next_roi (region)
 {
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
-
-    let out_tensors = tf.tidy(() =>
-    {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
+    let next_region = {
+        score   : region.score,
+        topleft : Object.assign ({}, region.topleft),
+        btmright: Object.assign ({}, region.btmright),
+        keys    : region.keys.map ((key) => Object.assign ({}, key)),
+        track_id: region.track_id,
+    };
 
-        // normalize [0, 255] to [0, 1].
-        let min = 0;
-        let max = 1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+    compute_rotation (next_region);
+    compute_detect_to_roi (next_region);
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
+    return next_region;
+}
 
-        return s_detect_model.predict(batched);
-    });
 
-    return out_tensors;
+/* -------------------------------------------------- *
+ * Invoke TensorFlow.js (Face detection)
+ * -------------------------------------------------- */
+function exec_tfjs (input_tensor)
+{
+    return manifest.predict (s_detect, input_tensor);
 }
 
-async function invoke_pose_detect (img)
+async function invoke_pose_detect (input_tensor)
 {
-    let out_tensors  = exec_tfjs (img);
+    let out_tensors  = exec_tfjs (input_tensor);
 
-    let score_thresh = 0.75;
+    let score_thresh = s_detect_config.score_thresh;
+    let iou_thresh   = s_detect_config.iou_thresh;
     let detect_result = [];
-    let region_list = [];
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
-    await decode_bounds (region_list, out_tensors, score_thresh, w, h);
+    let region_list = await ssd.decode (s_detector, out_tensors, score_thresh, iou_thresh);
 
-    if (true) /* USE NMS */
-    {
-        let iou_thresh = 0.3;
-        let region_nms_list = [];
-
-        non_max_suppression (region_list, region_nms_list, iou_thresh);
-        pack_detect_result (detect_result, region_nms_list);
-    }
-    else
-    {
-        pack_detect_result (detect_result, region_list);
-    }
+    pack_detect_result (detect_result, region_list);
 
     /* release the resource of output tensor */
-    for (let i = 0; i < out_tensors.length; i ++)
-        out_tensors[i].dispose();
+    manifest.dispose_outputs (out_tensors);
 
     return detect_result;
 }
@@ -373,48 +224,29 @@ async function invoke_pose_detect (img)
 /* -------------------------------------------------- *
  * Invoke TensorFlow.js (Face portrait)
  * -------------------------------------------------- */
-function exec_tfjs_portrait (img)
+function exec_tfjs_portrait (input_tensor)
 {
-    let w = s_portrait_tensor_input.shape[2];
-    let h = s_portrait_tensor_input.shape[1];
-
-    let out_tensors = tf.tidy(() =>
-    {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
-
-        // normalize [0, 255] to [-1, 1].
-        //let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
-        let normalized = img_tensor;
-
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
-
-        return s_portrait_model.predict(batched);
-    });
-
-    return out_tensors;
+    return manifest.predict (s_portrait, input_tensor);
 }
 
 
 
 async function 
-invoke_face_portrait (img)
+invoke_face_portrait (input_tensor)
 {
-    let out_tensors = exec_tfjs_portrait (img);
-    let tensor_portrait = out_tensors[5];
+    let out_tensors = exec_tfjs_portrait (input_tensor);
+    let tensor_portrait = manifest.get_output (s_portrait, out_tensors, "portrait");
 
-    let poseflag_ptr = await tensor_portrait.data();
-    let w = s_portrait_tensor_input.shape[2];
-    let h = s_portrait_tensor_input.shape[1];
+    let poseflag_ptr = await manifest.read_data (tensor_portrait);
+    let w = manifest.get_input_dims (s_portrait).w;
+    let h = manifest.get_input_dims (s_portrait).h;
 
     let portrait_result = [];
     portrait_result.portrait = poseflag_ptr;
     portrait_result.portrait_dims = [w, h];
 
     /* release the resource of output tensor */
-    for (let i = 0; i < out_tensors.length; i ++)
-        out_tensors[i].dispose();
+    manifest.dispose_outputs (out_tensors);
 
     return portrait_result;
 }
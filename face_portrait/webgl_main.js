@@ -2,20 +2,16 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
-let s_is_dragover = false;
-let s_drop_files = [];
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
+let s_portrait_tex;
 let s_portrait_input_normalize_param = {};
 
 class GuiProperty {
     constructor() {
         this.input_range   = 2.0;
-        this.use_camera    = false;
         this.flip_horizontal = true;
         this.draw_roi_rect = false;
         this.draw_pmeter   = false;
@@ -38,119 +34,21 @@ function init_stats ()
 function generate_detect_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_face_detect_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, 1);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 function
 generate_portrait_input_image (gl, texid, win_w, win_h, detection, face_id)
 {
     let dims = get_face_portrait_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
-    let buf_rgb_f= new Float32Array (dims.w * dims.h * 3);
-    let max_val = 0;
-
-    let texcoord = [];
-
-    if (detection.length > face_id)
-    {
-        region = detection[face_id];
-        let x0 = region.roi_coord[0].x;
-        let y0 = region.roi_coord[0].y;
-        let x1 = region.roi_coord[1].x; //    0--------1
-        let y1 = region.roi_coord[1].y; //    |        |
-        let x2 = region.roi_coord[2].x; //    |        |
-        let y2 = region.roi_coord[2].y; //    3--------2
-        let x3 = region.roi_coord[3].x;
-        let y3 = region.roi_coord[3].y;
-        texcoord[0] = x3;   texcoord[1] = y3;
-        texcoord[2] = x0;   texcoord[3] = y0;
-        texcoord[4] = x2;   texcoord[5] = y2;
-        texcoord[6] = x1;   texcoord[7] = y1;
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
+    let roi_coord = tffeed.get_region_roi (detection, face_id);
+    let range = s_gui_prop.input_range;
 
-    r2d.draw_2d_texture_texcoord_rot (gl, texid, 0, win_h - dims.h, dims.w, dims.h, texcoord, 0, 0, 0);
+    /* [0, 255] --> [-input_range, input_range] */
+    let feed_dims = {w: dims.w, h: dims.h, norm: {min: dims.norm.min * range, max: dims.norm.max * range}};
 
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-        {
-            buf_rgb[j++] = buf_rgba[i];
-
-            if (buf_rgba[i] > max_val)
-                max_val = buf_rgba[i];
-        }
-    }
-
-    if (true)
-    {
-        for (let i = 0; i < buf_rgb.length/3; i++)
-        {
-            let r = buf_rgb[3 * i + 0];
-            let g = buf_rgb[3 * i + 1];
-            let b = buf_rgb[3 * i + 2];
-
-            r /= 255.0;
-            g /= 255.0;
-            b /= 255.0;
-            r = (r - 0.5) * 2.0;
-            g = (g - 0.5) * 2.0;
-            b = (b - 0.5) * 2.0;
-
-            buf_rgb_f[3 * i + 0] = r * s_gui_prop.input_range;
-            buf_rgb_f[3 * i + 1] = g * s_gui_prop.input_range;
-            buf_rgb_f[3 * i + 2] = b * s_gui_prop.input_range;
-        }
-    }
-    else
-    {
-        /* 
-         * normalize input image based on
-         *   https://github.com/NathanUA/U-2-Net/blob/master/u2net_portrait_demo.py
-         */
-        for (let i = 0; i < buf_rgb.length/3; i++)
-        {
-            let r = buf_rgb[3 * i + 0];
-            let g = buf_rgb[3 * i + 1];
-            let b = buf_rgb[3 * i + 2];
-
-            r /= max_val;
-            g /= max_val;
-            b /= max_val;
-            r = (r - 0.406) / 0.225;
-            g = (g - 0.456) / 0.224;
-            b = (b - 0.485) / 0.229;
-
-            buf_rgb_f[3 * i + 0] = r * s_gui_prop.input_range;
-            buf_rgb_f[3 * i + 1] = g * s_gui_prop.input_range;
-            buf_rgb_f[3 * i + 2] = b * s_gui_prop.input_range;
-        }
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb_f;
+    return tffeed.generate_input_tensor (gl, texid, feed_dims, roi_coord, null);
 }
 
 
@@ -163,7 +61,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
 
     for (let i = 0; i < detection.length; i ++)
     {
-        region = detection[i];
+        let region = detection[i];
         let x1 = region.topleft.x  * texw + ofstx;
         let y1 = region.topleft.y  * texh + ofsty;
         let x2 = region.btmright.x * texw + ofstx;
@@ -183,7 +81,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
             let x = region.keys[j0].x * texw + ofstx;
             let y = region.keys[j0].y * texh + ofsty;
 
-            r = 4;
+            let r = 4;
             r2d.draw_2d_fillrect (gl, x - (r/2), y - (r/2), r, r, col_red);
         }
 
@@ -211,7 +109,7 @@ render_cropped_face_image (gl, srctex, ofstx, ofsty, texw, texh, detection, face
     if (detection.length <= face_id)
         return;
 
-    region = detection[face_id];
+    let region = detection[face_id];
     let x0 = region.roi_coord[0].x;
     let y0 = region.roi_coord[0].y;
     let x1 = region.roi_coord[1].x; //    0--------1
@@ -285,13 +183,23 @@ render_portrait_face_image (gl, ofstx, ofsty, texw, texh, detection, face_id, po
     let by     = cy - face_h * 0.5;
     let rot    = RAD_TO_DEG (region.rotation);
 
-    let texid = GLUtil.create_2d_texture (gl, imgbuf, segmap_w, segmap_h);
+    let texid = GLUtil.update_dynamic_texture (gl, s_portrait_tex, imgbuf, segmap_w, segmap_h);
     r2d.draw_2d_texture_texcoord_rot (gl, texid, ofstx + bx, ofsty + by, face_w, face_h, 0, 0.5, 0.5, rot);
-
-    gl.deleteTexture (texid);
 }
 
 
+/*
+ *  the portraits follow the faces: the ROIs are extrapolated (see util_sched.js),
+ *  and the portraits of the last run are drawn in them.
+ */
+function
+extrapolate_face_portrait (cur, prev, t)
+{
+    let ret = Object.assign ({}, cur);
+    ret.regions = infsched.extrapolate_regions (cur.regions, prev.regions, t);
+    return ret;
+}
+
 
 
 /* Adjust the texture size to fit the window size
@@ -346,41 +254,13 @@ init_gui ()
     const gui = new dat.GUI();
 
     gui.add (s_gui_prop, 'input_range', 0.0, 10.0);
-    gui.add (s_gui_prop, 'use_camera');
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'draw_roi_rect');
     gui.add (s_gui_prop, 'draw_pmeter');
-}
-
 
-/* ---------------------------------------------------------------- *
- *  Drag and Drop Event
- * ---------------------------------------------------------------- */
-function on_dragover (event)
-{
-    event.preventDefault();
-    s_is_dragover = true;
+    return gui;
 }
 
-function on_dragleave (event)
-{
-    event.preventDefault();
-    s_is_dragover = false;
-}
-
-function on_drop (event)
-{
-    event.preventDefault();
-    s_is_dragover = false;
-    s_drop_files = event.dataTransfer.files;
-}
-
-
-function on_webglcontextlost (event)
-{
-    //event.preventDefault();
-    alert ("[ERROR]\nCONTEXT_LOST_WEBGL has occurred. \norz...");
-}
 
 /* ---------------------------------------------------------------- *
  *      M A I N    F U N C T I O N
@@ -390,7 +270,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -400,49 +280,111 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
-    canvas.addEventListener ('dragover',  on_dragover);
-    canvas.addEventListener ('dragleave', on_dragleave);
-    canvas.addEventListener ('drop' ,     on_drop);
-    canvas.addEventListener ('webglcontextlost', on_webglcontextlost);
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_face_portrait);
+    });
 
-    init_gui ();
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
 
-    //const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "pexels.mp4");
-    let camtex = {};
-    imgtex = GLUtil.create_image_texture2 (gl, "pakutaso.jpg");
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
 
-    let need_camera_init = true;
-    let imgtex_next = imgtex;
+    const input = insrc.create_input_source (gl, "pakutaso.jpg", insrc.SRC_IMAGE);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
+
+    const trk = tracker.create_tracker ();
+    tracker.add_gui (gui, trk);
+
+    /* no landmarks: the detector runs at least every "redetect" to follow the faces */
+    const rtrk = roitrack.create_roi_tracker (0.0, 500);
+    roitrack.add_gui (gui, rtrk);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     *  they run once per new frame, as the portrait is slow.
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+    let need_invoke_tflite = false;
+    let last_detect = null;
+
+    infsched.add_stage (sch, "detect", async function (frame)
+    {
+        if (!need_invoke_tflite)
+            return infsched.SKIP;
+        need_invoke_tflite = false;
+
+        /* the ROIs from the detection of the last run (see util_roitrack.js) */
+        let detections = roitrack.get_tracked_regions (rtrk);
+        if (!detections)
+        {
+            let feed_image = generate_detect_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+            detections = await invoke_pose_detect (feed_image);
+            feed_image.dispose ();
+        }
+
+        tracker.update_tracks (trk, detections);
+
+        /* the detector is skipped until the "redetect" interval */
+        roitrack.update (rtrk, detections.map ((region) => compute_detect_to_next_roi (region)));
+        return detections;
+    }, 0);
+
+    infsched.add_stage (sch, "portrait", async function (frame)
+    {
+        /* once per detection */
+        let detect = infsched.get_stage (sch, "detect");
+        if (!detect.cur || detect.cur === last_detect)
+            return infsched.SKIP;
+        last_detect = detect.cur;
+
+        /* crop all the ROIs before awaiting, so that they are of the same frame */
+        let detections = detect.cur.result;
+        let feed_images = [];
+        for (let face_id = 0; face_id < detections.length; face_id ++)
+            feed_images[face_id] = generate_portrait_input_image (gl, s_rtarget_src.texid, win_w, win_h, detections, face_id);
+
+        let portraits = [];
+        for (let face_id = 0; face_id < detections.length; face_id ++)
+        {
+            portraits[face_id] = await invoke_face_portrait (feed_images[face_id]);
+            feed_images[face_id].dispose ();
+        }
+
+        return {regions: detections, portraits: portraits};
+    }, 0, extrapolate_face_portrait);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_face_portrait ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_face_portrait);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_w, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_w, 1);
+    s_portrait_tex = GLUtil.create_dynamic_texture (gl);
 
     /* stop loading spinner */
     const spinner = document.getElementById('loading');
     spinner.classList.add('loaded');
 
     let prev_time_ms = performance.now();
-    let need_invoke_tflite = false;
-    let req_update_image  = true;
     let req_prologue = 10;
-    let time_invoke0 = 0;
-    let time_invoke1 = 0;
-    let detections = {};
-    let portraits = [];
     async function render (now)
     {
         pmeter.reset_lap (0);
@@ -452,74 +394,62 @@ async function startWebGL()
         let interval_ms = cur_time_ms - prev_time_ms;
         prev_time_ms = cur_time_ms;
 
-        if (s_gui_prop.use_camera & need_camera_init)
-        {
-            camtex = GLUtil.create_camera_texture (gl);
-            need_camera_init = false;
-        }
-
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex) && s_gui_prop.use_camera)
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-            need_invoke_tflite = true;
-        }
+        /* the stages running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
-        if (s_drop_files.length > 0)
+        if (frame.source != insrc.SRC_IMAGE)
         {
-            imgtex_next = GLUtil.create_image_texture_from_file (gl, s_drop_files[0]);
-            s_drop_files = [];
-            req_update_image = true;
+            if (frame.updated)
+                need_invoke_tflite = true;
         }
-
-        if (req_update_image && GLUtil.is_image_texture_ready (imgtex_next))
+        else if (frame.updated)
         {
-            imgtex = imgtex_next;
-            req_update_image  = false;
+            /* a new still image. show "please wait" before the slow invocation */
             req_prologue = 10;
-            detections.length = 0;
         }
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
 
-        if (need_invoke_tflite)
+        if (req_prologue > 0)
         {
-            /* --------------------------------------- *
-             *  invoke TF.js (Face detection)
-             * --------------------------------------- */
-            let feed_image = generate_detect_input_image (gl, texid, win_w, win_h);
-
-            let time_invoke0_start = performance.now();
-            detections = await invoke_pose_detect (feed_image);
-            time_invoke0 = performance.now() - time_invoke0_start;
+            /* drop the results of the last image when no stage is running */
+            if (req_prologue > 1 || infsched.is_idle (sch))
+                req_prologue --;
 
-            /* --------------------------------------- *
-             *  invoke TF.js (Face portrait)
-             * --------------------------------------- */
-            time_invoke1 = 0;
-            for (let face_id = 0; face_id < detections.length; face_id ++)
+            if (req_prologue == 0)
             {
-                let feed_image = generate_portrait_input_image (gl, texid, win_w, win_h, detections, face_id);
-
-                let time_invoke1_start = performance.now();
-                portraits[face_id] = await invoke_face_portrait (feed_image);
-                time_invoke1 += performance.now() - time_invoke1_start;
+                infsched.reset (sch);
+                roitrack.reset (rtrk);
+                need_invoke_tflite = true;
             }
-            need_invoke_tflite = false;
         }
 
+        /* --------------------------------------- *
+         *  invoke TF.js (Face detection, Face portrait)
+         * --------------------------------------- */
+        await infsched.update (sch, frame);
+
+        let portrait_ret = null;
+        if (req_prologue == 0)
+            portrait_ret = infsched.get_result (sch, "portrait");
+
+        let detections = portrait_ret ? portrait_ret.regions   : [];
+        let portraits  = portrait_ret ? portrait_ret.portraits : [];
+
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clear (gl.COLOR_BUFFER_BIT);
 
         r2d.draw_2d_texture (gl, texid, 0, 0, win_w, win_h, 0)
@@ -546,6 +476,7 @@ async function startWebGL()
                 r2d.draw_2d_rect (gl, x, y, w, h, col_white, 2.0);
             }
         }
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -558,34 +489,36 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
-        str = "TF.js1  : " + time_invoke1.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 2);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
 
-        if (req_prologue > 0)
-        {
-            req_prologue --;
-            if (req_prologue == 0)
-            {
-                let x = win_w * 0.25;
-                let y = win_h * 0.5 - 50;
-                let w = win_w * 0.5;
-                let h = 100;
-                r2d.draw_2d_fillrect   (gl, x, y, w,  h, [0.0, 0.4, 0.4, 0.4]);
-                r2d.draw_2d_rect       (gl, x, y, w,  h, [0.0, 1.0, 1.0, 0.8], 3.0);
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        roitrack.draw_status (gl, rtrk, 10, 10 + 22 * 3);
 
-                x = win_w * 0.5 - 100;
-                y = win_h * 0.5 - 11;
-                let str = "    please wait...    ";
-                dbgstr.draw_dbgstr_ex (gl, str, x, y, 1, [0.0, 1.0, 1.0, 1.0], [0.0, 0.0, 0.0, 0.0]);
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 4);
 
-                need_invoke_tflite = true;
-            }
+        /* until the portraits of the new image are ready */
+        if (req_prologue == 0 && !portrait_ret)
+        {
+            let x = win_w * 0.25;
+            let y = win_h * 0.5 - 50;
+            let w = win_w * 0.5;
+            let h = 100;
+            r2d.draw_2d_fillrect   (gl, x, y, w,  h, [0.0, 0.4, 0.4, 0.4]);
+            r2d.draw_2d_rect       (gl, x, y, w,  h, [0.0, 1.0, 1.0, 0.8], 3.0);
+
+            x = win_w * 0.5 - 100;
+            y = win_h * 0.5 - 11;
+            let str = "    please wait...    ";
+            dbgstr.draw_dbgstr_ex (gl, str, x, y, 1, [0.0, 1.0, 1.0, 1.0], [0.0, 0.0, 0.0, 0.0]);
         }
 
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
+
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
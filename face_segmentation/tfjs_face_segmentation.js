@@ -11,76 +11,35 @@ const kRightEar      = 4;
 const kLeftEar       = 5;
 const kFaceKeyNum    = 6;
 
-let s_detect_model;
-let s_detect_tensor_input;
+let s_detect;
 
-let s_segment_model;
-let s_segment_tensor_input;
+let s_segment;
 
-let s_anchors = [];
+let s_detector;
 
-function
-create_ssd_anchors(input_w, input_h)
-{
-    /*
-     *  Anchor parameters are based on:
-     *      mediapipe/modules/pose_detection/pose_detection_cpu.pbtxt
-     */
-    let anchor_options = {};
-    anchor_options.strides = [];
-    anchor_options.aspect_ratios = [];
-    anchor_options.feature_map_height = [];
-
-    anchor_options.num_layers = 4;
-    anchor_options.min_scale = 0.1484375;
-    anchor_options.max_scale = 0.75;
-    anchor_options.input_size_height = 128;
-    anchor_options.input_size_width  = 128;
-    anchor_options.anchor_offset_x  = 0.5;
-    anchor_options.anchor_offset_y  = 0.5;
-//  anchor_options.feature_map_width .push(0);
-//  anchor_options.feature_map_height.push(0);
-    anchor_options.strides.push( 8);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.strides.push(16);
-    anchor_options.aspect_ratios.push(1.0);
-    anchor_options.reduce_boxes_in_lowest_layer = false;
-    anchor_options.interpolated_scale_aspect_ratio = 1.0;
-    anchor_options.fixed_anchor_size = true;
-
-    GenerateAnchors (s_anchors, anchor_options);
-}
+/*
+ *  Detector parameters (manifest.json) are based on:
+ *      mediapipe/modules/face_detection/face_detection_front_cpu.pbtxt
+ */
+let s_detect_config;
 
 
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the models are described in manifest.json
  * -------------------------------------------------- */
 async function
 init_tfjs_face_segmentation ()
 {
-    try {
-        let url = "./model/tfjs_model_face_detection_front/model.json";
-        s_detect_model = await tf.loadGraphModel(url);
-
-        let url_segment = "./model/tfjs_model_bisenetv2_celebamaskhq_256x256_float32/model.json";
-        s_segment_model = await tf.loadGraphModel(url_segment);
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
-
-    /* face detect */
-    s_detect_tensor_input  = tfjs_get_tensor_by_name (s_detect_model, 0, "input");
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    /* face segmentation */
-    s_segment_tensor_input = tfjs_get_tensor_by_name (s_segment_model, 0, "input_tensor");
+    s_detect  = await manifest.load_model (mf, "detect");
+    s_segment = await manifest.load_model (mf, "segment");
 
-    let det_input_w = s_detect_tensor_input.shape[2];
-    let det_input_h = s_detect_tensor_input.shape[1];
-    create_ssd_anchors (det_input_w, det_input_h);
+    s_detect_config = manifest.get_ssd_config (s_detect);
+    s_detector = ssd.create_detector (s_detect_config);
 
     return 0;
 }
@@ -88,116 +47,16 @@ init_tfjs_face_segmentation ()
 function 
 get_face_detect_input_dims ()
 {
-    return {
-        w: s_detect_tensor_input.shape[2],
-        h: s_detect_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_detect);
 }
 
 function 
 get_face_segment_input_dims ()
 {
-    return {
-        w: s_segment_tensor_input.shape[2],
-        h: s_segment_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_segment);
 }
 
 
-/* -------------------------------------------------- *
- * Invoke TensorFlow.js (Face detection)
- * -------------------------------------------------- */
-async function 
-decode_bounds (region_list, logits, score_thresh, input_img_w, input_img_h)
-{
-    let scores_ptr0 = await logits[3].data();   /* [3] 1, 512,  1 */
-    let bbox_ptr0   = await logits[1].data();   /* [1] 1, 512, 16 */
-    let scores_ptr1 = await logits[0].data();   /* [0] 1, 384,  1 */
-    let bbox_ptr1   = await logits[2].data();   /* [2] 1, 384, 16 */
-
-    for (let i = 0; i < s_anchors.length; i ++)
-    {
-        let region = {};
-        let anchor = s_anchors[i];
-        let anchor_idx;
-
-        let bbox_ptr;
-        let scores_ptr;
-        if (i < 512)
-        {
-            scores_ptr = scores_ptr0;
-            bbox_ptr = bbox_ptr0;
-            anchor_idx = i;
-        }
-        else
-        {
-            scores_ptr = scores_ptr1;
-            bbox_ptr = bbox_ptr1;
-            anchor_idx = i - 512;
-        }
-
-        let score0 = scores_ptr[anchor_idx];
-        let score = 1.0 / (1.0 + Math.exp(-score0));
-
-        if (score > score_thresh)
-        {
-            /*
-             *  cx, cy, width, height
-             *  key0_x, key0_y
-             *  key._x, keyx_y
-             *  key5_x, key5_y
-             */
-            let numkey = kFaceKeyNum;
-            let bbx_idx = (4 + 2 * numkey) * anchor_idx;
-
-            /* boundary box */
-            let sx = bbox_ptr[bbx_idx + 0];
-            let sy = bbox_ptr[bbx_idx + 1];
-            let w  = bbox_ptr[bbx_idx + 2];
-            let h  = bbox_ptr[bbx_idx + 3];
-
-            let cx = sx + anchor.x_center * input_img_w;
-            let cy = sy + anchor.y_center * input_img_h;
-
-            cx /= input_img_w;
-            cy /= input_img_h;
-            w  /= input_img_w;
-            h  /= input_img_h;
-
-            let topleft = {}, btmright = {};
-            topleft.x  = cx - w * 0.5;
-            topleft.y  = cy - h * 0.5;
-            btmright.x = cx + w * 0.5;
-            btmright.y = cy + h * 0.5;
-
-            region.score    = score;
-            region.topleft  = topleft;
-            region.btmright = btmright;
-
-            /* landmark positions (6 keys) */
-            let keys = new Array(kFaceKeyNum);
-            for (let j = 0; j < kFaceKeyNum; j ++)
-            {
-                let lx = bbox_ptr[bbx_idx + 4 + (2 * j) + 0];
-                let ly = bbox_ptr[bbx_idx + 4 + (2 * j) + 1];
-                lx += anchor.x_center * input_img_w;
-                ly += anchor.y_center * input_img_h;
-                lx /= input_img_w;
-                ly /= input_img_h;
-
-                keys[j] = {x: lx, y: ly};
-            }
-            region.keys = keys;
-
-            region_list.push (region);
-        }
-    }
-    return 0;
-}
-
-
-
-
 /* -------------------------------------------------- *
  *  extract ROI
  *  based on:
@@ -238,8 +97,8 @@ rot_vec (vec, rotation)
 function
 compute_detect_to_roi (region)
 {
-    let input_img_w = s_detect_tensor_input.shape[2];
-    let input_img_h = s_detect_tensor_input.shape[1];
+    let input_img_w = manifest.get_input_dims (s_detect).w;
+    let input_img_h = manifest.get_input_dims (s_detect).h;
     let width    = region.btmright.x - region.topleft.x;
     let height   = region.btmright.y - region.topleft.y;
     let x_center = region.topleft.x + width  * 0.5;
@@ -301,7 +160,7 @@ function pack_detect_result (detect_result, region_list)
 {
     for (let i = 0; i < region_list.length; i ++)
     {
-        region = region_list[i];
+        let region = region_list[i];
 
         compute_rotation (region);
         compute_detect_to_roi (region);
@@ -312,109 +171,196 @@ function pack_detect_result (detect_result, region_list)
 
 
 /* -------------------------------------------------- *
- * Invoke TensorFlow.js (Face detection)
+ *  ROI of the next frame from the segmentation (see util_roitrack.js)
+ *    the face parts in the segmentation map are used as the landmarks,
+ *    and the ROI is computed from their box in the same way as the
+ *    detection. the score is the ratio of the face pixels in the ROI.
  * -------------------------------------------------- */
-function exec_tfjs (img)
+const kSegClassNum  = 19;
+const kSegFaceParts = [1, 2, 3, 4, 5, 6, 10, 11, 12, 13];   /* skin, brows, eyes, eye_g, nose, mouth, lips */
+const kSegEyes      = [4, 5];
+const kSegEars      = [7, 8];
+const kSegNose      = [10];
+const kSegMouth     = [11, 12, 13];
+
+function
+segment_to_detect_coord (pos, region)
 {
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
+    let vec = {x: (pos.x - 0.5) * region.roi_size.x,
+               y: (pos.y - 0.5) * region.roi_size.y};
+    rot_vec (vec, region.rotation);
 
-    let out_tensors = tf.tidy(() =>
+    return {x: vec.x + region.roi_center.x, y: vec.y + region.roi_center.y};
+}
+
+function
+compute_segment_to_roi (segmentation, region)
+{
+    let segmap = segmentation.segmentmap;
+    let w = segmentation.segmentmap_dims[0];
+    let h = segmentation.segmentmap_dims[1];
+
+    let num = new Array(kSegClassNum).fill (0);
+    let sum_x = new Array(kSegClassNum).fill (0);
+    let sum_y = new Array(kSegClassNum).fill (0);
+    let x1 = w, y1 = h, x2 = -1, y2 = -1;
+
+    for (let y = 0; y < h; y ++)
     {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
+        for (let x = 0; x < w; x ++)
+        {
+            let c = segmap[y * w + x];
+            if (c >= kSegClassNum)
+                continue;
+
+            num[c] ++;
+            sum_x[c] += x;
+            sum_y[c] += y;
 
-        // normalize [0, 255] to [0, 1].
-        let min = 0;
-        let max = 1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+            if (kSegFaceParts.indexOf (c) >= 0)
+            {
+                x1 = Math.min (x1, x);  y1 = Math.min (y1, y);
+                x2 = Math.max (x2, x);  y2 = Math.max (y2, y);
+            }
+        }
+    }
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
+    let num_face = kSegFaceParts.reduce ((acc, c) => acc + num[c], 0);
+    if (num_face == 0)
+        return null;
 
-        return s_detect_model.predict(batched);
-    });
+    /* center of the parts in the ROI coordinates [0, 1]. null if not found. */
+    function get_center (classes)
+    {
+        let n = 0, cx = 0, cy = 0;
+        for (let c of classes)
+        {
+            n  += num[c];
+            cx += sum_x[c];
+            cy += sum_y[c];
+        }
+        if (n == 0)
+            return null;
 
-    return out_tensors;
-}
+        return {x: (cx / n + 0.5) / w, y: (cy / n + 0.5) / h};
+    }
 
-async function invoke_pose_detect (img)
-{
-    let out_tensors  = exec_tfjs (img);
+    /* the left one in the image first, as kRightEye and kLeftEye of the detector */
+    function get_pair (classes)
+    {
+        let pos0 = get_center ([classes[0]]);
+        let pos1 = get_center ([classes[1]]);
+        if (!pos0 || !pos1)
+            return null;
 
-    let score_thresh = 0.75;
-    let detect_result = [];
-    let region_list = [];
-    let w = s_detect_tensor_input.shape[2];
-    let h = s_detect_tensor_input.shape[1];
-    await decode_bounds (region_list, out_tensors, score_thresh, w, h);
+        return (pos0.x < pos1.x) ? [pos0, pos1] : [pos1, pos0];
+    }
+
+    let eyes  = get_pair (kSegEyes);
+    let ears  = get_pair (kSegEars);
+    let nose  = get_center (kSegNose);
+    let mouth = get_center (kSegMouth);
 
-    if (true) /* USE NMS */
+    /* rotation of the eyes, as compute_rotation() */
+    let rotation = region.rotation;
+    if (eyes)
     {
-        let iou_thresh = 0.3;
-        let region_nms_list = [];
+        let angle = Math.atan2 (eyes[1].y - eyes[0].y, eyes[1].x - eyes[0].x);
+        rotation = normalize_radians (region.rotation + angle);
+    }
+
+    /* box of the face parts, in the size aligned to the face */
+    let center = segment_to_detect_coord ({x: (x1 + x2 + 1) * 0.5 / w, y: (y1 + y2 + 1) * 0.5 / h}, region);
+    let box_w  = (x2 - x1 + 1) / w * region.roi_size.x;
+    let box_h  = (y2 - y1 + 1) / h * region.roi_size.y;
+
+    let next_region = {
+        score   : num_face / (w * h),
+        topleft : {x: center.x - box_w * 0.5, y: center.y - box_h * 0.5},
+        btmright: {x: center.x + box_w * 0.5, y: center.y + box_h * 0.5},
+        keys    : region.keys.slice (),     /* kept if the part is not found */
+        rotation: rotation,
+        track_id: region.track_id,
+    };
 
-        non_max_suppression (region_list, region_nms_list, iou_thresh);
-        pack_detect_result (detect_result, region_nms_list);
+    if (eyes)
+    {
+        next_region.keys[kRightEye] = segment_to_detect_coord (eyes[0], region);
+        next_region.keys[kLeftEye ] = segment_to_detect_coord (eyes[1], region);
     }
-    else
+    if (ears)
     {
-        pack_detect_result (detect_result, region_list);
+        next_region.keys[kRightEar] = segment_to_detect_coord (ears[0], region);
+        next_region.keys[kLeftEar ] = segment_to_detect_coord (ears[1], region);
     }
+    if (nose)
+        next_region.keys[kNose ] = segment_to_detect_coord (nose, region);
+    if (mouth)
+        next_region.keys[kMouth] = segment_to_detect_coord (mouth, region);
 
-    /* release the resource of output tensor */
-    for (let i = 0; i < out_tensors.length; i ++)
-        out_tensors[i].dispose();
+    compute_detect_to_roi (next_region);
 
-    return detect_result;
+    return next_region;
 }
 
 
 /* -------------------------------------------------- *
- * Invoke TensorFlow.js (Face segmentation)
+ * Invoke TensorFlow.js (Face detection)
  * -------------------------------------------------- */
-function exec_tfjs_segmentation (img)
+function exec_tfjs (input_tensor)
 {
-    let w = s_segment_tensor_input.shape[2];
-    let h = s_segment_tensor_input.shape[1];
+    return manifest.predict (s_detect, input_tensor);
+}
 
-    let out_tensors = tf.tidy(() =>
-    {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
+async function invoke_pose_detect (input_tensor)
+{
+    let out_tensors  = exec_tfjs (input_tensor);
 
-        // normalize [0, 255] to [0, 1].
-        let min = 0;
-        let max = 1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+    let score_thresh = s_detect_config.score_thresh;
+    let iou_thresh   = s_detect_config.iou_thresh;
+    let detect_result = [];
+    let region_list = await ssd.decode (s_detector, out_tensors, score_thresh, iou_thresh);
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, w, h, 3]);
+    pack_detect_result (detect_result, region_list);
 
-        return s_segment_model.predict(batched);
-    });
+    /* release the resource of output tensor */
+    manifest.dispose_outputs (out_tensors);
 
-    return out_tensors;
+    return detect_result;
 }
 
 
-
-async function 
-invoke_face_segmentation (img)
+/* -------------------------------------------------- *
+ * Invoke TensorFlow.js (Face segmentation)
+ *   the ROIs of all the faces run as a batch (see manifest.predict_batch()).
+ *   the batch of the BiSeNetV2 model is fixed to 1, so it runs them one by one.
+ * -------------------------------------------------- */
+async function
+invoke_face_segmentation_batch (input_tensors)
 {
-    let out_tensors = exec_tfjs_segmentation (img);
-
-    let poseflag_ptr = await out_tensors.data();
-    let w = s_segment_tensor_input.shape[2];
-    let h = s_segment_tensor_input.shape[1];
-
-    let segmentation_result = [];
-    segmentation_result.segmentmap = poseflag_ptr.slice (); /* copy array data */
-    segmentation_result.segmentmap_dims = [w, h];
+    return manifest.predict_batch (s_segment, input_tensors, async function (out_tensors, batch_num)
+    {
+        let segmap_ptr = await manifest.read_data (manifest.get_output (s_segment, out_tensors, "segmentmap"));
+        let w = manifest.get_input_dims (s_segment).w;
+        let h = manifest.get_input_dims (s_segment).h;
+        let stride = segmap_ptr.length / batch_num;
 
-    /* release the resource of output tensor */
-    out_tensors.dispose ();
+        let segmentation_ret = [];
+        for (let n = 0; n < batch_num; n ++)
+        {
+            let segmentation_result = [];
+            segmentation_result.segmentmap = segmap_ptr.slice (stride * n, stride * (n + 1)); /* copy array data */
+            segmentation_result.segmentmap_dims = [w, h];
 
-    return segmentation_result;
+            segmentation_ret[n] = segmentation_result;
+        }
+        return segmentation_ret;
+    });
 }
 
+async function
+invoke_face_segmentation (input_tensor)
+{
+    let segmentation_ret = await invoke_face_segmentation_batch ([input_tensor]);
+    return segmentation_ret[0];
+}
@@ -2,12 +2,11 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
 let s_rtarget_src;
+let s_segment_tex;
 
 class GuiProperty {
     constructor() {
@@ -34,67 +33,17 @@ function init_stats ()
 function generate_detect_input_image (gl, texid, win_w, win_h)
 {
     let dims = get_face_detect_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
 
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-    r2d.draw_2d_texture (gl, texid, 0, win_h - dims.h, dims.w, dims.h, 1);
-
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, null, null);
 }
 
 function
 generate_segment_input_image (gl, texid, win_w, win_h, detection, face_id)
 {
     let dims = get_face_segment_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
-
-    let texcoord = [];
-
-    if (detection.length > face_id)
-    {
-        region = detection[face_id];
-        let x0 = region.roi_coord[0].x;
-        let y0 = region.roi_coord[0].y;
-        let x1 = region.roi_coord[1].x; //    0--------1
-        let y1 = region.roi_coord[1].y; //    |        |
-        let x2 = region.roi_coord[2].x; //    |        |
-        let y2 = region.roi_coord[2].y; //    3--------2
-        let x3 = region.roi_coord[3].x;
-        let y3 = region.roi_coord[3].y;
-        texcoord[0] = x3;   texcoord[1] = y3;
-        texcoord[2] = x0;   texcoord[3] = y0;
-        texcoord[4] = x2;   texcoord[5] = y2;
-        texcoord[6] = x1;   texcoord[7] = y1;
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-
-    r2d.draw_2d_texture_texcoord_rot (gl, texid, 0, win_h - dims.h, dims.w, dims.h, texcoord, 0, 0, 0);
+    let roi_coord = tffeed.get_region_roi (detection, face_id);
 
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
-
-    return buf_rgb;
+    return tffeed.generate_input_tensor (gl, texid, dims, roi_coord, null);
 }
 
 
@@ -107,7 +56,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
 
     for (let i = 0; i < detection.length; i ++)
     {
-        region = detection[i];
+        let region = detection[i];
         let x1 = region.topleft.x  * texw + ofstx;
         let y1 = region.topleft.y  * texh + ofsty;
         let x2 = region.btmright.x * texw + ofstx;
@@ -118,7 +67,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
         r2d.draw_2d_rect (gl, x1, y1, x2-x1, y2-y1, col_frame, 2.0);
 
         /* score */
-        let buf = "" + (score * 100).toFixed(0);
+        let buf = "ID" + region.track_id + ":" + (score * 100).toFixed(0);
         dbgstr.draw_dbgstr_ex (gl, buf, x1, y1, 1.0, col_white, col_frame);
 
         /* key points */
@@ -127,7 +76,7 @@ render_detect_region (gl, ofstx, ofsty, texw, texh, detection)
             let x = region.keys[j0].x * texw + ofstx;
             let y = region.keys[j0].y * texh + ofsty;
 
-            r = 4;
+            let r = 4;
             r2d.draw_2d_fillrect (gl, x - (r/2), y - (r/2), r, r, col_red);
         }
 
@@ -155,7 +104,7 @@ render_cropped_face_image (gl, srctex, ofstx, ofsty, texw, texh, detection, face
     if (detection.length <= face_id)
         return;
 
-    region = detection[face_id];
+    let region = detection[face_id];
     let x0 = region.roi_coord[0].x;
     let y0 = region.roi_coord[0].y;
     let x1 = region.roi_coord[1].x; //    0--------1
@@ -234,13 +183,22 @@ render_segment_face_image (gl, ofstx, ofsty, texw, texh, detection, face_id, bis
     let by     = cy - face_h * 0.5;
     let rot    = RAD_TO_DEG (region.rotation);
 
-    let texid = GLUtil.create_2d_texture (gl, imgbuf, segmap_w, segmap_h);
+    let texid = GLUtil.update_dynamic_texture (gl, s_segment_tex, imgbuf, segmap_w, segmap_h);
     r2d.draw_2d_texture_texcoord_rot (gl, texid, ofstx + bx, ofsty + by, face_w, face_h, 0, 0.5, 0.5, rot);
-
-    gl.deleteTexture (texid);
 }
 
 
+/*
+ *  the masks follow the faces: the ROIs are extrapolated (see util_sched.js),
+ *  and the segmentation maps of the last run are drawn in them.
+ */
+function
+extrapolate_face_segment (cur, prev, t)
+{
+    let ret = Object.assign ({}, cur);
+    ret.regions = infsched.extrapolate_regions (cur.regions, prev.regions, t);
+    return ret;
+}
 
 
 /* Adjust the texture size to fit the window size
@@ -298,6 +256,8 @@ init_gui ()
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'draw_roi_rect');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 /* ---------------------------------------------------------------- *
@@ -308,7 +268,7 @@ async function startWebGL()
     s_debug_log = document.getElementById('debug_log');
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -318,27 +278,91 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
-    init_gui ();
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_face_segmentation);
+    });
+
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "pakutaso.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "pexels.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "pakutaso.jpg");
+    const trk = tracker.create_tracker ();
+    tracker.add_gui (gui, trk);
+
+    const rtrk = roitrack.create_roi_tracker (0.1);
+    roitrack.add_gui (gui, rtrk);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "detect", async function (frame)
+    {
+        /* the ROIs from the segmentation of the last run (see util_roitrack.js) */
+        let detections = roitrack.get_tracked_regions (rtrk);
+        if (!detections)
+        {
+            let feed_image = generate_detect_input_image (gl, s_rtarget_src.texid, win_w, win_h);
+            detections = await invoke_pose_detect (feed_image);
+            feed_image.dispose ();
+        }
+
+        tracker.update_tracks (trk, detections);
+        return detections;
+    }, 0, infsched.extrapolate_regions);
+
+    infsched.add_stage (sch, "segment", async function (frame)
+    {
+        let detections = infsched.get_result (sch, "detect");
+        if (!detections)
+            return {regions: [], segmentations: []};
+
+        /* crop all the ROIs before awaiting, so that they are of the same frame. one by one with BiSeNetV2 */
+        let feed_images = [];
+        for (let face_id = 0; face_id < detections.length; face_id ++)
+            feed_images[face_id] = generate_segment_input_image (gl, s_rtarget_src.texid, win_w, win_h, detections, face_id);
+
+        let segmentations = await invoke_face_segmentation_batch (feed_images);
+        for (let feed_image of feed_images)
+            feed_image.dispose ();
+
+        /* the detector is skipped while all the faces are present */
+        let next_regions = segmentations.map ((seg, face_id) => compute_segment_to_roi (seg, detections[face_id]));
+        roitrack.update (rtrk, next_regions);
+
+        return {regions: detections, segmentations: segmentations};
+    }, 0, extrapolate_face_segment);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     const stats = init_stats ();
 
 
-    await init_tfjs_face_segmentation ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_face_segmentation);
     s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_w, 1);
     s_rtarget_src  = GLUtil.create_render_target (gl, win_w, win_w, 1);
+    s_segment_tex = GLUtil.create_dynamic_texture (gl);
 
     /* stop loading spinner */
     const spinner = document.getElementById('loading');
@@ -356,54 +380,43 @@ async function startWebGL()
 
         stats.begin();
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stages running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         generate_squared_src_image (gl, texid, src_w, src_h, win_w, win_h);
         texid = s_rtarget_src.texid;
 
         /* --------------------------------------- *
-         *  invoke TF.js (Face detection)
+         *  invoke TF.js (Face detection, Face segmentation)
          * --------------------------------------- */
-        let feed_image = generate_detect_input_image (gl, texid, win_w, win_h);
-
-        let time_invoke0_start = performance.now();
-        let detections = await invoke_pose_detect (feed_image);
-        let time_invoke0 = performance.now() - time_invoke0_start;
+        await infsched.update (sch, frame);
 
-        /* --------------------------------------- *
-         *  invoke TF.js (Face segmentation)
-         * --------------------------------------- */
-        let segmentations = [];
-        let time_invoke1 = 0;
-        for (let face_id = 0; face_id < detections.length; face_id ++)
-        {
-            let feed_image = generate_segment_input_image (gl, texid, win_w, win_h, detections, face_id);
+        let detections = infsched.get_result (sch, "detect");
+        if (!detections)
+            detections = [];
 
-            let time_invoke1_start = performance.now();
-            segmentations[face_id] = await invoke_face_segmentation (feed_image);
-            time_invoke1 += performance.now() - time_invoke1_start;
-        }
+        let segment_ret = infsched.get_result (sch, "segment");
+        if (!segment_ret)
+            segment_ret = {regions: [], segmentations: []};
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clear (gl.COLOR_BUFFER_BIT);
 
         r2d.draw_2d_texture (gl, texid, 0, 0, win_w, win_h, 0)
 
-        for (let face_id = 0; face_id < detections.length; face_id ++)
+        for (let face_id = 0; face_id < segment_ret.regions.length; face_id ++)
         {
-            render_segment_face_image (gl, 0, 0, win_w, win_h, detections, face_id, segmentations[face_id]);
+            render_segment_face_image (gl, 0, 0, win_w, win_h, segment_ret.regions, face_id, segment_ret.segmentations[face_id]);
         }
 
         if (s_gui_prop.draw_roi_rect)
@@ -423,6 +436,7 @@ async function startWebGL()
                 r2d.draw_2d_rect (gl, x, y, w, h, col_white, 2.0);
             }
         }
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -435,13 +449,20 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
-        str = "TF.js1  : " + time_invoke1.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 2);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        roitrack.draw_status (gl, rtrk, 10, 10 + 22 * 3);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 4);
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
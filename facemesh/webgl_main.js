@@ -2,7 +2,6 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_is_dragover = false;
@@ -157,14 +156,32 @@ render_2d_scene (gl, texid, face_predictions, tex_w, tex_h,
             for (let i = 0; i < mask_keypoints.length; i++)
             {
                 let p = mask_keypoints[i];
-                x = p[0] / masktex.image.width  * tw + tx;
-                y = p[1] / masktex.image.height * th + ty;
+                let x = p[0] / masktex.image.width  * tw + tx;
+                let y = p[1] / masktex.image.height * th + ty;
                 r2d.draw_2d_fillrect (gl, x - radius/2, y - radius/2, radius,  radius, color);
             }
         }
     }
 }
 
+/*
+ *  extrapolate the mesh of the same face (track_id) linearly (see util_sched.js).
+ */
+function
+extrapolate_face_mesh (cur, prev, t)
+{
+    return cur.map ((face) =>
+    {
+        let prev_id = infsched.find_track (prev, face.track_id);
+        if (prev_id < 0)
+            return face;
+
+        let ret = Object.assign ({}, face);
+        ret.scaledMesh = infsched.extrapolate_points (face.scaledMesh, prev[prev_id].scaledMesh, t);
+        return ret;
+    });
+}
+
 var s_showme_count = 0;
 function render_progress_bar (gl, current_phase, face_predictions, win_w, win_h)
 {
@@ -245,6 +262,8 @@ init_gui ()
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'mask_eye_hole');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 
@@ -294,23 +313,68 @@ function startWebGL()
     canvas.addEventListener ('dragleave', on_dragleave);
     canvas.addEventListener ('drop' ,     on_drop);
 
-    init_gui ();
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "pakutaso_sotsugyou.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+
+    const trk = tracker.create_tracker ();
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "./assets/just_do_it.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "pakutaso_sotsugyou.jpg");
+    const smoother = lmfilter.create_filter_bank (lmfilter.FILTER_ONE_EURO);
+    lmfilter.add_gui (gui, smoother);
 
     let masktex = GLUtil.create_image_texture2 (gl, "./assets/mask/khamun.jpg");
     let masktex_next;
     let mask_predictions = {length: 0};
     let mask_init_done = false;
     let mask_update_req = false;
+    let mask_updated = false;
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "facemesh", async function (frame)
+    {
+        let face_predictions;
+        let num_repeat = mask_updated ? 2 : 1;
+        mask_updated = false;
+        for (let i = 0; i < num_repeat; i ++) /* repeat 5 times to flush pipeline ? */
+        {
+            face_predictions = await facemesh_model.estimateFaces (frame.element);
+        }
+
+        /* the order of the faces changes, so the filters follow the tracks (see util_tracker.js) */
+        let regions = face_predictions.map ((face) => tracker.get_points_region (face.scaledMesh));
+        tracker.update_tracks (trk, regions);
+
+        for (let face_id = 0; face_id < face_predictions.length; face_id ++)
+        {
+            let face = face_predictions[face_id];
+            face.track_id = regions[face_id].track_id;
+            lmfilter.filter_points (smoother, face.track_id, face.scaledMesh,
+                                    frame.timestamp, Math.max (frame.width, frame.height));
+        }
+        lmfilter.prune (smoother, frame.timestamp);
+
+        return face_predictions;
+    }, 0, extrapolate_face_mesh);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
     init_facemesh_render (gl, win_w, win_h);
+    glres.register ("render", function (gl) { init_facemesh_render (gl, win_w, win_h); });
 
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
@@ -320,24 +384,20 @@ function startWebGL()
     /* --------------------------------- *
      *  load FACEMESH
      * --------------------------------- */
-    let facemesh_ready = false;
     let facemesh_model;
+    async function load_facemesh ()
     {
-        function on_facemesh_model_load (model)
-        {
-            facemesh_ready = true;
-            facemesh_model = model;
-        }
+        facemesh_model = await facemesh.load ();
+    }
 
-        function on_facemesh_model_load_failed ()
-        {
-            alert('failed to load facemesh model');
-        }
+    tfbackend.init_backend (gl).then (() => appstatus.load_models (load_facemesh, "facemesh"));
 
-        let promise = facemesh.load();
-        promise.then (on_facemesh_model_load)
-               .catch(on_facemesh_model_load_failed);
-    }
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (load_facemesh, "facemesh");
+    });
 
     current_phase = 1;
 
@@ -366,8 +426,8 @@ function startWebGL()
         /* --------------------------------------- *
          *  Update Mask (if need)
          * --------------------------------------- */
-        let mask_updated = false;
-        if (facemesh_ready)
+        /* the model keeps the face of the last call. not while the stage is running. */
+        if (appstatus.is_ready () && infsched.is_idle (sch))
         {
             if (mask_init_done == false)
             {
@@ -393,6 +453,7 @@ function startWebGL()
                     for (let i = 0; i < 5; i ++) /* repeat 5 times to flush pipeline ? */
                         mask_predictions = await facemesh_model.estimateFaces (masktex_next.image);
                     mask_update_req = false;
+                    GLUtil.destroy_image_texture (gl, masktex);
                     masktex = masktex_next;
                     s_masktex_region = calc_size_to_fit (gl, masktex.image.width, masktex.image.height, 150, 150);
                     mask_updated = true;
@@ -404,47 +465,34 @@ function startWebGL()
         }
 
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         /* --------------------------------------- *
          *  invoke TF.js (Facemesh)
          * --------------------------------------- */
         s_srctex_region = calc_size_to_fit (gl, src_w, src_h, win_w, win_h);
-        let face_predictions = {length: 0};
-        let time_invoke0 = 0;
 
-        if (facemesh_ready)
-        {
+        await infsched.update (sch, frame);
+        if (appstatus.is_ready ())
             current_phase = 2;
-            let time_invoke1_start = performance.now();
 
-            num_repeat = mask_updated ? 2 : 1;
-            for (let i = 0; i < num_repeat; i ++) /* repeat 5 times to flush pipeline ? */
-            {
-                if (GLUtil.is_camera_ready(camtex))
-                    face_predictions = await facemesh_model.estimateFaces (camtex.video);
-                else
-                    face_predictions = await facemesh_model.estimateFaces (imgtex.image);
-            }
-            time_invoke0 = performance.now() - time_invoke1_start;
-        }
+        let face_predictions = infsched.get_result (sch, "facemesh");
+        if (!face_predictions)
+            face_predictions = [];
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         gl.clear (gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
         render_2d_scene (gl, texid, face_predictions, src_w, src_h, masktex, mask_predictions);
-        render_progress_bar (gl, current_phase, face_predictions, win_w, win_h);
+        if (appstatus.state != appstatus.STATE_ERROR)
+            render_progress_bar (gl, current_phase, face_predictions, win_w, win_h);
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -457,11 +505,18 @@ function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 2);
+
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
@@ -2,7 +2,6 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 
@@ -93,16 +92,6 @@ compute_3d_skelton_pos (dst_pose, src_pose)
 }
 
 
-function
-render_3d_bone (gl, mtxGlobal, pose, idx0, idx1, color, rad, is_shadow)
-{
-    const pos0 = pose[idx0];
-    const pos1 = pose[idx1];
-
-    draw_bone (gl, mtxGlobal, pos0, pos1, rad, color, is_shadow);
-}
-
-
 function
 render_palm_tri (gl, mtxGlobal, pose, idx0, idx1, idx2, color)
 {
@@ -113,41 +102,6 @@ render_palm_tri (gl, mtxGlobal, pose, idx0, idx1, idx2, color)
     draw_triangle (gl, mtxGlobal, pos0, pos1, pos2, color);
 }
 
-function
-shadow_matrix (m, light_dir, ground_pos, ground_nrm)
-{
-    vec3_normalize (light_dir);
-    vec3_normalize (ground_nrm);
-
-    let a = ground_nrm[0];
-    let b = ground_nrm[1];
-    let c = ground_nrm[2];
-    let d = 0;
-    let ex = light_dir[0];
-    let ey = light_dir[1];
-    let ez = light_dir[2];
-
-    m[ 0] =  b * ey + c * ez;
-    m[ 1] = -a * ey;
-    m[ 2] = -a * ez;
-    m[ 3] = 0;
-
-    m[ 4] = -b * ex;
-    m[ 5] =  a * ex + c * ez;
-    m[ 6] = -b * ez;
-    m[ 7] = 0;
-
-    m[ 8] = -c * ex;
-    m[ 9] = -c * ey;
-    m[10] =  a * ex + b * ey;
-    m[11] = 0;
-
-    m[12] = -d * ex;
-    m[13] = -d * ey;
-    m[14] = -d * ez;
-    m[15] =  a * ex + b * ey + c * ey;
-}
-
 function 
 render_skelton_3d (gl, landmarks)
 {
@@ -285,7 +239,7 @@ function render_3d_scene (gl, hand_predictions)
                 v0  = [-dx, i * dy, j * dz];
                 v1  = [ dx, i * dy, j * dz];
 
-                col = colb;
+                let col = colb;
                 if (i == 0 && j == 0)
                     col = [1.0, 0.0, 0.0, 1.0];
                 draw_line (gl, mtxGlobal, v0, v1, col);
@@ -342,8 +296,8 @@ render_2d_scene (gl, texid, hand_predictions, tex_w, tex_h)
         for (let j = 0; j < landmarks.length; j++)
         {
             let p = landmarks[j];
-            x = p[0] * scale + tx;
-            y = p[1] * scale + ty;
+            let x = p[0] * scale + tx;
+            let y = p[1] * scale + ty;
 
             r2d.draw_2d_fillrect (gl, x - radius/2, y - radius/2, radius,  radius, color);
             if (j == 0)
@@ -387,6 +341,24 @@ flip_h_predictions (hand_predictions, tex_w)
     }
 }
 
+/*
+ *  extrapolate the landmarks of the same hand (track_id) linearly (see util_sched.js).
+ */
+function
+extrapolate_hand_landmarks (cur, prev, t)
+{
+    return cur.map ((hand) =>
+    {
+        let prev_id = infsched.find_track (prev, hand.track_id);
+        if (prev_id < 0)
+            return hand;
+
+        let ret = Object.assign ({}, hand);
+        ret.landmarks = infsched.extrapolate_points (hand.landmarks, prev[prev_id].landmarks, t);
+        return ret;
+    });
+}
+
 var s_showme_count = 0;
 function render_progress_bar (gl, current_phase, hand_predictions, win_w, win_h)
 {
@@ -439,7 +411,7 @@ function on_resize (gl)
     pmeter.resize (gl, w, h, h - 100);
     dbgstr.resize_viewport (gl, w, h);
     r2d.resize_viewport (gl, w, h);
-    resize_handpose_render (gl, w, h);
+    resize_3d_render (gl, w, h);
 }
 
 function check_resize_canvas (gl, canvas)
@@ -472,6 +444,8 @@ init_gui ()
     gui.add (s_gui_prop, 'flip_horizontal');
     gui.add (s_gui_prop, 'draw_axis');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 
@@ -495,16 +469,69 @@ function startWebGL()
     gl.clear (gl.COLOR_BUFFER_BIT);
 
     init_touch_event (canvas);
-    init_gui ();
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    const imgtex = GLUtil.create_image_texture2 (gl, "pakutaso_vsign.jpg");
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "pakutaso_vsign.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
+
+    const rec = recorder.create_recorder ("handpose",
+        "x, y: pixels of the source frame (origin: top-left). z: handpose model output");
+    recorder.add_gui (gui, rec);
+
+    const trk = tracker.create_tracker ();
+
+    const smoother = lmfilter.create_filter_bank (lmfilter.FILTER_ONE_EURO);
+    lmfilter.add_gui (gui, smoother);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "handpose", async function (frame)
+    {
+        //let flip_h = s_gui_prop.flip_horizontal;
+        let flip_h = false;
+        let hand_predictions = await handpose_model.estimateHands (frame.element, flip_h);
+
+        if (s_gui_prop.flip_horizontal)
+        {
+            flip_h_predictions (hand_predictions, frame.width);
+        }
+
+        /* the order of the hands changes, so the filters follow the tracks (see util_tracker.js) */
+        let regions = hand_predictions.map ((hand) => tracker.get_points_region (hand.landmarks));
+        tracker.update_tracks (trk, regions);
+
+        for (let hand_id = 0; hand_id < hand_predictions.length; hand_id ++)
+        {
+            let hand = hand_predictions[hand_id];
+            hand.track_id = regions[hand_id].track_id;
+            lmfilter.filter_points (smoother, hand.track_id, hand.landmarks,
+                                    frame.timestamp, Math.max (frame.width, frame.height));
+        }
+        lmfilter.prune (smoother, frame.timestamp);
+
+        recorder.record_frame (rec, frame, {hands: hand_predictions});
+
+        return hand_predictions;
+    }, 0, extrapolate_hand_landmarks);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
-    init_handpose_render (gl, win_w, win_h);
+    init_3d_render (gl, win_w, win_h);
+    glres.register ("render", function (gl) { init_3d_render (gl, win_w, win_h); });
 
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
@@ -513,24 +540,20 @@ function startWebGL()
     /* --------------------------------- *
      *  load HANDPOSE
      * --------------------------------- */
-    let handpose_ready = false;
     let handpose_model;
+    async function load_handpose ()
     {
-        function on_model_load (model)
-        {
-            handpose_ready = true;
-            handpose_model = model;
-        }
+        handpose_model = await handpose.load ();
+    }
 
-        function on_model_load_failed ()
-        {
-            alert('failed to load model');
-        }
+    tfbackend.init_backend (gl).then (() => appstatus.load_models (load_handpose, "handpose"));
 
-        let promise = handpose.load();
-        promise.then (on_model_load)
-               .catch(on_model_load_failed);
-    }
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (load_handpose, "handpose");
+    });
 
     current_phase = 1;
 
@@ -554,51 +577,35 @@ function startWebGL()
         win_w = canvas.width;
         win_h = canvas.height;
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         /* --------------------------------------- *
          *  invoke TF.js (Handpose)
          * --------------------------------------- */
         generate_input_image (gl, texid, src_w, src_h, win_w, win_h);
-        let hand_predictions = {length: 0};
-        let time_invoke0 = 0;
 
-        if (handpose_ready)
-        {
+        await infsched.update (sch, frame);
+        if (appstatus.is_ready ())
             current_phase = 2;
-            let time_invoke0_start = performance.now();
 
-            //let flip_h = s_gui_prop.flip_horizontal;
-            let flip_h = false;
-            if (GLUtil.is_camera_ready(camtex))
-                hand_predictions = await handpose_model.estimateHands (camtex.video, flip_h);
-            else
-                hand_predictions = await handpose_model.estimateHands (imgtex.image, flip_h);
-            time_invoke0 = performance.now() - time_invoke0_start;
-
-            if (s_gui_prop.flip_horizontal)
-            {
-                flip_h_predictions (hand_predictions, src_w);
-            }
-        }
+        let hand_predictions = infsched.get_result (sch, "handpose");
+        if (!hand_predictions)
+            hand_predictions = [];
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         gl.clear (gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
         render_3d_scene (gl, hand_predictions);
         render_2d_scene (gl, texid, hand_predictions, src_w, src_h);
-        render_progress_bar (gl, current_phase, hand_predictions, win_w, win_h);
+        if (appstatus.state != appstatus.STATE_ERROR)
+            render_progress_bar (gl, current_phase, hand_predictions, win_w, win_h);
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -611,8 +618,10 @@ function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        tfbackend.draw_benchmark (gl, 10, 10 + 22 * 2);
 
         str = "BACKEND: " + tf.getBackend();
         dbgstr.draw_dbgstr_ex (gl, str, win_w - 220, win_h - 22 * 3, 
@@ -624,9 +633,13 @@ function startWebGL()
         str = "srcdim(" + src_w + ", " + src_h + ")";
         dbgstr.draw_dbgstr (gl, str, win_w - 220, win_h - 22 * 1);
 
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         //stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }
@@ -4,11 +4,31 @@
  * ------------------------------------------------ */
 
 const kPoseKeyNum = 19;
-
-let s_detect_model;
-let s_tensor_input;
-let s_tensor_heatmap;
-let s_tensor_offsets;
+const kPoseRootId = 1;          /* neck */
+const kPoseKeyThresh  = 0.1;    /* score of the peak of the keys (other than the root) */
+const kPoseKeyMaxDist = 0.5;    /* distance of the key from where it should be, per the size of the person */
+const kPoseAvgHeight  = 180.0;  /* [cm] the offsets (key3d) are in the unit of it (AVG_PERSON_HEIGHT of parse_poses.py) */
+
+/* skeleton of the BVH export (see util_bvh.js). the keys are of COCO (left and right of the subject). */
+const kPoseBvhSkeleton = [
+    {name: "Hips",          parent: null,            src: [ 8, 11], side: [11,  8]},
+    {name: "Spine",         parent: "Hips",          src: [ 1],     side: [ 5,  2], rest: [ 0,  1, 0]},
+    {name: "Head",          parent: "Spine",         src: [ 0],                     rest: [ 0,  1, 0]},
+    {name: "LeftShoulder",  parent: "Spine",         src: [ 5],                     rest: [ 1,  0, 0]},
+    {name: "LeftElbow",     parent: "LeftShoulder",  src: [ 6],                     rest: [ 1,  0, 0]},
+    {name: "LeftWrist",     parent: "LeftElbow",     src: [ 7],                     rest: [ 1,  0, 0]},
+    {name: "RightShoulder", parent: "Spine",         src: [ 2],                     rest: [-1,  0, 0]},
+    {name: "RightElbow",    parent: "RightShoulder", src: [ 3],                     rest: [-1,  0, 0]},
+    {name: "RightWrist",    parent: "RightElbow",    src: [ 4],                     rest: [-1,  0, 0]},
+    {name: "LeftHip",       parent: "Hips",          src: [11],                     rest: [ 1,  0, 0]},
+    {name: "LeftKnee",      parent: "LeftHip",       src: [12],                     rest: [ 0, -1, 0]},
+    {name: "LeftAnkle",     parent: "LeftKnee",      src: [13],                     rest: [ 0, -1, 0]},
+    {name: "RightHip",      parent: "Hips",          src: [ 8],                     rest: [-1,  0, 0]},
+    {name: "RightKnee",     parent: "RightHip",      src: [ 9],                     rest: [ 0, -1, 0]},
+    {name: "RightAnkle",    parent: "RightKnee",     src: [10],                     rest: [ 0, -1, 0]},
+];
+
+let s_pose3d;
 
 let s_hmp_w = 0;
 let s_hmp_h = 0;
@@ -16,22 +36,15 @@ let s_hmp_h = 0;
 
 /* -------------------------------------------------- *
  *  Create TensorFlow.js Model
+ *      the model is described in manifest.json
  * -------------------------------------------------- */
 async function
 init_tfjs_pose3d ()
 {
-    try {
-        let url = "./model/model.json";
-        s_detect_model = await tf.loadGraphModel(url);
-    }
-    catch (e) {
-        alert ("failed to load model");
-        alert (e.message)
-    }
+    let url = manifest.get_manifest_url ("./manifest.json");
+    let mf  = await manifest.load_manifest (url);
 
-    s_tensor_input   = tfjs_get_tensor_by_name (s_detect_model, 0, "data");        /* (1, 256, 448,  3) */
-    s_tensor_offsets = tfjs_get_tensor_by_name (s_detect_model, 1, "Identity");    /* (1,  32,  56, 57) */
-    s_tensor_heatmap = tfjs_get_tensor_by_name (s_detect_model, 1, "Identity_1");  /* (1,  32,  56, 19) */
+    s_pose3d = await manifest.load_model (mf, "pose3d");   /* input: (1, 256, 448, 3) */
 
     return 0;
 }
@@ -39,10 +52,7 @@ init_tfjs_pose3d ()
 function 
 get_pose3d_input_dims ()
 {
-    return {
-        w: s_tensor_input.shape[2],
-        h: s_tensor_input.shape[1]
-    };
+    return manifest.get_input_dims (s_pose3d);
 }
 
 
@@ -84,105 +94,315 @@ get_index_to_pos (offsets_ptr, idx_x, idx_y, key_id, pos2d, pos3d)
 }
 
 
-async function 
-decode_single_pose (pose_list, out_tensors, input_img_w, input_img_h)
+/*
+ *  the local maxima of the heatmap of the key, sorted by the score.
+ *  a plateau gives the first block of it.
+ */
+function
+find_heatmap_peaks (heatmap_ptr, key_id, score_thresh)
 {
-    let tensor_offsets = out_tensors[0]; /* (1,  32,  56, 57) */
-    let tensor_heatmap = out_tensors[1]; /* (1,  32,  56, 19) */
-    s_hmp_w = tensor_heatmap.shape[2];
-    s_hmp_h = tensor_heatmap.shape[1];
+    let peaks = [];
 
-    let scores_ptr = await tensor_heatmap.data();
-    let bbox_ptr   = await tensor_offsets.data();
-    
-    let max_block_idx = [];
-    let max_block_cnf = [];
-
-    /* find the highest heatmap block for each key */
-    for (let i = 0; i < kPoseKeyNum; i ++)
+    for (let y = 0; y < s_hmp_h; y ++)
     {
-        let max_confidence = -Number.MAX_VALUE;
-        for (let y = 0; y < s_hmp_h; y ++)
+        for (let x = 0; x < s_hmp_w; x ++)
         {
-            for (let x = 0; x < s_hmp_w; x ++)
+            let score = get_heatmap_score (heatmap_ptr, y, x, key_id);
+            if (score < score_thresh)
+                continue;
+
+            let is_peak = true;
+            for (let dy = -1; dy <= 1 && is_peak; dy ++)
             {
-                let confidence = get_heatmap_score (scores_ptr, y, x, i);
-                if (confidence > max_confidence)
+                for (let dx = -1; dx <= 1 && is_peak; dx ++)
                 {
-                    max_confidence = confidence;
-                    max_block_cnf[i] = confidence;
-                    max_block_idx[i] = {x:x, y:y};
+                    let nx = x + dx;
+                    let ny = y + dy;
+                    if ((dx == 0 && dy == 0) || nx < 0 || ny < 0 || nx >= s_hmp_w || ny >= s_hmp_h)
+                        continue;
+
+                    let s = get_heatmap_score (heatmap_ptr, ny, nx, key_id);
+                    if (s > score || (s == score && (dy < 0 || (dy == 0 && dx < 0))))
+                        is_peak = false;
                 }
             }
+
+            if (is_peak)
+                peaks.push ({x: x, y: y, score: score});
         }
     }
 
-    let pose = {};
-    pose.key   = new Array(kPoseKeyNum);
-    pose.key3d = new Array(kPoseKeyNum);
+    peaks.sort ((a, b) => b.score - a.score);
+    return peaks;
+}
 
-    /* find the offset vector and calculate the keypoint coordinates. */
-    for (let i = 0; i < kPoseKeyNum;i ++ )
+/* the 3D offsets of all the keys at the block (the root relative pose) */
+function
+get_pose_offsets (offsets_ptr, idx_x, idx_y)
+{
+    let ofsts = [];
+    for (let i = 0; i < kPoseKeyNum; i ++)
     {
-        let idx_x = max_block_idx[i].x;
-        let idx_y = max_block_idx[i].y;
-        let pos2d = {x:0.0, y:0.0};
-        let pos3d = {x:0.0, y:0.0, z:0.0};
-        get_index_to_pos (bbox_ptr, idx_x, idx_y, i, pos2d, pos3d);
-
-        pose.key  [i] = {x: pos2d.x, y: pos2d.y, score: max_block_cnf[i]};
-        pose.key3d[i] = {x: pos3d.x, y: pos3d.y, z: pos3d.z, score: max_block_cnf[i]};
+        let ofst3d = {x:0.0, y:0.0, z:0.0};
+        get_offset_vector (offsets_ptr, ofst3d, idx_y, idx_x, i);
+        ofsts.push (ofst3d);
     }
+    return ofsts;
+}
 
-    pose.pose_score = 1.0;
-    pose_list.push (pose);
+function
+get_pose_offsets_distance (ofsts0, ofsts1)
+{
+    let sum = 0;
+    for (let i = 0; i < kPoseKeyNum; i ++)
+    {
+        let dx = ofsts0[i].x - ofsts1[i].x;
+        let dy = ofsts0[i].y - ofsts1[i].y;
+        let dz = ofsts0[i].z - ofsts1[i].z;
+        sum += Math.sqrt (dx * dx + dy * dy + dz * dz);
+    }
+    return sum / kPoseKeyNum;
 }
 
+/*
+ *  the size of the person in the heatmap blocks per the unit of the offsets,
+ *  fitted to the keys found so far. 0 if they are too few.
+ */
+function
+estimate_person_scale (person)
+{
+    let num = 0;
+    let den = 0;
+    let cnt = 0;
 
-/* -------------------------------------------------- *
- * Invoke TensorFlow.js (Pose detection)
- * -------------------------------------------------- */
-function exec_tfjs (img)
+    for (let i = 0; i < kPoseKeyNum; i ++)
+    {
+        let peak = person.peaks[i];
+        if (!peak || i == kPoseRootId)
+            continue;
+
+        let vx = person.ofsts[i].x;
+        let vy = person.ofsts[i].y;
+        num += (peak.x - person.root.x) * vx + (peak.y - person.root.y) * vy;
+        den += vx * vx + vy * vy;
+        cnt ++;
+    }
+
+    if (cnt < 2 || den < 1e-6 || num <= 0)
+        return 0;
+
+    return num / den;
+}
+
+/* how far the farthest key is from the root, in the heatmap blocks */
+function
+get_person_size (person)
+{
+    let size = 0;
+    for (let i = 0; i < kPoseKeyNum; i ++)
+        size = Math.max (size, Math.hypot (person.ofsts[i].x, person.ofsts[i].y));
+
+    return size * person.scale;
+}
+
+/* where the key of the person should be, in the heatmap blocks */
+function
+get_expected_peak (person, key_id)
+{
+    let x = person.root.x + person.ofsts[key_id].x * person.scale;
+    let y = person.root.y + person.ofsts[key_id].y * person.scale;
+    return {x: x, y: y};
+}
+
+/*
+ *  give each person at most one peak of the key, greedily from the lowest cost.
+ *  (cost_func returns a negative value for the pair not to match)
+ */
+function
+assign_peaks (persons, peaks, key_id, cost_func)
+{
+    let pairs = [];
+    for (let p = 0; p < persons.length; p ++)
+    {
+        for (let k = 0; k < peaks.length; k ++)
+        {
+            let cost = cost_func (persons[p], peaks[k]);
+            if (cost >= 0)
+                pairs.push ({p: p, k: k, cost: cost});
+        }
+    }
+    pairs.sort ((a, b) => a.cost - b.cost);
+
+    let used = new Array(peaks.length).fill (false);
+    for (let p = 0; p < persons.length; p ++)
+        persons[p].peaks[key_id] = null;
+
+    for (let pair of pairs)
+    {
+        let person = persons[pair.p];
+        if (used[pair.k] || person.peaks[key_id])
+            continue;
+
+        person.peaks[key_id] = peaks[pair.k];
+        used[pair.k] = true;
+    }
+}
+
+
+/*
+ *  this model has no PAFs (part affinity fields) to connect the keys, so the
+ *  peaks are grouped by the offsets, the root relative pose of the person which
+ *  the model stores around every key of the person.
+ *
+ *   1. a peak of the neck (the root) over score_thresh is a person.
+ *   2. a peak of the other keys goes to the person whose offsets at the neck
+ *      are the closest to the offsets at the peak.
+ *   3. the offsets at the neck, scaled to the size of the person fitted to (2),
+ *      point where the keys are. the peaks go to the nearest of them again.
+ *
+ *  a key without the peak is placed at (3) with the score 0.
+ */
+async function 
+decode_multiple_poses (pose_list, out_tensors, score_thresh, input_img_w, input_img_h)
 {
-    let w = s_tensor_input.shape[2];
-    let h = s_tensor_input.shape[1];
+    let tensor_offsets = manifest.get_output (s_pose3d, out_tensors, "offsets"); /* (1,  32,  56, 57) */
+    let tensor_heatmap = manifest.get_output (s_pose3d, out_tensors, "heatmap"); /* (1,  32,  56, 19) */
+    s_hmp_w = tensor_heatmap.shape[2];
+    s_hmp_h = tensor_heatmap.shape[1];
+
+    let scores_ptr = await manifest.read_data (tensor_heatmap);
+    let bbox_ptr   = await manifest.read_data (tensor_offsets);
 
-    let out_tensors = tf.tidy(() =>
+    let persons = [];
+    for (let root of find_heatmap_peaks (scores_ptr, kPoseRootId, score_thresh))
     {
-        img_tensor1d = tf.tensor1d(img);
-        img_tensor = img_tensor1d.reshape([h, w, 3]);
+        let person = {};
+        person.root  = root;
+        person.ofsts = get_pose_offsets (bbox_ptr, root.x, root.y);
+        person.peaks = new Array(kPoseKeyNum).fill (null);
+        person.peaks[kPoseRootId] = root;
+        person.scale = 0;
+        person.size  = 0;
+        persons.push (person);
+    }
+
+    if (persons.length == 0)
+        return;
 
-        // normalize [0, 255] to [0, 1].
-        let min =  0;
-        let max =  1;
-        let normalized = img_tensor.toFloat().mul((max - min)/255.0).add(min);
+    let key_peaks = [];
+    for (let i = 0; i < kPoseKeyNum; i ++)
+    {
+        if (i == kPoseRootId)
+            continue;
+
+        key_peaks[i] = find_heatmap_peaks (scores_ptr, i, kPoseKeyThresh);
+        for (let peak of key_peaks[i])
+            peak.ofsts = get_pose_offsets (bbox_ptr, peak.x, peak.y);
+
+        assign_peaks (persons, key_peaks[i], i, function (person, peak)
+        {
+            return get_pose_offsets_distance (person.ofsts, peak.ofsts);
+        });
+    }
 
-        // resize, reshape
-        let batched = normalized.reshape([-1, h, w, 3]);
+    for (let person of persons)
+    {
+        person.scale = estimate_person_scale (person);
+        person.size  = get_person_size (person);
+        if (person.scale <= 0)
+            continue;
 
-        return s_detect_model.predict(batched);
-    });
+        for (let i = 0; i < kPoseKeyNum; i ++)
+        {
+            if (i == kPoseRootId)
+                continue;
+
+            /* keep the peak of the other person out */
+            let expected = get_expected_peak (person, i);
+            let peak = person.peaks[i];
+            if (peak && Math.hypot (peak.x - expected.x, peak.y - expected.y) > kPoseKeyMaxDist * person.size)
+                person.peaks[i] = null;
+        }
+    }
 
-    return out_tensors;
+    /* step (3) for the persons with the scale */
+    let fitted = persons.filter ((person) => person.scale > 0);
+    for (let i = 0; i < kPoseKeyNum; i ++)
+    {
+        if (i == kPoseRootId || fitted.length == 0)
+            continue;
+
+        let taken = new Set ();
+        for (let person of persons)
+        {
+            if (person.scale <= 0 && person.peaks[i])
+                taken.add (person.peaks[i]);
+        }
+        let peaks = key_peaks[i].filter ((peak) => !taken.has (peak));
+
+        assign_peaks (fitted, peaks, i, function (person, peak)
+        {
+            let expected = get_expected_peak (person, i);
+            let dist = Math.hypot (peak.x - expected.x, peak.y - expected.y);
+            return (dist > kPoseKeyMaxDist * person.size) ? -1 : dist;
+        });
+    }
+
+    for (let person of persons)
+    {
+        let pose = {};
+        pose.key   = new Array(kPoseKeyNum);
+        pose.key3d = new Array(kPoseKeyNum);
+
+        for (let i = 0; i < kPoseKeyNum; i ++)
+        {
+            let peak = person.peaks[i];
+            if (peak)
+            {
+                let pos2d = {x:0.0, y:0.0};
+                let pos3d = {x:0.0, y:0.0, z:0.0};
+                get_index_to_pos (bbox_ptr, peak.x, peak.y, i, pos2d, pos3d);
+
+                pose.key  [i] = {x: pos2d.x, y: pos2d.y, score: peak.score};
+                pose.key3d[i] = {x: pos3d.x, y: pos3d.y, z: pos3d.z, score: peak.score};
+            }
+            else
+            {
+                let pos = get_expected_peak (person, i);
+                let ofst = person.ofsts[i];
+
+                pose.key  [i] = {x: pos.x / (s_hmp_w -1), y: pos.y / (s_hmp_h -1), score: 0.0};
+                pose.key3d[i] = {x: ofst.x, y: ofst.y, z: ofst.z, score: 0.0};
+            }
+        }
+
+        pose.pose_score = person.root.score;
+        pose_list.push (pose);
+    }
 }
 
-async function invoke_pose_detect (img)
+
+/* -------------------------------------------------- *
+ * Invoke TensorFlow.js (Pose detection)
+ * -------------------------------------------------- */
+function exec_tfjs (input_tensor)
+{
+    return manifest.predict (s_pose3d, input_tensor);
+}
+
+async function invoke_pose_detect (input_tensor)
 {
-    let out_tensors = exec_tfjs (img);
+    let out_tensors = exec_tfjs (input_tensor);
 
     let pose_list = [];
-    let w = s_tensor_input.shape[2];
-    let h = s_tensor_input.shape[1];
-
-    /* currently, decoding of multiple poses is not implemented. */
-    //let score_thresh = 0.75;
-    //await decode_multiple_poses (pose_list, out_tensors, score_thresh, w, h);
+    let w = manifest.get_input_dims (s_pose3d).w;
+    let h = manifest.get_input_dims (s_pose3d).h;
 
-    await decode_single_pose (pose_list, out_tensors, w, h);
+    let score_thresh = 0.3;
+    await decode_multiple_poses (pose_list, out_tensors, score_thresh, w, h);
 
     /* release the resource of output tensor */
-    for (let i = 0; i < out_tensors.length; i ++)
-        out_tensors[i].dispose();
+    manifest.dispose_outputs (out_tensors);
 
     return pose_list;
 }
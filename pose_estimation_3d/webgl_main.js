@@ -2,11 +2,10 @@
  * The MIT License (MIT)
  * Copyright (c) 2020 terryky1220@gmail.com
  * ------------------------------------------------ */
-//tf.setBackend('wasm').then(() => startWebGL());
 
 let s_debug_log;
 let s_rtarget_main;
-let s_rtarget_feed;
+let s_main_track_id;    /* the person of the avatar and the BVH export */
 
 
 /*
@@ -25,6 +24,7 @@ class GuiProperty {
         this.pose_scale_y = 100;
         this.pose_scale_z = 100;
         this.camera_pos_z = 300;
+        this.stage_depth  = 300;    /* metric 3D: the distance of the center from the camera [cm] */
         this.joint_radius = 8;
         this.bone_radius  = 2;
         this.srcimg_scale = 1.0;
@@ -34,6 +34,9 @@ class GuiProperty {
 }
 const s_gui_prop = new GuiProperty();
 
+/* metric 3D: the center of the view is this height above the floor [cm] */
+const kMetricCenterY = 100;
+
 
 let s_srctex_region = {
     width: 0, height: 0,                    /* full rect with margin */
@@ -66,9 +69,6 @@ function
 generate_input_image (gl, texid, src_w, src_h, win_w, win_h)
 {
     let dims = get_pose3d_input_dims ();
-    let buf_rgba = new Uint8Array (dims.w * dims.h * 4);
-    let buf_rgb  = new Uint8Array (dims.w * dims.h * 3);
-
     let dst_aspect = dims.w / dims.h;
     let tex_aspect = src_w / src_h;
     let scale;
@@ -92,23 +92,9 @@ generate_input_image (gl, texid, src_w, src_h, win_w, win_h)
         offset_y = (dims.h - scaled_h) * 0.5;
     }
 
-    GLUtil.set_render_target (gl, s_rtarget_feed);
-    gl.clear (gl.COLOR_BUFFER_BIT);
-
-    /* draw valid texture area */
-    const dx = offset_x;
-    const dy = win_h - dims.h + offset_y;
-    r2d.draw_2d_texture (gl, texid, dx, dy, scaled_w, scaled_h, 1);
-
-    /* read full rect with margin */
-    gl.readPixels (0, 0, dims.w, dims.h, gl.RGBA, gl.UNSIGNED_BYTE, buf_rgba);
-    for (let i = 0, j = 0; i < buf_rgba.length; i ++)
-    {
-        if (i % 4 != 3)
-            buf_rgb[j++] = buf_rgba[i];
-    }
-
-    GLUtil.set_render_target (gl, s_rtarget_main);
+    /* draw valid texture area, the margin is filled with black */
+    let dst_rect = {x: offset_x, y: offset_y, w: scaled_w, h: scaled_h};
+    let input_tensor = tffeed.generate_input_tensor (gl, texid, dims, null, dst_rect);
 
     s_srctex_region.width  = dims.w;    /* full rect width  with margin */
     s_srctex_region.height = dims.h;    /* full rect height with margin */
@@ -117,13 +103,117 @@ generate_input_image (gl, texid, src_w, src_h, win_w, win_h)
     s_srctex_region.tex_w  = scaled_w;  /* width  of valid texture */
     s_srctex_region.tex_h  = scaled_h;  /* height of valid texture */
 
-    return buf_rgb;
+    return input_tensor;
+}
+
+
+/*
+ *  give the poses the IDs of the persons (see util_tracker.js), by the box
+ *  of the keypoints found. the decoder gives them in the order of the score.
+ */
+function
+track_pose3d (trk, pose3d_predictions)
+{
+    let regions = pose3d_predictions.map ((pose) =>
+        tracker.get_points_region (pose.key.filter ((key) => key.score > 0)));
+    tracker.update_tracks (trk, regions);
+
+    for (let pose_id = 0; pose_id < pose3d_predictions.length; pose_id ++)
+        pose3d_predictions[pose_id].track_id = regions[pose_id].track_id;
+}
+
+/*
+ *  index of the person of the avatar and the BVH export. the same person
+ *  while the track is alive, then the most confident one. -1 if none.
+ */
+function
+select_main_pose (pose3d_predictions)
+{
+    let pose_id = infsched.find_track (pose3d_predictions, s_main_track_id);
+    if (pose_id < 0 && pose3d_predictions.length > 0)
+    {
+        pose_id = 0;
+        s_main_track_id = pose3d_predictions[0].track_id;
+    }
+    return pose_id;
+}
+
+/*
+ *  extrapolate the keypoints of the same person (track_id) linearly (see util_sched.js).
+ */
+function
+extrapolate_pose3d (cur, prev, t)
+{
+    return cur.map ((pose) =>
+    {
+        let prev_id = infsched.find_track (prev, pose.track_id);
+        if (prev_id < 0)
+            return pose;
+
+        let ret = Object.assign ({}, pose);
+        ret.key   = infsched.extrapolate_points (pose.key,   prev[prev_id].key,   t);
+        ret.key3d = infsched.extrapolate_points (pose.key3d, prev[prev_id].key3d, t);
+        return ret;
+    });
+}
+
+
+/*
+ *  metric 3D: the position of the root (neck) in the camera space [cm],
+ *  which projects the joints to the keypoints (see util_camera.js).
+ *  null if it is disabled or not solved.
+ */
+function
+solve_pose3d_root (cam, pose, view, src_w, src_h)
+{
+    if (!cam.prop.enable)
+        return null;
+
+    let K = camintr.get_intrinsics (cam, src_w, src_h);
+    let points2d = pose.key.map ((key) => [(key.x - view.x) / view.w * src_w, (key.y - view.y) / view.h * src_h]);
+    let points3d = pose.key3d.map ((key) => [key.x * kPoseAvgHeight, key.y * kPoseAvgHeight, key.z * kPoseAvgHeight]);
+    let scores   = pose.key.map ((key) => key.score);
+
+    return camintr.solve_root_position (K, points2d, points3d, scores, 0.1);
 }
 
+/* the floor of the 3D view */
+function
+get_floor_y (cam)
+{
+    return cam.prop.enable ? -kMetricCenterY : -s_gui_prop.pose_scale_y;
+}
 
 function
-compute_3d_skelton_pos (dst_pose, src_pose)
+compute_3d_skelton_metric_pos (dst_pose, src_pose, cam)
 {
+    const root = src_pose.root;
+
+    for (let i = 0; i < kPoseKeyNum; i ++)
+    {
+        let key = src_pose.key3d[i];
+        let pos = [root.x + key.x * kPoseAvgHeight,
+                   root.y + key.y * kPoseAvgHeight,
+                   root.z + key.z * kPoseAvgHeight];
+        pos = camintr.camera_to_floor (cam, pos);
+
+        let x = pos[0];
+        let y = pos[1] - kMetricCenterY;
+        let z = s_gui_prop.stage_depth - pos[2];
+
+        dst_pose.key3d[i] = {x: x, y: y, z: z, score: key.score};
+    }
+}
+
+function
+compute_3d_skelton_pos (dst_pose, src_pose, cam)
+{
+    if (cam.prop.enable && src_pose.root)
+    {
+        compute_3d_skelton_metric_pos (dst_pose, src_pose, cam);
+        return;
+    }
+
     /*
      *  because key3d[kNeck] is always zero,
      *  we need to add offsets (key2d[kNeck]) to translate it to the global world. 
@@ -151,60 +241,29 @@ compute_3d_skelton_pos (dst_pose, src_pose)
     }
 }
 
-
+/*
+ *  record the main pose for the BVH export (see util_bvh.js), in the
+ *  axes of the 3D view (compute_3d_skelton_pos() without pose_scale).
+ */
 function
-render_3d_bone (gl, mtxGlobal, pose, idx0, idx1, color, rad, is_shadow)
+record_pose3d_bvh (brec, pose3d_predictions, timestamp)
 {
-    const pos0 = [pose.key3d[idx0].x, pose.key3d[idx0].y, pose.key3d[idx0].z];
-    const pos1 = [pose.key3d[idx1].x, pose.key3d[idx1].y, pose.key3d[idx1].z];
+    let pose_id = select_main_pose (pose3d_predictions);
+    if (!brec.prop.record || pose_id < 0)
+        return;
 
-    /* if the confidence score is low, draw more transparently. */
-    const s0 = pose.key3d[idx0].score;
-    const s1 = pose.key3d[idx1].score;
-    const a  = color[3];
+    const kNeck = 1;
+    let pose = pose3d_predictions[pose_id];
+    let xoffset = pose.key[kNeck].x - 0.5;
+    let yoffset = pose.key[kNeck].y - 0.5;
 
-    color[3] = ((s0 > 0.1) && (s1 > 0.1)) ? a : 0.1;
-    draw_bone (gl, mtxGlobal, pos0, pos1, rad, color, is_shadow);
-    color[3] = a;
+    let points = pose.key3d.map ((key) => [(key.x + xoffset) * 2, -(key.y + yoffset) * 2, -key.z]);
+    bvh.add_frame (brec, points, timestamp);
 }
 
-function
-shadow_matrix (m, light_dir, ground_pos, ground_nrm)
-{
-    vec3_normalize (light_dir);
-    vec3_normalize (ground_nrm);
-
-    let a = ground_nrm[0];
-    let b = ground_nrm[1];
-    let c = ground_nrm[2];
-    let d = 0;
-    let ex = light_dir[0];
-    let ey = light_dir[1];
-    let ez = light_dir[2];
-
-    m[ 0] =  b * ey + c * ez;
-    m[ 1] = -a * ey;
-    m[ 2] = -a * ez;
-    m[ 3] = 0;
-
-    m[ 4] = -b * ex;
-    m[ 5] =  a * ex + c * ez;
-    m[ 6] = -b * ez;
-    m[ 7] = 0;
-
-    m[ 8] = -c * ex;
-    m[ 9] = -c * ey;
-    m[10] =  a * ex + b * ey;
-    m[11] = 0;
-
-    m[12] = -d * ex;
-    m[13] = -d * ey;
-    m[14] = -d * ez;
-    m[15] =  a * ex + b * ey + c * ey;
-}
 
 function 
-render_skelton_3d (gl, landmarks)
+render_skelton_3d (gl, landmarks, cam)
 {
     let mtxGlobal = new Array(16);
     let mtxTouch  = get_touch_event_matrix();
@@ -219,9 +278,11 @@ render_skelton_3d (gl, landmarks)
 
     let pose_draw = {};
     pose_draw.key3d = [];
-    compute_3d_skelton_pos (pose_draw, landmarks);
+    compute_3d_skelton_pos (pose_draw, landmarks, cam);
 
-    let pose = pose_draw;
+    /* if the confidence score is low, draw more transparently. */
+    let pose  = pose_draw;
+    let bones = pose.key3d.map ((key) => [key.x, key.y, key.z, (key.score > 0.1) ? 1.0 : 0.1]);
     for (let is_shadow = 1; is_shadow >= 0; is_shadow --)
     {
         let colj;
@@ -240,7 +301,7 @@ render_skelton_3d (gl, landmarks)
 
             shadow_matrix (mtxShadow, light_dir, ground_pos, ground_nrm);
 
-            let shadow_y = - s_gui_prop.pose_scale_y;
+            let shadow_y = get_floor_y (cam);
             //shadow_y += pose->key3d[kNeck].y * 0.5f;
             matrix_translate (mtxGlobal, 0.0, shadow_y, 0.0);
             matrix_mult (mtxGlobal, mtxGlobal, mtxShadow);
@@ -279,38 +340,79 @@ render_skelton_3d (gl, landmarks)
 
         /* right arm */
         const rad = s_gui_prop.bone_radius;
-        render_3d_bone (gl, mtxGlobal, pose,  1,  2, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  2,  3, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  3,  4, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  1,  2, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  2,  3, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  3,  4, coln, rad, is_shadow);
 
         /* left arm */
-        render_3d_bone (gl, mtxGlobal, pose,  1,  5, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  5,  6, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  6,  7, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  1,  5, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  5,  6, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  6,  7, coln, rad, is_shadow);
 
         /* right leg */
-        render_3d_bone (gl, mtxGlobal, pose,  1,  8, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  8,  9, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose,  9, 10, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  1,  8, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  8,  9, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  9, 10, coln, rad, is_shadow);
 
         /* left leg */
-        render_3d_bone (gl, mtxGlobal, pose,  1, 11, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose, 11, 12, coln, rad, is_shadow);
-        render_3d_bone (gl, mtxGlobal, pose, 12, 13, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  1, 11, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones, 11, 12, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones, 12, 13, coln, rad, is_shadow);
 
         /* neck */
-        render_3d_bone (gl, mtxGlobal, pose,  1,  0, coln, rad, is_shadow);
+        render_3d_bone (gl, mtxGlobal, bones,  1,  0, coln, rad, is_shadow);
 
         /* eye */
-        //render_3d_bone (gl, mtxGlobal, pose,  0, 14, coln, 1.0, is_shadow);
-        //render_3d_bone (gl, mtxGlobal, pose, 14, 16, coln, 1.0, is_shadow);
-        //render_3d_bone (gl, mtxGlobal, pose,  0, 15, coln, 1.0, is_shadow);
-        //render_3d_bone (gl, mtxGlobal, pose, 15, 17, coln, 1.0, is_shadow);
+        //render_3d_bone (gl, mtxGlobal, bones,  0, 14, coln, 1.0, is_shadow);
+        //render_3d_bone (gl, mtxGlobal, bones, 14, 16, coln, 1.0, is_shadow);
+        //render_3d_bone (gl, mtxGlobal, bones,  0, 15, coln, 1.0, is_shadow);
+        //render_3d_bone (gl, mtxGlobal, bones, 15, 17, coln, 1.0, is_shadow);
     }
 }
 
 
-function render_3d_scene (gl, pose3d_predictions)
+/*
+ *  draw the glTF avatar driven by the pose (see util_avatar.js), with its
+ *  shadow. false if no avatar is loaded.
+ */
+function
+render_avatar_3d (gl, avt, landmarks, cam)
+{
+    let mtxGlobal = new Array(16);
+    let mtxTouch  = get_touch_event_matrix();
+    let col_white = [1.0, 1.0, 1.0, 1.0];
+    let col_gray  = [0.0, 0.0, 0.0, 0.1];
+
+    let pose_draw = {};
+    pose_draw.key3d = [];
+    compute_3d_skelton_pos (pose_draw, landmarks, cam);
+
+    if (!avatar.retarget (avt, pose_draw.key3d))
+        return false;
+
+    for (let is_shadow = 1; is_shadow >= 0; is_shadow --)
+    {
+        matrix_identity (mtxGlobal);
+        matrix_translate (mtxGlobal, 0.0, 0.0, -s_gui_prop.camera_pos_z);
+        matrix_mult (mtxGlobal, mtxGlobal, mtxTouch);
+
+        if (is_shadow)
+        {
+            let mtxShadow = new Array(16);
+            shadow_matrix (mtxShadow, [1.0, 2.0, 1.0], [0.0, 0.0, 0.0], [0.0, 1.0, 0.0]);
+
+            matrix_translate (mtxGlobal, 0.0, get_floor_y (cam), 0.0);
+            matrix_mult (mtxGlobal, mtxGlobal, mtxShadow);
+        }
+
+        draw_skinned_mesh (gl, mtxGlobal, avt.model, avt.matrix, avt.globals, avt.skins,
+                           is_shadow ? col_gray : col_white, is_shadow);
+    }
+    return true;
+}
+
+
+function render_3d_scene (gl, pose3d_predictions, avt, cam)
 {
     let mtxGlobal = new Array(16);
     let mtxTouch  = get_touch_event_matrix();
@@ -322,16 +424,26 @@ function render_3d_scene (gl, pose3d_predictions)
     matrix_identity (mtxGlobal);
     matrix_translate (mtxGlobal, 0, 0, -s_gui_prop.camera_pos_z);
     matrix_mult (mtxGlobal, mtxGlobal, mtxTouch);
-    matrix_translate (mtxGlobal, 0, -s_gui_prop.pose_scale_y, 0);
+    matrix_translate (mtxGlobal, 0, get_floor_y (cam), 0);
     matrix_scale  (mtxGlobal, floor_size_x, floor_size_y, floor_size_z);
     matrix_translate (mtxGlobal, 0, 1.0, 0);
     draw_floor (gl, mtxGlobal, floor_size_x/10, floor_size_y/10);
 
     /* skelton */
+    let main_id = select_main_pose (pose3d_predictions);
     for (let pose_id = 0; pose_id < pose3d_predictions.length; pose_id ++)
     {
         const landmarks = pose3d_predictions[pose_id];
-        render_skelton_3d (gl, landmarks);
+
+        /* not placed yet on the metric floor */
+        if (cam.prop.enable && !landmarks.root)
+            continue;
+
+        /* the avatar puppets the main person */
+        if (pose_id == main_id && avt.prop.draw && render_avatar_3d (gl, avt, landmarks, cam))
+            continue;
+
+        render_skelton_3d (gl, landmarks, cam);
     }
 
     if (s_gui_prop.draw_axis)
@@ -355,7 +467,7 @@ function render_3d_scene (gl, pose3d_predictions)
                 v0  = [-dx, i * dy, j * dz];
                 v1  = [ dx, i * dy, j * dz];
 
-                col = colb;
+                let col = colb;
                 if (i == 0 && j == 0)
                     col = [1.0, 0.0, 0.0, 1.0];
                 draw_line (gl, mtxGlobal, v0, v1, col);
@@ -484,12 +596,10 @@ function on_resize (gl)
     pmeter.resize (gl, w, h, h - 100);
     dbgstr.resize_viewport (gl, w, h);
     r2d.resize_viewport (gl, w, h);
-    resize_pose3d_render (gl, w, h);
+    resize_3d_render (gl, w, h);
 
     GLUtil.destroy_render_target (gl, s_rtarget_main);
-    GLUtil.destroy_render_target (gl, s_rtarget_feed);
     s_rtarget_main = GLUtil.create_render_target (gl, w, h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, w, h, 1);
 }
 
 function check_resize_canvas (gl, canvas)
@@ -516,11 +626,14 @@ init_gui ()
     gui.add (s_gui_prop, 'pose_scale_y', 0, 1000);
     gui.add (s_gui_prop, 'pose_scale_z', 0, 1000);
     gui.add (s_gui_prop, 'camera_pos_z', 0, 1000);
+    gui.add (s_gui_prop, 'stage_depth',  0, 1000);
     gui.add (s_gui_prop, 'joint_radius', 0, 20);
     gui.add (s_gui_prop, 'bone_radius',  0, 20);
     gui.add (s_gui_prop, 'srcimg_scale', 0, 5.0);
     gui.add (s_gui_prop, 'draw_axis');
     gui.add (s_gui_prop, 'draw_pmeter');
+
+    return gui;
 }
 
 
@@ -533,7 +646,7 @@ async function startWebGL()
     let current_phase = 0;
 
     const canvas = document.querySelector('#glcanvas');
-    const gl = canvas.getContext('webgl');
+    const gl = tffeed.create_webgl_context (canvas);
     if (!gl)
     {
         alert('Failed to initialize WebGL.');
@@ -543,29 +656,122 @@ async function startWebGL()
     gl.clearColor (0.7, 0.7, 0.7, 1.0);
     gl.clear (gl.COLOR_BUFFER_BIT);
 
+    glres.init_glres (gl, async function ()
+    {
+        gl.clearColor (0.7, 0.7, 0.7, 1.0);
+        if (await tfbackend.restore_backend (gl))
+            await appstatus.load_models (init_tfjs_pose3d);
+    });
+
     init_touch_event (canvas);
-    init_gui ();
+    appstatus.init_status (canvas);
+    leakmon.init_leakmon (gl);
+
+    const gui = init_gui ();
+    tfbackend.add_gui (gui);
+    perftrace.add_gui (gui);
+    leakmon.add_gui (gui);
+
+    const input = insrc.create_input_source (gl, "pakutaso_person.jpg", insrc.SRC_CAMERA);
+    insrc.add_gui (gl, gui, input);
+    insrc.add_drop_target (gl, input, canvas);
+
+    const rec = recorder.create_recorder ("pose_estimation_3d",
+        "key: normalized to the model input (origin: top-left). view: area of the source in it. key3d: model output (origin: neck). " +
+        "root: neck in the camera space [cm] (metric 3D)");
+    recorder.add_gui (gui, rec);
+
+    const brec = bvh.create_recorder ("pose_estimation_3d", kPoseBvhSkeleton, 100);
+    bvh.add_gui (gui, brec);
+
+    /* the avatar is loaded from the GUI, or the URL parameter (e.g. index.html?avatar=./avatar.glb) */
+    const avt = avatar.create_avatar (gl, kPoseBvhSkeleton);
+    avatar.add_gui (gui, avt);
 
-    const camtex = GLUtil.create_camera_texture (gl);
-    //const camtex = GLUtil.create_video_texture (gl, "./assets/just_do_it.mp4");
-    const imgtex = GLUtil.create_image_texture2 (gl, "pakutaso_person.jpg");
+    let avatar_url = new URLSearchParams (window.location.search).get ('avatar');
+    if (avatar_url)
+        avatar.load (avt, avatar_url);
+
+    const cam = camintr.create_intrinsics ();
+    camintr.add_gui (gui, cam);
+
+    const trk = tracker.create_tracker ();
+    let last_roots = {};    /* the last solved root of each track */
+
+    const smoother = lmfilter.create_filter_bank (lmfilter.FILTER_ONE_EURO);
+    lmfilter.add_gui (gui, smoother);
 
     let win_w = canvas.clientWidth;
     let win_h = canvas.clientHeight;
 
+    /* --------------------------------------- *
+     *  inference stages (see util_sched.js)
+     * --------------------------------------- */
+    const sch = infsched.create_scheduler ();
+
+    infsched.add_stage (sch, "pose3d", async function (frame)
+    {
+        let feed_image = generate_input_image (gl, frame.texid, frame.width, frame.height, win_w, win_h);
+        let view = {
+            x: s_srctex_region.tex_x / s_srctex_region.width,
+            y: s_srctex_region.tex_y / s_srctex_region.height,
+            w: s_srctex_region.tex_w / s_srctex_region.width,
+            h: s_srctex_region.tex_h / s_srctex_region.height,
+        };
+
+        let pose3d_predictions = await invoke_pose_detect (feed_image);
+        feed_image.dispose ();
+
+        track_pose3d (trk, pose3d_predictions);
+
+        /* key: normalized, key3d: in the average height (kPoseAvgHeight) */
+        for (let pose of pose3d_predictions)
+        {
+            lmfilter.filter_points (smoother, pose.track_id + "/key",   pose.key,   frame.timestamp, 1.0);
+            lmfilter.filter_points (smoother, pose.track_id + "/key3d", pose.key3d, frame.timestamp, 1.0);
+        }
+
+        /*
+         *  metric 3D: the root solved from the smoothed keys, and smoothed itself.
+         *  if it is not solved, the last one of the person is held.
+         */
+        let roots = {};
+        for (let pose of pose3d_predictions)
+        {
+            pose.root = solve_pose3d_root (cam, pose, view, frame.width, frame.height);
+            if (pose.root)
+                lmfilter.filter_points (smoother, pose.track_id + "/root", [pose.root], frame.timestamp, 100.0);
+            else if (cam.prop.enable && last_roots[pose.track_id])
+                pose.root = Object.assign ({}, last_roots[pose.track_id]);
+
+            if (pose.root)
+                roots[pose.track_id] = pose.root;
+        }
+        last_roots = roots;
+        lmfilter.prune (smoother, frame.timestamp);
+
+        recorder.record_frame (rec, frame, {poses: pose3d_predictions}, view);
+        record_pose3d_bvh (brec, pose3d_predictions, frame.timestamp);
+
+        return pose3d_predictions;
+    }, 0, extrapolate_pose3d);
+
+    infsched.add_gui (gui, sch);
+
     r2d.init_2d_render (gl, win_w, win_h);
-    init_pose3d_render (gl, win_w, win_h);
+    init_3d_render (gl, win_w, win_h);
+    glres.register ("render", function (gl) { init_3d_render (gl, win_w, win_h); });
 
     init_dbgstr (gl, win_w, win_h);
     pmeter.init_pmeter (gl, win_w, win_h, win_h - 40);
     //const stats = init_stats ();
 
 
-    await init_tfjs_pose3d ();
+    await tfbackend.init_backend (gl);
+    await appstatus.load_models (init_tfjs_pose3d);
     //s_debug_log.innerHTML = "tfjs.Backend = " + tf.getBackend() + "<br>"
 
     s_rtarget_main = GLUtil.create_render_target (gl, win_w, win_h, 0);
-    s_rtarget_feed = GLUtil.create_render_target (gl, win_w, win_w, 1);
 
     /* stop loading spinner */
     const spinner = document.getElementById('loading');
@@ -587,36 +793,34 @@ async function startWebGL()
         win_w = canvas.width;
         win_h = canvas.height;
 
-        let src_w = imgtex.image.width;
-        let src_h = imgtex.image.height;
-        let texid = imgtex.texid;
-        if (GLUtil.is_camera_ready(camtex))
-        {
-            GLUtil.update_camera_texture (gl, camtex);
-            src_w = camtex.video.videoWidth;
-            src_h = camtex.video.videoHeight;
-            texid = camtex.texid;
-        }
+        /* the stage running asynchronously may have changed the GL state */
+        tffeed.restore_gl_state (gl);
+
+        let frame = insrc.update_frame (gl, input);
+        let src_w = frame.width;
+        let src_h = frame.height;
+        let texid = frame.texid;
 
         /* --------------------------------------- *
          *  invoke TF.js (Pose detection)
          * --------------------------------------- */
-        let feed_image = generate_input_image (gl, texid, src_w, src_h, win_w, win_h);
-        let pose3d_predictions = {length: 0};
-
-        let time_invoke0_start = performance.now();
-        pose3d_predictions = await await invoke_pose_detect (feed_image);
-        let time_invoke0 = performance.now() - time_invoke0_start;
+        await infsched.update (sch, frame);
 
+        let pose3d_predictions = infsched.get_result (sch, "pose3d");
+        if (!pose3d_predictions)
+            pose3d_predictions = [];
 
         /* --------------------------------------- *
          *  render scene
          * --------------------------------------- */
+        let span_render = perftrace.begin ("render", "gl");
         GLUtil.set_render_target (gl, s_rtarget_main);
+        tffeed.restore_gl_state (gl);
         gl.clear (gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-        render_3d_scene (gl, pose3d_predictions);
+        render_3d_scene (gl, pose3d_predictions, avt, cam);
         render_2d_scene (gl, texid, pose3d_predictions);
+        perftrace.end (span_render);
 
         /* --------------------------------------- *
          *  post process
@@ -629,8 +833,14 @@ async function startWebGL()
         let str = "Interval: " + interval_ms.toFixed(1) + " [ms]";
         dbgstr.draw_dbgstr (gl, str, 10, 10);
 
-        str = "TF.js0  : " + time_invoke0.toFixed(1)  + " [ms]";
-        dbgstr.draw_dbgstr (gl, str, 10, 10 + 22 * 1);
+        infsched.draw_status (gl, sch, 10, 10 + 22 * 1);
+
+        tfbackend.report_time (infsched.take_invoke_time (sch));
+        let row = 2 + tfbackend.draw_benchmark (gl, 10, 10 + 22 * 2);
+
+        /* below the benchmark */
+        row += avatar.draw_status (gl, avt, 10, 10 + 22 * row);
+        camintr.draw_status (gl, cam, 10, 10 + 22 * row);
 
         str = "BACKEND: " + tf.getBackend();
         dbgstr.draw_dbgstr_ex (gl, str, win_w - 220, win_h - 22 * 3, 
@@ -642,9 +852,13 @@ async function startWebGL()
         str = "srcdim(" + src_w + ", " + src_h + ")";
         dbgstr.draw_dbgstr (gl, str, win_w - 220, win_h - 22 * 1);
 
+        leakmon.update ();
+        leakmon.draw_panel (gl, win_w, win_h);
+        perftrace.draw_overlay (gl, win_w, win_h);
+
+        appstatus.draw_status (gl, win_w, win_h);
 
         //stats.end();
-        requestAnimationFrame (render);
     }
-    render ();
+    glres.start_render_loop (gl, render);
 }